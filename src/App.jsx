@@ -1,231 +1,362 @@
-import { useState, useRef, useEffect, useMemo } from 'react';
+import { useState, useRef, useEffect, useMemo, useCallback } from 'react';
 import { useCamera } from './hooks/useCamera';
+import { useMediaStore } from './hooks/useMediaStore';
+import { useCalibration } from './hooks/useCalibration';
+import { useFlatField } from './hooks/useFlatField';
+import { useTemporalDenoise } from './hooks/useTemporalDenoise';
+import { useColormaps } from './hooks/useColormaps';
+import { useHardwareControls } from './hooks/useHardwareControls';
+import { useFocusStack } from './hooks/useFocusStack';
+import { useMosaic } from './hooks/useMosaic';
+import { useScopes } from './hooks/useScopes';
+import { usePresets } from './hooks/usePresets';
+import { useShortcutBindings } from './hooks/useShortcutBindings';
+import { useInputBindings } from './hooks/useInputBindings';
+import { useTimelapse } from './hooks/useTimelapse';
+import { useViewportMapping } from './hooks/useViewportMapping';
+import { usePanZoomGestures } from './hooks/usePanZoomGestures';
+import { useCompare } from './hooks/useCompare';
+import { useVideoModes } from './hooks/useVideoModes';
+import { useMultiCamera } from './hooks/useMultiCamera';
 import { ControlPanel } from './components/ControlPanel';
 
 import { Gallery } from './components/Gallery';
 import { Minimap } from './components/Minimap';
+import { MeasurementOverlay } from './components/MeasurementOverlay';
+import { MeasureToolbar } from './components/MeasureToolbar';
+import { ColorPickOverlay } from './components/ColorPickOverlay';
+import { ColorBarLegend } from './components/ColorBarLegend';
+import { AnnotationLayer } from './components/AnnotationLayer';
+import { AnnotationToolbar } from './components/AnnotationToolbar';
+import { ScopesPanel } from './components/ScopesPanel';
+import { ZebraOverlay } from './components/ZebraOverlay';
+import { ProcessedView } from './components/ProcessedView';
+import { ShortcutsPanel } from './components/ShortcutsPanel';
+import { ComparePanel } from './components/ComparePanel';
+import { SwipeDivider } from './components/SwipeDivider';
+import { PixelGridOverlay } from './components/PixelGridOverlay';
+import { FocusStackPanel } from './components/FocusStackPanel';
+import { MosaicPreview } from './components/MosaicPreview';
+import { TimelapsePanel } from './components/TimelapsePanel';
+import { MultiCameraGrid } from './components/MultiCameraGrid';
+import { StreamErrorPanel, ReconnectOverlay } from './components/StreamStatus';
+import { VideoModePicker } from './components/VideoModePicker';
+import { RENDERER_LABELS } from './utils/pipeline';
+import { DEFAULT_FILTERS, loadDeviceSettings, saveDeviceSettings, presetFilters, migrateFilters } from './utils/settings';
+import { getCropRect, getSourceSize, averageFrames } from './utils/capture';
+import { DEFAULT_DENOISE } from './utils/temporalDenoise';
+import { sampleAverage, sampleRect, whiteBalanceGains, checkerPatches, fitColorMatrix } from './utils/colorCalibration';
+import { measureSensorLength } from './utils/measure';
+import { clampPan, clampZoom, nativeZoom } from './utils/viewport';
+import { ANNOTATION_COLORS, annotationsToOutput, flattenAnnotations } from './utils/annotations';
 import './index.css';
 
-const DEFAULT_FILTERS = {
-  zoom: 1,
-  brightness: 100,
-  contrast: 100,
-  saturate: 100,
-  sepia: 0,
-
-  invert: 0,
-  edgeDetection: false,
-  falseColor: false,
-  emboss: 0,
-  sharpen: 0,
-  grid: false,
-  crosshair: false
-};
+// Held zoom shortcuts: e-fold per second at full deflection; pan in view widths per second
+const ZOOM_SPEED = 1;
+const PAN_SPEED = 0.6;
+
+// Sensor frame size stored with captures
+const getResolution = (video) => (video?.videoWidth ? { width: video.videoWidth, height: video.videoHeight } : null);
 
 function App() {
+  const videoRef = useRef(null);
   const {
     stream,
     devices,
     selectedDeviceId,
     setSelectedDeviceId,
     error,
+    connection,
+    refreshStream,
     takePhoto,
     startRecording,
     stopRecording,
     isRecording,
     compatibilityMode,
     setCompatibilityMode,
+    videoMode,
+    setVideoMode,
+    modeError,
     debugInfo
-  } = useCamera();
+  } = useCamera(videoRef);
 
-  const [mediaItems, setMediaItems] = useState([]);
+  const { mediaItems, storage, error: mediaError, addMedia, updateItem, removeItem, removeSession } = useMediaStore();
   const [showGallery, setShowGallery] = useState(false);
   const [aspectRatio, setAspectRatio] = useState('3/2');
   const [isFlashing, setIsFlashing] = useState(false);
-  const [splitMode, setSplitMode] = useState(false);
-  const [frozenFrame, setFrozenFrame] = useState(null);
   const [showControls, setShowControls] = useState(true);
+  // Also keep the untouched sensor frame next to each processed SNAP
+  const [saveRaw, setSaveRaw] = useState(false);
+
+  const hardware = useHardwareControls(stream, selectedDeviceId);
+  const videoModes = useVideoModes(stream, selectedDeviceId, { enabled: !isRecording });
+  // Multi-camera grid: the selected camera plus up to three more
+  const multi = useMultiCamera({ devices, primaryDeviceId: selectedDeviceId });
+  const multiActive = multi.active && multi.deviceIds.length > 1;
+
+  // Measurement (points are in sensor pixels, see utils/measure)
+  const [showMeasure, setShowMeasure] = useState(false);
+  const [measureTool, setMeasureTool] = useState(null);
+  const [measurements, setMeasurements] = useState([]);
+  const [pendingCalibration, setPendingCalibration] = useState(null);
+  const [showScaleBar, setShowScaleBar] = useState(false);
+  const {
+    profiles: calibrationProfiles,
+    activeProfile,
+    pxPerUm,
+    addProfile,
+    removeProfile,
+    setActiveProfileId
+  } = useCalibration(selectedDeviceId, debugInfo?.width);
+
+  // Live annotations, also in sensor pixels so they stay on the specimen
+  const [showAnnotate, setShowAnnotate] = useState(false);
+  const [annotationTool, setAnnotationTool] = useState(null);
+  const [annotationColor, setAnnotationColor] = useState(ANNOTATION_COLORS[0]);
+  const [liveAnnotations, setLiveAnnotations] = useState([]);
+  // Draw annotations into the SNAP pixels instead of storing them as editable vectors
+  const [burnAnnotations, setBurnAnnotations] = useState(false);
 
   // Pan State (Normalized -0.5 to 0.5)
   const [pan, setPan] = useState({ x: 0, y: 0 });
-  const isDraggingRef = useRef(false);
-  const lastMousePosRef = useRef({ x: 0, y: 0 });
-
-  // Prevent saving settings while we are loading them
-  const isLoadedRef = useRef(false);
 
   const [filters, setFilters] = useState(DEFAULT_FILTERS);
 
-  const videoRef = useRef(null);
+  const liveViewRef = useRef(null);
+  // Compare mode: the reference <img> lives in the left pane (side by side) or hidden in the live view
+  const referenceRef = useRef(null);
+  const compare = useCompare({ videoRef, takePhoto });
+  const sideBySide = compare.active && compare.mode === 'side';
+  const [referenceLoads, setReferenceLoads] = useState(0);
+  const [blinkShowsReference, setBlinkShowsReference] = useState(false);
+  const [rendererKind, setRendererKind] = useState(null);
+  // Sensor <-> screen mapping shared by the live overlays (measurements, annotations)
+  const { mapping: viewportMapping, layout: viewportLayout } = useViewportMapping(videoRef, {
+    aspectRatio,
+    zoom: filters.zoom,
+    pan,
+    stream
+  });
+  const { layout: referenceLayout } = useViewportMapping(referenceRef, {
+    aspectRatio,
+    zoom: filters.zoom,
+    pan,
+    stream: sideBySide ? compare.reference?.url : null
+  });
+  // Zoom that shows sensor pixels 1:1 on this screen (for the zoom stops)
+  const liveNativeZoom = useMemo(() => {
+    if (!viewportLayout) return null;
+    const { sensor, box } = viewportLayout;
+    return nativeZoom(getCropRect(sensor.width, sensor.height, aspectRatio).width, box.width);
+  }, [viewportLayout, aspectRatio]);
+  // Flat-field / dark-frame correction for the selected camera at its current resolution
+  const flatField = useFlatField({ videoRef, deviceId: selectedDeviceId, sensor: viewportLayout?.sensor });
+  // Temporal denoise replaces the <video> as the frame source for the view, SNAP and recording
+  const [denoiseSettings, setDenoiseSettings] = useState(DEFAULT_DENOISE);
+  const denoise = useTemporalDenoise({
+    videoRef,
+    stream,
+    enabled: denoiseSettings.enabled,
+    frames: denoiseSettings.frames,
+    motion: denoiseSettings.motion
+  });
+  // Long-exposure SNAP progress (0-1), null when idle
+  const [longExposure, setLongExposure] = useState(null);
+  // Latest view state for the recording compositor, which runs outside React renders
+  const captureView = useMemo(() => ({
+    filters,
+    pan,
+    aspectRatio,
+    pxPerUm,
+    scaleBar: showScaleBar && !!pxPerUm,
+    correction: flatField.correction
+  }), [filters, pan, aspectRatio, pxPerUm, showScaleBar, flatField.correction]);
+  // Sensor-frame references follow the live framing and filters; processed captures are shown as-is.
+  // referenceLoads is part of the view so the (non-live) reference redraws once each <img> is in.
+  const referenceView = useMemo(() => {
+    if (compare.reference?.kind !== 'view') return { ...captureView, loaded: referenceLoads };
+    return {
+        filters: { ...DEFAULT_FILTERS, interpolation: filters.interpolation },
+        pan: { x: 0, y: 0 },
+        aspectRatio,
+        loaded: referenceLoads
+    };
+  }, [compare.reference, captureView, filters.interpolation, aspectRatio, referenceLoads]);
+  // Reference drawn over the live picture: same box, local coordinates
+  const referenceOverlayLayout = useMemo(() => (
+    viewportLayout ? { ...viewportLayout, box: { ...viewportLayout.box, left: 0, top: 0 } } : null
+  ), [viewportLayout]);
+
+  useEffect(() => {
+    if (!compare.active || compare.mode !== 'blink') return;
+    const interval = setInterval(() => setBlinkShowsReference(prev => !prev), compare.settings.blinkMs);
+    return () => clearInterval(interval);
+  }, [compare.active, compare.mode, compare.settings.blinkMs]);
 
+  const viewRef = useRef(captureView);
+  useEffect(() => {
+    viewRef.current = captureView;
+  }, [captureView]);
+
+  // Stable accessor for capture loops that outlive a render
+  const getView = useCallback(() => viewRef.current, []);
+
+  const [showFocusStack, setShowFocusStack] = useState(false);
+  const focusStack = useFocusStack({ videoRef, getView, hardware });
+  const mosaic = useMosaic({ videoRef, getView });
+
+  const [showScopes, setShowScopes] = useState(false);
+  const [showWaveform, setShowWaveform] = useState(false);
+  const scopes = useScopes({
+    videoRef,
+    getView,
+    histogram: showScopes,
+    waveform: showScopes && showWaveform,
+    zebra: !!filters.zebra
+  });
+
+  // Reset is for the look; the camera's color calibration has its own CLEAR
   const resetFilters = () => {
-    setFilters(DEFAULT_FILTERS);
+    setFilters(prev => ({ ...DEFAULT_FILTERS, wbGains: prev.wbGains, colorMatrix: prev.colorMatrix }));
+    setPan({ x: 0, y: 0 });
   };
 
-  // Load Settings
-  useEffect(() => {
-    if (!selectedDeviceId) return;
-
-    const saved = localStorage.getItem(`camera_settings_${selectedDeviceId}`);
-    isLoadedRef.current = false; // Block saving while loading
-
-    if (saved) {
-        try {
-            const parsed = JSON.parse(saved);
-            setFilters(parsed.filters || DEFAULT_FILTERS);
-            setAspectRatio(parsed.aspectRatio || '3/2');
-            // Only update compatibility mode if it's different to avoid unnecessary stream restarts
-            if (parsed.compatibilityMode !== undefined) {
-               setCompatibilityMode(parsed.compatibilityMode);
-            }
-        } catch (e) {
-            console.error("Failed to parse settings", e);
-            setFilters(DEFAULT_FILTERS);
-            setAspectRatio('3/2');
+  // Color calibration clicks on the live view (see ColorPickOverlay). Samples are taken after
+  // flat-field correction and before any pass, i.e. what the white balance pass receives.
+  const [colorTool, setColorTool] = useState(null);
+  const [colorMessage, setColorMessage] = useState(null);
+
+  const handleColorPick = (tool, points) => {
+    setColorTool(null);
+    const video = videoRef.current;
+    const { width, height } = getSourceSize(video);
+    if (!width || !viewportMapping) return;
+    const sample = (center, size) => sampleAverage(video, sampleRect(center, size, width, height), flatField.correction);
+
+    try {
+      if (tool === 'white') {
+        // About 15 screen pixels around the click
+        const gains = whiteBalanceGains(sample(points[0], Math.max(3, 15 / viewportMapping.scale)));
+        setFilters(prev => ({ ...prev, wbGains: gains.map(g => Math.round(g * 1000) / 1000) }));
+        setColorMessage({ text: 'White balance set from the picked area.' });
+      } else {
+        // The matrix pass runs on white-balanced values, so fit on those
+        const { centers, size } = checkerPatches(points);
+        const measured = centers.map(center => sample(center, size).map((v, i) => v * filters.wbGains[i]));
+        const { matrix, error, used } = fitColorMatrix(measured);
+        setFilters(prev => ({ ...prev, colorMatrix: matrix }));
+        setColorMessage({ text: `Color matrix fitted on ${used} of 24 patches, mean error ${error.toFixed(1)} levels.` });
+      }
+    } catch (e) {
+      setColorMessage({ text: e.message, error: true });
+    }
+  };
+
+  // "Restore these settings" from a capture's metadata (see utils/metadata)
+  const handleRestoreSettings = (metadata) => {
+    const restored = migrateFilters(metadata.filters, metadata.settingsVersion || 1);
+    setFilters(restored);
+    if (metadata.aspectRatio) setAspectRatio(metadata.aspectRatio);
+    setPan(metadata.pan ? clampPan(metadata.pan, restored.zoom) : { x: 0, y: 0 });
+    setShowGallery(false);
+  };
+
+  const presets = usePresets();
+  const colormaps = useColormaps();
+  // Presets carry everything but zoom
+  const applyPreset = (preset) => {
+    setFilters(prev => ({ ...prev, ...preset.filters }));
+  };
+
+  // Load Settings. The camera is only known once useCamera has enumerated it, so this runs
+  // while rendering whenever the selected device changes, before anything is drawn or saved
+  // with the previous camera's settings.
+  const [settingsDeviceId, setSettingsDeviceId] = useState(null);
+  if (selectedDeviceId && selectedDeviceId !== settingsDeviceId) {
+    setSettingsDeviceId(selectedDeviceId);
+
+    let parsed = null;
+    try {
+        // Older saves are upgraded to the current filter schema
+        parsed = loadDeviceSettings(selectedDeviceId);
+    } catch (e) {
+        console.error("Failed to parse settings", e);
+    }
+
+    if (parsed) {
+        setFilters(parsed.filters);
+        setAspectRatio(parsed.aspectRatio || '3/2');
+        setSaveRaw(!!parsed.saveRaw);
+        setShowScaleBar(!!parsed.showScaleBar);
+        // Only update compatibility mode if it's different to avoid unnecessary stream restarts
+        if (parsed.compatibilityMode !== undefined) {
+           setCompatibilityMode(parsed.compatibilityMode);
         }
+        setVideoMode(parsed.videoMode || null);
+        setDenoiseSettings({ ...DEFAULT_DENOISE, ...parsed.denoise });
     } else {
-        // Defaults for new device
+        // Defaults for new device (or unreadable settings)
         setFilters(DEFAULT_FILTERS);
         setAspectRatio('3/2');
+        setSaveRaw(false);
+        setVideoMode(null);
+        setDenoiseSettings(DEFAULT_DENOISE);
     }
-
-    // Allow saving after a brief tick to ensure state has settled
-    setTimeout(() => { isLoadedRef.current = true; }, 100);
-
-  }, [selectedDeviceId, setCompatibilityMode]);
+    if (!parsed || parsed.filters.zoom === 1) setPan({ x: 0, y: 0 });
+  }
 
   // Save Settings
   useEffect(() => {
-    if (!selectedDeviceId || !isLoadedRef.current) return;
+    if (!selectedDeviceId || selectedDeviceId !== settingsDeviceId) return;
 
-    const settings = {
+    saveDeviceSettings(selectedDeviceId, {
         filters,
         aspectRatio,
-        compatibilityMode
-    };
-    localStorage.setItem(`camera_settings_${selectedDeviceId}`, JSON.stringify(settings));
-  }, [filters, aspectRatio, compatibilityMode, selectedDeviceId]);
+        compatibilityMode,
+        videoMode,
+        saveRaw,
+        showScaleBar,
+        denoise: denoiseSettings
+    });
+  }, [filters, aspectRatio, compatibilityMode, videoMode, saveRaw, showScaleBar, denoiseSettings, selectedDeviceId, settingsDeviceId]);
 
   const videoStyle = useMemo(() => {
-    // Safety: Force pan to 0 if zoom is 1
-    const effectivePan = filters.zoom === 1 ? { x: 0, y: 0 } : pan;
-
     return {
         maxWidth: '100%',
         maxHeight: '100%',
         aspectRatio: aspectRatio === 'native' ? 'auto' : aspectRatio,
-        objectFit: 'fill', // Force stretch to fix distortion
-        transform: `translate(${effectivePan.x * 100}%, ${effectivePan.y * 100}%) scale(${filters.zoom})`,
-        filter: `brightness(${filters.brightness}%) contrast(${filters.contrast}%) saturate(${filters.saturate}%) sepia(${filters.sepia}%) invert(${filters.invert}%) ${filters.edgeDetection ? 'url(#edge-detection)' : ''} ${filters.falseColor ? 'url(#false-color)' : ''} ${filters.emboss > 0 ? 'url(#emboss)' : ''} ${filters.sharpen > 0 ? 'url(#sharpen)' : ''}`,
-        transition: isDraggingRef.current ? 'none' : 'transform 0.1s ease-out, filter 0.1s ease-out'
+        objectFit: 'fill',
+        // Layout only: ProcessedView draws the zoomed, panned and filtered picture on top
+        opacity: 0
     };
-  }, [filters, aspectRatio, pan]);
+  }, [aspectRatio]);
 
-  // Reset pan when zoom is 1
-  useEffect(() => {
-    if (filters.zoom === 1) {
-        setPan({ x: 0, y: 0 });
-    }
-  }, [filters.zoom]);
+  // Zoom changes from the panel and shortcuts; back at 1x there is nothing to pan
+  const handleZoom = (zoom) => {
+    setFilters(prev => (prev.zoom === zoom ? prev : { ...prev, zoom }));
+    if (zoom === 1) setPan({ x: 0, y: 0 });
+  };
 
   // Pan Logic Handlers
   const handlePanChange = (newX, newY) => {
-     // Constrain Pan
      if (filters.zoom <= 1) return;
-     const maxPan = (filters.zoom - 1) / 2;
-
-     // Clamp
-     const clampedX = Math.max(-maxPan, Math.min(maxPan, newX));
-     const clampedY = Math.max(-maxPan, Math.min(maxPan, newY));
-
-     setPan({ x: clampedX, y: clampedY });
-  };
-
-  const handleMouseDown = (e) => {
-    if (filters.zoom > 1 && !splitMode) {
-        isDraggingRef.current = true;
-        lastMousePosRef.current = { x: e.clientX, y: e.clientY };
-        e.preventDefault(); // Prevent text selection
-    }
-  };
-
-  const handleMouseMove = (e) => {
-    if (isDraggingRef.current && videoRef.current) {
-        const deltaX = e.clientX - lastMousePosRef.current.x;
-        const deltaY = e.clientY - lastMousePosRef.current.y;
-
-        lastMousePosRef.current = { x: e.clientX, y: e.clientY };
-
-        // Convert pixel delta to percentage
-        const rect = videoRef.current.getBoundingClientRect();
-        // NOTE: rect.width is the SCALED width.
-        // We want delta relative to the ORIGINAL container width (because translate % is based on element size)
-        // Wait, element size is constant (100% of container). Scale is applied visuals.
-        // videoRef.current.offsetWidth is unscaled width? Yes.
-
-        const w = videoRef.current.offsetWidth;
-        const h = videoRef.current.offsetHeight;
-
-        // Update Pan
-        // If I drag mouse Right (positive delta), Image should move Right (positive translate).
-        // Correct.
-
-        const panDeltaX = deltaX / w;
-        const panDeltaY = deltaY / h;
-
-        // Use functional state to avoid stale closure during rapid updates if we used that,
-        // but here we have access to 'pan' via closure?
-        // Better to check current constraints.
-
-        // Actually, we must use the clamped logic.
-        // Let's call helper.
-        // We need 'current pan' + delta.
-        // Since event handler closes over 'pan', it might change.
-        // Let's use setPan callback.
-
-        setPan(prev => {
-             const maxPan = (filters.zoom - 1) / 2;
-             const nx = prev.x + panDeltaX;
-             const ny = prev.y + panDeltaY;
-
-             return {
-                x: Math.max(-maxPan, Math.min(maxPan, nx)),
-                y: Math.max(-maxPan, Math.min(maxPan, ny))
-             };
-        });
-    }
+     setPan(clampPan({ x: newX, y: newY }, filters.zoom));
   };
 
-  const handleMouseUp = () => {
-    isDraggingRef.current = false;
-  };
-
-  // Attach global mouse up to catch dragging outside
-  useEffect(() => {
-    window.addEventListener('mouseup', handleMouseUp);
-    return () => window.removeEventListener('mouseup', handleMouseUp);
+  // Drag, pinch, wheel and double-tap on the live view
+  const handleGestureView = useCallback(({ zoom, pan: nextPan }) => {
+    setFilters(prev => (prev.zoom === zoom ? prev : { ...prev, zoom }));
+    setPan(nextPan);
   }, []);
+  const gestureHandlers = usePanZoomGestures(liveViewRef, videoRef, {
+    zoom: filters.zoom,
+    pan,
+    onChange: handleGestureView
+  });
 
 
 
-  // Dynamic Kernel Generation
-  const sharpenMatrix = useMemo(() => {
-    // Identity: 0 0 0 0 1 0 0 0 0
-    // Target: 0 -1 0 -1 5 -1 0 -1 0
-    // Diff:   0 -1 0 -1 4 -1 0 -1 0
-    // Factor s: 0 to 3
-    const s = (filters.sharpen / 100) * 15;
-    return `0 ${-s} 0 ${-s} ${1 + 4 * s} ${-s} 0 ${-s} 0`;
-  }, [filters.sharpen]);
 
-  const embossMatrix = useMemo(() => {
-    // Identity: 0 0 0 0 1 0 0 0 0
-    // Target: -2 -1 0 -1 1 1 0 1 2
-    // Diff:   -2 -1 0 -1 0 1 0 1 2
-    // Factor s: 0 to 3
-    const s = (filters.emboss / 100) * 3;
-    return `${-2 * s} ${-1 * s} 0 ${-1 * s} 1 ${1 * s} 0 ${1 * s} ${2 * s}`;
-  }, [filters.emboss]);
 
   useEffect(() => {
     if (videoRef.current && stream) {
@@ -234,97 +365,291 @@ function App() {
   }, [stream]);
 
   /* Media Capture handlers */
+  // Context stored next to every capture so the Gallery can make sense of it later
+  const getCaptureMeta = () => ({
+    deviceId: selectedDeviceId,
+    deviceLabel: devices.find(d => d.deviceId === selectedDeviceId)?.label || '',
+    resolution: getResolution(videoRef.current),
+    filters,
+    pan,
+    aspectRatio,
+    pxPerUm,
+    flatField: flatField.correction ? { dark: !!flatField.correction.dark } : null,
+    denoise: denoise.active ? { frames: denoiseSettings.frames, motion: denoiseSettings.motion } : null
+  });
+
+  // What captures read frames from: the denoised picture when that is on
+  const getFrameSource = () => (denoise.active && denoise.canvasRef.current) || videoRef.current;
+
+  // Grid captures: calibration only applies to the selected camera
+  const getTileCaptureMeta = (deviceId, view, video) => ({
+    deviceId,
+    deviceLabel: devices.find(d => d.deviceId === deviceId)?.label || '',
+    resolution: getResolution(video),
+    filters: view.filters,
+    pan: view.pan,
+    aspectRatio: view.aspectRatio,
+    pxPerUm: deviceId === selectedDeviceId ? pxPerUm : null
+  });
+
+  // Items of one synchronized capture share a set id, so the Gallery keeps them together
+  const createCaptureSet = (count) => ({ id: `set-${Date.now().toString(36)}`, count });
+
+  /* Measurement & calibration */
+  const handleMeasureToolChange = (tool) => {
+    if (tool === 'calibrate') {
+        // "Snap" the micrometer: hold the current frame still while the user draws
+        videoRef.current?.pause();
+    } else if (measureTool === 'calibrate') {
+        videoRef.current?.play();
+    }
+    setPendingCalibration(null);
+    setMeasureTool(tool);
+  };
+
+  const handleMeasurementComplete = (measurement) => {
+    if (measurement.tool === 'calibrate') {
+        setPendingCalibration(measurement);
+    } else {
+        setMeasurements(prev => [...prev, measurement]);
+    }
+  };
+
+  const handleConfirmCalibration = (name, knownUm) => {
+    if (!pendingCalibration || !videoRef.current) return;
+    const lengthPx = measureSensorLength(pendingCalibration.points);
+    addProfile(name, lengthPx / knownUm, {
+        width: videoRef.current.videoWidth,
+        height: videoRef.current.videoHeight
+    });
+    handleMeasureToolChange(null);
+  };
+
+  const handleTakeSetPhoto = async () => {
+    const tiles = multi.getReadyTiles();
+    if (tiles.length === 0) return;
+    setIsFlashing(true);
+    setTimeout(() => setIsFlashing(false), 150);
+
+    // Every frame is grabbed before the first await, so the cameras are captured together
+    const views = tiles.map(tile => tile.getView());
+    const photos = await Promise.all(tiles.map((tile, i) => takePhoto(tile.videoRef.current, views[i])));
+    const date = new Date();
+    const set = createCaptureSet(tiles.length);
+    photos.forEach((photo, i) => {
+        if (!photo) return;
+        addMedia({
+            type: 'image',
+            ...photo,
+            date,
+            ...getTileCaptureMeta(tiles[i].deviceId, views[i], tiles[i].videoRef.current),
+            captureSet: { ...set, index: i }
+        });
+    });
+  };
+
   const handleTakePhoto = async () => {
+    if (multiActive) {
+        await handleTakeSetPhoto();
+        return;
+    }
     if (videoRef.current) {
         setIsFlashing(true);
         setTimeout(() => setIsFlashing(false), 150);
 
-        const photoUrl = takePhoto(videoRef.current);
-        if (photoUrl) {
-            setMediaItems(prev => [{ type: 'image', url: photoUrl, date: new Date() }, ...prev]);
+        // WYSIWYG: same zoom, pan, crop and filters as the viewport
+        const photo = await takePhoto(getFrameSource(), captureView);
+        if (photo) {
+            const date = new Date();
+            if (saveRaw) {
+                const raw = await takePhoto(videoRef.current);
+                if (raw) addMedia({ type: 'image', variant: 'raw', ...raw, date, ...getCaptureMeta(), flatField: null, denoise: null });
+            }
+            let annotations;
+            if (liveAnnotations.length > 0) {
+                annotations = annotationsToOutput(liveAnnotations, videoRef.current, captureView);
+                if (burnAnnotations) {
+                    photo.blob = await flattenAnnotations(photo.blob, annotations);
+                    annotations = undefined;
+                }
+            }
+            addMedia({ type: 'image', ...photo, annotations, date, ...getCaptureMeta() });
         }
     }
   };
 
-  // Keyboard shortcut for taking photos (Spacebar)
-  // Many physical camera buttons emulate a spacebar press.
-  useEffect(() => {
-    const handleKeyDown = (e) => {
-        if (e.code === 'Space' || e.key === 'Enter') {
-            e.preventDefault(); // Prevent scrolling
-            handleTakePhoto();
+  // Averages a burst of frames from the camera itself into one low-noise SNAP (the live
+  // denoise is left out: its frames already are averages)
+  const handleLongExposure = async () => {
+    const video = videoRef.current;
+    if (longExposure !== null || !video?.videoWidth) return;
+    const frames = denoiseSettings.longExposureFrames;
+    setLongExposure(0);
+    try {
+        const averaged = await averageFrames(video, { count: frames, onProgress: setLongExposure });
+        setIsFlashing(true);
+        setTimeout(() => setIsFlashing(false), 150);
+        const photo = await takePhoto(averaged, captureView);
+        if (photo) {
+            addMedia({
+                type: 'image',
+                variant: 'long-exposure',
+                ...photo,
+                date: new Date(),
+                ...getCaptureMeta(),
+                denoise: null,
+                longExposure: { frames }
+            });
         }
-    };
-    window.addEventListener('keydown', handleKeyDown);
-    return () => window.removeEventListener('keydown', handleKeyDown);
-  }, [handleTakePhoto]);
+    } catch (e) {
+        console.error("Long exposure failed:", e);
+    }
+    setLongExposure(null);
+  };
 
   const handleToggleRecord = async () => {
+    if (multi.isRecording) {
+        const recordings = await multi.stopRecording();
+        const set = createCaptureSet(recordings.length);
+        recordings.forEach(({ deviceId, view, video, ...recording }, i) => {
+            addMedia({ type: 'video', ...recording, ...getTileCaptureMeta(deviceId, view, video), captureSet: { ...set, index: i } });
+        });
+        return;
+    }
+    if (multiActive && !isRecording) {
+        multi.startRecording();
+        return;
+    }
     if (isRecording) {
-        const videoUrl = await stopRecording();
-        if (videoUrl) {
-            setMediaItems(prev => [{ type: 'video', url: videoUrl, date: new Date() }, ...prev]);
+        const recording = await stopRecording();
+        if (recording) {
+            addMedia({ type: 'video', ...recording, ...getCaptureMeta() });
         }
     } else {
-        startRecording();
+        startRecording(getFrameSource(), getView);
     }
   };
 
+  const handleFocusStack = async (options) => {
+    const result = await focusStack.run(options);
+    if (result) {
+        addMedia({ type: 'image', variant: 'stack', ...result, ...getCaptureMeta() });
+    }
+  };
+
+  const [showTimelapse, setShowTimelapse] = useState(false);
+  const timelapse = useTimelapse({ videoRef, getView, takePhoto, getCaptureMeta });
+
+  const handleTimelapseVideo = async (runId, fps) => {
+    const video = await timelapse.makeVideo(runId, fps);
+    if (video) {
+        addMedia({ type: 'video', variant: 'timelapse', ...video, timelapse: { runId, fps }, ...getCaptureMeta() });
+    }
+  };
+
+  const handleFinishMosaic = async () => {
+    const parts = await mosaic.finish();
+    const meta = getCaptureMeta();
+    parts.forEach(({ blob, thumbnail, overview, row, col, rows, cols }) => {
+        const isTile = row !== undefined;
+        addMedia({
+            type: 'image',
+            variant: isTile ? 'mosaic-tile' : 'mosaic',
+            blob,
+            thumbnail,
+            ...(isTile ? { tile: { row, col, rows, cols } } : {}),
+            ...(overview ? { overview: true } : {}),
+            ...meta
+        });
+    });
+  };
+
+  // Every mode but side-by-side draws the reference inside the live view
+  const compareOverlay = compare.active && compare.reference && !sideBySide ? compare.mode : null;
+  const compareBadge = {
+    side: 'Live',
+    swipe: 'Reference | Live',
+    overlay: 'Overlay',
+    difference: `Difference ×${compare.settings.gain}`,
+    blink: blinkShowsReference ? 'Reference' : 'Live'
+  }[compare.mode];
+
+  // Reference thumbnails for the compare panel
+  const galleryImages = useMemo(() => mediaItems.filter(item => item.type === 'image'), [mediaItems]);
+
+  // The control panel follows the focused grid tile; hardware controls stay with the selected camera
+  const editsTile = multiActive && multi.focusedId !== selectedDeviceId;
+
   const handleToggleSplit = () => {
-    if (splitMode) {
-        setSplitMode(false);
-        setFrozenFrame(null);
-    } else {
-        if (videoRef.current) {
-            const frame = takePhoto(videoRef.current);
-            setFrozenFrame(frame);
-            setSplitMode(true);
-        }
+    if (compare.active) compare.stop();
+    else compare.start();
+  };
+
+
+  /* Shortcuts: keyboard, gamepad and HID buttons (see utils/shortcuts) */
+  const shortcuts = useShortcutBindings();
+  const [showShortcuts, setShowShortcuts] = useState(false);
+
+  // Preset number keys live with the presets; they take part in routing and conflict checks
+  const presetClaims = useMemo(() => presets.presets.filter(p => p.key).map(p => ({
+    id: `preset:${p.id}`,
+    label: `Preset "${p.name}"`,
+    bindings: [`Digit${p.key}`, `Numpad${p.key}`]
+  })), [presets.presets]);
+  const actionMap = useMemo(() => ({
+    ...shortcuts.bindings,
+    ...Object.fromEntries(presetClaims.map(c => [c.id, c.bindings]))
+  }), [shortcuts.bindings, presetClaims]);
+
+  const cyclePreset = (step) => {
+    const list = presets.presets;
+    if (list.length === 0) return;
+    const look = JSON.stringify(presetFilters(filters));
+    const current = list.findIndex(p => JSON.stringify(p.filters) === look);
+    applyPreset(list[(current + step + list.length) % list.length]);
+  };
+
+  const handleShortcut = (id) => {
+    if (id.startsWith('preset:')) {
+        const preset = presets.presets.find(p => `preset:${p.id}` === id);
+        if (preset) applyPreset(preset);
+        return;
+    }
+    switch (id) {
+        case 'snap': handleTakePhoto(); break;
+        case 'record': handleToggleRecord(); break;
+        case 'compare': handleToggleSplit(); break;
+        case 'presetNext': cyclePreset(1); break;
+        case 'presetPrev': cyclePreset(-1); break;
+        case 'togglePanel': setShowControls(prev => !prev); break;
+        case 'openGallery': setShowGallery(prev => !prev); break;
+        default: break;
+    }
+  };
+
+  // Held zoom/pan inputs; amount is 0-1 (analog axes), seconds since the last frame
+  const handleContinuousShortcut = (id, amount, seconds) => {
+    if (id === 'zoomIn' || id === 'zoomOut') {
+        const factor = Math.exp((id === 'zoomIn' ? 1 : -1) * ZOOM_SPEED * amount * seconds);
+        handleZoom(clampZoom(filters.zoom * factor));
+        return;
     }
+    const step = PAN_SPEED * amount * seconds;
+    // "Pan left" looks further left, i.e. moves the picture right
+    const dx = id === 'panLeft' ? step : id === 'panRight' ? -step : 0;
+    const dy = id === 'panUp' ? step : id === 'panDown' ? -step : 0;
+    setPan(prev => clampPan({ x: prev.x + dx, y: prev.y + dy }, filters.zoom));
   };
 
+  const input = useInputBindings({
+    actionMap,
+    onAction: handleShortcut,
+    onContinuous: handleContinuousShortcut
+  });
+
   return (
     <div className="app-container" style={{ height: '100%', display: 'flex', flexDirection: 'column' }}>
 
-      {/* SVG Filters Definition */}
-      <svg style={{ position: 'absolute', width: 0, height: 0, pointerEvents: 'none' }}>
-        <defs>
-          <filter id="edge-detection">
-            <feConvolveMatrix
-              order="3"
-              kernelMatrix="-1 -1 -1 -1 8 -1 -1 -1 -1"
-              preserveAlpha="true"
-            />
-            <feColorMatrix type="saturate" values="0"/>
-          </filter>
-
-          <filter id="false-color">
-             <feColorMatrix type="luminanceToAlpha"/>
-             <feComponentTransfer>
-                <feFuncR type="table" tableValues="0 0 1 1"/>
-                <feFuncG type="table" tableValues="0 1 1 0"/>
-                <feFuncB type="table" tableValues="1 0 0 0"/>
-             </feComponentTransfer>
-          </filter>
-
-          <filter id="emboss">
-             <feConvolveMatrix
-                order="3"
-                kernelMatrix={embossMatrix}
-                preserveAlpha="true"
-             />
-          </filter>
-
-          <filter id="sharpen">
-             <feConvolveMatrix
-                order="3"
-                kernelMatrix={sharpenMatrix}
-                preserveAlpha="true"
-             />
-          </filter>
-        </defs>
-      </svg>
-
       {/* Header / Top Bar */}
       <header className="glass-panel" style={{
         zIndex: 20,
@@ -369,6 +694,73 @@ function App() {
                 {showControls ? "Hide Controls" : "Show Controls"}
             </button>
 
+            <button
+                className="btn-base btn-pill"
+                onClick={() => setShowShortcuts(prev => !prev)}
+                style={{
+                    background: showShortcuts ? 'var(--color-surface-transparent)' : 'transparent',
+                    borderColor: showShortcuts ? 'var(--color-primary)' : 'var(--color-border)',
+                }}
+                title="Keyboard shortcuts, gamepads and HID buttons"
+            >
+                ⌨
+            </button>
+
+            <button
+                className="btn-base btn-pill"
+                onClick={() => {
+                    if (showMeasure) handleMeasureToolChange(null);
+                    setShowMeasure(prev => !prev);
+                    setShowAnnotate(false);
+                }}
+                style={{
+                    background: showMeasure ? 'var(--color-surface-transparent)' : 'transparent',
+                    borderColor: showMeasure ? 'var(--color-primary)' : 'var(--color-border)',
+                }}
+            >
+                Measure
+            </button>
+
+            <button
+                className="btn-base btn-pill"
+                onClick={() => {
+                    if (showMeasure) handleMeasureToolChange(null);
+                    setShowMeasure(false);
+                    setShowAnnotate(prev => !prev);
+                }}
+                style={{
+                    background: showAnnotate ? 'var(--color-surface-transparent)' : 'transparent',
+                    borderColor: showAnnotate ? 'var(--color-primary)' : 'var(--color-border)',
+                }}
+            >
+                Annotate
+            </button>
+
+            <button
+                className="btn-base btn-pill"
+                onClick={() => setShowScopes(prev => !prev)}
+                style={{
+                    background: showScopes ? 'var(--color-surface-transparent)' : 'transparent',
+                    borderColor: showScopes ? 'var(--color-primary)' : 'var(--color-border)',
+                }}
+                title="Histogram and waveform"
+            >
+                Scopes
+            </button>
+
+            <button
+                className="btn-base btn-pill"
+                onClick={() => multi.setActive(prev => !prev)}
+                disabled={devices.length < 2 || isRecording || multi.isRecording}
+                style={{
+                    background: multiActive ? 'var(--color-surface-transparent)' : 'transparent',
+                    borderColor: multiActive ? 'var(--color-primary)' : 'var(--color-border)',
+                }}
+                title={devices.length < 2 ? "Connect a second camera to use the grid" : "Show several cameras at once"}
+            >
+                Multi
+            </button>
+
             <select
                 value={selectedDeviceId}
                 onChange={(e) => setSelectedDeviceId(e.target.value)}
@@ -388,18 +780,15 @@ function App() {
                 ))}
             </select>
 
-            <button
-                className="btn-base btn-pill"
-                onClick={() => setCompatibilityMode(prev => !prev)}
-                title={compatibilityMode ? "Switch to High Res" : "Switch to Compatibility Mode (Low Res)"}
-                style={{
-                    background: compatibilityMode ? 'var(--color-primary)' : 'transparent',
-                    color: compatibilityMode ? 'black' : 'white',
-                    borderColor: 'var(--color-border)'
-                }}
-            >
-                {compatibilityMode ? "LOW RES" : "HD"}
-            </button>
+            <VideoModePicker
+                videoModes={videoModes}
+                videoMode={videoMode}
+                modeError={modeError}
+                onVideoModeChange={setVideoMode}
+                compatibilityMode={compatibilityMode}
+                onCompatibilityModeChange={setCompatibilityMode}
+                disabled={isRecording || multi.isRecording}
+            />
 
             <select
                 value={aspectRatio}
@@ -426,7 +815,18 @@ function App() {
         </div>
       </header>
 
-      {showGallery && <Gallery mediaItems={mediaItems} onClose={() => setShowGallery(false)} />}
+      {showGallery && (
+        <Gallery
+            mediaItems={mediaItems}
+            storage={storage}
+            error={mediaError}
+            onDeleteItem={removeItem}
+            onDeleteSession={removeSession}
+            onUpdateItem={updateItem}
+            onRestoreSettings={handleRestoreSettings}
+            onClose={() => setShowGallery(false)}
+        />
+      )}
 
       {/* Main Viewport */}
       <main style={{
@@ -454,12 +854,17 @@ function App() {
                 zIndex: 30,
                 borderRadius: '4px'
             }}>
-                <p>Res: {debugInfo.width}x{debugInfo.height} @ {Math.round(debugInfo.frameRate)}fps</p>
+                <p>Requested: {debugInfo.requested}</p>
+                <p>Delivered: {debugInfo.width}x{debugInfo.height} @ {Math.round(debugInfo.frameRate)}fps</p>
                 <p>State: {debugInfo.readyState} | Muted: {debugInfo.muted ? 'Yes' : 'No'}</p>
                 <p>Enabled: {debugInfo.enabled ? 'Yes' : 'No'}</p>
+                {debugInfo.deliveredFps !== null && <p>Measured: {debugInfo.deliveredFps.toFixed(1)}fps</p>}
+                {rendererKind && <p>Renderer: {RENDERER_LABELS[rendererKind]}</p>}
             </div>
         )}
 
+        <ReconnectOverlay connection={connection} onRetryNow={refreshStream} />
+
         {/* Flash Overlay */}
         <div style={{
             position: 'absolute',
@@ -472,19 +877,22 @@ function App() {
         }} />
 
         {error ? (
-          <div style={{ color: 'var(--color-danger)', textAlign: 'center' }}>
-            <p>{error}</p>
-          </div>
+          <StreamErrorPanel
+            error={error}
+            compatibilityMode={compatibilityMode}
+            onRetry={refreshStream}
+            onCompatibilityMode={() => setCompatibilityMode(true)}
+          />
         ) : (
           <>
             <div style={{
                 display: 'flex',
                 width: '100%',
                 height: '100%',
-                gap: splitMode ? '4px' : '0'
+                gap: sideBySide ? '4px' : '0'
             }}>
                 {/* Split Screen: Frozen Left Side */}
-                {splitMode && frozenFrame && (
+                {sideBySide && compare.reference && (
                     <div style={{
                         flex: 1,
                         position: 'relative',
@@ -495,11 +903,18 @@ function App() {
                         background: '#000'
                     }}>
                         <img
-                            src={frozenFrame}
+                            ref={referenceRef}
+                            src={compare.reference.url}
                             alt="Reference"
-                            style={{
-                                ...videoStyle // Reuse exact same style logic (aspect-ratio, fit, zoom, filters)
-                            }}
+                            style={videoStyle}
+                            onLoad={() => setReferenceLoads(n => n + 1)}
+                        />
+                        {/* Same zoom, pan and processing as the live side (see referenceView) */}
+                        <ProcessedView
+                            sourceRef={referenceRef}
+                            layout={referenceLayout}
+                            view={referenceView}
+                            offset={compare.offset}
                         />
                         <div style={{
                             position: 'absolute',
@@ -520,7 +935,7 @@ function App() {
                     style={{
                         flex: 1,
                         position: 'relative',
-                        cursor: filters.zoom > 1 && !splitMode ? 'grab' : 'default',
+                        cursor: filters.zoom > 1 ? 'grab' : 'default',
                         overflow: 'hidden', // Ensure zoomed content doesn't spill
                         touchAction: 'none', // Prevent scroll on touch
                         display: 'flex',
@@ -528,8 +943,8 @@ function App() {
                         justifyContent: 'center',
                         background: '#000'
                     }}
-                    onMouseDown={handleMouseDown}
-                    onMouseMove={handleMouseMove}
+                    ref={liveViewRef}
+                    {...gestureHandlers}
                 >
                     <video
                     ref={videoRef}
@@ -537,7 +952,79 @@ function App() {
                     playsInline
                     style={videoStyle}
                     />
-                    {splitMode && (
+                    {/* Isolated so the difference blend only sees the live picture, then amplified */}
+                    <div style={{
+                        position: 'absolute',
+                        top: 0, left: 0, right: 0, bottom: 0,
+                        pointerEvents: 'none',
+                        isolation: 'isolate',
+                        filter: compareOverlay === 'difference' ? `brightness(${compare.settings.gain})` : undefined
+                    }}>
+                        <ProcessedView
+                            sourceRef={denoise.active ? denoise.canvasRef : videoRef}
+                            layout={viewportLayout}
+                            view={captureView}
+                            live
+                            onRendererChange={setRendererKind}
+                        />
+                        {compareOverlay && viewportLayout && (
+                            <div style={{
+                                position: 'absolute',
+                                left: `${viewportLayout.box.left}px`,
+                                top: `${viewportLayout.box.top}px`,
+                                width: `${viewportLayout.box.width}px`,
+                                height: `${viewportLayout.box.height}px`,
+                                opacity: compareOverlay === 'overlay' ? compare.settings.opacity
+                                    : compareOverlay === 'blink' && !blinkShowsReference ? 0 : 1,
+                                mixBlendMode: compareOverlay === 'difference' ? 'difference' : 'normal',
+                                clipPath: compareOverlay === 'swipe' ? `inset(0 ${(1 - compare.settings.swipe) * 100}% 0 0)` : undefined
+                            }}>
+                                <ProcessedView
+                                    sourceRef={referenceRef}
+                                    layout={referenceOverlayLayout}
+                                    view={referenceView}
+                                    offset={compare.offset}
+                                />
+                            </div>
+                        )}
+                    </div>
+                    {compareOverlay && (
+                        <img
+                            ref={referenceRef}
+                            src={compare.reference.url}
+                            alt="Reference"
+                            style={{ display: 'none' }}
+                            onLoad={() => setReferenceLoads(n => n + 1)}
+                        />
+                    )}
+                    {compareOverlay === 'swipe' && viewportLayout && (
+                        <SwipeDivider
+                            box={viewportLayout.box}
+                            position={compare.settings.swipe}
+                            onChange={(swipe) => compare.updateSettings({ swipe })}
+                        />
+                    )}
+                    <MeasurementOverlay
+                        mapping={viewportMapping}
+                        layout={viewportLayout}
+                        tool={showMeasure ? measureTool : null}
+                        measurements={measurements}
+                        onComplete={handleMeasurementComplete}
+                        pxPerUm={pxPerUm}
+                        showScaleBar={showScaleBar}
+                    />
+                    <ColorPickOverlay mapping={viewportMapping} tool={colorTool} onComplete={handleColorPick} />
+                    <PixelGridOverlay sourceRef={videoRef} mapping={viewportMapping} layout={viewportLayout} live />
+                    {filters.zebra && <ZebraOverlay zebra={scopes?.zebra} layout={viewportLayout} />}
+                    {filters.falseColor && filters.colorBar && <ColorBarLegend filters={filters} layout={viewportLayout} />}
+                    <AnnotationLayer
+                        annotations={liveAnnotations}
+                        onChange={setLiveAnnotations}
+                        tool={showAnnotate ? annotationTool : null}
+                        color={annotationColor}
+                        mapping={viewportMapping}
+                    />
+                    {compare.active && (
                         <div style={{
                             position: 'absolute',
                             top: '10px',
@@ -547,8 +1034,9 @@ function App() {
                             padding: '4px 8px',
                             borderRadius: '4px',
                             fontSize: '12px',
-                            fontWeight: 'bold'
-                        }}>Live</div>
+                            fontWeight: 'bold',
+                            pointerEvents: 'none'
+                        }}>{compareBadge}</div>
                     )}
                 </div>
             </div>
@@ -590,16 +1078,141 @@ function App() {
                 )}
             </div>
 
-            {showControls && (
-                <ControlPanel filters={filters} setFilters={setFilters} onReset={resetFilters} />
+            {multiActive && (
+                <MultiCameraGrid
+                    multi={multi}
+                    devices={devices}
+                    primaryDeviceId={selectedDeviceId}
+                    primaryStream={stream}
+                    primaryView={captureView}
+                    onPrimaryViewChange={handleGestureView}
+                />
             )}
 
-            <Minimap
-                stream={stream}
-                zoom={filters.zoom}
-                pan={pan}
-                onPanChange={handlePanChange}
-            />
+            {showControls && (editsTile ? (
+                <ControlPanel
+                    key={multi.focusedId}
+                    filters={multi.getTileView(multi.focusedId).filters}
+                    setFilters={(update) => multi.setTileFilters(multi.focusedId, update)}
+                    onReset={() => multi.setTileFilters(multi.focusedId, DEFAULT_FILTERS)}
+                    presets={presets}
+                    colormaps={colormaps}
+                    onApplyPreset={(preset) => multi.setTileFilters(multi.focusedId, prev => ({ ...prev, ...preset.filters }))}
+                />
+            ) : (
+                <ControlPanel
+                    filters={filters}
+                    setFilters={setFilters}
+                    onReset={resetFilters}
+                    hardware={hardware}
+                    presets={presets}
+                    colormaps={colormaps}
+                    onApplyPreset={applyPreset}
+                    nativeZoom={liveNativeZoom}
+                    onZoom={handleZoom}
+                    flatField={flatField}
+                    colorPicker={{ tool: colorTool, onToolChange: setColorTool, message: colorMessage }}
+                    denoise={{ settings: denoiseSettings, onChange: setDenoiseSettings, locked: isRecording }}
+                />
+            ))}
+
+            {showMeasure && (
+                <MeasureToolbar
+                    tool={measureTool}
+                    onToolChange={handleMeasureToolChange}
+                    onClear={() => setMeasurements([])}
+                    hasMeasurements={measurements.length > 0}
+                    profiles={calibrationProfiles}
+                    activeProfile={activeProfile}
+                    onSelectProfile={setActiveProfileId}
+                    onRemoveProfile={removeProfile}
+                    pendingCalibration={pendingCalibration}
+                    onConfirmCalibration={handleConfirmCalibration}
+                    onCancelCalibration={() => handleMeasureToolChange(null)}
+                    showScaleBar={showScaleBar}
+                    onToggleScaleBar={setShowScaleBar}
+                />
+            )}
+
+            {compare.active && (
+                <ComparePanel
+                    compare={compare}
+                    galleryImages={galleryImages}
+                    onAutoAlign={() => compare.autoAlign(referenceRef.current, captureView)}
+                />
+            )}
+
+            {showShortcuts && (
+                <ShortcutsPanel
+                    shortcuts={shortcuts}
+                    input={input}
+                    extraClaims={presetClaims}
+                    onClose={() => setShowShortcuts(false)}
+                />
+            )}
+
+            {showScopes && (
+                <ScopesPanel
+                    scopes={scopes}
+                    showWaveform={showWaveform}
+                    onToggleWaveform={setShowWaveform}
+                    onClose={() => setShowScopes(false)}
+                />
+            )}
+
+            {showAnnotate && (
+                <AnnotationToolbar
+                    tool={annotationTool}
+                    onToolChange={setAnnotationTool}
+                    color={annotationColor}
+                    onColorChange={setAnnotationColor}
+                    onUndo={() => setLiveAnnotations(prev => prev.slice(0, -1))}
+                    onClear={() => setLiveAnnotations([])}
+                    hasAnnotations={liveAnnotations.length > 0}
+                    style={{ position: 'absolute', top: '20px', left: '50%', transform: 'translateX(-50%)', zIndex: 35 }}
+                >
+                    <label style={{ display: 'flex', alignItems: 'center', gap: '4px', marginLeft: '4px' }}
+                        title="Draw annotations into the SNAP image instead of keeping them editable">
+                        <input type="checkbox" checked={burnAnnotations}
+                            onChange={(e) => setBurnAnnotations(e.target.checked)}
+                            style={{ accentColor: 'var(--color-primary)' }} />
+                        Burn into SNAP
+                    </label>
+                </AnnotationToolbar>
+            )}
+
+            {showFocusStack && (
+                <FocusStackPanel
+                    focusStack={focusStack}
+                    onStart={handleFocusStack}
+                    onClose={() => setShowFocusStack(false)}
+                />
+            )}
+
+            {showTimelapse && (
+                <TimelapsePanel
+                    timelapse={timelapse}
+                    onMakeVideo={handleTimelapseVideo}
+                    onClose={() => setShowTimelapse(false)}
+                />
+            )}
+
+            {mosaic.active || mosaic.isExporting || mosaic.error ? (
+                <MosaicPreview
+                    preview={mosaic.preview}
+                    isExporting={mosaic.isExporting}
+                    error={mosaic.error}
+                    onFinish={handleFinishMosaic}
+                    onDiscard={mosaic.discard}
+                />
+            ) : (
+                <Minimap
+                    stream={stream}
+                    zoom={filters.zoom}
+                    pan={pan}
+                    onPanChange={handlePanChange}
+                />
+            )}
           </>
         )}
       </main>
@@ -617,9 +1230,9 @@ function App() {
         flexShrink: 0
       }}>
         <button
-            className={`btn-record ${isRecording ? 'recording' : ''}`}
+            className={`btn-record ${isRecording || multi.isRecording ? 'recording' : ''}`}
             onClick={handleToggleRecord}
-            title={isRecording ? "Stop Recording" : "Start Recording"}
+            title={isRecording || multi.isRecording ? "Stop Recording" : multiActive ? "Record All Cameras" : "Start Recording"}
         >
             <div className="btn-record-inner" />
         </button>
@@ -628,11 +1241,74 @@ function App() {
             className="btn-base btn-pill"
             onClick={handleToggleSplit}
             style={{
-                borderColor: splitMode ? 'var(--color-primary)' : 'var(--color-border)',
-                color: splitMode ? 'var(--color-primary)' : 'white'
+                borderColor: compare.active ? 'var(--color-primary)' : 'var(--color-border)',
+                color: compare.active ? 'var(--color-primary)' : 'white'
+            }}
+        >
+            {compare.active ? "EXIT COMPARE" : "COMPARE"}
+        </button>
+
+        <button
+            className="btn-base btn-pill"
+            onClick={() => setShowFocusStack(prev => !prev)}
+            disabled={focusStack.status !== 'idle'}
+            style={{
+                borderColor: showFocusStack ? 'var(--color-primary)' : 'var(--color-border)',
+                color: showFocusStack ? 'var(--color-primary)' : 'white'
+            }}
+            title="Focus stacking (extended depth of field)"
+        >
+            STACK
+        </button>
+
+        <button
+            className="btn-base btn-pill"
+            onClick={() => setShowTimelapse(prev => !prev)}
+            style={{
+                borderColor: showTimelapse || timelapse.activeRun ? 'var(--color-primary)' : 'var(--color-border)',
+                color: showTimelapse || timelapse.activeRun ? 'var(--color-primary)' : 'white'
+            }}
+            title="Time-lapse"
+        >
+            {timelapse.activeRun ? `● TIME-LAPSE ${timelapse.activeRun.capturedCount}` : "TIME-LAPSE"}
+        </button>
+
+        <button
+            className="btn-base btn-pill"
+            onClick={() => (mosaic.active ? handleFinishMosaic() : mosaic.start())}
+            disabled={mosaic.isExporting}
+            style={{
+                borderColor: mosaic.active ? 'var(--color-primary)' : 'var(--color-border)',
+                color: mosaic.active ? 'var(--color-primary)' : 'white'
+            }}
+            title="Mosaic: slide the stage slowly to stitch a large specimen"
+        >
+            {mosaic.active ? "FINISH MOSAIC" : "MOSAIC"}
+        </button>
+
+        <button
+            className="btn-base btn-pill"
+            onClick={() => setSaveRaw(prev => !prev)}
+            title={saveRaw ? "Saving raw frame alongside each SNAP" : "Save raw frame alongside each SNAP"}
+            style={{
+                borderColor: saveRaw ? 'var(--color-primary)' : 'var(--color-border)',
+                color: saveRaw ? 'var(--color-primary)' : 'white'
+            }}
+        >
+            +RAW
+        </button>
+
+        <button
+            className="btn-base btn-pill"
+            onClick={handleLongExposure}
+            disabled={longExposure !== null || multiActive}
+            title={`Long exposure: average ${denoiseSettings.longExposureFrames} frames into one SNAP (hold still)`}
+            style={{
+                borderColor: longExposure !== null ? 'var(--color-primary)' : 'var(--color-border)',
+                color: longExposure !== null ? 'var(--color-primary)' : 'white'
             }}
         >
-            {splitMode ? "EXIT COMPARE" : "COMPARE"}
+            {longExposure !== null ? `LONG ${Math.round(longExposure * 100)}%` : `LONG ×${denoiseSettings.longExposureFrames}`}
         </button>
 
         <button
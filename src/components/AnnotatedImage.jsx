@@ -0,0 +1,104 @@
+import React, { useState, useRef, useEffect, useMemo } from 'react';
+import { AnnotationLayer } from './AnnotationLayer';
+import { AnnotationToolbar } from './AnnotationToolbar';
+import { ANNOTATION_COLORS, flattenAnnotations } from '../utils/annotations';
+import { buildCaptureMetadata, embedCaptureMetadata } from '../utils/metadata';
+
+// Full-size Gallery image with its vector annotations on top. Edits are saved straight
+// back to the media record; the image pixels are never touched.
+export const AnnotatedImage = ({ item, onUpdate, downloadName }) => {
+  const imgRef = useRef(null);
+  const [scale, setScale] = useState(null);
+  const [tool, setTool] = useState(null);
+  const [color, setColor] = useState(ANNOTATION_COLORS[0]);
+  const [isExporting, setIsExporting] = useState(false);
+  const annotations = item.annotations || [];
+
+  // Screen px per image px, kept in sync with the letterboxed <img>
+  useEffect(() => {
+    const img = imgRef.current;
+    if (!img) return;
+    const measure = () => {
+      if (img.naturalWidth) setScale(img.clientWidth / img.naturalWidth);
+    };
+    measure();
+    img.addEventListener('load', measure);
+    const observer = new ResizeObserver(measure);
+    observer.observe(img);
+    return () => {
+      img.removeEventListener('load', measure);
+      observer.disconnect();
+    };
+  }, [item.url]);
+
+  const mapping = useMemo(() => (scale ? {
+    toScreen: ({ x, y }) => ({ x: x * scale, y: y * scale }),
+    toSensor: ({ x, y }) => ({ x: x / scale, y: y / scale }),
+    scale
+  } : null), [scale]);
+
+  const setAnnotations = (next) => onUpdate(item.id, { annotations: next });
+
+  const handleDownloadFlattened = async () => {
+    setIsExporting(true);
+    try {
+      // Flattening re-encodes the pixels, so the metadata has to go back in
+      const flat = await flattenAnnotations(item.blob, annotations);
+      const blob = await embedCaptureMetadata(flat, buildCaptureMetadata(item));
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = downloadName;
+      a.click();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } catch (e) {
+      console.error("Failed to flatten annotations:", e);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <div
+      style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', gap: '12px', maxHeight: '100%', maxWidth: '100%' }}
+      onClick={(e) => e.stopPropagation()}
+    >
+      <AnnotationToolbar
+        tool={tool}
+        onToolChange={setTool}
+        color={color}
+        onColorChange={setColor}
+        onUndo={() => setAnnotations(annotations.slice(0, -1))}
+        onClear={() => window.confirm('Remove all annotations from this image?') && setAnnotations([])}
+        hasAnnotations={annotations.length > 0}
+      >
+        {annotations.length > 0 && (
+          <button
+            className="btn-base btn-pill"
+            style={{ padding: '6px 12px', fontSize: '12px' }}
+            disabled={isExporting}
+            onClick={handleDownloadFlattened}
+            title="PNG with the annotations drawn into the image"
+          >
+            {isExporting ? 'Exporting…' : 'Download annotated PNG'}
+          </button>
+        )}
+      </AnnotationToolbar>
+
+      <div style={{ position: 'relative', minHeight: 0, display: 'flex' }}>
+        <img
+          ref={imgRef}
+          src={item.url}
+          style={{ maxHeight: 'calc(100vh - 160px)', maxWidth: '100%', borderRadius: '8px', display: 'block' }}
+        />
+        <AnnotationLayer
+          annotations={annotations}
+          onChange={setAnnotations}
+          tool={tool}
+          color={color}
+          mapping={mapping}
+        />
+      </div>
+    </div>
+  );
+};
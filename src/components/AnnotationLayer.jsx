@@ -0,0 +1,161 @@
+import React, { useState, useRef } from 'react';
+import { arrowHead, createAnnotationId, nextCalloutNumber } from '../utils/annotations';
+
+const textStyle = {
+  fontSize: '14px',
+  fontWeight: 600,
+  paintOrder: 'stroke',
+  stroke: 'rgba(0,0,0,0.8)',
+  strokeWidth: 3,
+  dominantBaseline: 'middle'
+};
+
+// Tools drawn by dragging; text and callouts are placed with a single click
+const DRAG_TOOLS = ['arrow', 'rect', 'freehand'];
+
+const AnnotationShape = ({ annotation, mapping, onErase }) => {
+  const pts = annotation.points.map(mapping.toScreen);
+  const [p0, p1] = pts;
+  const color = annotation.color;
+  const common = {
+    stroke: color,
+    strokeWidth: 2,
+    fill: 'none',
+    strokeLinecap: 'round',
+    strokeLinejoin: 'round'
+  };
+
+  let shape = null;
+  switch (annotation.kind) {
+    case 'arrow': {
+      if (!p1) break;
+      const [b1, b2] = arrowHead(p0, p1, 12);
+      shape = <polyline {...common} points={`${p0.x},${p0.y} ${p1.x},${p1.y} ${b1.x},${b1.y} ${p1.x},${p1.y} ${b2.x},${b2.y}`} />;
+      break;
+    }
+    case 'rect':
+      if (!p1) break;
+      shape = (
+        <rect {...common}
+          x={Math.min(p0.x, p1.x)} y={Math.min(p0.y, p1.y)}
+          width={Math.abs(p1.x - p0.x)} height={Math.abs(p1.y - p0.y)} />
+      );
+      break;
+    case 'freehand':
+      shape = <polyline {...common} points={pts.map(p => `${p.x},${p.y}`).join(' ')} />;
+      break;
+    case 'text':
+      shape = <text x={p0.x} y={p0.y} fill={color} style={textStyle}>{annotation.text}</text>;
+      break;
+    case 'callout':
+      shape = (
+        <>
+          <circle cx={p0.x} cy={p0.y} r={12} fill={color} />
+          <text x={p0.x} y={p0.y} fill="black" textAnchor="middle" style={{ ...textStyle, stroke: 'none' }}>
+            {annotation.number}
+          </text>
+          {annotation.text && (
+            <text x={p0.x + 18} y={p0.y} fill={color} style={textStyle}>{annotation.text}</text>
+          )}
+        </>
+      );
+      break;
+    default:
+      break;
+  }
+
+  return (
+    <g
+      style={{ pointerEvents: onErase ? 'visiblePainted' : 'none', cursor: onErase ? 'pointer' : undefined }}
+      onMouseDown={onErase ? (e) => e.stopPropagation() : undefined}
+      onPointerDown={onErase ? (e) => { e.stopPropagation(); onErase(annotation.id); } : undefined}
+    >
+      {shape}
+    </g>
+  );
+};
+
+// Vector annotation layer. `mapping` converts between the model coordinates the
+// annotations are stored in (sensor px on the live view, image px in the Gallery)
+// and this layer's screen coordinates.
+// tool: 'arrow' | 'rect' | 'freehand' | 'text' | 'callout' | 'erase' | null
+export const AnnotationLayer = ({ annotations, onChange, tool, color, mapping }) => {
+  const containerRef = useRef(null);
+  const [draft, setDraft] = useState(null);
+
+  if (!mapping) return null;
+
+  const toModelPoint = (e) => {
+    const rect = containerRef.current.getBoundingClientRect();
+    return mapping.toSensor({ x: e.clientX - rect.left, y: e.clientY - rect.top });
+  };
+
+  const drawing = tool && tool !== 'erase';
+
+  const handlePointerDown = (e) => {
+    // Don't let the viewport start a pan
+    e.stopPropagation();
+    e.preventDefault();
+    const point = toModelPoint(e);
+
+    if (DRAG_TOOLS.includes(tool)) {
+      e.currentTarget.setPointerCapture(e.pointerId);
+      setDraft({ id: createAnnotationId(), kind: tool, color, points: [point, point] });
+      return;
+    }
+
+    const text = window.prompt(tool === 'callout' ? 'Callout label (optional)' : 'Text');
+    if (text === null || (tool === 'text' && !text.trim())) return;
+    const annotation = { id: createAnnotationId(), kind: tool, color, points: [point], text: text.trim() };
+    if (tool === 'callout') annotation.number = nextCalloutNumber(annotations);
+    onChange([...annotations, annotation]);
+  };
+
+  const handlePointerMove = (e) => {
+    if (!draft) return;
+    const point = toModelPoint(e);
+    setDraft(prev => ({
+      ...prev,
+      points: prev.kind === 'freehand' ? [...prev.points, point] : [prev.points[0], point]
+    }));
+  };
+
+  const handlePointerUp = () => {
+    if (!draft) return;
+    const [a, b] = [draft.points[0], draft.points[draft.points.length - 1]];
+    // Ignore plain clicks that didn't drag out a shape
+    if (mapping.scale * Math.hypot(b.x - a.x, b.y - a.y) > 4 || draft.points.length > 3) {
+      onChange([...annotations, draft]);
+    }
+    setDraft(null);
+  };
+
+  const handleErase = tool === 'erase'
+    ? (id) => onChange(annotations.filter(a => a.id !== id))
+    : null;
+
+  return (
+    <div
+      ref={containerRef}
+      style={{
+        position: 'absolute',
+        inset: 0,
+        pointerEvents: drawing ? 'auto' : 'none',
+        cursor: drawing ? 'crosshair' : 'default',
+        touchAction: 'none',
+        zIndex: 6
+      }}
+      onMouseDown={e => tool && e.stopPropagation()}
+      onPointerDown={drawing ? handlePointerDown : undefined}
+      onPointerMove={drawing ? handlePointerMove : undefined}
+      onPointerUp={drawing ? handlePointerUp : undefined}
+    >
+      <svg style={{ width: '100%', height: '100%', overflow: 'visible' }}>
+        {annotations.map(a => (
+          <AnnotationShape key={a.id} annotation={a} mapping={mapping} onErase={handleErase} />
+        ))}
+        {draft && <AnnotationShape annotation={draft} mapping={mapping} />}
+      </svg>
+    </div>
+  );
+};
@@ -0,0 +1,81 @@
+import React from 'react';
+import { ANNOTATION_COLORS } from '../utils/annotations';
+
+const TOOLS = [
+  { id: 'arrow', label: 'Arrow' },
+  { id: 'text', label: 'Text' },
+  { id: 'freehand', label: 'Draw' },
+  { id: 'rect', label: 'Box' },
+  { id: 'callout', label: '①' },
+  { id: 'erase', label: 'Erase' }
+];
+
+const toolButtonStyle = (active) => ({
+  padding: '6px 12px',
+  fontSize: '12px',
+  borderColor: active ? 'var(--color-primary)' : 'var(--color-border)',
+  color: active ? 'var(--color-primary)' : 'white'
+});
+
+// Tool/color picker shared by the live view and the Gallery viewer.
+// `children` adds context-specific controls (e.g. burn-in for SNAP, save in the Gallery).
+export const AnnotationToolbar = ({
+  tool,
+  onToolChange,
+  color,
+  onColorChange,
+  onUndo,
+  onClear,
+  hasAnnotations,
+  style,
+  children
+}) => (
+  <div className="glass-panel" style={{
+    padding: '8px 12px',
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '6px',
+    alignItems: 'center',
+    fontSize: '12px',
+    ...style
+  }}>
+    {TOOLS.map(t => (
+      <button
+        key={t.id}
+        className="btn-base btn-pill"
+        style={toolButtonStyle(tool === t.id)}
+        onClick={() => onToolChange(tool === t.id ? null : t.id)}
+        title={t.id === 'callout' ? 'Numbered callout' : undefined}
+      >
+        {t.label}
+      </button>
+    ))}
+
+    <span style={{ display: 'flex', gap: '4px', margin: '0 4px' }}>
+      {ANNOTATION_COLORS.map(c => (
+        <button
+          key={c}
+          onClick={() => onColorChange(c)}
+          style={{
+            width: '18px',
+            height: '18px',
+            borderRadius: '50%',
+            background: c,
+            border: color === c ? '2px solid white' : '1px solid var(--color-border)',
+            cursor: 'pointer',
+            padding: 0
+          }}
+        />
+      ))}
+    </span>
+
+    {hasAnnotations && (
+      <>
+        <button className="btn-base btn-pill" style={toolButtonStyle(false)} onClick={onUndo}>Undo</button>
+        <button className="btn-base btn-pill" style={toolButtonStyle(false)} onClick={onClear}>Clear</button>
+      </>
+    )}
+
+    {children}
+  </div>
+);
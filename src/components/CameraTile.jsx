@@ -0,0 +1,133 @@
+import React, { useRef, useEffect } from 'react';
+import { useDeviceStream } from '../hooks/useDeviceStream';
+import { useViewportMapping } from '../hooks/useViewportMapping';
+import { usePanZoomGestures } from '../hooks/usePanZoomGestures';
+import { ProcessedView } from './ProcessedView';
+
+const STATUS_TEXT = {
+  opening: 'Opening camera…',
+  busy: 'Camera busy or can\'t run alongside the others',
+  error: 'Camera unavailable',
+  ended: 'Camera disconnected'
+};
+
+const badgeStyle = {
+  position: 'absolute',
+  top: '8px',
+  left: '8px',
+  background: 'rgba(0,0,0,0.6)',
+  color: 'white',
+  padding: '4px 8px',
+  borderRadius: '4px',
+  fontSize: '12px',
+  pointerEvents: 'none',
+  maxWidth: 'calc(100% - 16px)',
+  overflow: 'hidden',
+  textOverflow: 'ellipsis',
+  whiteSpace: 'nowrap'
+};
+
+// One camera of the multi-camera grid. The main camera passes its stream in (sharedStream);
+// the others open their own. view: { filters, pan, aspectRatio } as for the main view.
+// onRegister(deviceId, { videoRef, getView }) hands the tile to synchronized SNAP / recording.
+export const CameraTile = ({ deviceId, label, sharedStream, view, focused, onFocus, onViewChange, onRegister }) => {
+  const own = useDeviceStream(sharedStream ? null : deviceId);
+  const stream = sharedStream || own.stream;
+  const status = sharedStream ? 'live' : own.status;
+
+  const containerRef = useRef(null);
+  const videoRef = useRef(null);
+  const { layout } = useViewportMapping(videoRef, {
+    aspectRatio: view.aspectRatio,
+    zoom: view.filters.zoom,
+    pan: view.pan,
+    stream
+  });
+
+  useEffect(() => {
+    if (videoRef.current) videoRef.current.srcObject = stream;
+  }, [stream]);
+
+  const viewRef = useRef(view);
+  useEffect(() => {
+    viewRef.current = view;
+  }, [view]);
+
+  useEffect(() => onRegister(deviceId, { videoRef, getView: () => viewRef.current }), [onRegister, deviceId]);
+
+  const gestureHandlers = usePanZoomGestures(containerRef, videoRef, {
+    zoom: view.filters.zoom,
+    pan: view.pan,
+    onChange: onViewChange
+  });
+
+  return (
+    <div
+      ref={containerRef}
+      {...gestureHandlers}
+      onPointerDownCapture={onFocus}
+      style={{
+        position: 'relative',
+        overflow: 'hidden',
+        touchAction: 'none',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        background: '#000',
+        minHeight: 0,
+        cursor: view.filters.zoom > 1 ? 'grab' : 'default',
+        outline: focused ? '2px solid var(--color-primary)' : '1px solid var(--color-border)',
+        outlineOffset: '-2px'
+      }}
+    >
+      <video
+        ref={videoRef}
+        autoPlay
+        playsInline
+        muted
+        style={{
+          maxWidth: '100%',
+          maxHeight: '100%',
+          aspectRatio: view.aspectRatio === 'native' ? 'auto' : view.aspectRatio,
+          objectFit: 'cover',
+          opacity: 0
+        }}
+      />
+      <ProcessedView sourceRef={videoRef} layout={layout} view={view} live />
+
+      <div style={badgeStyle}>
+        {label}
+        {own.reduced ? ' · reduced resolution' : ''}
+      </div>
+
+      {status !== 'live' && (
+        <div style={{
+          position: 'absolute',
+          top: 0, left: 0, right: 0, bottom: 0,
+          display: 'flex',
+          flexDirection: 'column',
+          alignItems: 'center',
+          justifyContent: 'center',
+          gap: '8px',
+          padding: '16px',
+          textAlign: 'center',
+          fontSize: '13px',
+          color: status === 'opening' ? 'var(--color-text-secondary)' : 'var(--color-danger)'
+        }}>
+          <span>{STATUS_TEXT[status]}</span>
+          {own.error && <span style={{ fontSize: '11px', color: 'var(--color-text-secondary)' }}>{own.error}</span>}
+          {status !== 'opening' && (
+            <button
+              className="btn-base btn-pill"
+              style={{ fontSize: '12px', padding: '4px 12px' }}
+              onClick={own.retry}
+              onPointerDown={(e) => e.stopPropagation()}
+            >
+              Retry
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
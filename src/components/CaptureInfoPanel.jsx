@@ -0,0 +1,135 @@
+import React, { useState, useEffect } from 'react';
+import { buildCaptureMetadata, readCaptureMetadata } from '../utils/metadata';
+import { DEFAULT_FILTERS } from '../utils/settings';
+
+const rowStyle = { display: 'flex', justifyContent: 'space-between', gap: '12px' };
+const labelStyle = { color: 'var(--color-text-secondary)', flexShrink: 0 };
+
+const Row = ({ label, children }) => (
+  <div style={rowStyle}>
+    <span style={labelStyle}>{label}</span>
+    <span style={{ textAlign: 'right', wordBreak: 'break-word' }}>{children}</span>
+  </div>
+);
+
+const formatValue = (value) => {
+  if (typeof value === 'boolean') return value ? 'on' : 'off';
+  // Number lists are gains / matrices, the rest is the pass order
+  if (Array.isArray(value)) {
+    return value.every(v => typeof v === 'number') ? value.map(v => +v.toFixed(3)).join(', ') : value.join(' → ');
+  }
+  return String(value);
+};
+
+// Settings stored with a capture: read back from the file itself where it has them
+// (see utils/metadata), else from the Gallery record. The note is edited here too.
+export const CaptureInfoPanel = ({ item, onUpdate, onRestoreSettings }) => {
+  // Tagged with the blob it was read from
+  const [embedded, setEmbedded] = useState({ blob: null, metadata: null });
+  const [note, setNote] = useState({ id: item.id, text: item.note || '' });
+  const noteText = note.id === item.id ? note.text : item.note || '';
+
+  useEffect(() => {
+    // Videos carry no embedded metadata, and reading one whole would be costly
+    if (item.type !== 'image') return;
+    let cancelled = false;
+    readCaptureMetadata(item.blob)
+      .then(metadata => {
+        if (!cancelled) setEmbedded({ blob: item.blob, metadata });
+      })
+      .catch(e => {
+        console.warn("Could not read capture metadata:", e);
+        if (!cancelled) setEmbedded({ blob: item.blob, metadata: null });
+      });
+    return () => { cancelled = true; };
+  }, [item.blob, item.type]);
+
+  const fromFile = embedded.blob === item.blob && embedded.metadata;
+  const metadata = fromFile || buildCaptureMetadata(item);
+
+  const saveNote = () => {
+    if (noteText !== (item.note || '')) onUpdate(item.id, { note: noteText });
+  };
+
+  // Only what differs from the defaults, so the interesting settings stand out
+  const changedFilters = metadata.filters
+    ? Object.entries(metadata.filters).filter(([key, value]) => JSON.stringify(value) !== JSON.stringify(DEFAULT_FILTERS[key]))
+    : [];
+
+  return (
+    <div
+      className="glass-panel"
+      onClick={(e) => e.stopPropagation()}
+      style={{
+        position: 'absolute',
+        top: '16px',
+        right: '16px',
+        bottom: '16px',
+        width: '300px',
+        padding: '16px',
+        overflowY: 'auto',
+        fontSize: '12px',
+        display: 'flex',
+        flexDirection: 'column',
+        gap: '8px',
+        zIndex: 2
+      }}
+    >
+      <h3 style={{ fontSize: '14px', fontWeight: 600 }}>Capture info</h3>
+      <span style={{ color: 'var(--color-text-secondary)', fontSize: '11px' }}>
+        {fromFile ? 'Read from the file' : 'From the gallery record (not embedded in this file)'}
+      </span>
+
+      <Row label="Taken">{new Date(metadata.capturedAt).toLocaleString()}</Row>
+      {metadata.device && <Row label="Camera">{metadata.device}</Row>}
+      {metadata.resolution && <Row label="Sensor">{metadata.resolution.width}×{metadata.resolution.height}</Row>}
+      {metadata.zoom !== null && <Row label="Zoom">{Number(metadata.zoom).toFixed(2)}x</Row>}
+      {metadata.pan && <Row label="Pan">{metadata.pan.x.toFixed(3)}, {metadata.pan.y.toFixed(3)}</Row>}
+      {metadata.aspectRatio && <Row label="Aspect">{metadata.aspectRatio}</Row>}
+      <Row label="Scale">
+        {metadata.calibration ? `${metadata.calibration.pxPerUm.toFixed(3)} px/µm` : 'not calibrated'}
+      </Row>
+      {metadata.flatField && <Row label="Flat field">{metadata.flatField.dark ? 'flat + dark' : 'flat'}</Row>}
+      {metadata.denoise && <Row label="Denoise">{metadata.denoise.frames} frames</Row>}
+      {metadata.longExposure && <Row label="Long exposure">{metadata.longExposure.frames} frames averaged</Row>}
+
+      {metadata.filters && (
+        <>
+          <div style={{ height: '1px', background: 'var(--color-border)' }} />
+          <span style={labelStyle}>Filters{changedFilters.length === 0 ? ': defaults' : ''}</span>
+          {changedFilters.map(([key, value]) => (
+            <Row key={key} label={key}>{formatValue(value)}</Row>
+          ))}
+          <button
+            className="btn-base btn-pill"
+            style={{ alignSelf: 'flex-start', fontSize: '12px', padding: '6px 12px' }}
+            onClick={() => onRestoreSettings(metadata)}
+            title="Apply these filters, zoom, pan and aspect ratio to the live view"
+          >
+            Restore these settings
+          </button>
+        </>
+      )}
+
+      <div style={{ height: '1px', background: 'var(--color-border)' }} />
+      <label style={{ display: 'flex', flexDirection: 'column', gap: '4px' }}>
+        <span style={labelStyle}>Note (saved into downloads)</span>
+        <textarea
+          value={noteText}
+          onChange={(e) => setNote({ id: item.id, text: e.target.value })}
+          onBlur={saveNote}
+          rows={4}
+          style={{
+            background: 'rgba(0,0,0,0.3)',
+            color: 'white',
+            border: '1px solid var(--color-border)',
+            borderRadius: 'var(--radius-sm)',
+            padding: '6px',
+            resize: 'vertical',
+            font: 'inherit'
+          }}
+        />
+      </label>
+    </div>
+  );
+};
@@ -0,0 +1,50 @@
+import React from 'react';
+import { getLut, lutGradient, legendTicks } from '../utils/colormaps';
+
+// On-screen false-color legend: the active colormap with the intensity levels (0-255
+// luminance) its ends and ticks stand for. Sits in the live view's bottom-left corner.
+export const ColorBarLegend = ({ filters, layout }) => {
+  if (!layout) return null;
+  const [min, max] = filters.falseColorRange;
+  const barHeight = Math.max(80, Math.min(200, layout.box.height * 0.35));
+
+  return (
+    <div style={{
+      position: 'absolute',
+      left: `${layout.box.left + 16}px`,
+      top: `${layout.box.top + layout.box.height - 16 - barHeight}px`,
+      height: `${barHeight}px`,
+      display: 'flex',
+      gap: '4px',
+      pointerEvents: 'none',
+      zIndex: 4
+    }}>
+      <div style={{
+        width: '12px',
+        height: '100%',
+        background: lutGradient(getLut(filters.colormap)),
+        border: '1px solid black',
+        boxShadow: '0 0 4px black'
+      }} />
+      <div style={{ position: 'relative', width: '32px' }}>
+        {legendTicks(min, max).map(({ position, level }) => (
+          <span
+            key={position}
+            style={{
+              position: 'absolute',
+              left: 0,
+              bottom: `${position * 100}%`,
+              transform: 'translateY(50%)',
+              color: 'white',
+              fontSize: '11px',
+              fontWeight: 600,
+              textShadow: '0 0 4px black'
+            }}
+          >
+            {level}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+};
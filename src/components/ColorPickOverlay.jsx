@@ -0,0 +1,91 @@
+import React, { useState, useRef } from 'react';
+import { CHECKER_ANCHORS, checkerPatches } from '../utils/colorCalibration';
+
+const TOOL_POINTS = { white: 1, checker: CHECKER_ANCHORS.length };
+
+const hintStyle = {
+  position: 'absolute',
+  top: '10px',
+  left: '50%',
+  transform: 'translateX(-50%)',
+  background: 'rgba(0,0,0,0.7)',
+  color: 'white',
+  padding: '4px 10px',
+  borderRadius: '4px',
+  fontSize: '12px',
+  whiteSpace: 'nowrap',
+  pointerEvents: 'none'
+};
+
+// Collects the clicks for color calibration on the live view: one neutral point for the
+// white balance eyedropper, or the three anchor patches of a color checker (with the
+// patch grid previewed as the last one is placed). Points go out in sensor pixels.
+export const ColorPickOverlay = ({ mapping, tool, onComplete }) => {
+  const containerRef = useRef(null);
+  // Clicks so far; switching tools drops them
+  const [draftState, setDraftState] = useState({ tool, points: [] });
+  const draft = draftState.tool === tool ? draftState.points : [];
+  const [hover, setHover] = useState(null);
+
+  if (!mapping || !tool) return null;
+
+  const toSensorPoint = (e) => {
+    const rect = containerRef.current.getBoundingClientRect();
+    return mapping.toSensor({ x: e.clientX - rect.left, y: e.clientY - rect.top });
+  };
+
+  const handlePointerDown = (e) => {
+    // Don't let the viewport start a pan
+    e.stopPropagation();
+    e.preventDefault();
+    const points = [...draft, toSensorPoint(e)];
+    if (points.length >= TOOL_POINTS[tool]) {
+      setDraftState({ tool, points: [] });
+      onComplete(tool, points);
+    } else {
+      setDraftState({ tool, points });
+    }
+  };
+
+  const anchors = hover && draft.length === TOOL_POINTS[tool] - 1 ? [...draft, hover] : draft;
+  const preview = tool === 'checker' && anchors.length === 3 ? checkerPatches(anchors) : null;
+  const hint = tool === 'white'
+    ? 'Click a neutral white or gray area'
+    : `Click the center of the ${CHECKER_ANCHORS[draft.length]} patch`;
+
+  return (
+    <div
+      ref={containerRef}
+      style={{ position: 'absolute', inset: 0, cursor: 'crosshair', zIndex: 6 }}
+      onMouseDown={e => e.stopPropagation()}
+      onPointerDown={handlePointerDown}
+      onPointerMove={(e) => setHover(toSensorPoint(e))}
+      onPointerLeave={() => setHover(null)}
+    >
+      <svg style={{ width: '100%', height: '100%', overflow: 'visible', pointerEvents: 'none' }}>
+        {preview && preview.centers.map((center, i) => {
+          const p = mapping.toScreen(center);
+          const half = (preview.size * mapping.scale) / 2;
+          return (
+            <rect
+              key={i}
+              x={p.x - half}
+              y={p.y - half}
+              width={half * 2}
+              height={half * 2}
+              fill="none"
+              stroke="white"
+              strokeWidth={1}
+              style={{ filter: 'drop-shadow(0 0 1px black)' }}
+            />
+          );
+        })}
+        {draft.map((point, i) => {
+          const p = mapping.toScreen(point);
+          return <circle key={i} cx={p.x} cy={p.y} r={4} fill="var(--color-primary)" stroke="black" />;
+        })}
+      </svg>
+      <div style={hintStyle}>{hint}</div>
+    </div>
+  );
+};
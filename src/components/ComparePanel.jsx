@@ -0,0 +1,166 @@
+import React from 'react';
+import { COMPARE_MODES } from '../utils/compare';
+
+const rowStyle = { display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '8px' };
+
+const chipStyle = (active) => ({
+  padding: '4px 10px',
+  fontSize: '12px',
+  borderColor: active ? 'var(--color-primary)' : 'var(--color-border)',
+  color: active ? 'var(--color-primary)' : 'white'
+});
+
+const nudgeButtonStyle = {
+  background: 'none',
+  border: '1px solid var(--color-border)',
+  color: 'white',
+  borderRadius: 'var(--radius-sm)',
+  width: '24px',
+  height: '24px',
+  fontSize: '11px',
+  cursor: 'pointer'
+};
+
+const SliderRow = ({ label, value, display, min, max, step, onChange }) => (
+  <label style={rowStyle}>
+    <span style={{ color: 'var(--color-text-secondary)', flexShrink: 0 }}>{label}</span>
+    <input
+      type="range"
+      min={min}
+      max={max}
+      step={step}
+      value={value}
+      onChange={(e) => onChange(parseFloat(e.target.value))}
+      style={{ flex: 1, accentColor: 'var(--color-primary)' }}
+    />
+    <span style={{ width: '48px', textAlign: 'right' }}>{display}</span>
+  </label>
+);
+
+// Mode, reference and alignment controls for compare mode.
+// galleryImages: newest first; any of them can replace the frozen frame as the reference.
+export const ComparePanel = ({ compare, galleryImages, onAutoAlign }) => {
+  const { mode, setMode, settings, updateSettings, reference, offset, alignStatus } = compare;
+  // Shift-click nudges in bigger steps
+  const nudge = (e, dx, dy) => {
+    const step = e.shiftKey ? 10 : 1;
+    compare.nudge(dx * step, dy * step);
+  };
+
+  return (
+    <div className="glass-panel" style={{
+      position: 'absolute',
+      bottom: '20px',
+      left: '20px',
+      padding: '12px 16px',
+      zIndex: 35,
+      width: '380px',
+      fontSize: '12px',
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '10px'
+    }}>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px' }}>
+        {COMPARE_MODES.map(m => (
+          <button key={m.id} className="btn-base btn-pill" style={chipStyle(mode === m.id)} onClick={() => setMode(m.id)}>
+            {m.label}
+          </button>
+        ))}
+      </div>
+
+      {mode === 'swipe' && (
+        <span style={{ color: 'var(--color-text-secondary)' }}>Drag the divider: reference on the left, live on the right.</span>
+      )}
+      {mode === 'overlay' && (
+        <SliderRow
+          label="Reference opacity"
+          value={settings.opacity}
+          display={`${Math.round(settings.opacity * 100)}%`}
+          min={0}
+          max={1}
+          step={0.01}
+          onChange={(v) => updateSettings({ opacity: v })}
+        />
+      )}
+      {mode === 'difference' && (
+        <SliderRow
+          label="Amplify"
+          value={settings.gain}
+          display={`${settings.gain}x`}
+          min={1}
+          max={16}
+          step={1}
+          onChange={(v) => updateSettings({ gain: v })}
+        />
+      )}
+      {mode === 'blink' && (
+        <SliderRow
+          label="Blink every"
+          value={settings.blinkMs}
+          display={`${settings.blinkMs} ms`}
+          min={150}
+          max={2000}
+          step={50}
+          onChange={(v) => updateSettings({ blinkMs: v })}
+        />
+      )}
+
+      <div style={{ height: '1px', background: 'var(--color-border)' }} />
+
+      <div style={rowStyle}>
+        <span>
+          <span style={{ color: 'var(--color-text-secondary)' }}>Reference: </span>
+          {reference?.label || 'none'}
+        </span>
+        <button className="btn-base btn-pill" style={chipStyle(false)} onClick={compare.freezeFrame}>
+          Freeze now
+        </button>
+      </div>
+      {galleryImages.length > 0 && (
+        <div style={{ display: 'flex', gap: '6px', overflowX: 'auto', paddingBottom: '4px' }}>
+          {galleryImages.map(item => (
+            <img
+              key={item.id}
+              src={item.thumbUrl || item.url}
+              alt={`Capture ${item.date.toLocaleTimeString()}`}
+              title={`Use ${item.variant || 'photo'} from ${item.date.toLocaleString()} as reference`}
+              onClick={() => compare.selectGalleryItem(item)}
+              style={{
+                width: '56px',
+                height: '40px',
+                objectFit: 'cover',
+                flexShrink: 0,
+                cursor: 'pointer',
+                borderRadius: '4px',
+                border: `2px solid ${reference?.itemId === item.id ? 'var(--color-primary)' : 'transparent'}`
+              }}
+            />
+          ))}
+        </div>
+      )}
+
+      <div style={rowStyle}>
+        <span style={{ display: 'flex', gap: '4px' }}>
+          <button style={nudgeButtonStyle} onClick={(e) => nudge(e, 1, 0)} title="Move reference left (Shift: 10 px)">←</button>
+          <button style={nudgeButtonStyle} onClick={(e) => nudge(e, -1, 0)} title="Move reference right (Shift: 10 px)">→</button>
+          <button style={nudgeButtonStyle} onClick={(e) => nudge(e, 0, 1)} title="Move reference up (Shift: 10 px)">↑</button>
+          <button style={nudgeButtonStyle} onClick={(e) => nudge(e, 0, -1)} title="Move reference down (Shift: 10 px)">↓</button>
+        </span>
+        <span style={{ color: alignStatus === 'failed' ? 'var(--color-danger)' : 'var(--color-text-secondary)' }}>
+          {alignStatus === 'failed' ? 'No match found' : `${offset.x.toFixed(0)}, ${offset.y.toFixed(0)} px`}
+        </span>
+        <span style={{ display: 'flex', gap: '6px' }}>
+          <button className="btn-base btn-pill" style={chipStyle(false)} onClick={compare.resetAlignment}>Reset</button>
+          <button
+            className="btn-base btn-pill"
+            style={chipStyle(false)}
+            onClick={onAutoAlign}
+            disabled={!reference || alignStatus === 'aligning'}
+          >
+            {alignStatus === 'aligning' ? 'Aligning…' : 'Auto-align'}
+          </button>
+        </span>
+      </div>
+    </div>
+  );
+};
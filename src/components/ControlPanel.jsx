@@ -1,4 +1,12 @@
-import React from 'react';
+import React, { useRef, useState } from 'react';
+import { PASSES, INTERPOLATIONS, IDENTITY_MATRIX, resolvePassOrder } from '../utils/pipeline';
+import { DEFAULT_FILTERS } from '../utils/settings';
+import { EDGE_METHODS, MAX_EDGE_BLUR, edgeBlurRadius } from '../utils/edgeDetection';
+import { MAX_DENOISE_FRAMES } from '../utils/temporalDenoise';
+import { MIN_ZOOM, MAX_ZOOM } from '../utils/viewport';
+import { PresetsSection } from './PresetsSection';
+
+const PASS_LABELS = Object.fromEntries(PASSES.map(p => [p.id, p.label]));
 
 const ControlRow = ({ label, value, min, max, onChange, unit = '', step = 1 }) => (
   <div style={{ marginBottom: '16px' }}>
@@ -52,7 +60,611 @@ const Toggle = ({ checked, onChange }) => (
   </div>
 );
 
-export const ControlPanel = ({ filters, setFilters, onReset }) => {
+const SelectRow = ({ label, value, options, onChange }) => (
+  <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '12px', fontSize: '14px' }}>
+    <span style={{ color: 'var(--color-text-secondary)' }}>{label}</span>
+    <select
+      value={value ?? ''}
+      onChange={(e) => onChange(e.target.value)}
+      style={{
+        background: 'none',
+        border: '1px solid var(--color-border)',
+        color: 'white',
+        padding: '4px 8px',
+        borderRadius: 'var(--radius-sm)',
+        outline: 'none',
+        fontSize: '12px'
+      }}
+    >
+      {options.map(option => {
+        // Plain strings, or { value, label } when the two differ
+        const { value: optionValue, label: optionLabel } = typeof option === 'object' ? option : { value: option, label: option };
+        return <option key={optionValue} value={optionValue} style={{ color: 'black' }}>{optionLabel}</option>;
+      })}
+    </select>
+  </div>
+);
+
+const ZOOM_STOPS = [
+  { label: 'Fit', ratio: null },
+  { label: '1:1', ratio: 1 },
+  { label: '4:1', ratio: 4 },
+  { label: '16:1', ratio: 16 }
+];
+
+// Logarithmic zoom slider plus fixed stops. Ratios are screen pixels per sensor pixel,
+// so they need the sensor-to-screen zoom (nativeZoom); without a stream only Fit works.
+const ZoomSection = ({ zoom, interpolation, nativeZoom, onZoom, onInterpolation }) => {
+  const ratio = nativeZoom ? zoom / nativeZoom : null;
+  const stopZoom = (stop) => (stop.ratio === null ? MIN_ZOOM : nativeZoom * stop.ratio);
+
+  return (
+    <div style={{ marginBottom: '16px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '8px', fontSize: '14px', color: 'var(--color-text-secondary)' }}>
+        <span>Digital Zoom</span>
+        <span>
+          {zoom.toFixed(1)}x
+          {ratio !== null && ` · ${ratio >= 1 ? `${ratio.toFixed(1)}:1` : `1:${(1 / ratio).toFixed(1)}`}`}
+        </span>
+      </div>
+      <input
+        type="range"
+        min={0}
+        max={Math.log2(MAX_ZOOM)}
+        step={0.01}
+        value={Math.log2(zoom)}
+        onChange={(e) => onZoom(2 ** parseFloat(e.target.value))}
+        style={{
+          width: '100%',
+          accentColor: 'var(--color-primary)',
+          height: '4px',
+          background: 'rgba(255,255,255,0.2)',
+          borderRadius: '2px',
+          appearance: 'none',
+          outline: 'none'
+        }}
+      />
+      <div style={{ display: 'flex', gap: '6px', margin: '10px 0 12px' }}>
+        {ZOOM_STOPS.map(stop => {
+          const target = stop.ratio === null || nativeZoom ? stopZoom(stop) : null;
+          const reachable = target !== null && target >= MIN_ZOOM && target <= MAX_ZOOM;
+          const current = reachable && Math.abs(target - zoom) < 0.01 * target;
+          return (
+            <button
+              key={stop.label}
+              className="btn-base btn-pill"
+              disabled={!reachable}
+              onClick={() => onZoom(target)}
+              style={{
+                flex: 1,
+                padding: '4px 0',
+                fontSize: '12px',
+                opacity: reachable ? 1 : 0.4,
+                borderColor: current ? 'var(--color-primary)' : 'var(--color-border)'
+              }}
+              title={stop.ratio === null ? 'Whole frame' : `${stop.ratio} screen pixel(s) per sensor pixel`}
+            >
+              {stop.label}
+            </button>
+          );
+        })}
+      </div>
+      <SelectRow
+        label="Resampling"
+        value={interpolation}
+        options={INTERPOLATIONS.map(i => ({ value: i.id, label: i.label }))}
+        onChange={onInterpolation}
+      />
+    </div>
+  );
+};
+
+const orderButtonStyle = {
+  background: 'none',
+  border: '1px solid var(--color-border)',
+  color: 'white',
+  borderRadius: 'var(--radius-sm)',
+  width: '22px',
+  height: '22px',
+  fontSize: '10px',
+  cursor: 'pointer'
+};
+
+// Passes run top to bottom; inactive ones (slider at neutral, toggle off) are dimmed
+const PassOrderSection = ({ filters, onChange }) => {
+  const order = resolvePassOrder(filters.passOrder);
+  const active = new Set(PASSES.filter(p => p.isActive(filters)).map(p => p.id));
+
+  const move = (index, delta) => {
+    const next = [...order];
+    const [id] = next.splice(index, 1);
+    next.splice(index + delta, 0, id);
+    onChange(next);
+  };
+
+  return (
+    <>
+      <h4 style={{ marginBottom: '12px', fontSize: '14px', color: 'var(--color-text-secondary)' }}>Processing Order</h4>
+      {order.map((id, index) => (
+        <div key={id} style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          marginBottom: '6px',
+          fontSize: '13px',
+          opacity: active.has(id) ? 1 : 0.4
+        }}>
+          <span>{index + 1}. {PASS_LABELS[id]}</span>
+          <span style={{ display: 'flex', gap: '4px' }}>
+            <button style={orderButtonStyle} disabled={index === 0} onClick={() => move(index, -1)}>▲</button>
+            <button style={orderButtonStyle} disabled={index === order.length - 1} onClick={() => move(index, 1)}>▼</button>
+          </span>
+        </div>
+      ))}
+      <div style={{ height: '1px', background: 'var(--color-border)', margin: '16px 0' }} />
+    </>
+  );
+};
+
+// One control per capability the active track reports
+const HardwareSection = ({ hardware }) => {
+  const { controls, capabilities, values, error, setControl, resetControls } = hardware;
+
+  return (
+    <>
+      <h4 style={{
+        marginBottom: '12px',
+        fontSize: '14px',
+        color: 'var(--color-text-secondary)',
+        display: 'flex',
+        justifyContent: 'space-between'
+      }}>
+        Hardware
+        <button
+          onClick={resetControls}
+          style={{
+            background: 'none',
+            border: 'none',
+            color: 'var(--color-primary)',
+            fontSize: '11px',
+            cursor: 'pointer',
+            fontWeight: 600
+          }}
+        >
+          AUTO
+        </button>
+      </h4>
+
+      {controls.map(control => {
+        const cap = capabilities[control.key];
+        const value = values[control.key];
+
+        if (Array.isArray(cap)) {
+          return (
+            <SelectRow
+              key={control.key}
+              label={control.label}
+              value={value}
+              options={cap}
+              onChange={(v) => setControl(control.key, v)}
+            />
+          );
+        }
+
+        if (typeof cap === 'boolean') {
+          return (
+            <div key={control.key} style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '12px' }}>
+              <span style={{ fontSize: '14px' }}>{control.label}</span>
+              <Toggle checked={!!value} onChange={(checked) => setControl(control.key, checked)} />
+            </div>
+          );
+        }
+
+        return (
+          <ControlRow
+            key={control.key}
+            label={control.label}
+            value={value ?? cap.min}
+            min={cap.min}
+            max={cap.max}
+            step={cap.step || 1}
+            onChange={(v) => setControl(control.key, v)}
+            unit={control.unit}
+          />
+        );
+      })}
+
+      {error && (
+        <p style={{ fontSize: '11px', color: 'var(--color-danger)', marginBottom: '8px' }}>{error}</p>
+      )}
+
+      <div style={{ height: '1px', background: 'var(--color-border)', margin: '16px 0' }} />
+    </>
+  );
+};
+
+const frameButtonStyle = {
+  flex: 1,
+  padding: '4px 10px',
+  fontSize: '12px'
+};
+
+const clearButtonStyle = {
+  background: 'none',
+  border: 'none',
+  color: 'var(--color-text-secondary)',
+  cursor: 'pointer',
+  fontSize: '12px',
+  padding: '2px 4px'
+};
+
+// Flat-field / dark-frame calibration (see hooks/useFlatField), per camera and resolution.
+// The toggle switches between the corrected and uncorrected picture.
+const FlatFieldSection = ({ flatField }) => {
+  const { sensor, hasFlat, hasDark, date, enabled, setEnabled, capturing, error } = flatField;
+  const busy = !!capturing;
+
+  const frameRow = (kind, has, onCapture, onClear, help) => (
+    <div style={{ display: 'flex', alignItems: 'center', gap: '4px', marginBottom: '6px' }}>
+      <button
+        className="btn-base btn-pill"
+        style={frameButtonStyle}
+        onClick={onCapture}
+        disabled={busy}
+        title={help}
+      >
+        {capturing?.kind === kind
+          ? `Averaging… ${Math.round(capturing.progress * 100)}%`
+          : `${has ? 'Recapture' : 'Capture'} ${kind}`}
+      </button>
+      {has && (
+        <button style={clearButtonStyle} onClick={onClear} disabled={busy} title={`Clear the ${kind} frame`}>✕</button>
+      )}
+    </div>
+  );
+
+  return (
+    <>
+      <h4 style={{
+        marginBottom: '12px',
+        fontSize: '14px',
+        color: 'var(--color-text-secondary)',
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'center'
+      }}>
+        Flat Field
+        {hasFlat && (
+          <span style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '11px' }}>
+            {enabled ? 'Corrected' : 'Uncorrected'}
+            <Toggle checked={enabled} onChange={setEnabled} />
+          </span>
+        )}
+      </h4>
+
+      <p style={{ fontSize: '12px', color: 'var(--color-text-secondary)', marginBottom: '8px' }}>
+        {hasFlat
+          ? `${hasDark ? 'Flat and dark' : 'Flat'} frame for ${sensor.width}×${sensor.height}, ${new Date(date).toLocaleDateString()}.`
+          : hasDark
+            ? `Dark frame only for ${sensor.width}×${sensor.height}; capture a flat to correct.`
+            : `Not calibrated at ${sensor.width}×${sensor.height}.`}
+      </p>
+
+      {frameRow('flat', hasFlat, flatField.captureFlat, flatField.clearFlat,
+        'Remove the specimen and keep the light, focus and exposure as you will use them')}
+      {frameRow('dark', hasDark, flatField.captureDark, flatField.clearDark,
+        'Optional: cover the lens or turn the light off, same exposure')}
+
+      {error && (
+        <p style={{ fontSize: '11px', color: 'var(--color-danger)', marginBottom: '8px' }}>{error}</p>
+      )}
+
+      <div style={{ height: '1px', background: 'var(--color-border)', margin: '16px 0' }} />
+    </>
+  );
+};
+
+const checkboxStyle = { width: '16px', height: '16px', accentColor: 'var(--color-primary)' };
+
+// Colormap, input range and legend of the false-color pass (see utils/colormaps)
+const FalseColorControls = ({ filters, updateFilter, colormaps }) => {
+  const fileInputRef = useRef(null);
+  const [message, setMessage] = useState(null);
+  const [low, high] = filters.falseColorRange;
+  const options = colormaps.colormaps;
+  const selected = options.find(c => c.id === filters.colormap);
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      updateFilter('colormap', await colormaps.importLut(file));
+      setMessage(null);
+    } catch (err) {
+      setMessage(err.message);
+    }
+  };
+
+  // Levels in 0-255; the two ends never cross
+  const setRange = (index, level) => {
+    const next = [...filters.falseColorRange];
+    next[index] = level / 255;
+    if (next[1] - next[0] < 1 / 255) return;
+    updateFilter('falseColorRange', next);
+  };
+
+  return (
+    <div style={{ paddingLeft: '8px', borderLeft: '2px solid var(--color-border)', marginBottom: '12px' }}>
+      <SelectRow
+        label="Colormap"
+        value={selected ? filters.colormap : options[0]?.id}
+        options={options.map(c => ({ value: c.id, label: c.label }))}
+        onChange={(v) => updateFilter('colormap', v)}
+      />
+      <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '8px', marginTop: '-6px', marginBottom: '12px' }}>
+        {selected?.custom && (
+          <button
+            className="btn-base btn-pill"
+            style={{ padding: '2px 8px', fontSize: '11px' }}
+            onClick={() => {
+              colormaps.removeLut(filters.colormap);
+              updateFilter('colormap', DEFAULT_FILTERS.colormap);
+            }}
+          >
+            Remove LUT
+          </button>
+        )}
+        <button
+          className="btn-base btn-pill"
+          style={{ padding: '2px 8px', fontSize: '11px' }}
+          onClick={() => fileInputRef.current.click()}
+          title="Load a 1D or 3D .cube LUT, or a CSV of r, g, b rows"
+        >
+          Load LUT…
+        </button>
+        <input ref={fileInputRef} type="file" accept=".cube,.csv,.txt" onChange={handleImport} style={{ display: 'none' }} />
+      </div>
+      {message && (
+        <p style={{ fontSize: '11px', color: 'var(--color-danger)', marginBottom: '8px' }}>{message}</p>
+      )}
+
+      <ControlRow label="Range Low" value={low * 255} min={0} max={254} onChange={(v) => setRange(0, v)} />
+      <ControlRow label="Range High" value={high * 255} min={1} max={255} onChange={(v) => setRange(1, v)} />
+
+      <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '8px' }}>
+        <span style={{ fontSize: '14px' }}>Color Bar</span>
+        <input
+          type="checkbox"
+          checked={filters.colorBar}
+          onChange={(e) => updateFilter('colorBar', e.target.checked)}
+          style={checkboxStyle}
+        />
+      </div>
+      <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+        <span style={{ fontSize: '14px' }}>Color Bar in Captures</span>
+        <input
+          type="checkbox"
+          checked={filters.colorBarInCaptures}
+          onChange={(e) => updateFilter('colorBarInCaptures', e.target.checked)}
+          style={checkboxStyle}
+        />
+      </div>
+    </div>
+  );
+};
+
+// Algorithm, threshold, pre-blur and overlay color of the edge detection pass (see utils/edgeDetection)
+const EdgeDetectionControls = ({ filters, updateFilter }) => (
+  <div style={{ paddingLeft: '8px', borderLeft: '2px solid var(--color-border)', marginBottom: '12px' }}>
+    <SelectRow
+      label="Method"
+      value={filters.edgeMethod}
+      options={EDGE_METHODS.map(m => ({ value: m.id, label: m.label }))}
+      onChange={(v) => updateFilter('edgeMethod', v)}
+    />
+
+    <ControlRow
+      label={filters.edgeMethod === 'canny' ? 'Threshold (high)' : 'Threshold'}
+      value={filters.edgeThreshold * 100}
+      min={0}
+      max={100}
+      onChange={(v) => updateFilter('edgeThreshold', v / 100)}
+      unit="%"
+    />
+
+    {/* Laplacian of Gaussian always blurs a little; show the radius actually used */}
+    <ControlRow
+      label="Blur Radius"
+      value={edgeBlurRadius(filters.edgeMethod, filters.edgeBlur)}
+      min={0}
+      max={MAX_EDGE_BLUR}
+      onChange={(v) => updateFilter('edgeBlur', v)}
+      unit=" px"
+    />
+
+    <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+      <span style={{ fontSize: '14px' }}>Overlay on Image</span>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+        {filters.edgeOverlay && (
+          <input
+            type="color"
+            value={filters.edgeColor}
+            onChange={(e) => updateFilter('edgeColor', e.target.value)}
+            title="Edge color"
+            style={{ width: '24px', height: '20px', padding: 0, border: 'none', background: 'none', cursor: 'pointer' }}
+          />
+        )}
+        <input
+          type="checkbox"
+          checked={filters.edgeOverlay}
+          onChange={(e) => updateFilter('edgeOverlay', e.target.checked)}
+          style={checkboxStyle}
+        />
+      </div>
+    </div>
+  </div>
+);
+
+const GAIN_CHANNELS = ['Red', 'Green', 'Blue'];
+
+const isIdentityMatrix = (m) => m.every((v, i) => v === IDENTITY_MATRIX[i]);
+
+// White balance (eyedropper + per-channel gains), gamma and the color-checker matrix.
+// picker is absent where there is no live view to click on (grid tiles).
+const ColorSection = ({ filters, updateFilter, picker }) => {
+  const pickButton = (tool, label, title) => (
+    <button
+      className="btn-base btn-pill"
+      onClick={() => picker.onToolChange(picker.tool === tool ? null : tool)}
+      title={title}
+      style={{
+        flex: 1,
+        padding: '4px 10px',
+        fontSize: '12px',
+        borderColor: picker.tool === tool ? 'var(--color-primary)' : 'var(--color-border)',
+        color: picker.tool === tool ? 'var(--color-primary)' : 'white'
+      }}
+    >
+      {picker.tool === tool ? 'Cancel' : label}
+    </button>
+  );
+
+  return (
+    <>
+      <h4 style={{
+        marginBottom: '12px',
+        fontSize: '14px',
+        color: 'var(--color-text-secondary)',
+        display: 'flex',
+        justifyContent: 'space-between'
+      }}>
+        Color
+        <button
+          onClick={() => {
+            updateFilter('wbGains', DEFAULT_FILTERS.wbGains);
+            updateFilter('colorMatrix', DEFAULT_FILTERS.colorMatrix);
+            updateFilter('gamma', DEFAULT_FILTERS.gamma);
+          }}
+          style={{
+            background: 'none',
+            border: 'none',
+            color: 'var(--color-primary)',
+            fontSize: '11px',
+            cursor: 'pointer',
+            fontWeight: 600
+          }}
+        >
+          CLEAR
+        </button>
+      </h4>
+
+      {picker && (
+        <div style={{ display: 'flex', gap: '6px', marginBottom: '12px' }}>
+          {pickButton('white', 'Pick white', 'Click a neutral area of the live view to balance on')}
+          {pickButton('checker', 'Color checker', 'Fit a color matrix from a ColorChecker card in view')}
+        </div>
+      )}
+
+      {GAIN_CHANNELS.map((channel, i) => (
+        <ControlRow
+          key={channel}
+          label={`${channel} Gain`}
+          value={filters.wbGains[i] * 100}
+          min={25}
+          max={400}
+          onChange={(v) => updateFilter('wbGains', filters.wbGains.map((g, j) => (j === i ? v / 100 : g)))}
+          unit="%"
+        />
+      ))}
+
+      <ControlRow
+        label="Gamma"
+        value={filters.gamma}
+        min={0.2}
+        max={3}
+        step={0.1}
+        onChange={(v) => updateFilter('gamma', v)}
+      />
+
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', fontSize: '12px', marginBottom: '8px' }}>
+        <span style={{ color: 'var(--color-text-secondary)' }}>
+          Color matrix: {isIdentityMatrix(filters.colorMatrix) ? 'none' : 'calibrated'}
+        </span>
+        {!isIdentityMatrix(filters.colorMatrix) && (
+          <button
+            onClick={() => updateFilter('colorMatrix', DEFAULT_FILTERS.colorMatrix)}
+            style={{ background: 'none', border: 'none', color: 'var(--color-text-secondary)', cursor: 'pointer', fontSize: '12px' }}
+            title="Remove the color matrix"
+          >
+            ✕
+          </button>
+        )}
+      </div>
+
+      {picker?.message && (
+        <p style={{ fontSize: '11px', color: picker.message.error ? 'var(--color-danger)' : 'var(--color-text-secondary)', marginBottom: '8px' }}>
+          {picker.message.text}
+        </p>
+      )}
+
+      <div style={{ height: '1px', background: 'var(--color-border)', margin: '16px 0' }} />
+    </>
+  );
+};
+
+// Temporal denoise of the live picture and the frame count of long-exposure SNAPs
+// (see utils/temporalDenoise). locked while recording, whose frame source can't change.
+const NoiseSection = ({ denoise }) => {
+  const { settings, onChange, locked } = denoise;
+  const update = (key, value) => onChange(prev => ({ ...prev, [key]: value }));
+
+  return (
+    <>
+      <h4 style={{ marginBottom: '12px', fontSize: '14px', color: 'var(--color-text-secondary)' }}>Noise</h4>
+
+      <div
+        style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '12px', opacity: locked ? 0.5 : 1 }}
+        title={locked ? 'Stop recording to change' : 'Average frames over time; moving areas start over'}
+      >
+        <span style={{ fontSize: '14px' }}>Temporal Denoise</span>
+        <Toggle checked={settings.enabled} onChange={(checked) => !locked && update('enabled', checked)} />
+      </div>
+
+      {settings.enabled && (
+        <>
+          <ControlRow
+            label="Frames"
+            value={settings.frames}
+            min={2}
+            max={MAX_DENOISE_FRAMES}
+            onChange={(v) => update('frames', v)}
+          />
+          <ControlRow
+            label="Motion Threshold"
+            value={settings.motion * 100}
+            min={1}
+            max={30}
+            onChange={(v) => update('motion', v / 100)}
+            unit="%"
+          />
+        </>
+      )}
+
+      <ControlRow
+        label="Long Exposure Frames"
+        value={settings.longExposureFrames}
+        min={2}
+        max={128}
+        onChange={(v) => update('longExposureFrames', v)}
+      />
+
+      <div style={{ height: '1px', background: 'var(--color-border)', margin: '16px 0' }} />
+    </>
+  );
+};
+
+export const ControlPanel = ({ filters, setFilters, onReset, hardware, presets, onApplyPreset, nativeZoom, onZoom, flatField, colorPicker, denoise, colormaps }) => {
   const updateFilter = (key, value) => {
     setFilters(prev => ({ ...prev, [key]: value }));
   };
@@ -95,15 +707,22 @@ export const ControlPanel = ({ filters, setFilters, onReset }) => {
         </button>
       </h3>
 
-      <ControlRow
-        label="Digital Zoom"
-        value={filters.zoom}
-        min={1}
-        max={5}
-        step={0.1}
-        // Use smaller step for smoother zoom
-        onChange={(v) => updateFilter('zoom', v)}
-        unit="x"
+      {presets && <PresetsSection presets={presets} filters={filters} onApply={onApplyPreset} />}
+
+      {hardware && hardware.controls.length > 0 && <HardwareSection hardware={hardware} />}
+
+      {flatField?.available && <FlatFieldSection flatField={flatField} />}
+
+      <ColorSection filters={filters} updateFilter={updateFilter} picker={colorPicker} />
+
+      {denoise && <NoiseSection denoise={denoise} />}
+
+      <ZoomSection
+        zoom={filters.zoom}
+        interpolation={filters.interpolation}
+        nativeZoom={nativeZoom}
+        onZoom={onZoom || ((v) => updateFilter('zoom', v))}
+        onInterpolation={(v) => updateFilter('interpolation', v)}
       />
 
       <div style={{ height: '1px', background: 'var(--color-border)', margin: '16px 0' }} />
@@ -165,14 +784,18 @@ export const ControlPanel = ({ filters, setFilters, onReset }) => {
         />
       </div>
 
+      {filters.edgeDetection && <EdgeDetectionControls filters={filters} updateFilter={updateFilter} />}
+
       <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '8px' }}>
-        <span>False Color (Heatmap)</span>
+        <span>False Color</span>
         <Toggle
           checked={filters.falseColor}
           onChange={(checked) => updateFilter('falseColor', checked)}
         />
       </div>
 
+      {filters.falseColor && <FalseColorControls filters={filters} updateFilter={updateFilter} colormaps={colormaps} />}
+
       <ControlRow
         label="Emboss"
         value={filters.emboss}
@@ -193,6 +816,8 @@ export const ControlPanel = ({ filters, setFilters, onReset }) => {
 
       <div style={{ height: '1px', background: 'var(--color-border)', margin: '16px 0' }} />
 
+      <PassOrderSection filters={filters} onChange={(order) => updateFilter('passOrder', order)} />
+
       <h4 style={{ marginBottom: '12px', fontSize: '14px', color: 'var(--color-text-secondary)' }}>Overlays</h4>
 
       <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '12px' }}>
@@ -205,7 +830,7 @@ export const ControlPanel = ({ filters, setFilters, onReset }) => {
         />
       </div>
 
-      <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '12px' }}>
         <span style={{ fontSize: '14px' }}>Crosshair</span>
         <input
           type="checkbox"
@@ -214,6 +839,18 @@ export const ControlPanel = ({ filters, setFilters, onReset }) => {
           style={{ width: '16px', height: '16px', accentColor: 'var(--color-primary)' }}
         />
       </div>
+
+      <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+        <span style={{ fontSize: '14px' }} title="Stripes over blown highlights (red) and crushed shadows (blue)">
+          Zebra (Clipping)
+        </span>
+        <input
+          type="checkbox"
+          checked={!!filters.zebra}
+          onChange={(e) => updateFilter('zebra', e.target.checked)}
+          style={{ width: '16px', height: '16px', accentColor: 'var(--color-primary)' }}
+        />
+      </div>
     </div>
   );
 };
@@ -0,0 +1,97 @@
+import React, { useState } from 'react';
+
+const inputStyle = {
+  width: '64px',
+  background: 'none',
+  color: 'white',
+  border: '1px solid var(--color-border)',
+  borderRadius: '4px',
+  padding: '4px'
+};
+
+const STATUS_LABELS = {
+  capturing: 'Capturing frames',
+  processing: 'Merging in background'
+};
+
+// Focus stack settings + progress. Manual mode: slowly turn the focus knob through the
+// specimen while frames are grabbed. Auto mode steps focusDistance where supported.
+export const FocusStackPanel = ({ focusStack, onStart, onClose }) => {
+  const { status, progress, error, canAutoFocus, cancel } = focusStack;
+  const [frameCount, setFrameCount] = useState(8);
+  const [intervalMs, setIntervalMs] = useState(500);
+  const [auto, setAuto] = useState(canAutoFocus);
+  const busy = status !== 'idle';
+
+  return (
+    <div className="glass-panel" style={{
+      position: 'absolute',
+      bottom: '20px',
+      left: '50%',
+      transform: 'translateX(-50%)',
+      padding: '16px',
+      zIndex: 35,
+      width: '320px',
+      fontSize: '13px',
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '10px'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <strong>Focus Stack</strong>
+        <button
+          onClick={onClose}
+          disabled={busy}
+          style={{ background: 'none', border: 'none', color: 'var(--color-text-secondary)', cursor: 'pointer' }}
+        >
+          ✕
+        </button>
+      </div>
+
+      <label style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        Frames
+        <input type="number" min="2" max="30" value={frameCount} disabled={busy}
+          onChange={(e) => setFrameCount(Math.max(2, Math.min(30, parseInt(e.target.value, 10) || 2)))}
+          style={inputStyle} />
+      </label>
+
+      <label style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', opacity: canAutoFocus ? 1 : 0.4 }}>
+        Step hardware focus
+        <input type="checkbox" checked={auto && canAutoFocus} disabled={busy || !canAutoFocus}
+          onChange={(e) => setAuto(e.target.checked)}
+          style={{ accentColor: 'var(--color-primary)' }} />
+      </label>
+
+      {!(auto && canAutoFocus) && (
+        <label style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+          Interval (ms)
+          <input type="number" min="100" step="100" value={intervalMs} disabled={busy}
+            onChange={(e) => setIntervalMs(Math.max(100, parseInt(e.target.value, 10) || 100))}
+            style={inputStyle} />
+        </label>
+      )}
+
+      {busy && (
+        <div>
+          <div style={{ marginBottom: '4px', color: 'var(--color-text-secondary)' }}>
+            {STATUS_LABELS[status]}… {Math.round(progress * 100)}%
+          </div>
+          <div style={{ height: '4px', background: 'rgba(255,255,255,0.2)', borderRadius: '2px' }}>
+            <div style={{ width: `${progress * 100}%`, height: '100%', background: 'var(--color-primary)', borderRadius: '2px' }} />
+          </div>
+        </div>
+      )}
+
+      {error && <p style={{ color: 'var(--color-danger)', fontSize: '12px' }}>{error}</p>}
+
+      {busy ? (
+        <button className="btn-base btn-pill" onClick={cancel}>Cancel</button>
+      ) : (
+        <button className="btn-base btn-pill" style={{ borderColor: 'var(--color-primary)' }}
+          onClick={() => onStart({ frameCount, intervalMs, auto })}>
+          {auto && canAutoFocus ? 'Capture Stack' : 'Start — turn focus slowly'}
+        </button>
+      )}
+    </div>
+  );
+};
@@ -1,10 +1,214 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
+import { exportCapture } from '../utils/metadata';
+import { AnnotatedImage } from './AnnotatedImage';
+import { CaptureInfoPanel } from './CaptureInfoPanel';
 
-export const Gallery = ({ mediaItems, onClose }) => {
-  const [selectedItem, setSelectedItem] = useState(null);
+const EXPORT_OPTIONS_KEY = 'camera_export_options';
+const DEFAULT_EXPORT_OPTIONS = { format: 'png', sidecar: false };
+
+const loadExportOptions = () => {
+  try {
+    return { ...DEFAULT_EXPORT_OPTIONS, ...JSON.parse(localStorage.getItem(EXPORT_OPTIONS_KEY)) };
+  } catch {
+    return DEFAULT_EXPORT_OPTIONS;
+  }
+};
+
+const saveFile = ({ name, blob }) => {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = name;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+const formatBytes = (bytes) => {
+  if (!bytes) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.min(units.length - 1, Math.floor(Math.log(bytes) / Math.log(1024)));
+  return `${(bytes / Math.pow(1024, i)).toFixed(i === 0 ? 0 : 1)} ${units[i]}`;
+};
+
+// Without extension: that depends on the export format (see utils/metadata exportCapture)
+const downloadBaseName = (item) => {
+  const tile = item.tile ? `-r${item.tile.row + 1}c${item.tile.col + 1}`
+    : item.captureSet ? `-cam${item.captureSet.index + 1}` : '';
+  return `tiny-world-${item.variant || item.type}-${item.date.getTime()}${tile}`;
+};
+
+// Day -> session -> items, keeping newest first at every level
+const groupItems = (mediaItems) => {
+  const days = [];
+  mediaItems.forEach(item => {
+    const dayKey = item.date.toDateString();
+    let day = days.find(d => d.key === dayKey);
+    if (!day) {
+      day = { key: dayKey, date: item.date, sessions: [] };
+      days.push(day);
+    }
+    const sessionKey = item.sessionId || 'unsorted';
+    let session = day.sessions.find(s => s.key === sessionKey);
+    if (!session) {
+      session = { key: sessionKey, sessionId: item.sessionId, items: [] };
+      day.sessions.push(session);
+    }
+    session.items.push(item);
+  });
+  days.forEach(day => day.sessions.forEach(session => {
+    session.entries = groupCaptureSets(session.items);
+  }));
+  return days;
+};
+
+// Multi-camera captures (same captureSet id) become one entry, in camera order
+const groupCaptureSets = (items) => {
+  const entries = [];
+  const sets = new Map();
+  items.forEach(item => {
+    const setId = item.captureSet?.id;
+    if (!setId) {
+      entries.push({ key: item.id, item });
+      return;
+    }
+    let set = sets.get(setId);
+    if (!set) {
+      set = { key: setId, set: item.captureSet, items: [] };
+      sets.set(setId, set);
+      entries.push(set);
+    }
+    set.items.push(item);
+  });
+  sets.forEach(set => set.items.sort((a, b) => a.captureSet.index - b.captureSet.index));
+  return entries;
+};
+
+const iconButtonStyle = {
+  position: 'absolute',
+  top: '8px',
+  width: '32px',
+  height: '32px',
+  background: 'rgba(0, 0, 0, 0.5)',
+  borderRadius: '50%',
+  display: 'flex',
+  alignItems: 'center',
+  justifyContent: 'center',
+  textDecoration: 'none',
+  fontSize: '16px',
+  zIndex: 10,
+  border: '1px solid rgba(255,255,255,0.3)',
+  color: 'white',
+  cursor: 'pointer'
+};
+
+const MediaTile = ({ item, onSelect, onDelete, onDownload }) => (
+  <div
+    style={{
+      aspectRatio: '16/9',
+      background: '#222',
+      borderRadius: 'var(--radius-md)',
+      overflow: 'hidden',
+      cursor: 'pointer',
+      border: '2px solid transparent',
+      transition: 'all 0.2s',
+      position: 'relative'
+    }}
+    onClick={() => onSelect(item)}
+  >
+    <button
+        style={{ ...iconButtonStyle, right: '8px' }}
+        onClick={(e) => {
+          e.stopPropagation();
+          onDownload(item);
+        }}
+        title="Download"
+    >
+      ⬇️
+    </button>
+    {onDelete && (
+      <button
+          style={{ ...iconButtonStyle, right: '48px' }}
+          onClick={(e) => {
+            e.stopPropagation();
+            onDelete(item.id);
+          }}
+          title="Delete"
+      >
+        🗑️
+      </button>
+    )}
+    {item.type === 'image' || item.thumbUrl ? (
+      <img src={item.thumbUrl || item.url} alt={`Capture ${item.date.toLocaleTimeString()}`} style={{ width: '100%', height: '100%', objectFit: 'cover' }} />
+    ) : (
+        <video src={item.url} style={{ width: '100%', height: '100%', objectFit: 'cover' }} />
+    )}
+    <div style={{
+        position: 'absolute',
+        bottom: '8px',
+        right: '8px',
+        background: 'rgba(0,0,0,0.6)',
+        padding: '2px 6px',
+        borderRadius: '4px',
+        fontSize: '10px',
+        textTransform: 'uppercase'
+    }}>
+        {item.variant || item.type}
+    </div>
+    <div style={{
+        position: 'absolute',
+        bottom: '8px',
+        left: '8px',
+        background: 'rgba(0,0,0,0.6)',
+        padding: '2px 6px',
+        borderRadius: '4px',
+        fontSize: '10px'
+    }}>
+        {item.date.toLocaleTimeString()}
+    </div>
+  </div>
+);
+
+export const Gallery = ({ mediaItems, storage, error, onDeleteItem, onDeleteSession, onUpdateItem, onRestoreSettings, onClose }) => {
+  // By id, so annotation edits show up in the open viewer
+  const [selectedId, setSelectedId] = useState(null);
+  const [selectedSource, setSelectedSource] = useState(null);
+  const [showInfo, setShowInfo] = useState(false);
+  const selectedItem = mediaItems.find(item => item.id === selectedId) || null;
+
+  // Download format and sidecar choice, kept across visits
+  const [exportOptions, setExportOptions] = useState(loadExportOptions);
+  useEffect(() => {
+    localStorage.setItem(EXPORT_OPTIONS_KEY, JSON.stringify(exportOptions));
+  }, [exportOptions]);
+
+  const handleDownload = async (item) => {
+    try {
+      const files = await exportCapture(item, downloadBaseName(item), exportOptions);
+      files.forEach(saveFile);
+    } catch (e) {
+      console.error("Failed to export capture:", e);
+    }
+  };
+
+  const openItem = (item) => {
+    setSelectedSource(null);
+    setSelectedId(item.id);
+  };
+
+  const days = useMemo(() => groupItems(mediaItems), [mediaItems]);
+
+  // A session can run past midnight: the delete covers its items under every day
+  const handleDeleteSession = (session) => {
+    const total = mediaItems.filter(item => item.sessionId === session.sessionId).length;
+    const elsewhere = total - session.items.length;
+    const note = elsewhere > 0 ? ` (${elsewhere} of them listed under another day)` : '';
+    if (window.confirm(`Delete all ${total} captures from this session${note}?`)) {
+      onDeleteSession(session.sessionId);
+    }
+  };
 
   return (
-    <div className="glass-panel" style={{
+    <div className="glass-panel gallery-overlay" style={{
       position: 'absolute',
       top: 0,
       left: 0,
@@ -18,92 +222,136 @@ export const Gallery = ({ mediaItems, onClose }) => {
     }}>
       <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '24px' }}>
         <h2 style={{ fontSize: '24px', fontWeight: 600 }}>Gallery</h2>
-        <button
-          onClick={onClose}
-          style={{
-            background: 'rgba(255,255,255,0.1)',
-            border: 'none',
-            color: 'white',
-            padding: '8px 16px',
-            borderRadius: '99px',
-            cursor: 'pointer'
-          }}
-        >
-          Close
-        </button>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '16px' }}>
+          <label style={{ fontSize: '12px', color: 'var(--color-text-secondary)', display: 'flex', alignItems: 'center', gap: '6px' }}>
+            Download stills as
+            <select
+              value={exportOptions.format}
+              onChange={(e) => setExportOptions(prev => ({ ...prev, format: e.target.value }))}
+              style={{ background: 'none', color: 'white', border: '1px solid var(--color-border)', borderRadius: 'var(--radius-sm)', padding: '2px 4px' }}
+            >
+              <option value="png" style={{ color: 'black' }}>PNG (text chunks)</option>
+              <option value="jpeg" style={{ color: 'black' }}>JPEG (EXIF/XMP)</option>
+            </select>
+          </label>
+          <label style={{ fontSize: '12px', color: 'var(--color-text-secondary)', display: 'flex', alignItems: 'center', gap: '4px' }}
+            title="Also save the capture settings as a .json file next to each download">
+            <input
+              type="checkbox"
+              checked={exportOptions.sidecar}
+              onChange={(e) => setExportOptions(prev => ({ ...prev, sidecar: e.target.checked }))}
+              style={{ accentColor: 'var(--color-primary)' }}
+            />
+            Sidecar JSON
+          </label>
+          {storage && (
+            <span style={{ fontSize: '12px', color: 'var(--color-text-secondary)' }} title="Browser storage used by this app">
+              {formatBytes(storage.usage)} of {formatBytes(storage.quota)} used
+              {storage.quota ? ` (${((storage.usage / storage.quota) * 100).toFixed(1)}%)` : ''}
+            </span>
+          )}
+          <button
+            onClick={onClose}
+            style={{
+              background: 'rgba(255,255,255,0.1)',
+              border: 'none',
+              color: 'white',
+              padding: '8px 16px',
+              borderRadius: '99px',
+              cursor: 'pointer'
+            }}
+          >
+            Close
+          </button>
+        </div>
       </div>
 
-      <div style={{
-        display: 'grid',
-        gridTemplateColumns: 'repeat(auto-fill, minmax(200px, 1fr))',
-        gap: '16px',
-        overflowY: 'auto'
-      }}>
+      {error && <p style={{ color: 'var(--color-danger)', fontSize: '12px', marginBottom: '12px' }}>{error}</p>}
+
+      <div style={{ overflowY: 'auto' }}>
         {mediaItems.length === 0 && (
-          <div style={{ gridColumn: '1/-1', textAlign: 'center', color: 'var(--color-text-secondary)', marginTop: '40px' }}>
+          <div style={{ textAlign: 'center', color: 'var(--color-text-secondary)', marginTop: '40px' }}>
             <p>No photos or videos yet.</p>
           </div>
         )}
 
-        {mediaItems.map((item, index) => (
-          <div
-            key={index}
-            style={{
-              aspectRatio: '16/9',
-              background: '#222',
-              borderRadius: 'var(--radius-md)',
-              overflow: 'hidden',
-              cursor: 'pointer',
-              border: '2px solid transparent',
-              transition: 'all 0.2s',
-              position: 'relative'
-            }}
-            onClick={() => setSelectedItem(item)}
-          >
-            <a
-                href={item.url}
-                download={`tiny-world-${item.type}-${item.date.getTime()}.${item.type === 'video' ? 'webm' : 'png'}`}
-                style={{
-                  position: 'absolute',
-                  top: '8px',
-                  right: '8px',
-                  width: '32px',
-                  height: '32px',
-                  background: 'rgba(0, 0, 0, 0.5)',
-                  borderRadius: '50%',
-                  display: 'flex',
-                  alignItems: 'center',
-                  justifyContent: 'center',
-                  textDecoration: 'none',
-                  fontSize: '16px',
-                  zIndex: 10,
-                  border: '1px solid rgba(255,255,255,0.3)'
-                }}
-                onClick={(e) => {
-                  e.stopPropagation();
-                }}
-                title="Download"
-            >
-              ⬇️
-            </a>
-            {item.type === 'image' ? (
-              <img src={item.url} alt={`Capture ${index}`} style={{ width: '100%', height: '100%', objectFit: 'cover' }} />
-            ) : (
-                <video src={item.url} style={{ width: '100%', height: '100%', objectFit: 'cover' }} />
-            )}
-            <div style={{
-                position: 'absolute',
-                bottom: '8px',
-                right: '8px',
-                background: 'rgba(0,0,0,0.6)',
-                padding: '2px 6px',
-                borderRadius: '4px',
-                fontSize: '10px',
-                textTransform: 'uppercase'
-            }}>
-                {item.type}
-            </div>
-          </div>
+        {days.map(day => (
+          <section key={day.key} style={{ marginBottom: '32px' }}>
+            <h3 style={{ fontSize: '16px', fontWeight: 600, marginBottom: '12px' }}>
+              {day.date.toLocaleDateString(undefined, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}
+            </h3>
+
+            {day.sessions.map(session => {
+              const first = session.items[session.items.length - 1];
+              return (
+                <div key={session.key} style={{ marginBottom: '24px' }}>
+                  <div style={{
+                    display: 'flex',
+                    justifyContent: 'space-between',
+                    alignItems: 'center',
+                    marginBottom: '8px',
+                    fontSize: '12px',
+                    color: 'var(--color-text-secondary)'
+                  }}>
+                    <span>
+                      Session from {first.date.toLocaleTimeString()}
+                      {first.deviceLabel ? ` · ${first.deviceLabel}` : ''}
+                      {` · ${session.items.length} item${session.items.length === 1 ? '' : 's'}`}
+                    </span>
+                    {onDeleteSession && session.sessionId && (
+                      <button
+                        onClick={() => handleDeleteSession(session)}
+                        style={{
+                          background: 'none',
+                          border: 'none',
+                          color: 'var(--color-danger)',
+                          fontSize: '12px',
+                          cursor: 'pointer',
+                          fontWeight: 600
+                        }}
+                      >
+                        DELETE SESSION
+                      </button>
+                    )}
+                  </div>
+                  <div style={{
+                    display: 'grid',
+                    gridTemplateColumns: 'repeat(auto-fill, minmax(200px, 1fr))',
+                    gap: '16px'
+                  }}>
+                    {session.entries.map(entry => (entry.item ? (
+                      <MediaTile key={entry.key} item={entry.item} onSelect={openItem} onDelete={onDeleteItem} onDownload={handleDownload} />
+                    ) : (
+                      <div key={entry.key} style={{
+                        gridColumn: '1 / -1',
+                        padding: '8px',
+                        border: '1px solid var(--color-border)',
+                        borderRadius: 'var(--radius-md)'
+                      }}>
+                        <div style={{ fontSize: '12px', color: 'var(--color-text-secondary)', marginBottom: '8px' }}>
+                          {entry.items[0].type === 'video' ? 'Recording' : 'SNAP'} set · {entry.items.length} of {entry.set.count} camera{entry.set.count === 1 ? '' : 's'}
+                        </div>
+                        <div style={{
+                          display: 'grid',
+                          gridTemplateColumns: 'repeat(auto-fill, minmax(200px, 1fr))',
+                          gap: '16px'
+                        }}>
+                          {entry.items.map(item => (
+                            <div key={item.id}>
+                              <MediaTile item={item} onSelect={openItem} onDelete={onDeleteItem} onDownload={handleDownload} />
+                              <div style={{ fontSize: '11px', marginTop: '4px', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                                {item.deviceLabel || `Camera ${item.captureSet.index + 1}`}
+                              </div>
+                            </div>
+                          ))}
+                        </div>
+                      </div>
+                    )))}
+                  </div>
+                </div>
+              );
+            })}
+          </section>
         ))}
       </div>
 
@@ -120,12 +368,61 @@ export const Gallery = ({ mediaItems, onClose }) => {
           justifyContent: 'center',
           alignItems: 'center',
           padding: '40px'
-        }} onClick={() => setSelectedItem(null)}>
-          {selectedItem.type === 'image' ? (
-             <img src={selectedItem.url} style={{ maxHeight: '100%', maxWidth: '100%', borderRadius: '8px' }} />
+        }} onClick={() => setSelectedId(null)}>
+          {selectedItem.type === 'image' && !selectedSource && onUpdateItem ? (
+             <AnnotatedImage item={selectedItem} onUpdate={onUpdateItem} downloadName={`${downloadBaseName(selectedItem)}-annotated.png`} />
+          ) : selectedItem.type === 'image' ? (
+             <img src={selectedSource || selectedItem.url} style={{ maxHeight: '100%', maxWidth: '100%', borderRadius: '8px' }} />
           ) : (
              <video src={selectedItem.url} controls autoPlay style={{ maxHeight: '100%', maxWidth: '100%', borderRadius: '8px' }} />
           )}
+
+          <button
+            onClick={(e) => {
+              e.stopPropagation();
+              setShowInfo(prev => !prev);
+            }}
+            style={{ ...iconButtonStyle, top: '16px', right: showInfo ? '332px' : '16px' }}
+            title={showInfo ? "Hide capture info" : "Capture info"}
+          >
+            ⓘ
+          </button>
+          {showInfo && (
+            <CaptureInfoPanel item={selectedItem} onUpdate={onUpdateItem} onRestoreSettings={onRestoreSettings} />
+          )}
+
+          {/* Source frames of derived images (e.g. focus stack) */}
+          {selectedItem.sourceUrls?.length > 0 && (
+            <div style={{
+              position: 'absolute',
+              bottom: '16px',
+              left: '50%',
+              transform: 'translateX(-50%)',
+              display: 'flex',
+              gap: '6px',
+              padding: '6px',
+              background: 'rgba(0,0,0,0.6)',
+              borderRadius: '8px',
+              maxWidth: '90%',
+              overflowX: 'auto'
+            }} onClick={(e) => e.stopPropagation()}>
+              {[selectedItem.url, ...selectedItem.sourceUrls].map((url, i) => (
+                <img
+                  key={url}
+                  src={url}
+                  alt={i === 0 ? 'Result' : `Source ${i}`}
+                  title={i === 0 ? 'Result' : `Source frame ${i}`}
+                  onClick={() => setSelectedSource(i === 0 ? null : url)}
+                  style={{
+                    height: '48px',
+                    borderRadius: '4px',
+                    cursor: 'pointer',
+                    border: `2px solid ${(selectedSource || selectedItem.url) === url ? 'var(--color-primary)' : 'transparent'}`
+                  }}
+                />
+              ))}
+            </div>
+          )}
         </div>
       )}
     </div>
@@ -0,0 +1,158 @@
+import React, { useState } from 'react';
+
+const TOOLS = [
+  { id: 'line', label: 'Line' },
+  { id: 'polyline', label: 'Path' },
+  { id: 'circle', label: 'Circle' },
+  { id: 'angle', label: 'Angle' }
+];
+
+const toolButtonStyle = (active) => ({
+  padding: '6px 12px',
+  fontSize: '12px',
+  borderColor: active ? 'var(--color-primary)' : 'var(--color-border)',
+  color: active ? 'var(--color-primary)' : 'white'
+});
+
+// Measurement tools + calibration workflow.
+// Calibrating: pick "Calibrate", draw a line over a known distance on the stage micrometer,
+// then enter that distance and a profile name (e.g. the objective, "10x").
+export const MeasureToolbar = ({
+  tool,
+  onToolChange,
+  onClear,
+  hasMeasurements,
+  profiles,
+  activeProfile,
+  onSelectProfile,
+  onRemoveProfile,
+  pendingCalibration,
+  onConfirmCalibration,
+  onCancelCalibration,
+  showScaleBar,
+  onToggleScaleBar
+}) => {
+  const [knownDistance, setKnownDistance] = useState('100');
+  const [profileName, setProfileName] = useState('');
+
+  const handleConfirm = () => {
+    const um = parseFloat(knownDistance);
+    if (!(um > 0)) return;
+    onConfirmCalibration(profileName.trim() || `${um} µm @ ${new Date().toLocaleDateString()}`, um);
+    setProfileName('');
+  };
+
+  return (
+    <div className="glass-panel" style={{
+      position: 'absolute',
+      top: '20px',
+      left: '50%',
+      transform: 'translateX(-50%)',
+      padding: '8px 12px',
+      zIndex: 35,
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '8px',
+      fontSize: '12px'
+    }}>
+      <div style={{ display: 'flex', gap: '6px', alignItems: 'center' }}>
+        {TOOLS.map(t => (
+          <button
+            key={t.id}
+            className="btn-base btn-pill"
+            style={toolButtonStyle(tool === t.id)}
+            onClick={() => onToolChange(tool === t.id ? null : t.id)}
+          >
+            {t.label}
+          </button>
+        ))}
+
+        <button
+          className="btn-base btn-pill"
+          style={toolButtonStyle(tool === 'calibrate')}
+          onClick={() => (tool === 'calibrate' ? onCancelCalibration() : onToolChange('calibrate'))}
+          title="Freeze the frame and draw over a known distance on a stage micrometer"
+        >
+          Calibrate
+        </button>
+
+        {hasMeasurements && (
+          <button className="btn-base btn-pill" style={toolButtonStyle(false)} onClick={onClear}>
+            Clear
+          </button>
+        )}
+
+        <select
+          value={activeProfile?.id || ''}
+          onChange={(e) => onSelectProfile(e.target.value)}
+          style={{
+            background: 'none',
+            border: '1px solid var(--color-border)',
+            color: 'white',
+            padding: '6px 8px',
+            borderRadius: 'var(--radius-sm)',
+            fontSize: '12px',
+            outline: 'none'
+          }}
+          title="Calibration profile"
+        >
+          <option value="" style={{ color: 'black' }}>Uncalibrated (px)</option>
+          {profiles.map(p => (
+            <option key={p.id} value={p.id} style={{ color: 'black' }}>{p.name}</option>
+          ))}
+        </select>
+
+        {activeProfile && (
+          <button
+            className="btn-base btn-pill"
+            style={toolButtonStyle(false)}
+            onClick={() => onRemoveProfile(activeProfile.id)}
+            title="Delete this calibration profile"
+          >
+            ✕
+          </button>
+        )}
+
+        <label style={{ display: 'flex', alignItems: 'center', gap: '4px', opacity: activeProfile ? 1 : 0.4 }}>
+          <input
+            type="checkbox"
+            checked={showScaleBar}
+            disabled={!activeProfile}
+            onChange={(e) => onToggleScaleBar(e.target.checked)}
+            style={{ accentColor: 'var(--color-primary)' }}
+          />
+          Scale bar
+        </label>
+      </div>
+
+      {tool === 'calibrate' && (
+        <div style={{ display: 'flex', gap: '6px', alignItems: 'center', color: 'var(--color-text-secondary)' }}>
+          {pendingCalibration ? (
+            <>
+              <span>Line covers</span>
+              <input
+                type="number"
+                min="0"
+                value={knownDistance}
+                onChange={(e) => setKnownDistance(e.target.value)}
+                style={{ width: '70px', background: 'none', color: 'white', border: '1px solid var(--color-border)', borderRadius: '4px', padding: '4px' }}
+              />
+              <span>µm, save as</span>
+              <input
+                type="text"
+                placeholder="e.g. 10x objective"
+                value={profileName}
+                onChange={(e) => setProfileName(e.target.value)}
+                style={{ width: '120px', background: 'none', color: 'white', border: '1px solid var(--color-border)', borderRadius: '4px', padding: '4px' }}
+              />
+              <button className="btn-base btn-pill" style={toolButtonStyle(true)} onClick={handleConfirm}>Save</button>
+            </>
+          ) : (
+            <span>Frame frozen. Draw a line over a known distance on the micrometer.</span>
+          )}
+          <button className="btn-base btn-pill" style={toolButtonStyle(false)} onClick={onCancelCalibration}>Cancel</button>
+        </div>
+      )}
+    </div>
+  );
+};
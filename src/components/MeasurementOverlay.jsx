@@ -0,0 +1,155 @@
+import React, { useState, useRef } from 'react';
+import { describeMeasurement, TOOL_POINTS } from '../utils/measure';
+import { formatLength, niceLength } from '../utils/units';
+
+const COLORS = {
+  line: 'var(--color-primary)',
+  polyline: 'var(--color-primary)',
+  circle: 'var(--color-secondary)',
+  angle: 'var(--color-accent)',
+  calibrate: 'var(--color-danger)'
+};
+
+const labelStyle = {
+  fill: 'white',
+  fontSize: '12px',
+  fontWeight: 600,
+  paintOrder: 'stroke',
+  stroke: 'rgba(0,0,0,0.8)',
+  strokeWidth: 3
+};
+
+const Shape = ({ measurement, mapping, pxPerUm }) => {
+  const pts = measurement.points.map(mapping.toScreen);
+  const color = COLORS[measurement.tool];
+  const label = describeMeasurement(measurement, pxPerUm);
+  if (pts.length === 0) return null;
+
+  let shape;
+  let anchor = pts[pts.length - 1];
+
+  if (measurement.tool === 'circle' && pts.length === 2) {
+    const cx = (pts[0].x + pts[1].x) / 2;
+    const cy = (pts[0].y + pts[1].y) / 2;
+    const r = Math.hypot(pts[1].x - pts[0].x, pts[1].y - pts[0].y) / 2;
+    shape = (
+      <>
+        <circle cx={cx} cy={cy} r={r} fill="none" stroke={color} strokeWidth={2} />
+        <line x1={pts[0].x} y1={pts[0].y} x2={pts[1].x} y2={pts[1].y} stroke={color} strokeDasharray="4 4" />
+      </>
+    );
+    anchor = { x: cx, y: cy - r };
+  } else {
+    shape = <polyline points={pts.map(p => `${p.x},${p.y}`).join(' ')} fill="none" stroke={color} strokeWidth={2} />;
+    if (measurement.tool === 'angle' && pts.length === 3) anchor = pts[1];
+  }
+
+  return (
+    <g>
+      {shape}
+      {pts.map((p, i) => <circle key={i} cx={p.x} cy={p.y} r={3} fill={color} />)}
+      {label && <text x={anchor.x + 8} y={anchor.y - 8} style={labelStyle}>{label}</text>}
+    </g>
+  );
+};
+
+// Draws measurements over the live video and collects clicks for the active tool.
+// Sits inside the live video container so both share a coordinate space.
+export const MeasurementOverlay = ({
+  mapping,
+  layout,
+  tool,
+  measurements,
+  onComplete,
+  pxPerUm,
+  showScaleBar
+}) => {
+  const containerRef = useRef(null);
+  // Half-drawn shape; switching tools drops it
+  const [draftState, setDraftState] = useState({ tool, points: [] });
+  const draft = draftState.tool === tool ? draftState.points : [];
+  const setDraft = (points) => setDraftState({ tool, points });
+  const [hover, setHover] = useState(null);
+
+  if (!mapping) return null;
+
+  const toSensorPoint = (e) => {
+    const rect = containerRef.current.getBoundingClientRect();
+    return mapping.toSensor({ x: e.clientX - rect.left, y: e.clientY - rect.top });
+  };
+
+  const finish = (points) => {
+    setDraft([]);
+    if (points.length >= 2) onComplete({ id: `m-${Date.now()}`, tool, points });
+  };
+
+  const handlePointerDown = (e) => {
+    // Don't let the viewport start a pan
+    e.stopPropagation();
+    e.preventDefault();
+    const points = [...draft, toSensorPoint(e)];
+    if (points.length >= TOOL_POINTS[tool]) {
+      finish(points);
+    } else {
+      setDraft(points);
+    }
+  };
+
+  const handleDoubleClick = (e) => {
+    e.stopPropagation();
+    // The second click of the double-click already added a point
+    if (tool === 'polyline') finish(draft);
+  };
+
+  // Scale bar sized in screen pixels
+  let scaleBar = null;
+  if (showScaleBar && pxPerUm) {
+    const screenPxPerUm = pxPerUm * mapping.scale;
+    const lengthUm = niceLength((layout.box.width * 0.2) / screenPxPerUm);
+    scaleBar = { width: lengthUm * screenPxPerUm, label: formatLength(lengthUm) };
+  }
+
+  const draftMeasurement = tool && draft.length > 0
+    ? { tool, points: hover ? [...draft, hover] : draft }
+    : null;
+
+  return (
+    <div
+      ref={containerRef}
+      style={{
+        position: 'absolute',
+        inset: 0,
+        pointerEvents: tool ? 'auto' : 'none',
+        cursor: tool ? 'crosshair' : 'default',
+        zIndex: 5
+      }}
+      onMouseDown={e => tool && e.stopPropagation()}
+      onPointerDown={tool ? handlePointerDown : undefined}
+      onPointerMove={tool ? (e) => setHover(toSensorPoint(e)) : undefined}
+      onPointerLeave={() => setHover(null)}
+      onDoubleClick={tool ? handleDoubleClick : undefined}
+    >
+      <svg style={{ width: '100%', height: '100%', overflow: 'visible' }}>
+        {measurements.map(m => <Shape key={m.id} measurement={m} mapping={mapping} pxPerUm={pxPerUm} />)}
+        {draftMeasurement && <Shape measurement={draftMeasurement} mapping={mapping} pxPerUm={pxPerUm} />}
+      </svg>
+
+      {scaleBar && (
+        <div style={{
+          position: 'absolute',
+          right: `calc(100% - ${layout.box.left + layout.box.width}px + 16px)`,
+          bottom: `calc(100% - ${layout.box.top + layout.box.height}px + 16px)`,
+          color: 'white',
+          fontSize: '12px',
+          fontWeight: 600,
+          textAlign: 'center',
+          textShadow: '0 0 4px black',
+          pointerEvents: 'none'
+        }}>
+          <div>{scaleBar.label}</div>
+          <div style={{ width: `${scaleBar.width}px`, height: '4px', background: 'white', boxShadow: '0 0 4px black' }} />
+        </div>
+      )}
+    </div>
+  );
+};
@@ -41,9 +41,16 @@ export const Minimap = ({ stream, zoom, pan, onPanChange }) => {
     onPanChange(newPanX, newPanY);
   };
 
-  // Mouse Drag Logic
-  const handleMouseMove = (e) => {
-    if (e.buttons === 1) { // Left click held
+  // Pointer drag: mouse, pen or a finger. Capture keeps the drag alive outside the map.
+  const handlePointerDown = (e) => {
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+    e.preventDefault();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    handleInteraction(e);
+  };
+
+  const handlePointerMove = (e) => {
+    if (e.currentTarget.hasPointerCapture(e.pointerId)) {
         handleInteraction(e);
     }
   };
@@ -70,8 +77,8 @@ export const Minimap = ({ stream, zoom, pan, onPanChange }) => {
     <div
         className="glass-panel"
         ref={containerRef}
-        onMouseDown={handleInteraction}
-        onMouseMove={handleMouseMove}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
         style={{
             position: 'absolute',
             top: '20px',
@@ -83,6 +90,7 @@ export const Minimap = ({ stream, zoom, pan, onPanChange }) => {
             cursor: 'crosshair',
             padding: 0,
             pointerEvents: 'auto',
+            touchAction: 'none', // Dragging must not scroll the page
             border: '2px solid rgba(255,255,255,0.2)'
         }}
     >
@@ -0,0 +1,103 @@
+import React, { useRef, useEffect } from 'react';
+
+const PREVIEW_SIZE = 240;
+
+// Live view of the growing mosaic. Takes the Minimap's place while mosaic mode is on.
+// Dark areas inside the outline are gaps the stage hasn't covered yet.
+export const MosaicPreview = ({ preview, isExporting, error, onFinish, onDiscard }) => {
+  const canvasRef = useRef(null);
+  const { tiles, current, bounds, lost, full } = preview;
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+    // Frame the current view too, so the preview doesn't jump when stepping outside
+    let area = bounds;
+    if (current) {
+      const x = Math.min(area ? area.x : current.x, current.x);
+      const y = Math.min(area ? area.y : current.y, current.y);
+      const right = Math.max(area ? area.x + area.width : current.x + current.width, current.x + current.width);
+      const bottom = Math.max(area ? area.y + area.height : current.y + current.height, current.y + current.height);
+      area = { x, y, width: right - x, height: bottom - y };
+    }
+    if (!area) return;
+
+    const scale = Math.min(canvas.width / area.width, canvas.height / area.height);
+    const ox = (canvas.width - area.width * scale) / 2 - area.x * scale;
+    const oy = (canvas.height - area.height * scale) / 2 - area.y * scale;
+
+    if (bounds) {
+      ctx.fillStyle = 'rgba(255,255,255,0.05)';
+      ctx.fillRect(ox + bounds.x * scale, oy + bounds.y * scale, bounds.width * scale, bounds.height * scale);
+    }
+
+    tiles.forEach(t => {
+      ctx.drawImage(t.preview, ox + t.x * scale, oy + t.y * scale, t.width * scale, t.height * scale);
+    });
+
+    if (bounds) {
+      ctx.strokeStyle = 'rgba(255,255,255,0.4)';
+      ctx.setLineDash([4, 4]);
+      ctx.strokeRect(ox + bounds.x * scale, oy + bounds.y * scale, bounds.width * scale, bounds.height * scale);
+      ctx.setLineDash([]);
+    }
+
+    if (current) {
+      ctx.strokeStyle = '#FFB300';
+      ctx.lineWidth = 2;
+      ctx.strokeRect(ox + current.x * scale, oy + current.y * scale, current.width * scale, current.height * scale);
+    }
+  }, [tiles, current, bounds]);
+
+  return (
+    <div
+        className="glass-panel"
+        style={{
+            position: 'absolute',
+            top: '20px',
+            left: '20px',
+            width: `${PREVIEW_SIZE}px`,
+            zIndex: 40,
+            padding: '8px',
+            pointerEvents: 'auto',
+            fontSize: '12px'
+        }}
+    >
+      <canvas
+        ref={canvasRef}
+        width={PREVIEW_SIZE - 16}
+        height={Math.round((PREVIEW_SIZE - 16) * 0.75)}
+        style={{ width: '100%', background: '#000', borderRadius: '4px', display: 'block' }}
+      />
+
+      <div style={{ margin: '8px 0', color: lost ? 'var(--color-danger)' : 'var(--color-text-secondary)' }}>
+        {lost
+          ? 'Lost track. Move back over covered area.'
+          : `${tiles.length} tile${tiles.length === 1 ? '' : 's'}${bounds ? ` · ${bounds.width}×${bounds.height}px` : ''}`}
+      </div>
+      {full && (
+        <div style={{ marginBottom: '8px', color: 'var(--color-danger)' }}>
+          Tile limit reached; new areas are not added. Finish to save.
+        </div>
+      )}
+      {error && <div style={{ marginBottom: '8px', color: 'var(--color-danger)' }}>{error}</div>}
+
+      <div style={{ display: 'flex', gap: '6px' }}>
+        <button className="btn-base btn-pill" style={{ flex: 1, fontSize: '12px', padding: '6px' }} onClick={onDiscard} disabled={isExporting}>
+          Discard
+        </button>
+        <button
+          className="btn-base btn-pill"
+          style={{ flex: 1, fontSize: '12px', padding: '6px', borderColor: 'var(--color-primary)' }}
+          onClick={onFinish}
+          disabled={isExporting || tiles.length === 0}
+        >
+          {isExporting ? 'Stitching…' : 'Finish'}
+        </button>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,79 @@
+import React from 'react';
+import { CameraTile } from './CameraTile';
+import { MAX_GRID_DEVICES } from '../hooks/useMultiCamera';
+
+const deviceLabel = (devices, deviceId, index) => (
+  devices.find(d => d.deviceId === deviceId)?.label || `Camera ${index + 1}`
+);
+
+// 2-4 cameras side by side over the main view (which stays mounted underneath, so the
+// main stream, scopes and calibration keep running). Click a tile to edit its filters.
+export const MultiCameraGrid = ({ multi, devices, primaryDeviceId, primaryStream, primaryView, onPrimaryViewChange }) => {
+  const { deviceIds, focusedId, setFocusedId, getTileView, setTileView, registerTile, toggleDevice } = multi;
+  const others = devices.filter(d => d.deviceId && d.deviceId !== primaryDeviceId);
+  const rows = Math.ceil(deviceIds.length / 2);
+
+  return (
+    <div style={{
+      position: 'absolute',
+      top: 0, left: 0, right: 0, bottom: 0,
+      zIndex: 25,
+      background: '#000',
+      display: 'flex',
+      flexDirection: 'column'
+    }}>
+      <div style={{
+        display: 'flex',
+        flexWrap: 'wrap',
+        alignItems: 'center',
+        gap: '12px',
+        padding: '8px 12px',
+        fontSize: '12px',
+        color: 'var(--color-text-secondary)'
+      }}>
+        <span>Also show:</span>
+        {others.map((device, i) => {
+          const checked = deviceIds.includes(device.deviceId);
+          return (
+            <label key={device.deviceId} style={{ display: 'flex', alignItems: 'center', gap: '4px', color: 'white' }}>
+              <input
+                type="checkbox"
+                checked={checked}
+                disabled={!checked && deviceIds.length >= MAX_GRID_DEVICES}
+                onChange={() => toggleDevice(device.deviceId)}
+                style={{ accentColor: 'var(--color-primary)' }}
+              />
+              {device.label || `Camera ${i + 2}`}
+            </label>
+          );
+        })}
+      </div>
+
+      <div style={{
+        flex: 1,
+        minHeight: 0,
+        display: 'grid',
+        gridTemplateColumns: deviceIds.length > 1 ? '1fr 1fr' : '1fr',
+        gridTemplateRows: `repeat(${rows}, minmax(0, 1fr))`,
+        gap: '4px'
+      }}>
+        {deviceIds.map((deviceId, i) => {
+          const isPrimary = deviceId === primaryDeviceId;
+          return (
+            <CameraTile
+              key={deviceId}
+              deviceId={deviceId}
+              label={deviceLabel(devices, deviceId, i)}
+              sharedStream={isPrimary ? primaryStream : null}
+              view={isPrimary ? primaryView : getTileView(deviceId)}
+              focused={deviceId === focusedId}
+              onFocus={() => setFocusedId(deviceId)}
+              onViewChange={isPrimary ? onPrimaryViewChange : (change) => setTileView(deviceId, change)}
+              onRegister={registerTile}
+            />
+          );
+        })}
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,162 @@
+import React, { useRef, useEffect } from 'react';
+
+// Screen pixels per sensor pixel before the grid shows, and before values fit inside the cells
+const GRID_MIN_SCALE = 8;
+const VALUES_MIN_SCALE = 40;
+const READ_INTERVAL_MS = 250;
+
+const luma = ([r, g, b]) => 0.2126 * r + 0.7152 * g + 0.0722 * b;
+
+// Sensor pixel grid with RGB readout at high zoom: values inside the cells once they are
+// big enough, and for the pixel under the pointer. Values come from the raw sensor frame,
+// before any processing pass, so they stay comparable whatever the filters do.
+export const PixelGridOverlay = ({ sourceRef, mapping, layout, live = false }) => {
+  const canvasRef = useRef(null);
+  const hoverRef = useRef(null); // container coordinates
+  const visible = !!mapping && !!layout && mapping.scale >= GRID_MIN_SCALE;
+
+  useEffect(() => {
+    if (!visible) return;
+    const canvas = canvasRef.current;
+    const container = canvas.parentElement;
+    const ctx = canvas.getContext('2d');
+    const reader = document.createElement('canvas').getContext('2d', { willReadFrequently: true });
+    const { box, sensor } = layout;
+    let pixels = null;
+
+    // Sensor pixels at least partly on screen
+    const topLeft = mapping.toSensor({ x: box.left, y: box.top });
+    const bottomRight = mapping.toSensor({ x: box.left + box.width, y: box.top + box.height });
+    const x0 = Math.max(0, Math.floor(topLeft.x));
+    const y0 = Math.max(0, Math.floor(topLeft.y));
+    const region = {
+      x: x0,
+      y: y0,
+      width: Math.min(sensor.width, Math.ceil(bottomRight.x)) - x0,
+      height: Math.min(sensor.height, Math.ceil(bottomRight.y)) - y0
+    };
+
+    const read = () => {
+      const source = sourceRef.current;
+      if (!source || region.width <= 0 || region.height <= 0) return;
+      reader.canvas.width = region.width;
+      reader.canvas.height = region.height;
+      reader.drawImage(source, region.x, region.y, region.width, region.height, 0, 0, region.width, region.height);
+      pixels = reader.getImageData(0, 0, region.width, region.height).data;
+    };
+
+    const pixelAt = (x, y) => {
+      if (!pixels || x < region.x || y < region.y || x >= region.x + region.width || y >= region.y + region.height) return null;
+      const i = ((y - region.y) * region.width + (x - region.x)) * 4;
+      return [pixels[i], pixels[i + 1], pixels[i + 2]];
+    };
+
+    const draw = () => {
+      const dpr = window.devicePixelRatio || 1;
+      const w = Math.round(box.width * dpr);
+      const h = Math.round(box.height * dpr);
+      if (canvas.width !== w || canvas.height !== h) {
+        canvas.width = w;
+        canvas.height = h;
+      }
+      // Draw in container coordinates, like the mapping
+      ctx.setTransform(dpr, 0, 0, dpr, -box.left * dpr, -box.top * dpr);
+      ctx.clearRect(box.left, box.top, box.width, box.height);
+
+      ctx.strokeStyle = 'rgba(128, 128, 128, 0.6)';
+      ctx.lineWidth = 1 / dpr;
+      ctx.beginPath();
+      for (let x = region.x; x <= region.x + region.width; x++) {
+        const sx = mapping.toScreen({ x, y: 0 }).x;
+        ctx.moveTo(sx, box.top);
+        ctx.lineTo(sx, box.top + box.height);
+      }
+      for (let y = region.y; y <= region.y + region.height; y++) {
+        const sy = mapping.toScreen({ x: 0, y }).y;
+        ctx.moveTo(box.left, sy);
+        ctx.lineTo(box.left + box.width, sy);
+      }
+      ctx.stroke();
+
+      const scale = mapping.scale;
+      if (scale >= VALUES_MIN_SCALE) {
+        const fontSize = Math.min(12, Math.floor(scale / 4));
+        ctx.font = `${fontSize}px monospace`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        for (let y = region.y; y < region.y + region.height; y++) {
+          for (let x = region.x; x < region.x + region.width; x++) {
+            const rgb = pixelAt(x, y);
+            if (!rgb) continue;
+            const center = mapping.toScreen({ x: x + 0.5, y: y + 0.5 });
+            ctx.fillStyle = luma(rgb) > 128 ? 'rgba(0,0,0,0.85)' : 'rgba(255,255,255,0.85)';
+            rgb.forEach((v, i) => ctx.fillText(String(v), center.x, center.y + (i - 1) * fontSize * 1.1));
+          }
+        }
+      }
+
+      const hover = hoverRef.current;
+      if (!hover) return;
+      const point = mapping.toSensor(hover);
+      const px = Math.floor(point.x);
+      const py = Math.floor(point.y);
+      const rgb = pixelAt(px, py);
+      if (!rgb) return;
+
+      const cell = mapping.toScreen({ x: px, y: py });
+      ctx.strokeStyle = 'rgba(0, 255, 200, 0.9)';
+      ctx.lineWidth = 2 / dpr;
+      ctx.strokeRect(cell.x, cell.y, scale, scale);
+
+      const label = `${px}, ${py}  R${rgb[0]} G${rgb[1]} B${rgb[2]}`;
+      ctx.font = '11px monospace';
+      ctx.textAlign = 'left';
+      ctx.textBaseline = 'top';
+      const labelWidth = ctx.measureText(label).width + 12;
+      const lx = Math.min(hover.x + 14, box.left + box.width - labelWidth);
+      const ly = Math.min(hover.y + 14, box.top + box.height - 20);
+      ctx.fillStyle = 'rgba(0,0,0,0.75)';
+      ctx.fillRect(lx, ly, labelWidth, 20);
+      ctx.fillStyle = 'white';
+      ctx.fillText(label, lx + 6, ly + 5);
+    };
+
+    const handlePointerMove = (e) => {
+      const rect = container.getBoundingClientRect();
+      hoverRef.current = { x: e.clientX - rect.left, y: e.clientY - rect.top };
+      draw();
+    };
+    const handlePointerLeave = () => {
+      hoverRef.current = null;
+      draw();
+    };
+
+    read();
+    draw();
+    container.addEventListener('pointermove', handlePointerMove);
+    container.addEventListener('pointerleave', handlePointerLeave);
+    // The video keeps moving under a still grid
+    const timer = live ? setInterval(() => { read(); draw(); }, READ_INTERVAL_MS) : null;
+    return () => {
+      container.removeEventListener('pointermove', handlePointerMove);
+      container.removeEventListener('pointerleave', handlePointerLeave);
+      if (timer) clearInterval(timer);
+    };
+  }, [visible, mapping, layout, sourceRef, live]);
+
+  if (!visible) return null;
+
+  return (
+    <canvas
+      ref={canvasRef}
+      style={{
+        position: 'absolute',
+        left: `${layout.box.left}px`,
+        top: `${layout.box.top}px`,
+        width: `${layout.box.width}px`,
+        height: `${layout.box.height}px`,
+        pointerEvents: 'none'
+      }}
+    />
+  );
+};
@@ -0,0 +1,143 @@
+import React, { useRef, useState } from 'react';
+import { PRESET_KEYS, presetFilters } from '../utils/settings';
+
+const smallButtonStyle = {
+  background: 'none',
+  border: 'none',
+  color: 'var(--color-text-secondary)',
+  cursor: 'pointer',
+  fontSize: '12px',
+  padding: '2px 4px'
+};
+
+const linkButtonStyle = {
+  background: 'none',
+  border: 'none',
+  color: 'var(--color-primary)',
+  fontSize: '11px',
+  cursor: 'pointer',
+  fontWeight: 600
+};
+
+const sameLook = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Named looks: apply with a click (or the assigned number key), save, rename, share as JSON
+export const PresetsSection = ({ presets, filters, onApply }) => {
+  const {
+    presets: list,
+    savePreset,
+    updatePreset,
+    renamePreset,
+    removePreset,
+    assignKey,
+    exportPresets,
+    importPresets
+  } = presets;
+  const fileInputRef = useRef(null);
+  const [message, setMessage] = useState(null);
+  const current = presetFilters(filters);
+
+  const handleSave = () => {
+    const name = window.prompt('Preset name', `Preset ${list.length + 1}`);
+    if (name?.trim()) savePreset(name.trim(), filters);
+  };
+
+  const handleRename = (preset) => {
+    const name = window.prompt('Rename preset', preset.name);
+    if (name?.trim()) renamePreset(preset.id, name.trim());
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const count = await importPresets(file);
+      setMessage({ text: `Imported ${count} preset${count === 1 ? '' : 's'}.` });
+    } catch (err) {
+      setMessage({ text: err.message, error: true });
+    }
+  };
+
+  return (
+    <>
+      <h4 style={{
+        marginBottom: '12px',
+        fontSize: '14px',
+        color: 'var(--color-text-secondary)',
+        display: 'flex',
+        justifyContent: 'space-between'
+      }}>
+        Presets
+        <span style={{ display: 'flex', gap: '8px' }}>
+          <button style={linkButtonStyle} onClick={() => fileInputRef.current.click()}>IMPORT</button>
+          {list.length > 0 && <button style={linkButtonStyle} onClick={exportPresets}>EXPORT</button>}
+          <button style={linkButtonStyle} onClick={handleSave}>SAVE</button>
+        </span>
+      </h4>
+      <input ref={fileInputRef} type="file" accept="application/json,.json" onChange={handleImport} style={{ display: 'none' }} />
+
+      {list.length === 0 && (
+        <p style={{ fontSize: '12px', color: 'var(--color-text-secondary)', marginBottom: '8px' }}>
+          Save the current adjustments as a named preset.
+        </p>
+      )}
+
+      {list.map(preset => {
+        const active = sameLook(preset.filters, current);
+        return (
+          <div key={preset.id} style={{ display: 'flex', alignItems: 'center', gap: '4px', marginBottom: '6px' }}>
+            <button
+              className="btn-base btn-pill"
+              onClick={() => onApply(preset)}
+              style={{
+                flex: 1,
+                padding: '4px 10px',
+                fontSize: '12px',
+                justifyContent: 'flex-start',
+                borderColor: active ? 'var(--color-primary)' : 'var(--color-border)',
+                color: active ? 'var(--color-primary)' : 'white'
+              }}
+              title={preset.key ? `Press ${preset.key} to apply` : undefined}
+            >
+              {preset.name}
+            </button>
+            <select
+              value={preset.key || ''}
+              onChange={(e) => assignKey(preset.id, e.target.value)}
+              title="Keyboard number"
+              style={{
+                background: 'none',
+                border: '1px solid var(--color-border)',
+                color: 'white',
+                borderRadius: 'var(--radius-sm)',
+                fontSize: '11px',
+                padding: '2px'
+              }}
+            >
+              <option value="" style={{ color: 'black' }}>–</option>
+              {PRESET_KEYS.map(key => <option key={key} value={key} style={{ color: 'black' }}>{key}</option>)}
+            </select>
+            <button style={smallButtonStyle} onClick={() => updatePreset(preset.id, filters)} title="Overwrite with current adjustments">⟳</button>
+            <button style={smallButtonStyle} onClick={() => handleRename(preset)} title="Rename">✎</button>
+            <button
+              style={smallButtonStyle}
+              onClick={() => window.confirm(`Delete preset "${preset.name}"?`) && removePreset(preset.id)}
+              title="Delete"
+            >
+              ✕
+            </button>
+          </div>
+        );
+      })}
+
+      {message && (
+        <p style={{ fontSize: '11px', color: message.error ? 'var(--color-danger)' : 'var(--color-text-secondary)', marginBottom: '8px' }}>
+          {message.text}
+        </p>
+      )}
+
+      <div style={{ height: '1px', background: 'var(--color-border)', margin: '16px 0' }} />
+    </>
+  );
+};
@@ -0,0 +1,102 @@
+import React, { useRef, useEffect } from 'react';
+import { createRenderer, buildPasses } from '../utils/pipeline';
+import { getSourceSize, getViewportRect } from '../utils/capture';
+
+// Draws a media element through the processing pipeline into a canvas laid over the
+// element's layout box. The element itself stays in the DOM (invisible) for layout.
+// live: re-render every animation frame (video); otherwise only when view/layout change.
+// offset: shift of the sampled region in source pixels (compare-mode alignment).
+export const ProcessedView = ({ sourceRef, layout, view, offset = null, live = false, onRendererChange }) => {
+  const containerRef = useRef(null);
+  const rendererRef = useRef(null);
+  const stateRef = useRef({ view, layout, offset });
+
+  useEffect(() => {
+    stateRef.current = { view, layout, offset };
+  }, [view, layout, offset]);
+
+  // The renderer brings its own canvas, mounted here and dropped with it: a remount
+  // (StrictMode runs effects twice) must not reuse a canvas whose context was lost
+  useEffect(() => {
+    const renderer = createRenderer();
+    if (!renderer) {
+      console.error("No renderer available for the preview");
+      return;
+    }
+    const { canvas } = renderer;
+    canvas.style.display = 'block';
+    canvas.style.width = '100%';
+    canvas.style.height = '100%';
+    containerRef.current.appendChild(canvas);
+    rendererRef.current = renderer;
+    onRendererChange?.(renderer.kind);
+    return () => {
+      renderer.dispose();
+      canvas.remove();
+      rendererRef.current = null;
+    };
+  }, [onRendererChange]);
+
+  useEffect(() => {
+    const draw = () => {
+      const source = sourceRef.current;
+      const renderer = rendererRef.current;
+      const { view: currentView, layout: currentLayout, offset: currentOffset } = stateRef.current;
+      if (!source || !renderer || !currentLayout || !currentView) return;
+      const { canvas } = renderer;
+
+      const { width, height } = getSourceSize(source);
+      if (!width || !height) return;
+
+      // Backing store at device resolution
+      const dpr = window.devicePixelRatio || 1;
+      const outW = Math.max(1, Math.round(currentLayout.box.width * dpr));
+      const outH = Math.max(1, Math.round(currentLayout.box.height * dpr));
+      if (canvas.width !== outW || canvas.height !== outH) {
+        canvas.width = outW;
+        canvas.height = outH;
+      }
+
+      const viewRect = getViewportRect(width, height, {
+        zoom: currentView.filters.zoom,
+        pan: currentView.pan,
+        aspectRatio: currentView.aspectRatio
+      });
+      const rect = currentOffset
+        ? { ...viewRect, x: viewRect.x + currentOffset.x, y: viewRect.y + currentOffset.y }
+        : viewRect;
+      renderer.render(source, rect, buildPasses(currentView.filters), {
+        interpolation: currentView.filters.interpolation,
+        correction: currentView.correction || null
+      });
+    };
+
+    if (!live) {
+      draw();
+      return;
+    }
+
+    let rafId;
+    const loop = () => {
+      draw();
+      rafId = requestAnimationFrame(loop);
+    };
+    loop();
+    return () => cancelAnimationFrame(rafId);
+  }, [live, sourceRef, view, layout, offset]);
+
+  return (
+    <div
+      ref={containerRef}
+      style={{
+        position: 'absolute',
+        display: layout ? 'block' : 'none',
+        left: `${layout?.box.left ?? 0}px`,
+        top: `${layout?.box.top ?? 0}px`,
+        width: `${layout?.box.width ?? 0}px`,
+        height: `${layout?.box.height ?? 0}px`,
+        pointerEvents: 'none'
+      }}
+    />
+  );
+};
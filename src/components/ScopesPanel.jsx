@@ -0,0 +1,128 @@
+import React, { useRef, useEffect } from 'react';
+
+const SCOPE_WIDTH = 256;
+const SCOPE_HEIGHT = 100;
+
+const CHANNELS = [
+  { key: 'r', color: 'rgba(255, 60, 60, 0.6)' },
+  { key: 'g', color: 'rgba(60, 255, 60, 0.6)' },
+  { key: 'b', color: 'rgba(60, 120, 255, 0.6)' }
+];
+
+const drawHistogram = (ctx, histogram) => {
+  const { width, height } = ctx.canvas;
+  ctx.clearRect(0, 0, width, height);
+
+  // Ignore the extreme bins for scaling so a clipped frame doesn't flatten everything else
+  let peak = 1;
+  ['r', 'g', 'b', 'luma'].forEach(key => {
+    for (let i = 1; i < 255; i++) peak = Math.max(peak, histogram[key][i]);
+  });
+
+  const plot = (bins) => {
+    ctx.beginPath();
+    ctx.moveTo(0, height);
+    for (let i = 0; i < 256; i++) {
+      ctx.lineTo((i / 255) * width, height - Math.min(1, bins[i] / peak) * height);
+    }
+    ctx.lineTo(width, height);
+    ctx.closePath();
+  };
+
+  ctx.globalCompositeOperation = 'lighter';
+  CHANNELS.forEach(({ key, color }) => {
+    ctx.fillStyle = color;
+    plot(histogram[key]);
+    ctx.fill();
+  });
+  ctx.globalCompositeOperation = 'source-over';
+
+  ctx.strokeStyle = 'rgba(255,255,255,0.9)';
+  ctx.lineWidth = 1;
+  plot(histogram.luma);
+  ctx.stroke();
+};
+
+const drawWaveform = (ctx, waveform) => {
+  const { width, height } = ctx.canvas;
+  ctx.clearRect(0, 0, width, height);
+  // 0/50/100% guides
+  ctx.fillStyle = 'rgba(255,255,255,0.15)';
+  [0, 0.5, 1].forEach(t => ctx.fillRect(0, Math.min(height - 1, Math.round(t * height)), width, 1));
+  if (!waveform) return;
+  // putImageData can't scale, so go through a bitmap
+  createImageBitmap(waveform).then(bitmap => {
+    ctx.drawImage(bitmap, 0, 0, width, height);
+    bitmap.close();
+  });
+};
+
+const canvasStyle = {
+  width: `${SCOPE_WIDTH}px`,
+  height: `${SCOPE_HEIGHT}px`,
+  background: 'rgba(0,0,0,0.5)',
+  borderRadius: '4px',
+  display: 'block'
+};
+
+// Live RGB/luma histogram with an optional waveform, fed by useScopes
+export const ScopesPanel = ({ scopes, showWaveform, onToggleWaveform, onClose }) => {
+  const histogramRef = useRef(null);
+  const waveformRef = useRef(null);
+
+  useEffect(() => {
+    if (scopes?.histogram && histogramRef.current) drawHistogram(histogramRef.current.getContext('2d'), scopes.histogram);
+  }, [scopes]);
+
+  useEffect(() => {
+    if (showWaveform && waveformRef.current) drawWaveform(waveformRef.current.getContext('2d'), scopes?.waveform);
+  }, [scopes, showWaveform]);
+
+  // Share of pixels at either end of the luma range
+  const clipped = scopes?.histogram && (() => {
+    const bins = scopes.histogram.luma;
+    const total = bins.reduce((sum, n) => sum + n, 0) || 1;
+    return { low: (bins[0] / total) * 100, high: (bins[255] / total) * 100 };
+  })();
+
+  return (
+    <div className="glass-panel" style={{
+      position: 'absolute',
+      left: '24px',
+      bottom: '120px',
+      padding: '12px',
+      zIndex: 15,
+      fontSize: '12px',
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '8px'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <strong>Scopes</strong>
+        <span style={{ display: 'flex', alignItems: 'center', gap: '12px' }}>
+          <label style={{ display: 'flex', alignItems: 'center', gap: '4px', color: 'var(--color-text-secondary)' }}>
+            <input type="checkbox" checked={showWaveform} onChange={(e) => onToggleWaveform(e.target.checked)}
+              style={{ accentColor: 'var(--color-primary)' }} />
+            Waveform
+          </label>
+          <button
+            onClick={onClose}
+            style={{ background: 'none', border: 'none', color: 'var(--color-text-secondary)', cursor: 'pointer' }}
+          >
+            ✕
+          </button>
+        </span>
+      </div>
+
+      <canvas ref={histogramRef} width={SCOPE_WIDTH} height={SCOPE_HEIGHT} style={canvasStyle} />
+      {clipped && (
+        <div style={{ display: 'flex', justifyContent: 'space-between', color: 'var(--color-text-secondary)', fontSize: '11px' }}>
+          <span>Crushed {clipped.low.toFixed(1)}%</span>
+          <span>Blown {clipped.high.toFixed(1)}%</span>
+        </div>
+      )}
+
+      {showWaveform && <canvas ref={waveformRef} width={SCOPE_WIDTH} height={SCOPE_HEIGHT} style={canvasStyle} />}
+    </div>
+  );
+};
@@ -0,0 +1,131 @@
+import React, { useState, useEffect } from 'react';
+import { ACTIONS, formatBinding, findConflicts } from '../utils/shortcuts';
+
+const chipStyle = (conflict) => ({
+  display: 'inline-flex',
+  alignItems: 'center',
+  gap: '4px',
+  padding: '2px 8px',
+  borderRadius: '99px',
+  border: `1px solid ${conflict ? 'var(--color-danger)' : 'var(--color-border)'}`,
+  color: conflict ? 'var(--color-danger)' : 'white',
+  fontSize: '11px',
+  whiteSpace: 'nowrap'
+});
+
+const removeButtonStyle = {
+  background: 'none',
+  border: 'none',
+  color: 'var(--color-text-secondary)',
+  cursor: 'pointer',
+  padding: 0,
+  fontSize: '11px'
+};
+
+// Rebinding UI for keyboard, gamepad and HID input.
+// extraClaims: bindings owned elsewhere (preset number keys) as { label, bindings }.
+export const ShortcutsPanel = ({ shortcuts, input, extraClaims, onClose }) => {
+  const { bindings, assignBinding, removeBinding, resetBindings } = shortcuts;
+  const { captureNext, gamepadCount, hid } = input;
+  const [listeningFor, setListeningFor] = useState(null);
+  const conflicts = findConflicts(bindings, extraClaims);
+
+  // Grab the next input while "listening"; leaving the panel cancels
+  useEffect(() => {
+    if (!listeningFor) return;
+    return captureNext((binding) => {
+      setListeningFor(null);
+      if (!binding) return;
+
+      const owner = ACTIONS.find(a => a.id !== listeningFor && bindings[a.id].includes(binding));
+      const claim = extraClaims.find(c => c.bindings.includes(binding));
+      const takenBy = owner?.label || claim?.label;
+      if (takenBy && !window.confirm(`${formatBinding(binding)} is already used by "${takenBy}". Use it here instead?`)) return;
+      assignBinding(listeningFor, binding);
+    });
+  }, [listeningFor, captureNext, bindings, extraClaims, assignBinding]);
+
+  return (
+    <div className="glass-panel" style={{
+      position: 'absolute',
+      top: '50%',
+      left: '50%',
+      transform: 'translate(-50%, -50%)',
+      width: '460px',
+      maxHeight: '80vh',
+      overflowY: 'auto',
+      padding: '20px',
+      zIndex: 45,
+      fontSize: '13px',
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '10px'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <strong>Shortcuts &amp; Controllers</strong>
+        <span style={{ display: 'flex', gap: '12px' }}>
+          <button
+            onClick={resetBindings}
+            style={{ background: 'none', border: 'none', color: 'var(--color-primary)', fontSize: '11px', cursor: 'pointer', fontWeight: 600 }}
+          >
+            DEFAULTS
+          </button>
+          <button
+            onClick={onClose}
+            style={{ background: 'none', border: 'none', color: 'var(--color-text-secondary)', cursor: 'pointer' }}
+          >
+            ✕
+          </button>
+        </span>
+      </div>
+
+      {ACTIONS.map(action => (
+        <div key={action.id} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '8px' }}>
+          <span style={{ color: 'var(--color-text-secondary)', flexShrink: 0 }}>{action.label}</span>
+          <span style={{ display: 'flex', flexWrap: 'wrap', justifyContent: 'flex-end', gap: '4px' }}>
+            {bindings[action.id].map(binding => (
+              <span
+                key={binding}
+                style={chipStyle(!!conflicts[binding])}
+                title={conflicts[binding] ? `Also used by: ${conflicts[binding].filter(l => l !== action.label).join(', ')}` : undefined}
+              >
+                {formatBinding(binding)}
+                <button style={removeButtonStyle} onClick={() => removeBinding(action.id, binding)}>✕</button>
+              </span>
+            ))}
+            <button
+              className="btn-base btn-pill"
+              style={{
+                padding: '2px 8px',
+                fontSize: '11px',
+                borderColor: listeningFor === action.id ? 'var(--color-primary)' : 'var(--color-border)'
+              }}
+              onClick={() => setListeningFor(listeningFor === action.id ? null : action.id)}
+            >
+              {listeningFor === action.id ? 'Press a key or button… (Esc)' : '+'}
+            </button>
+          </span>
+        </div>
+      ))}
+
+      <div style={{ height: '1px', background: 'var(--color-border)', margin: '4px 0' }} />
+
+      <div style={{ color: 'var(--color-text-secondary)', fontSize: '12px', display: 'flex', flexDirection: 'column', gap: '6px' }}>
+        <span>Preset number keys are assigned in the Presets list.</span>
+        <span>
+          Gamepads: {gamepadCount > 0 ? `${gamepadCount} connected` : 'none (press a button on the pad to wake it)'}
+        </span>
+        {hid.supported ? (
+          <span style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+            HID devices: {hid.devices.length > 0 ? hid.devices.map(d => d.productName || 'Unnamed').join(', ') : 'none'}
+            <button className="btn-base btn-pill" style={{ padding: '2px 10px', fontSize: '11px' }} onClick={hid.connect}>
+              Connect HID…
+            </button>
+          </span>
+        ) : (
+          <span>WebHID isn't available in this browser; pedals that act as keyboards still work.</span>
+        )}
+      </div>
+    </div>
+  );
+};
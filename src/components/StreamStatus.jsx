@@ -0,0 +1,112 @@
+import React from 'react';
+
+// What to tell the user for each error kind (see utils/streamErrors), and which fixes to offer
+const ERROR_HELP = {
+  permission: {
+    title: 'Camera access is blocked',
+    text: 'Allow the camera for this site (camera icon in the address bar, or the browser\'s site settings), then try again.'
+  },
+  insecure: {
+    title: 'Camera needs a secure page',
+    text: 'Browsers only allow cameras on https:// or localhost. Open the app from one of those.'
+  },
+  busy: {
+    title: 'Camera is in use',
+    text: 'Another app or tab may be holding the microscope (video calls, other camera apps). Close it and try again, or use a lower resolution.',
+    lowRes: true
+  },
+  overconstrained: {
+    title: 'Camera can\'t deliver this format',
+    text: 'The camera rejected the requested resolution. Compatibility mode asks for a smaller, common format.',
+    lowRes: true
+  },
+  notFound: {
+    title: 'No camera found',
+    text: 'Plug in the microscope. It connects by itself once the system sees it.'
+  },
+  unknown: {
+    title: 'Failed to connect',
+    text: 'Try again, or pick another camera.'
+  }
+};
+
+// Replaces the live view once connecting has given up.
+export const StreamErrorPanel = ({ error, compatibilityMode, onRetry, onCompatibilityMode }) => {
+  const help = ERROR_HELP[error.kind] || ERROR_HELP.unknown;
+  return (
+    <div className="glass-panel" style={{
+      maxWidth: '420px',
+      padding: '24px',
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '12px',
+      textAlign: 'center'
+    }}>
+      <h2 style={{ fontSize: '18px', fontWeight: 600, color: 'var(--color-danger)' }}>{help.title}</h2>
+      <p style={{ fontSize: '14px' }}>{help.text}</p>
+      <p style={{ fontSize: '11px', color: 'var(--color-text-secondary)', fontFamily: 'monospace' }}>
+        {error.name}: {error.message}
+      </p>
+      <div style={{ display: 'flex', gap: '8px', justifyContent: 'center' }}>
+        {error.kind !== 'insecure' && (
+          <button className="btn-primary" onClick={onRetry}>Try again</button>
+        )}
+        {help.lowRes && !compatibilityMode && (
+          <button className="btn-base btn-pill" onClick={onCompatibilityMode}>Use low resolution</button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Over the (blank) live view while a lost camera is being reopened, and as a small
+// badge while a connected camera has paused its frames.
+export const ReconnectOverlay = ({ connection, onRetryNow }) => {
+  if (connection.status === 'live') {
+    if (!connection.muted) return null;
+    return (
+      <div style={{
+        position: 'absolute',
+        top: '10px',
+        left: '50%',
+        transform: 'translateX(-50%)',
+        background: 'rgba(0,0,0,0.7)',
+        color: 'var(--color-primary)',
+        padding: '4px 10px',
+        borderRadius: '4px',
+        fontSize: '12px',
+        pointerEvents: 'none',
+        zIndex: 30
+      }}>
+        Camera paused the video…
+      </div>
+    );
+  }
+  if (connection.status !== 'reconnecting') return null;
+
+  return (
+    <div style={{
+      position: 'absolute',
+      top: 0, left: 0, right: 0, bottom: 0,
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      background: 'rgba(0,0,0,0.6)',
+      zIndex: 30
+    }}>
+      <div className="glass-panel" style={{ padding: '20px 24px', textAlign: 'center', display: 'flex', flexDirection: 'column', gap: '8px' }}>
+        <p style={{ fontWeight: 600 }}>Reconnecting…</p>
+        <p style={{ fontSize: '13px', color: 'var(--color-text-secondary)' }}>
+          {connection.reason}
+          {connection.failures > 1 ? ` · attempt ${connection.failures}` : ''}
+        </p>
+        {connection.error && (
+          <p style={{ fontSize: '11px', color: 'var(--color-text-secondary)', fontFamily: 'monospace' }}>
+            {connection.error.name}: {connection.error.message}
+          </p>
+        )}
+        <button className="btn-base btn-pill" style={{ alignSelf: 'center' }} onClick={onRetryNow}>Retry now</button>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,57 @@
+import React from 'react';
+
+// Draggable vertical divider for the swipe compare mode.
+// box: the view's layout box; position: 0..1 across it.
+export const SwipeDivider = ({ box, position, onChange }) => {
+  const update = (e) => {
+    const rect = e.currentTarget.parentElement.getBoundingClientRect();
+    const x = e.clientX - rect.left - box.left;
+    onChange(Math.max(0, Math.min(1, x / box.width)));
+  };
+
+  const handlePointerDown = (e) => {
+    // Keep the drag away from pan/zoom gestures underneath
+    e.stopPropagation();
+    e.preventDefault();
+    e.currentTarget.setPointerCapture(e.pointerId);
+  };
+
+  const handlePointerMove = (e) => {
+    if (e.currentTarget.hasPointerCapture(e.pointerId)) update(e);
+  };
+
+  return (
+    <div
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      style={{
+        position: 'absolute',
+        left: `${box.left + position * box.width - 12}px`,
+        top: `${box.top}px`,
+        width: '24px',
+        height: `${box.height}px`,
+        cursor: 'ew-resize',
+        touchAction: 'none',
+        display: 'flex',
+        justifyContent: 'center',
+        alignItems: 'center'
+      }}
+    >
+      <div style={{ position: 'absolute', top: 0, bottom: 0, width: '2px', background: 'var(--color-primary)' }} />
+      <div style={{
+        width: '20px',
+        height: '32px',
+        borderRadius: '10px',
+        background: 'var(--color-primary)',
+        color: 'black',
+        fontSize: '10px',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 1
+      }}>
+        ⇔
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,181 @@
+import React, { useState, useEffect } from 'react';
+
+const inputStyle = {
+  width: '64px',
+  background: 'none',
+  color: 'white',
+  border: '1px solid var(--color-border)',
+  borderRadius: '4px',
+  padding: '4px'
+};
+
+const rowStyle = { display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '8px' };
+
+const formatDuration = (ms) => {
+  const total = Math.max(0, Math.round(ms / 1000));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = total % 60;
+  return h > 0 ? `${h}h ${String(m).padStart(2, '0')}m` : `${m}m ${String(s).padStart(2, '0')}s`;
+};
+
+// Ticks once a second while a run is active so the countdown stays live
+const useNow = (enabled) => {
+  const [now, setNow] = useState(() => Date.now());
+  useEffect(() => {
+    if (!enabled) return;
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [enabled]);
+  return now;
+};
+
+export const TimelapsePanel = ({ timelapse, onMakeVideo, onClose }) => {
+  const { runs, activeRun, job, jobError, captureError, start, stop, remove, downloadZip } = timelapse;
+  const [intervalSec, setIntervalSec] = useState(10);
+  const [autoStop, setAutoStop] = useState(true);
+  const [limitType, setLimitType] = useState('frames');
+  const [limitValue, setLimitValue] = useState(360);
+  const [fps, setFps] = useState(24);
+  const now = useNow(!!activeRun);
+
+  const handleStart = () => {
+    start({
+      intervalMs: intervalSec * 1000,
+      autoStop,
+      // Duration is entered in minutes
+      limit: { type: limitType, value: limitType === 'duration' ? limitValue * 60000 : limitValue }
+    });
+  };
+
+  const finishedRuns = runs.filter(r => r.status !== 'running');
+
+  return (
+    <div className="glass-panel" style={{
+      position: 'absolute',
+      bottom: '20px',
+      left: '50%',
+      transform: 'translateX(-50%)',
+      padding: '16px',
+      zIndex: 35,
+      width: '360px',
+      maxHeight: '60vh',
+      overflowY: 'auto',
+      fontSize: '13px',
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '10px'
+    }}>
+      <div style={rowStyle}>
+        <strong>Time-lapse</strong>
+        <button
+          onClick={onClose}
+          style={{ background: 'none', border: 'none', color: 'var(--color-text-secondary)', cursor: 'pointer' }}
+        >
+          ✕
+        </button>
+      </div>
+
+      {activeRun ? (
+        <>
+          <div style={{ color: 'var(--color-text-secondary)' }}>
+            <p>{activeRun.capturedCount} frames · running {formatDuration(now - activeRun.createdAt)}</p>
+            {activeRun.lastCaptureAt && (
+              <p>Next frame in {formatDuration(activeRun.lastCaptureAt + activeRun.intervalMs - now)}</p>
+            )}
+            {activeRun.autoStop && (
+              <p>
+                Stops after {activeRun.limit.type === 'frames'
+                  ? `${activeRun.limit.value} frames`
+                  : formatDuration(activeRun.limit.value)}
+              </p>
+            )}
+            {captureError && <p style={{ color: 'var(--color-danger)' }}>{captureError} Retrying…</p>}
+          </div>
+          <button className="btn-base btn-pill" style={{ borderColor: 'var(--color-danger)' }} onClick={stop}>
+            Stop
+          </button>
+        </>
+      ) : (
+        <>
+          <label style={rowStyle}>
+            Interval (s)
+            <input type="number" min="1" value={intervalSec}
+              onChange={(e) => setIntervalSec(Math.max(1, parseFloat(e.target.value) || 1))}
+              style={inputStyle} />
+          </label>
+
+          <label style={rowStyle}>
+            Auto-stop
+            <input type="checkbox" checked={autoStop} onChange={(e) => setAutoStop(e.target.checked)}
+              style={{ accentColor: 'var(--color-primary)' }} />
+          </label>
+
+          {autoStop && (
+            <div style={rowStyle}>
+              <select
+                value={limitType}
+                onChange={(e) => setLimitType(e.target.value)}
+                style={{ ...inputStyle, width: 'auto' }}
+              >
+                <option value="frames" style={{ color: 'black' }}>After frames</option>
+                <option value="duration" style={{ color: 'black' }}>After minutes</option>
+              </select>
+              <input type="number" min="1" value={limitValue}
+                onChange={(e) => setLimitValue(Math.max(1, parseInt(e.target.value, 10) || 1))}
+                style={inputStyle} />
+            </div>
+          )}
+
+          <button className="btn-base btn-pill" style={{ borderColor: 'var(--color-primary)' }} onClick={handleStart}>
+            Start Time-lapse
+          </button>
+        </>
+      )}
+
+      {finishedRuns.length > 0 && (
+        <>
+          <div style={{ height: '1px', background: 'var(--color-border)', margin: '4px 0' }} />
+          <label style={rowStyle}>
+            Playback fps
+            <input type="number" min="1" max="60" value={fps}
+              onChange={(e) => setFps(Math.max(1, Math.min(60, parseInt(e.target.value, 10) || 1)))}
+              style={inputStyle} />
+          </label>
+
+          {finishedRuns.map(run => {
+            const running = job?.runId === run.id;
+            return (
+              <div key={run.id} style={{ ...rowStyle, fontSize: '12px' }}>
+                <span style={{ color: 'var(--color-text-secondary)' }}>
+                  {new Date(run.createdAt).toLocaleString()} · {run.capturedCount} frames
+                  {running && ` · ${job.kind === 'video' ? 'encoding' : 'zipping'} ${Math.round(job.progress * 100)}%`}
+                  {run.stopReason && <span style={{ color: 'var(--color-danger)' }}> · Stopped: {run.stopReason}</span>}
+                  {jobError?.runId === run.id && <span style={{ color: 'var(--color-danger)' }}> · {jobError.message}</span>}
+                </span>
+                <span style={{ display: 'flex', gap: '4px' }}>
+                  <button className="btn-base btn-pill" style={{ padding: '4px 8px', fontSize: '11px' }}
+                    disabled={!!job || run.capturedCount === 0}
+                    onClick={() => onMakeVideo(run.id, fps)}
+                    title={`~${formatDuration((run.capturedCount / fps) * 1000)} of video, encoded in real time`}>
+                    Video
+                  </button>
+                  <button className="btn-base btn-pill" style={{ padding: '4px 8px', fontSize: '11px' }}
+                    disabled={!!job || run.capturedCount === 0}
+                    onClick={() => downloadZip(run.id)}>
+                    ZIP
+                  </button>
+                  <button className="btn-base btn-pill" style={{ padding: '4px 8px', fontSize: '11px' }}
+                    disabled={running}
+                    onClick={() => window.confirm('Delete this time-lapse and all its frames?') && remove(run.id)}>
+                    ✕
+                  </button>
+                </span>
+              </div>
+            );
+          })}
+        </>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,68 @@
+import React from 'react';
+import { modeKey, formatMode, parseModeKey } from '../utils/videoModes';
+
+const AUTO = 'auto';
+const COMPAT = 'compat';
+
+// Header picker for the stream's resolution / frame rate. "Best" is the old HD request,
+// "Compatibility" the old LOW RES one; the rest are modes probed on this device.
+// modeError: a picked mode the camera refused (see useCamera), shown until the next pick.
+export const VideoModePicker = ({ videoModes, videoMode, modeError, onVideoModeChange, compatibilityMode, onCompatibilityModeChange, disabled }) => {
+  const { modes, detected, scanning, rescan } = videoModes;
+  const value = compatibilityMode ? COMPAT : videoMode || AUTO;
+  // Keep a saved choice selectable even before this device was probed
+  const saved = videoMode && !modes.some(m => modeKey(m) === videoMode) ? parseModeKey(videoMode) : null;
+
+  const handleChange = (e) => {
+    const next = e.target.value;
+    onCompatibilityModeChange(next === COMPAT);
+    if (next !== COMPAT) onVideoModeChange(next === AUTO ? null : next);
+  };
+
+  return (
+    <div style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+      <select
+        value={value}
+        onChange={handleChange}
+        disabled={disabled || scanning}
+        title="Camera resolution and frame rate"
+        style={{
+          background: compatibilityMode ? 'var(--color-primary)' : 'none',
+          border: '1px solid var(--color-border)',
+          color: compatibilityMode ? 'black' : 'white',
+          padding: '8px 12px',
+          borderRadius: 'var(--radius-md)',
+          outline: 'none',
+          fontSize: '0.9rem',
+          cursor: 'pointer'
+        }}
+      >
+        <option value={AUTO} style={{ color: 'black' }}>{scanning ? 'Scanning modes…' : 'Best (HD)'}</option>
+        <option value={COMPAT} style={{ color: 'black' }}>Compatibility (Low Res)</option>
+        {saved && <option value={videoMode} style={{ color: 'black' }}>{formatMode(saved)}</option>}
+        {modes.map(mode => (
+          <option key={modeKey(mode)} value={modeKey(mode)} style={{ color: 'black' }}>
+            {formatMode(mode)}{mode.native ? '' : ' (frames dropped)'}
+          </option>
+        ))}
+      </select>
+      <button
+        className="btn-base btn-pill"
+        onClick={rescan}
+        disabled={!rescan || scanning || disabled}
+        title={`${detected ? 'Scan the camera\'s modes again' : 'Detect the camera\'s modes'} (the picture switches briefly)`}
+        style={{ padding: '8px 10px' }}
+      >
+        {detected ? '↻' : 'Detect modes'}
+      </button>
+      {modeError && (
+        <span
+          style={{ fontSize: '11px', color: 'var(--color-danger)', maxWidth: '160px' }}
+          title={`${modeError.error.name}: ${modeError.error.message}`}
+        >
+          {formatMode(parseModeKey(modeError.mode))} refused, using Best
+        </span>
+      )}
+    </div>
+  );
+};
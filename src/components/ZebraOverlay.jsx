@@ -0,0 +1,33 @@
+import React, { useRef, useEffect } from 'react';
+
+// Clipping stripes from useScopes, stretched over the viewport. The mask covers exactly
+// the visible region, which is the <video>'s untransformed layout box.
+export const ZebraOverlay = ({ zebra, layout }) => {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !zebra) return;
+    canvas.width = zebra.width;
+    canvas.height = zebra.height;
+    canvas.getContext('2d').putImageData(zebra, 0, 0);
+  }, [zebra]);
+
+  if (!layout) return null;
+
+  return (
+    <canvas
+      ref={canvasRef}
+      style={{
+        position: 'absolute',
+        left: `${layout.box.left}px`,
+        top: `${layout.box.top}px`,
+        width: `${layout.box.width}px`,
+        height: `${layout.box.height}px`,
+        imageRendering: 'pixelated',
+        pointerEvents: 'none',
+        zIndex: 4
+      }}
+    />
+  );
+};
@@ -0,0 +1,79 @@
+import { useState, useEffect, useCallback } from 'react';
+
+// Scale calibration profiles, one per objective / optical zoom setting, stored per device
+// next to camera_settings_${deviceId}.
+// { activeId, profiles: [{ id, name, pxPerUm, sensorWidth, sensorHeight, date }] }
+const storageKey = (deviceId) => `camera_calibration_${deviceId}`;
+
+const EMPTY = { activeId: null, profiles: [] };
+
+const load = (deviceId) => {
+  if (!deviceId) return EMPTY;
+  try {
+    const saved = localStorage.getItem(storageKey(deviceId));
+    return saved ? { ...EMPTY, ...JSON.parse(saved) } : EMPTY;
+  } catch (e) {
+    console.error("Failed to parse calibration", e);
+    return EMPTY;
+  }
+};
+
+export const useCalibration = (deviceId, sensorWidth) => {
+  const [calibration, setCalibration] = useState(EMPTY);
+
+  useEffect(() => {
+    setCalibration(load(deviceId));
+  }, [deviceId]);
+
+  const update = useCallback((updater) => {
+    setCalibration(prev => {
+      const next = updater(prev);
+      if (deviceId) localStorage.setItem(storageKey(deviceId), JSON.stringify(next));
+      return next;
+    });
+  }, [deviceId]);
+
+  const addProfile = useCallback((name, pxPerUm, sensor) => {
+    const profile = {
+      id: `cal-${Date.now()}`,
+      name,
+      pxPerUm,
+      sensorWidth: sensor.width,
+      sensorHeight: sensor.height,
+      date: Date.now()
+    };
+    update(prev => ({
+      activeId: profile.id,
+      // Re-calibrating an existing name replaces it
+      profiles: [...prev.profiles.filter(p => p.name !== name), profile]
+    }));
+  }, [update]);
+
+  const removeProfile = useCallback((id) => {
+    update(prev => ({
+      activeId: prev.activeId === id ? null : prev.activeId,
+      profiles: prev.profiles.filter(p => p.id !== id)
+    }));
+  }, [update]);
+
+  const setActiveProfileId = useCallback((id) => {
+    update(prev => ({ ...prev, activeId: id || null }));
+  }, [update]);
+
+  const activeProfile = calibration.profiles.find(p => p.id === calibration.activeId) || null;
+
+  // Calibration is in sensor pixels of the resolution it was made at; a different
+  // resolution mode on the same optics scales linearly.
+  const pxPerUm = activeProfile && sensorWidth
+    ? activeProfile.pxPerUm * (sensorWidth / activeProfile.sensorWidth)
+    : activeProfile?.pxPerUm || null;
+
+  return {
+    profiles: calibration.profiles,
+    activeProfile,
+    pxPerUm,
+    addProfile,
+    removeProfile,
+    setActiveProfileId
+  };
+};
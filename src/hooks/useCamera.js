@@ -1,13 +1,37 @@
 import { useState, useEffect, useRef, useCallback } from 'react';
-
-export const useCamera = () => {
+import { renderViewport, renderRawFrame, canvasToBlob, createThumbnail, getSourceSize } from '../utils/capture';
+import { createViewportRecorder } from '../utils/recording';
+import { classifyStreamError, TRANSIENT_ERROR_KINDS } from '../utils/streamErrors';
+import { parseModeKey, describeConstraints } from '../utils/videoModes';
+
+// Wait before each reconnect attempt (ms); the last delay repeats until the camera is back
+const RECONNECT_DELAYS = [500, 1000, 2000, 4000, 8000];
+// No new frame for this long while the video should be playing counts as a stall
+const STALL_MS = 4000;
+
+// videoRef: the <video> showing the stream, watched for stalls.
+export const useCamera = (videoRef) => {
   const [stream, setStream] = useState(null);
   const [devices, setDevices] = useState([]);
   const [selectedDeviceId, setSelectedDeviceId] = useState('');
-  const [error, setError] = useState(null);
   const [isRecording, setIsRecording] = useState(false);
-  const mediaRecorderRef = useRef(null);
-  const recordedChunksRef = useRef([]);
+  const recorderRef = useRef(null);
+
+  /* Connection state */
+  // status: connecting | live | reconnecting | error
+  // Tagged with the request it answers; key null = not tied to a device (permission prompt)
+  const [connection, setConnection] = useState({ key: null, status: 'connecting', error: null });
+  // Bumped to open the stream again (retry, reconnect)
+  const [attempt, setAttempt] = useState(0);
+  const reconnectTimerRef = useRef(null);
+  const failuresRef = useRef(0);
+  const lostRef = useRef(false); // was live, trying to get back
+  const lostLabelRef = useRef(null);
+  const connectionRef = useRef(connection);
+
+  useEffect(() => {
+    connectionRef.current = connection;
+  }, [connection]);
 
   // Enumerate devices
   const getDevices = useCallback(async () => {
@@ -19,40 +43,71 @@ export const useCamera = () => {
       // If we don't have a selected device yet, pick the first one
       if (!selectedDeviceId && videoDevices.length > 0) {
           setSelectedDeviceId(videoDevices[0].deviceId);
+      } else if (selectedDeviceId && lostRef.current && !videoDevices.some(d => d.deviceId === selectedDeviceId)) {
+          // Some platforms give a replugged camera a new id; find it again by name
+          const replugged = lostLabelRef.current && videoDevices.find(d => d.label === lostLabelRef.current);
+          if (replugged) setSelectedDeviceId(replugged.deviceId);
       }
     } catch (err) {
       console.error("Error enumerating devices:", err);
     }
   }, [selectedDeviceId]);
 
-  // Initial device scan & Permission Trigger
-  useEffect(() => {
-    const init = async () => {
-        try {
-            // Check if we have labels (implies permission granted)
-            const initialDevices = await navigator.mediaDevices.enumerateDevices();
-            const hasLabels = initialDevices.some(d => d.kind === 'videoinput' && d.label);
-
-            if (!hasLabels) {
-                // Force permission prompt
-                console.log("Requesting initial permission...");
-                const tempStream = await navigator.mediaDevices.getUserMedia({ video: true });
-                // We got permission! cleanup temp stream
-                tempStream.getTracks().forEach(t => t.stop());
-            }
-        } catch (e) {
-            console.warn("Permission check failed:", e);
-        } finally {
-            // Always refresh list
-            getDevices();
+  // Permission prompt. Without permission there are no device ids to open,
+  // so the stream effect would never get to report the denial itself.
+  const requestAccess = useCallback(async () => {
+    try {
+        // Check if we have labels (implies permission granted)
+        const initialDevices = await navigator.mediaDevices.enumerateDevices();
+        const hasLabels = initialDevices.some(d => d.kind === 'videoinput' && d.label);
+
+        if (!hasLabels) {
+            // Force permission prompt
+            console.log("Requesting initial permission...");
+            const tempStream = await navigator.mediaDevices.getUserMedia({ video: true });
+            // We got permission! cleanup temp stream
+            tempStream.getTracks().forEach(t => t.stop());
         }
-    };
-
-    init();
-    navigator.mediaDevices.addEventListener('devicechange', getDevices);
-    return () => navigator.mediaDevices.removeEventListener('devicechange', getDevices);
+    } catch (e) {
+        console.warn("Permission check failed:", e);
+        const error = classifyStreamError(e);
+        if (error.kind === 'permission' || error.kind === 'insecure') {
+            setConnection({ key: null, status: 'error', error });
+        }
+    } finally {
+        // Always refresh list
+        if (navigator.mediaDevices) getDevices();
+    }
   }, [getDevices]);
 
+  // Reopen the current device now, skipping any backoff wait
+  const refreshStream = useCallback(() => {
+    clearTimeout(reconnectTimerRef.current);
+    failuresRef.current = 0;
+    if (!selectedDeviceId) {
+        setConnection({ key: null, status: 'connecting', error: null });
+        requestAccess();
+        return;
+    }
+    setAttempt(n => n + 1);
+  }, [selectedDeviceId, requestAccess]);
+
+  // A replugged microscope shows up here: don't wait out the backoff
+  const handleDeviceChange = useCallback(() => {
+    getDevices();
+    const { status, error } = connectionRef.current;
+    if (status === 'reconnecting' || (status === 'error' && TRANSIENT_ERROR_KINDS.includes(error?.kind))) {
+        refreshStream();
+    }
+  }, [getDevices, refreshStream]);
+
+  // Initial device scan & Permission Trigger
+  useEffect(() => {
+    requestAccess();
+    navigator.mediaDevices?.addEventListener('devicechange', handleDeviceChange);
+    return () => navigator.mediaDevices?.removeEventListener('devicechange', handleDeviceChange);
+  }, [requestAccess, handleDeviceChange]);
+
   // Update device list labels once we have permission (stream active)
   useEffect(() => {
     if (stream && !devices.some(d => d.label)) {
@@ -62,16 +117,99 @@ export const useCamera = () => {
 
   /* Debug & Recovery */
   const [compatibilityMode, setCompatibilityMode] = useState(false);
+  // Picked resolution/fps as a mode key (utils/videoModes); null = best the camera offers
+  const [videoMode, setVideoMode] = useState(null);
+  // A picked mode the camera refused: { mode (key), error (classified) }. The stream goes
+  // back to the best mode instead, so the picker never claims a mode that isn't running.
+  const [modeError, setModeError] = useState(null);
+
+  const selectVideoMode = useCallback((mode) => {
+    setModeError(null);
+    setVideoMode(mode);
+  }, []);
   const [debugInfo, setDebugInfo] = useState(null);
 
-  // Monitor stream health
+  // Try again after a backoff; `reason` says what went wrong for the UI
+  const scheduleReconnect = useCallback((reason, error = null) => {
+    clearTimeout(reconnectTimerRef.current);
+    const delay = RECONNECT_DELAYS[Math.min(failuresRef.current, RECONNECT_DELAYS.length - 1)];
+    failuresRef.current += 1;
+    lostRef.current = true;
+    setConnection(prev => ({ key: prev.key, status: 'reconnecting', reason, error, failures: failuresRef.current }));
+    reconnectTimerRef.current = setTimeout(() => setAttempt(n => n + 1), delay);
+  }, []);
+
+  // A live stream died (unplugged, stalled): let it go and start reconnecting
+  const dropStream = useCallback((reason) => {
+    setStream(prev => {
+        if (prev) {
+            lostLabelRef.current = prev.getVideoTracks()[0]?.label || lostLabelRef.current;
+            prev.getTracks().forEach(track => track.stop());
+        }
+        return null;
+    });
+    scheduleReconnect(reason);
+  }, [scheduleReconnect]);
+
+  useEffect(() => () => clearTimeout(reconnectTimerRef.current), []);
+
+  // Track events: 'ended' is a camera gone for good (unplugged, revoked); 'mute' is the
+  // source pausing frames, which often recovers by itself, so it only flags the state and
+  // the stall check below decides when to give up on it.
+  useEffect(() => {
+    const track = stream?.getVideoTracks()[0];
+    if (!track) return;
+
+    const handleEnded = () => dropStream('Camera disconnected');
+    const handleMute = () => setConnection(prev => ({ ...prev, muted: true }));
+    const handleUnmute = () => setConnection(prev => ({ ...prev, muted: false }));
+
+    track.addEventListener('ended', handleEnded);
+    track.addEventListener('mute', handleMute);
+    track.addEventListener('unmute', handleUnmute);
+    return () => {
+        track.removeEventListener('ended', handleEnded);
+        track.removeEventListener('mute', handleMute);
+        track.removeEventListener('unmute', handleUnmute);
+    };
+  }, [stream, dropStream]);
+
+  // Monitor stream health: debug info once a second, and stalls from real frame timestamps.
+  // requestVideoFrameCallback fires per presented frame; where it's missing, a moving
+  // currentTime is the next best sign of life.
   useEffect(() => {
     if (!stream) {
         setDebugInfo(null);
         return;
     }
 
+    const video = videoRef?.current;
+    const hasFrameCallback = !!video && 'requestVideoFrameCallback' in video;
+    let lastFrameAt = performance.now();
+    let lastMediaTime = null;
+    let lastCurrentTime = video?.currentTime;
+    let frames = 0;
+    let lastCheck = performance.now();
+    let callbackId = null;
+
+    const onFrame = (now, metadata) => {
+        // Some drivers keep repeating the last frame when the sensor hangs
+        if (metadata.mediaTime !== lastMediaTime) {
+            lastMediaTime = metadata.mediaTime;
+            lastFrameAt = now;
+            frames++;
+        }
+        callbackId = video.requestVideoFrameCallback(onFrame);
+    };
+    if (hasFrameCallback) callbackId = video.requestVideoFrameCallback(onFrame);
+
     const interval = setInterval(() => {
+        const now = performance.now();
+        if (video && !hasFrameCallback && video.currentTime !== lastCurrentTime) {
+            lastCurrentTime = video.currentTime;
+            lastFrameAt = now;
+        }
+
         const videoTrack = stream.getVideoTracks()[0];
         if (videoTrack) {
             const settings = videoTrack.getSettings();
@@ -82,26 +220,47 @@ export const useCamera = () => {
                 width: settings.width,
                 height: settings.height,
                 frameRate: settings.frameRate,
+                requested: describeConstraints(videoTrack.getConstraints()),
+                // What actually reaches the page, vs. what the track claims
+                deliveredFps: hasFrameCallback ? (frames * 1000) / (now - lastCheck) : null,
                 label: videoTrack.label
             });
         }
+        frames = 0;
+        lastCheck = now;
+
+        // A paused element (frozen for calibration) or a hidden tab gets no frames on purpose
+        if (!video || video.paused || document.hidden) {
+            lastFrameAt = now;
+            return;
+        }
+        if (now - lastFrameAt > STALL_MS) {
+            console.warn("Video stalled, reconnecting");
+            dropStream('No new frames from the camera');
+        }
     }, 1000);
 
-    return () => clearInterval(interval);
-  }, [stream]);
+    return () => {
+        clearInterval(interval);
+        if (callbackId !== null) video.cancelVideoFrameCallback(callbackId);
+    };
+  }, [stream, videoRef, dropStream]);
 
   // Stream Management
   useEffect(() => {
-    console.log("Stream Effect Triggered. Device:", selectedDeviceId, "Compat:", compatibilityMode);
+    console.log("Stream Effect Triggered. Device:", selectedDeviceId, "Compat:", compatibilityMode, "Mode:", videoMode);
     if (!selectedDeviceId) return;
 
     let mounted = true;
     let newStream = null;
+    const key = `${selectedDeviceId}|${compatibilityMode}|${videoMode}|${attempt}`;
+    const mode = parseModeKey(videoMode);
 
     const startStream = async () => {
       try {
         console.log(`Requesting stream for ${selectedDeviceId}...`);
 
+        // Compatibility mode wins over a picked mode: it's the way out when that mode fails
         const constraints = compatibilityMode
             ? {
                 deviceId: { exact: selectedDeviceId },
@@ -109,6 +268,13 @@ export const useCamera = () => {
                 height: { ideal: 480 },
                 frameRate: { ideal: 30 }
               }
+            : mode
+            ? {
+                deviceId: { exact: selectedDeviceId },
+                width: { exact: mode.width },
+                height: { exact: mode.height },
+                frameRate: { exact: mode.frameRate }
+              }
             : {
                 deviceId: { exact: selectedDeviceId },
                 width: { ideal: 1920 },
@@ -119,6 +285,14 @@ export const useCamera = () => {
             newStream = await navigator.mediaDevices.getUserMedia({ video: constraints });
         } catch (err) {
             console.warn("Primary constraints failed", err);
+            if (mode && !compatibilityMode) {
+                // Reopens with the best mode; the old stream keeps running until then
+                if (mounted) {
+                    setModeError({ mode: videoMode, error: classifyStreamError(err) });
+                    setVideoMode(null);
+                }
+                return;
+            }
             // hard last resort: minimal constraints
             newStream = await navigator.mediaDevices.getUserMedia({ video: { deviceId: { exact: selectedDeviceId } } });
         }
@@ -138,16 +312,28 @@ export const useCamera = () => {
                 }
                 return newStream;
             });
-            setError(null);
+            failuresRef.current = 0;
+            lostRef.current = false;
+            setConnection({ key, status: 'live', error: null });
         } else {
             // Unmounted during request
             newStream.getTracks().forEach(track => track.stop());
         }
       } catch (err) {
         console.error("Error starting stream:", err);
-        if (mounted) {
-            setError(`Failed to connect: ${err.message}`);
-            setStream(null);
+        if (!mounted) return;
+        const error = classifyStreamError(err);
+        setStream(prevStream => {
+            prevStream?.getTracks().forEach(track => track.stop());
+            return null;
+        });
+        // While the camera is away (unplugged, held by a driver reset) keep trying;
+        // a first-time failure waits for the user instead
+        if (lostRef.current && TRANSIENT_ERROR_KINDS.includes(error.kind)) {
+            scheduleReconnect('Waiting for the camera to come back', error);
+        } else {
+            lostRef.current = false;
+            setConnection({ key, status: 'error', error });
         }
       }
     };
@@ -168,7 +354,7 @@ export const useCamera = () => {
         // We let the setStream callback handle the cleanup of the *replaced* stream.
         // OR we trust the "newStream" logic to close the old one.
     };
-  }, [selectedDeviceId, compatibilityMode]);
+  }, [selectedDeviceId, compatibilityMode, videoMode, attempt, scheduleReconnect]);
 
   // Cleanup on unmount only
   useEffect(() => {
@@ -179,57 +365,43 @@ export const useCamera = () => {
     };
   }, [stream]);
 
-  const refreshStream = useCallback(() => {
-      // Force a re-run of the effect by briefly clearing selection??
-      // Or better, just move the startStream logic to a function we can call.
-      // For simplicity, let's just trigger a re-selection logic.
-      const current = selectedDeviceId;
-      setSelectedDeviceId('');
-      setTimeout(() => setSelectedDeviceId(current), 100);
-  }, [selectedDeviceId]);
+  // Answers for an older request (other device, mode or attempt) mean a new one is under way
+  const requestKey = `${selectedDeviceId}|${compatibilityMode}|${videoMode}|${attempt}`;
+  const current = connection.key === null || connection.key === requestKey || connection.status === 'reconnecting'
+    ? connection
+    : { status: 'connecting', error: null };
 
-  const takePhoto = useCallback((videoElement) => {
-    if (!videoElement) return null;
-    const canvas = document.createElement('canvas');
-    canvas.width = videoElement.videoWidth;
-    canvas.height = videoElement.videoHeight;
-    const ctx = canvas.getContext('2d');
+  // Without a view this returns the untouched sensor frame.
+  // With a view ({ filters, pan, aspectRatio }) it bakes in exactly what the viewport shows.
+  // Resolves to { blob, thumbnail } so captures can go straight into the media store.
+  // videoElement: the <video>, or any frame source drawn from it (denoised or averaged canvas)
+  const takePhoto = useCallback(async (videoElement, view) => {
+    if (!videoElement || !getSourceSize(videoElement).width) return null;
 
-    // Check if we need to mirror (for front cameras usually, but let's keep it raw for microscope)
-    // For microscopes, usually direct feed is best.
-    ctx.drawImage(videoElement, 0, 0);
+    // For microscopes the direct feed is best, so no mirroring here.
+    const canvas = view ? renderViewport(videoElement, view) : renderRawFrame(videoElement);
 
-    return canvas.toDataURL('image/png');
+    const [blob, thumbnail] = await Promise.all([canvasToBlob(canvas), createThumbnail(canvas)]);
+    return { blob, thumbnail };
   }, []);
 
-  const startRecording = useCallback(() => {
-    if (!stream) return;
-    recordedChunksRef.current = [];
-    const mediaRecorder = new MediaRecorder(stream);
-
-    mediaRecorder.ondataavailable = (event) => {
-      if (event.data.size > 0) {
-        recordedChunksRef.current.push(event.data);
-      }
-    };
+  // Records the processed viewport rather than the raw stream.
+  // getView returns the current { filters, pan, aspectRatio } and is polled every frame.
+  const startRecording = useCallback((videoElement, getView) => {
+    if (!stream || !videoElement) return;
 
-    mediaRecorder.start();
+    const frameRate = stream.getVideoTracks()[0]?.getSettings().frameRate || 30;
+    recorderRef.current = createViewportRecorder(videoElement, getView, Math.round(frameRate));
     setIsRecording(true);
-    mediaRecorderRef.current = mediaRecorder;
   }, [stream]);
 
   const stopRecording = useCallback(async () => {
-    return new Promise((resolve) => {
-      if (!mediaRecorderRef.current) return resolve(null);
-
-      mediaRecorderRef.current.onstop = () => {
-        const blob = new Blob(recordedChunksRef.current, { type: 'video/webm' });
-        setIsRecording(false);
-        resolve(window.URL.createObjectURL(blob));
-      };
-
-      mediaRecorderRef.current.stop();
-    });
+    const recorder = recorderRef.current;
+    if (!recorder) return null;
+    recorderRef.current = null;
+    const result = await recorder.stop();
+    setIsRecording(false);
+    return result;
   }, []);
 
   return {
@@ -237,14 +409,20 @@ export const useCamera = () => {
     devices,
     selectedDeviceId,
     setSelectedDeviceId,
-    error,
+    // Classified ({ kind, name, message }, see utils/streamErrors) and only set once we gave up
+    error: current.status === 'error' ? current.error : null,
+    // { status, error, reason, failures, muted } for reconnect / stall indicators
+    connection: current,
     takePhoto,
     startRecording,
     stopRecording,
     isRecording,
-    refreshStream: () => setCompatibilityMode(prev => !prev), // Temporary hack: Refresh now toggles compat mode for testing
+    refreshStream,
     compatibilityMode,
     setCompatibilityMode,
+    videoMode,
+    setVideoMode: selectVideoMode,
+    modeError,
     debugInfo
   };
 };
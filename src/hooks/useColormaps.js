@@ -0,0 +1,29 @@
+import { useState, useMemo, useCallback } from 'react';
+import { CUSTOM_PREFIX, getCustomLuts, setCustomLuts, listColormaps, parseLutFile } from '../utils/colormaps';
+
+// Colormap choices for the false-color pass, and the custom LUTs the user loaded
+// (shared by every device; see utils/colormaps)
+export const useColormaps = () => {
+  const [custom, setCustom] = useState(getCustomLuts);
+
+  const update = useCallback((next) => {
+    setCustomLuts(next);
+    setCustom(next);
+  }, []);
+
+  // Resolves to the new colormap id; throws with a message fit for the user
+  const importLut = useCallback(async (file) => {
+    const { name, colors } = parseLutFile(file.name, await file.text());
+    const lut = { id: `lut-${Date.now().toString(36)}`, name, colors };
+    update([...getCustomLuts(), lut]);
+    return `${CUSTOM_PREFIX}${lut.id}`;
+  }, [update]);
+
+  const removeLut = useCallback((colormapId) => {
+    update(getCustomLuts().filter(l => `${CUSTOM_PREFIX}${l.id}` !== colormapId));
+  }, [update]);
+
+  const colormaps = useMemo(() => listColormaps(custom), [custom]);
+
+  return { colormaps, importLut, removeLut };
+};
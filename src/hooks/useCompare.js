@@ -0,0 +1,123 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { estimateReferenceOffset } from '../utils/compare';
+import { getSourceSize, getViewportRect } from '../utils/capture';
+
+const DEFAULT_SETTINGS = {
+  opacity: 0.5, // overlay
+  gain: 4, // difference amplification
+  blinkMs: 600,
+  swipe: 0.5 // divider position across the view
+};
+
+const NO_OFFSET = { x: 0, y: 0 };
+
+// Compare mode state: which reference, how it is shown, and its alignment to the live feed.
+// reference.kind:
+//   'sensor'  a full sensor frame (frozen frame, raw capture): shown with the live zoom, pan and filters
+//   'view'    a processed capture: already framed and filtered, shown as-is over the view
+export const useCompare = ({ videoRef, takePhoto }) => {
+  const [active, setActive] = useState(false);
+  const [mode, setMode] = useState('side');
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  const [reference, setReference] = useState(null); // { url, kind, label, owned, itemId }
+  const [offset, setOffset] = useState(NO_OFFSET); // reference pixels
+  const [alignStatus, setAlignStatus] = useState(null); // null | 'aligning' | 'failed'
+  const ownedUrlRef = useRef(null);
+
+  // Frozen frames are ours to free; Gallery URLs belong to the media store
+  const replaceReference = useCallback((next) => {
+    if (ownedUrlRef.current) URL.revokeObjectURL(ownedUrlRef.current);
+    ownedUrlRef.current = next?.owned ? next.url : null;
+    setReference(next);
+    setOffset(NO_OFFSET);
+    setAlignStatus(null);
+  }, []);
+
+  useEffect(() => () => {
+    if (ownedUrlRef.current) URL.revokeObjectURL(ownedUrlRef.current);
+  }, []);
+
+  const freezeFrame = useCallback(async () => {
+    if (!videoRef.current) return false;
+    const frame = await takePhoto(videoRef.current);
+    if (!frame) return false;
+    replaceReference({ url: URL.createObjectURL(frame.blob), kind: 'sensor', label: 'Frozen frame', owned: true });
+    return true;
+  }, [videoRef, takePhoto, replaceReference]);
+
+  const selectGalleryItem = useCallback((item) => {
+    replaceReference({
+      url: item.url,
+      kind: item.variant === 'raw' ? 'sensor' : 'view',
+      label: `${item.variant || 'photo'} ${item.date.toLocaleTimeString()}`,
+      owned: false,
+      itemId: item.id
+    });
+  }, [replaceReference]);
+
+  const start = useCallback(async () => {
+    if (await freezeFrame()) setActive(true);
+  }, [freezeFrame]);
+
+  const stop = useCallback(() => {
+    setActive(false);
+    replaceReference(null);
+  }, [replaceReference]);
+
+  const updateSettings = useCallback((changes) => {
+    setSettings(prev => ({ ...prev, ...changes }));
+  }, []);
+
+  const nudge = useCallback((dx, dy) => {
+    setOffset(prev => ({ x: prev.x + dx, y: prev.y + dy }));
+  }, []);
+
+  const resetAlignment = useCallback(() => {
+    setOffset(NO_OFFSET);
+    setAlignStatus(null);
+  }, []);
+
+  // Phase correlation between the reference and the matching part of the live frame
+  const autoAlign = useCallback((referenceImage, view) => {
+    const video = videoRef.current;
+    if (!video || !referenceImage || !reference) return;
+    setAlignStatus('aligning');
+    // Let the "Aligning…" state paint before the FFTs block the thread
+    setTimeout(() => {
+      const { width, height } = getSourceSize(video);
+      const liveRect = reference.kind === 'sensor'
+        ? { x: 0, y: 0, width, height }
+        : getViewportRect(width, height, { zoom: view.filters.zoom, pan: view.pan, aspectRatio: view.aspectRatio });
+      try {
+        const result = estimateReferenceOffset(video, liveRect, referenceImage);
+        if (result) {
+          setOffset(result);
+          setAlignStatus(null);
+        } else {
+          setAlignStatus('failed');
+        }
+      } catch (e) {
+        console.error("Reference alignment failed:", e);
+        setAlignStatus('failed');
+      }
+    }, 0);
+  }, [videoRef, reference]);
+
+  return {
+    active,
+    mode,
+    setMode,
+    settings,
+    updateSettings,
+    reference,
+    freezeFrame,
+    selectGalleryItem,
+    start,
+    stop,
+    offset,
+    nudge,
+    resetAlignment,
+    autoAlign,
+    alignStatus
+  };
+};
@@ -0,0 +1,79 @@
+import { useState, useEffect, useCallback } from 'react';
+import { classifyStreamError } from '../utils/streamErrors';
+
+// Best first. Several HD streams on one USB controller often fail with NotReadableError
+// where smaller ones still fit the bandwidth, so extra cameras step down before giving up.
+const CONSTRAINT_LADDER = [
+  { width: { ideal: 1920 }, height: { ideal: 1080 } },
+  { width: { ideal: 1280 }, height: { ideal: 720 } },
+  { width: { ideal: 640 }, height: { ideal: 480 } }
+];
+
+// Opens one extra camera (the main one stays with useCamera).
+// status: opening | live | busy (in use / can't run alongside the others) | error | ended
+// reduced: opened below the preferred resolution. Pass no deviceId to stay idle.
+export const useDeviceStream = (deviceId) => {
+  const [attempt, setAttempt] = useState(0);
+  // Tagged with what it was opened for, so a new device or retry reads as "opening"
+  const [result, setResult] = useState(null);
+
+  useEffect(() => {
+    if (!deviceId) return;
+    let cancelled = false;
+    let opened = null;
+    const tag = { deviceId, attempt };
+
+    const open = async () => {
+      let lastError = null; // classified
+      for (let i = 0; i < CONSTRAINT_LADDER.length; i++) {
+        try {
+          const stream = await navigator.mediaDevices.getUserMedia({
+            video: { deviceId: { exact: deviceId }, ...CONSTRAINT_LADDER[i] }
+          });
+          if (cancelled) {
+            stream.getTracks().forEach(track => track.stop());
+            return;
+          }
+          opened = stream;
+          stream.getVideoTracks()[0]?.addEventListener('ended', () => {
+            if (!cancelled) setResult({ ...tag, stream: null, status: 'ended', error: 'Camera disconnected' });
+          });
+          setResult({ ...tag, stream, status: 'live', error: null, reduced: i > 0 });
+          return;
+        } catch (e) {
+          lastError = classifyStreamError(e);
+          // Only bandwidth / exclusive-access failures are worth a smaller try
+          if (lastError.kind !== 'busy') break;
+        }
+      }
+      if (cancelled) return;
+      console.warn("Could not open extra camera:", lastError);
+      setResult({
+        ...tag,
+        stream: null,
+        status: lastError?.kind === 'busy' ? 'busy' : 'error',
+        error: lastError?.message || 'Unknown error'
+      });
+    };
+
+    open();
+    return () => {
+      cancelled = true;
+      opened?.getTracks().forEach(track => track.stop());
+    };
+  }, [deviceId, attempt]);
+
+  const retry = useCallback(() => setAttempt(prev => prev + 1), []);
+
+  const current = result && result.deviceId === deviceId && result.attempt === attempt
+    ? result
+    : { stream: null, status: deviceId ? 'opening' : 'idle', error: null };
+
+  return {
+    stream: current.stream,
+    status: current.status,
+    error: current.error,
+    reduced: !!current.reduced,
+    retry
+  };
+};
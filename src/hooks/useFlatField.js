@@ -0,0 +1,149 @@
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { flatFieldId, getFlatField, putFlatField, deleteFlatField } from '../utils/mediaStore';
+import { CALIBRATION_FRAMES, blobToCanvas, createCorrection } from '../utils/flatField';
+import { averageFrames, canvasToBlob } from '../utils/capture';
+
+// Whether correction is on, per device (the frames themselves live in IndexedDB)
+const storageKey = (deviceId) => `camera_flat_field_${deviceId}`;
+
+const loadEnabled = (deviceId) => {
+  try {
+    return JSON.parse(localStorage.getItem(storageKey(deviceId)))?.enabled ?? true;
+  } catch {
+    return true;
+  }
+};
+
+const EMPTY = { id: null, record: null, flat: null, dark: null };
+
+// Flat-field / dark-frame calibration for the selected camera at its current sensor size
+// (see utils/flatField). Each resolution mode keeps its own frames. correction is what the
+// renderers take (view.correction), or null when off or not calibrated.
+export const useFlatField = ({ videoRef, deviceId, sensor }) => {
+  const id = deviceId && sensor?.width && sensor?.height ? flatFieldId(deviceId, sensor.width, sensor.height) : null;
+  // Tagged with the calibration id they were loaded for
+  const [loaded, setLoaded] = useState(EMPTY);
+  const [enabledState, setEnabledState] = useState({ deviceId: null, enabled: true });
+  const [capturing, setCapturing] = useState(null); // { kind: 'flat' | 'dark', progress }
+  const [error, setError] = useState(null);
+
+  const savedEnabled = useMemo(() => (deviceId ? loadEnabled(deviceId) : true), [deviceId]);
+  const enabled = enabledState.deviceId === deviceId ? enabledState.enabled : savedEnabled;
+  const current = loaded.id === id ? loaded : EMPTY;
+
+  useEffect(() => {
+    if (!id) return;
+    let cancelled = false;
+    (async () => {
+      try {
+        const record = await getFlatField(id);
+        const flat = record?.flat ? await blobToCanvas(record.flat) : null;
+        const dark = record?.dark ? await blobToCanvas(record.dark) : null;
+        if (!cancelled) setLoaded({ id, record, flat, dark });
+      } catch (e) {
+        console.error("Failed to load flat-field calibration:", e);
+        if (!cancelled) setLoaded({ ...EMPTY, id });
+      }
+    })();
+    return () => { cancelled = true; };
+  }, [id]);
+
+  // Reading the frames back for the mean is the slow part, so only when they change
+  const prepared = useMemo(() => (
+    current.record ? createCorrection(`${current.id}@${current.record.date}`, current.flat, current.dark) : null
+  ), [current.id, current.record, current.flat, current.dark]);
+
+  const setEnabled = useCallback((next) => {
+    if (!deviceId) return;
+    localStorage.setItem(storageKey(deviceId), JSON.stringify({ enabled: next }));
+    setEnabledState({ deviceId, enabled: next });
+  }, [deviceId]);
+
+  const save = useCallback(async (frames) => {
+    const record = {
+      id,
+      deviceId,
+      width: sensor.width,
+      height: sensor.height,
+      flat: frames.flat,
+      dark: frames.dark,
+      date: Date.now()
+    };
+    if (!record.flat && !record.dark) {
+      await deleteFlatField(id);
+      setLoaded({ ...EMPTY, id });
+      return;
+    }
+    await putFlatField(record);
+    setLoaded({
+      id,
+      record,
+      flat: record.flat ? await blobToCanvas(record.flat) : null,
+      dark: record.dark ? await blobToCanvas(record.dark) : null
+    });
+  }, [id, deviceId, sensor?.width, sensor?.height]);
+
+  const captureFrame = useCallback(async (kind) => {
+    const video = videoRef.current;
+    if (!id || !video || capturing) return;
+    setError(null);
+    setCapturing({ kind, progress: 0 });
+    try {
+      const canvas = await averageFrames(video, {
+        count: CALIBRATION_FRAMES,
+        onProgress: (progress) => setCapturing({ kind, progress })
+      });
+      if (canvas.width !== sensor.width || canvas.height !== sensor.height) {
+        throw new Error('The camera resolution changed during calibration');
+      }
+      const blob = await canvasToBlob(canvas);
+      await save({
+        flat: kind === 'flat' ? blob : current.record?.flat || null,
+        dark: kind === 'dark' ? blob : current.record?.dark || null
+      });
+      // A fresh flat is meant to be seen
+      if (kind === 'flat') setEnabled(true);
+    } catch (e) {
+      console.error("Flat-field capture failed:", e);
+      setError(e.message);
+    } finally {
+      setCapturing(null);
+    }
+  }, [id, videoRef, capturing, sensor?.width, sensor?.height, current.record, save, setEnabled]);
+
+  const clearFrame = useCallback(async (kind) => {
+    if (!id || !current.record) return;
+    setError(null);
+    try {
+      await save({
+        flat: kind === 'flat' ? null : current.record.flat,
+        dark: kind === 'dark' ? null : current.record.dark
+      });
+    } catch (e) {
+      console.error("Failed to clear flat-field calibration:", e);
+      setError(e.message);
+    }
+  }, [id, current.record, save]);
+
+  const captureFlat = useCallback(() => captureFrame('flat'), [captureFrame]);
+  const captureDark = useCallback(() => captureFrame('dark'), [captureFrame]);
+  const clearFlat = useCallback(() => clearFrame('flat'), [clearFrame]);
+  const clearDark = useCallback(() => clearFrame('dark'), [clearFrame]);
+
+  return {
+    available: !!id,
+    sensor: id ? { width: sensor.width, height: sensor.height } : null,
+    hasFlat: !!current.record?.flat,
+    hasDark: !!current.record?.dark,
+    date: current.record?.date || null,
+    enabled,
+    setEnabled,
+    correction: enabled ? prepared : null,
+    capturing,
+    error,
+    captureFlat,
+    captureDark,
+    clearFlat,
+    clearDark
+  };
+};
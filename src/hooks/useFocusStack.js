@@ -0,0 +1,147 @@
+import { useState, useRef, useCallback, useEffect } from 'react';
+import { renderViewport, processViewportImage, canvasToBlob, createThumbnail } from '../utils/capture';
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Lets the driver move the lens before the next frame is grabbed
+const FOCUS_SETTLE_MS = 350;
+
+// Captures a burst (manual focus sweep, or stepped focusDistance where the hardware
+// supports it) and merges it into one all-in-focus image in a Web Worker.
+// Frames are the raw viewport (crop, zoom, flat-field only): filters like sharpen or edge
+// detection would fool the sharpness measure, so they are applied to the merged result.
+export const useFocusStack = ({ videoRef, getView, hardware }) => {
+  const [status, setStatus] = useState('idle'); // idle | capturing | processing
+  const [progress, setProgress] = useState(0);
+  const [error, setError] = useState(null);
+  const cancelledRef = useRef(false);
+  const workerRef = useRef(null);
+
+  const focusRange = hardware?.capabilities?.focusDistance;
+  const canAutoFocus = !!(focusRange && focusRange.max > focusRange.min);
+
+  useEffect(() => () => workerRef.current?.terminate(), []);
+
+  const cancel = useCallback(() => {
+    cancelledRef.current = true;
+    workerRef.current?.terminate();
+    workerRef.current = null;
+    setStatus('idle');
+    setProgress(0);
+  }, []);
+
+  // Puts focus back the way the user had it after an auto sweep
+  const restoreFocus = async (previous) => {
+    try {
+      if (previous.focusDistance !== undefined) await hardware.setControl('focusDistance', previous.focusDistance);
+      if (previous.focusMode !== undefined) await hardware.setControl('focusMode', previous.focusMode);
+    } catch (e) {
+      console.warn("Could not restore focus after the stack:", e);
+    }
+  };
+
+  const captureBurst = async ({ frameCount, intervalMs, auto, view }) => {
+    const frames = [];
+    const sources = [];
+    const previous = {
+      focusMode: hardware?.values?.focusMode,
+      focusDistance: hardware?.values?.focusDistance
+    };
+
+    try {
+      for (let i = 0; i < frameCount; i++) {
+        if (cancelledRef.current) return null;
+
+        if (auto) {
+          const t = frameCount === 1 ? 0 : i / (frameCount - 1);
+          await hardware.setControl('focusDistance', focusRange.min + t * (focusRange.max - focusRange.min));
+          await delay(FOCUS_SETTLE_MS);
+        } else if (i > 0) {
+          await delay(intervalMs);
+        }
+
+        const canvas = renderViewport(videoRef.current, view, { raw: true });
+        const { width, height, data } = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+        frames.push({ width, height, data: data.buffer });
+        sources.push(await canvasToBlob(canvas, 'image/jpeg', 0.92));
+        setProgress((i + 1) / frameCount);
+      }
+      return { frames, sources };
+    } finally {
+      // Also after a cancel or a failed frame
+      if (auto) await restoreFocus(previous);
+    }
+  };
+
+  const merge = (frames) => new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('../workers/focusStack.worker.js', import.meta.url), { type: 'module' });
+    workerRef.current = worker;
+
+    worker.onmessage = (e) => {
+      const msg = e.data;
+      if (msg.type === 'progress') {
+        setProgress(msg.stage === 'align' ? msg.value * 0.3 : 0.3 + msg.value * 0.7);
+      } else if (msg.type === 'done') {
+        worker.terminate();
+        workerRef.current = null;
+        resolve(msg);
+      } else if (msg.type === 'error') {
+        worker.terminate();
+        workerRef.current = null;
+        reject(new Error(msg.message));
+      }
+    };
+    worker.onerror = (e) => {
+      worker.terminate();
+      workerRef.current = null;
+      reject(new Error(e.message || 'Worker failed'));
+    };
+
+    worker.postMessage({ frames }, frames.map(f => f.data));
+  });
+
+  // Resolves to { blob, thumbnail, sources } or null when cancelled
+  const run = async ({ frameCount = 8, intervalMs = 500, auto = false }) => {
+    if (!videoRef.current?.videoWidth) return null;
+    cancelledRef.current = false;
+    setError(null);
+    setProgress(0);
+    setStatus('capturing');
+
+    try {
+      // One view for the whole burst, so every frame and the result match
+      const view = getView();
+      const burst = await captureBurst({ frameCount, intervalMs, auto: auto && canAutoFocus, view });
+      if (!burst || cancelledRef.current) return null;
+
+      setStatus('processing');
+      setProgress(0);
+      const result = await merge(burst.frames);
+      if (cancelledRef.current) return null;
+
+      const merged = document.createElement('canvas');
+      merged.width = result.width;
+      merged.height = result.height;
+      merged.getContext('2d').putImageData(
+        new ImageData(new Uint8ClampedArray(result.data), result.width, result.height), 0, 0
+      );
+      const canvas = processViewportImage(merged, view);
+
+      const [blob, thumbnail] = await Promise.all([canvasToBlob(canvas), createThumbnail(canvas)]);
+      return { blob, thumbnail, sources: burst.sources };
+    } catch (e) {
+      if (!cancelledRef.current) {
+        console.error("Focus stack failed:", e);
+        setError(e.message);
+      }
+      return null;
+    } finally {
+      if (!cancelledRef.current) {
+        setStatus('idle');
+        setProgress(0);
+      }
+    }
+  };
+
+  return { status, progress, error, canAutoFocus, run, cancel };
+};
@@ -0,0 +1,147 @@
+import { useState, useEffect, useCallback } from 'react';
+
+// Sensor-side controls (MediaStreamTrack image capture constraints). Only the ones the
+// active track reports in getCapabilities() are shown. manualMode: the mode that has to
+// be 'manual' for the value to take effect.
+export const HARDWARE_CONTROLS = [
+  { key: 'focusMode', label: 'Focus Mode' },
+  { key: 'focusDistance', label: 'Focus Distance', manualMode: 'focusMode' },
+  { key: 'exposureMode', label: 'Exposure Mode' },
+  { key: 'exposureTime', label: 'Exposure Time', manualMode: 'exposureMode' },
+  { key: 'exposureCompensation', label: 'Exposure Comp.' },
+  { key: 'iso', label: 'ISO' },
+  { key: 'whiteBalanceMode', label: 'White Balance' },
+  { key: 'colorTemperature', label: 'Color Temp', unit: 'K', manualMode: 'whiteBalanceMode' },
+  { key: 'zoom', label: 'Sensor Zoom', unit: 'x' },
+  { key: 'torch', label: 'Light' },
+  { key: 'brightness', label: 'Brightness' },
+  { key: 'contrast', label: 'Contrast' },
+  { key: 'saturation', label: 'Saturation' },
+  { key: 'sharpness', label: 'Sharpness' }
+];
+
+const storageKey = (deviceId) => `camera_hardware_${deviceId}`;
+
+const loadSaved = (deviceId) => {
+  try {
+    return JSON.parse(localStorage.getItem(storageKey(deviceId))) || {};
+  } catch {
+    return {};
+  }
+};
+
+const isSupported = (capabilities, key) => {
+  const cap = capabilities[key];
+  if (cap === undefined || cap === false) return false;
+  // Some drivers report a degenerate range, nothing to adjust there
+  if (typeof cap === 'object' && !Array.isArray(cap) && cap.min === cap.max) return false;
+  if (Array.isArray(cap) && cap.length === 0) return false;
+  return true;
+};
+
+const pickSupported = (values, capabilities) => Object.fromEntries(
+  Object.entries(values).filter(([key]) => isSupported(capabilities, key))
+);
+
+// Values to send for one change, switching the related mode to manual when needed
+const buildConstraint = (key, value, capabilities) => {
+  const control = HARDWARE_CONTROLS.find(c => c.key === key);
+  const constraint = { [key]: value };
+  const modes = control?.manualMode && capabilities[control.manualMode];
+  if (Array.isArray(modes) && modes.includes('manual')) {
+    constraint[control.manualMode] = 'manual';
+  }
+  return constraint;
+};
+
+const NO_HARDWARE = { track: null, capabilities: {}, values: {} };
+
+export const useHardwareControls = (stream, deviceId) => {
+  // Tagged with the track it was read from, so a new stream never shows stale controls
+  const [hardware, setHardware] = useState(NO_HARDWARE);
+  const [error, setError] = useState(null);
+
+  const track = stream?.getVideoTracks()[0] || null;
+  const { capabilities, values } = track && hardware.track === track ? hardware : NO_HARDWARE;
+
+  const setValues = useCallback((next) => {
+    setHardware(prev => ({ ...prev, values: typeof next === 'function' ? next(prev.values) : next }));
+  }, []);
+
+  // Read capabilities for the new track and re-apply what this device had last time
+  useEffect(() => {
+    if (!track || !track.getCapabilities) return;
+
+    let cancelled = false;
+    const init = async () => {
+      const caps = track.getCapabilities();
+      const saved = deviceId ? pickSupported(loadSaved(deviceId), caps) : {};
+
+      if (Object.keys(saved).length > 0) {
+        try {
+          await track.applyConstraints({ advanced: [saved] });
+        } catch (e) {
+          console.warn("Could not restore hardware settings:", e);
+        }
+      }
+
+      if (cancelled) return;
+      const settings = track.getSettings();
+      setHardware({ track, capabilities: caps, values: pickSupported(settings, caps) });
+      setError(null);
+    };
+
+    init();
+    return () => { cancelled = true; };
+  }, [track, deviceId]);
+
+  const setControl = useCallback(async (key, value) => {
+    if (!track) return;
+    const constraint = buildConstraint(key, value, capabilities);
+
+    // Optimistic so sliders don't stutter while the driver catches up
+    setValues(prev => ({ ...prev, ...constraint }));
+    try {
+      await track.applyConstraints({ advanced: [constraint] });
+      setError(null);
+      if (deviceId) {
+        localStorage.setItem(storageKey(deviceId), JSON.stringify({ ...loadSaved(deviceId), ...constraint }));
+      }
+    } catch (e) {
+      console.warn(`Failed to apply ${key}:`, e);
+      setError(`${key}: ${e.message}`);
+    }
+    // What the driver actually accepted
+    setValues(pickSupported(track.getSettings(), capabilities));
+  }, [track, capabilities, deviceId, setValues]);
+
+  // Back to automatic modes and drop the saved overrides
+  const resetControls = useCallback(async () => {
+    if (deviceId) localStorage.removeItem(storageKey(deviceId));
+    if (!track) return;
+
+    const autoModes = {};
+    ['focusMode', 'exposureMode', 'whiteBalanceMode'].forEach(key => {
+      if (Array.isArray(capabilities[key]) && capabilities[key].includes('continuous')) autoModes[key] = 'continuous';
+    });
+    if (isSupported(capabilities, 'torch')) autoModes.torch = false;
+
+    try {
+      await track.applyConstraints({ advanced: [autoModes] });
+    } catch (e) {
+      console.warn("Failed to reset hardware settings:", e);
+    }
+    setValues(pickSupported(track.getSettings(), capabilities));
+  }, [track, capabilities, deviceId, setValues]);
+
+  const controls = HARDWARE_CONTROLS.filter(c => isSupported(capabilities, c.key));
+
+  return {
+    controls,
+    capabilities,
+    values,
+    error,
+    setControl,
+    resetControls
+  };
+};
@@ -0,0 +1,251 @@
+import { useState, useEffect, useRef, useMemo, useCallback } from 'react';
+import { ACTION_BY_ID, keyEventToBinding, hidBinding, isTypingTarget } from '../utils/shortcuts';
+
+// Axis travel ignored around the rest position
+const AXIS_DEADZONE = 0.25;
+
+const gamepadInputs = (pad) => {
+  const inputs = new Map();
+  pad.buttons.forEach((button, i) => {
+    if (button.pressed) inputs.set(`Gamepad B${i}`, button.value || 1);
+  });
+  pad.axes.forEach((value, i) => {
+    if (Math.abs(value) < AXIS_DEADZONE) return;
+    inputs.set(`Gamepad A${i}${value > 0 ? '+' : '-'}`, (Math.abs(value) - AXIS_DEADZONE) / (1 - AXIS_DEADZONE));
+  });
+  return inputs;
+};
+
+// Routes keyboard, gamepad and WebHID input to actions.
+// actionMap: { [actionId]: [binding] }. Discrete actions call onAction(id) once per press;
+// continuous ones (see utils/shortcuts ACTIONS) call onContinuous(id, amount, seconds) every
+// frame while held. captureNext(cb) hands the next input of any kind to cb instead (rebinding).
+export const useInputBindings = ({ actionMap, onAction, onContinuous }) => {
+  const [hidDevices, setHidDevices] = useState([]);
+  const [gamepadCount, setGamepadCount] = useState(0);
+  const callbacksRef = useRef({ onAction, onContinuous });
+  const captureRef = useRef(null);
+  const pressRef = useRef(null);
+  const releaseRef = useRef(null);
+
+  useEffect(() => {
+    callbacksRef.current = { onAction, onContinuous };
+  }, [onAction, onContinuous]);
+
+  // binding -> [actionId]
+  const lookup = useMemo(() => {
+    const map = {};
+    Object.entries(actionMap).forEach(([id, bindings]) => {
+      bindings.forEach(binding => {
+        map[binding] = [...(map[binding] || []), id];
+      });
+    });
+    return map;
+  }, [actionMap]);
+  const lookupRef = useRef(lookup);
+  useEffect(() => {
+    lookupRef.current = lookup;
+  }, [lookup]);
+
+  useEffect(() => {
+    // Held continuous inputs: binding -> { ids, value }
+    const held = new Map();
+    // Keyboard bindings by physical key, so releasing a modifier first still ends the hold
+    const keysDown = new Map();
+    let gamepadState = new Map();
+    let rafId = null;
+    let lastTime = 0;
+
+    const press = (binding, value = 1) => {
+      if (captureRef.current) {
+        const capture = captureRef.current;
+        captureRef.current = null;
+        capture(binding);
+        return true;
+      }
+      const ids = lookupRef.current[binding];
+      if (!ids) return false;
+      const continuous = ids.filter(id => ACTION_BY_ID[id]?.continuous);
+      ids.filter(id => !ACTION_BY_ID[id]?.continuous).forEach(id => callbacksRef.current.onAction(id));
+      if (continuous.length > 0) {
+        held.set(binding, { ids: continuous, value });
+        ensureLoop();
+      }
+      return true;
+    };
+
+    const release = (binding) => {
+      held.delete(binding);
+    };
+
+    const pollGamepads = () => {
+      const next = new Map();
+      (navigator.getGamepads?.() || []).forEach(pad => {
+        if (!pad) return;
+        gamepadInputs(pad).forEach((value, binding) => next.set(binding, Math.max(value, next.get(binding) || 0)));
+      });
+      next.forEach((value, binding) => {
+        if (!gamepadState.has(binding)) {
+          press(binding, value);
+        } else if (held.has(binding)) {
+          held.get(binding).value = value;
+        }
+      });
+      gamepadState.forEach((_, binding) => {
+        if (!next.has(binding)) release(binding);
+      });
+      gamepadState = next;
+    };
+
+    const hasGamepad = () => (navigator.getGamepads?.() || []).some(Boolean);
+
+    const loop = (time) => {
+      const seconds = lastTime ? Math.min(0.1, (time - lastTime) / 1000) : 0;
+      lastTime = time;
+      if (hasGamepad()) pollGamepads();
+
+      // Strongest input wins when several drive the same action
+      const amounts = new Map();
+      held.forEach(({ ids, value }) => ids.forEach(id => amounts.set(id, Math.max(value, amounts.get(id) || 0))));
+      amounts.forEach((amount, id) => callbacksRef.current.onContinuous(id, amount, seconds));
+
+      if (held.size > 0 || hasGamepad()) {
+        rafId = requestAnimationFrame(loop);
+      } else {
+        rafId = null;
+        lastTime = 0;
+      }
+    };
+
+    const ensureLoop = () => {
+      if (rafId === null) rafId = requestAnimationFrame(loop);
+    };
+
+    const handleKeyDown = (e) => {
+      const capturing = !!captureRef.current;
+      if (!capturing && isTypingTarget(e.target)) return;
+      const binding = keyEventToBinding(e);
+      if (!binding) return;
+
+      if (capturing) {
+        e.preventDefault();
+        if (binding === 'Escape') {
+          const capture = captureRef.current;
+          captureRef.current = null;
+          capture(null);
+        } else {
+          press(binding);
+        }
+        return;
+      }
+
+      if (!lookupRef.current[binding]) return;
+      e.preventDefault(); // Space would scroll, arrows would move focus
+      if (e.repeat) return; // Holding is handled by the loop; discrete actions fire once
+      keysDown.set(e.code, binding);
+      press(binding);
+    };
+
+    const handleKeyUp = (e) => {
+      const binding = keysDown.get(e.code);
+      if (!binding) return;
+      keysDown.delete(e.code);
+      release(binding);
+    };
+
+    // Keys released while the window had no focus never send keyup
+    const handleBlur = () => {
+      keysDown.clear();
+      held.clear();
+    };
+
+    const updateGamepads = () => {
+      setGamepadCount((navigator.getGamepads?.() || []).filter(Boolean).length);
+      ensureLoop();
+    };
+
+    pressRef.current = press;
+    releaseRef.current = release;
+    window.addEventListener('keydown', handleKeyDown);
+    window.addEventListener('keyup', handleKeyUp);
+    window.addEventListener('blur', handleBlur);
+    window.addEventListener('gamepadconnected', updateGamepads);
+    window.addEventListener('gamepaddisconnected', updateGamepads);
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+      window.removeEventListener('keyup', handleKeyUp);
+      window.removeEventListener('blur', handleBlur);
+      window.removeEventListener('gamepadconnected', updateGamepads);
+      window.removeEventListener('gamepaddisconnected', updateGamepads);
+      if (rafId !== null) cancelAnimationFrame(rafId);
+      pressRef.current = null;
+      releaseRef.current = null;
+    };
+  }, []);
+
+  /* WebHID: every bit of every input report acts as a button */
+
+  const hidSupported = typeof navigator !== 'undefined' && !!navigator.hid;
+
+  const openHidDevice = useCallback(async (device) => {
+    try {
+      if (!device.opened) await device.open();
+    } catch (e) {
+      console.error("Failed to open HID device:", e);
+      return;
+    }
+
+    const previous = new Map(); // reportId -> Uint8Array
+    device.oninputreport = ({ reportId, data }) => {
+      const bytes = new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+      const last = previous.get(reportId) || new Uint8Array(bytes.length);
+      for (let byte = 0; byte < bytes.length; byte++) {
+        const changed = bytes[byte] ^ last[byte];
+        if (!changed) continue;
+        for (let bit = 0; bit < 8; bit++) {
+          if (!(changed & (1 << bit))) continue;
+          const binding = hidBinding(device, byte, bit);
+          if (bytes[byte] & (1 << bit)) pressRef.current?.(binding);
+          else releaseRef.current?.(binding);
+        }
+      }
+      previous.set(reportId, bytes.slice());
+    };
+    setHidDevices(prev => (prev.includes(device) ? prev : [...prev, device]));
+  }, []);
+
+  // Devices granted in an earlier visit reconnect without a prompt
+  useEffect(() => {
+    if (!hidSupported) return;
+    navigator.hid.getDevices().then(devices => devices.forEach(openHidDevice));
+
+    const handleDisconnect = ({ device }) => setHidDevices(prev => prev.filter(d => d !== device));
+    navigator.hid.addEventListener('disconnect', handleDisconnect);
+    return () => navigator.hid.removeEventListener('disconnect', handleDisconnect);
+  }, [hidSupported, openHidDevice]);
+
+  // Must run from a click: the browser shows its device picker
+  const connectHid = useCallback(async () => {
+    if (!hidSupported) return;
+    try {
+      const devices = await navigator.hid.requestDevice({ filters: [] });
+      devices.forEach(openHidDevice);
+    } catch (e) {
+      console.error("HID device request failed:", e);
+    }
+  }, [hidSupported, openHidDevice]);
+
+  // Resolves the next key / button / HID bit as a binding (null on Escape)
+  const captureNext = useCallback((callback) => {
+    captureRef.current = callback;
+    return () => {
+      if (captureRef.current === callback) captureRef.current = null;
+    };
+  }, []);
+
+  return {
+    captureNext,
+    gamepadCount,
+    hid: { supported: hidSupported, devices: hidDevices, connect: connectHid }
+  };
+};
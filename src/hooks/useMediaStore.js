@@ -0,0 +1,160 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import {
+  putMedia,
+  getAllMedia,
+  updateMedia,
+  deleteMedia,
+  deleteSession,
+  getStorageEstimate,
+  requestPersistentStorage,
+  createMediaId
+} from '../utils/mediaStore';
+import { buildCaptureMetadata, embedCaptureMetadata } from '../utils/metadata';
+
+// One capture session per page load
+const SESSION_ID = `session-${Date.now()}`;
+
+// IndexedDB record -> what the UI renders (object URLs instead of blobs)
+const toItem = (record) => ({
+  ...record,
+  date: new Date(record.date),
+  url: URL.createObjectURL(record.blob),
+  thumbUrl: record.thumbnail ? URL.createObjectURL(record.thumbnail) : null,
+  // Source frames of derived images (focus stacks etc.)
+  sourceUrls: (record.sources || []).map(blob => URL.createObjectURL(blob))
+});
+
+const revokeItem = (item) => {
+  URL.revokeObjectURL(item.url);
+  if (item.thumbUrl) URL.revokeObjectURL(item.thumbUrl);
+  item.sourceUrls.forEach(url => URL.revokeObjectURL(url));
+};
+
+export const useMediaStore = () => {
+  const [mediaItems, setMediaItems] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [storage, setStorage] = useState(null);
+  // Message of the last failed delete (the items are back in the gallery)
+  const [error, setError] = useState(null);
+  const itemsRef = useRef([]);
+
+  useEffect(() => {
+    itemsRef.current = mediaItems;
+  }, [mediaItems]);
+
+  const refreshStorage = useCallback(async () => {
+    setStorage(await getStorageEstimate());
+  }, []);
+
+  // Load everything from previous sessions
+  useEffect(() => {
+    let mounted = true;
+
+    const load = async () => {
+      try {
+        requestPersistentStorage();
+        const records = await getAllMedia();
+        if (mounted) {
+          // Object URLs are made here, not in the updater, which may run twice
+          const items = records.map(toItem);
+          setMediaItems(prev => [...prev, ...items]);
+        }
+      } catch (e) {
+        console.error("Failed to load gallery:", e);
+      } finally {
+        if (mounted) setIsLoading(false);
+        refreshStorage();
+      }
+    };
+
+    load();
+    return () => { mounted = false; };
+  }, [refreshStorage]);
+
+  // Free object URLs on unmount only
+  useEffect(() => {
+    return () => itemsRef.current.forEach(revokeItem);
+  }, []);
+
+  // Stores a capture and shows it immediately. Metadata is whatever App knows at capture time.
+  const addMedia = useCallback(async ({ type, variant, blob, thumbnail, mimeType, date = new Date(), ...meta }) => {
+    const record = {
+      id: createMediaId(),
+      type,
+      variant,
+      blob,
+      thumbnail,
+      mimeType: mimeType || blob.type,
+      date: date.getTime(),
+      sessionId: SESSION_ID,
+      ...meta
+    };
+    // Stills carry their settings inside the file from the start (see utils/metadata)
+    if (type === 'image') {
+      try {
+        record.blob = await embedCaptureMetadata(blob, buildCaptureMetadata(record));
+      } catch (e) {
+        console.warn("Could not embed capture metadata:", e);
+      }
+    }
+
+    // Show it even if persisting fails (private mode, quota)
+    const item = toItem(record);
+    setMediaItems(prev => [item, ...prev]);
+    try {
+      await putMedia(record);
+    } catch (e) {
+      console.error("Failed to persist capture:", e);
+    }
+    refreshStorage();
+    return record;
+  }, [refreshStorage]);
+
+  // Metadata-only edits; the blob and its object URLs stay as they are
+  const updateItem = useCallback(async (id, changes) => {
+    setMediaItems(prev => prev.map(item => (item.id === id ? { ...item, ...changes } : item)));
+    try {
+      await updateMedia(id, changes);
+    } catch (e) {
+      console.error("Failed to update capture:", e);
+    }
+  }, []);
+
+  // Hides the items right away; their object URLs are freed once the records are gone,
+  // and if deleting fails they are put back as they were
+  const removeWhere = useCallback(async (matches, remove) => {
+    const removed = itemsRef.current.filter(matches);
+    setMediaItems(prev => prev.filter(item => !matches(item)));
+    setError(null);
+    try {
+      await remove();
+      removed.forEach(revokeItem);
+    } catch (e) {
+      console.error("Failed to delete captures:", e);
+      setError(`Could not delete: ${e.message || e}`);
+      const ids = new Set(removed.map(item => item.id));
+      setMediaItems(prev => [...prev.filter(item => !ids.has(item.id)), ...removed].sort((a, b) => b.date - a.date));
+    }
+    refreshStorage();
+  }, [refreshStorage]);
+
+  const removeItem = useCallback((id) => (
+    removeWhere(item => item.id === id, () => deleteMedia(id))
+  ), [removeWhere]);
+
+  const removeSession = useCallback((sessionId) => (
+    removeWhere(item => item.sessionId === sessionId, () => deleteSession(sessionId))
+  ), [removeWhere]);
+
+  return {
+    mediaItems,
+    isLoading,
+    storage,
+    error,
+    sessionId: SESSION_ID,
+    addMedia,
+    updateItem,
+    removeItem,
+    removeSession
+  };
+};
@@ -0,0 +1,197 @@
+import { useState, useRef, useCallback, useEffect } from 'react';
+import { renderViewport, canvasToBlob, createThumbnail } from '../utils/capture';
+import { exportMosaic, computeBounds, releaseCanvas } from '../utils/mosaic';
+
+// How often a frame is grabbed while the user slides the stage
+const GRAB_INTERVAL_MS = 300;
+// Registration happens on a downscaled copy this wide
+const REGISTER_WIDTH = 512;
+// Below this phase-correlation peak the match is not trusted
+const MIN_PEAK = 0.06;
+// A new tile is added once the view moved this fraction of a frame since the last tile
+const NEW_TILE_FRACTION = 0.2;
+// Preview copies are this fraction of full size
+const PREVIEW_SCALE = 0.125;
+// Tiles are kept at full resolution until export; past this many pixels in total
+// (about 600 MB of canvas memory) no more are added
+const MAX_TILE_PIXELS = 150e6;
+
+const EMPTY_PREVIEW = { tiles: [], current: null, bounds: null, lost: false, full: false };
+
+const downscale = (canvas, width) => {
+  const scale = width / canvas.width;
+  const small = document.createElement('canvas');
+  small.width = Math.round(canvas.width * scale);
+  small.height = Math.round(canvas.height * scale);
+  small.getContext('2d').drawImage(canvas, 0, 0, small.width, small.height);
+  return { canvas: small, scale };
+};
+
+// Sends a frame to the registration worker and waits for its answer. The reject
+// function stays in `pending` until then, so terminating the worker can settle it.
+const registerFrame = (worker, frame, id, pending) => new Promise((resolve, reject) => {
+  const { data, width, height } = frame.getContext('2d').getImageData(0, 0, frame.width, frame.height);
+  const handler = (e) => {
+    if (e.data.id !== id) return;
+    worker.removeEventListener('message', handler);
+    pending.delete(id);
+    resolve(e.data);
+  };
+  pending.set(id, reject);
+  worker.addEventListener('message', handler);
+  worker.postMessage({ type: 'register', id, width, height, data: data.buffer, minPeak: MIN_PEAK }, [data.buffer]);
+});
+
+// Mosaic mode: grabs frames through the SNAP render path while the stage moves,
+// tracks the stage by phase correlation (worker) and keeps overlapping tiles.
+export const useMosaic = ({ videoRef, getView }) => {
+  const [active, setActive] = useState(false);
+  // What the preview needs; the heavy tile canvases live in a ref
+  const [preview, setPreview] = useState(EMPTY_PREVIEW);
+  const [isExporting, setIsExporting] = useState(false);
+  // Message of the last failed export; the tiles are kept so it can be retried
+  const [error, setError] = useState(null);
+
+  const tilesRef = useRef([]);
+  const positionRef = useRef({ x: 0, y: 0 });
+  const lastTileRef = useRef(null);
+  const workerRef = useRef(null);
+  const busyRef = useRef(false);
+  const nextIdRef = useRef(0);
+  // Registrations in flight: id -> reject
+  const pendingRef = useRef(new Map());
+  const fullRef = useRef(false);
+
+  const publish = useCallback((current, lost) => {
+    const tiles = tilesRef.current;
+    setPreview({
+      tiles: tiles.map(t => ({ x: t.x, y: t.y, width: t.canvas.width, height: t.canvas.height, preview: t.preview })),
+      current,
+      bounds: tiles.length ? computeBounds(tiles) : null,
+      lost,
+      full: fullRef.current
+    });
+  }, []);
+
+  const grab = useCallback(async () => {
+    const video = videoRef.current;
+    if (busyRef.current || !video?.videoWidth || !workerRef.current) return;
+    busyRef.current = true;
+
+    try {
+      const full = renderViewport(video, getView());
+      const small = downscale(full, REGISTER_WIDTH);
+      const result = await registerFrame(workerRef.current, small.canvas, nextIdRef.current++, pendingRef.current);
+
+      if (result.peak < MIN_PEAK) {
+        // Lost track (moved too fast or featureless area): keep the last good position
+        publish(null, true);
+        return;
+      }
+
+      // Content moved by +d, so the camera (and this frame's origin) moved by -d
+      const position = {
+        x: positionRef.current.x - result.dx / small.scale,
+        y: positionRef.current.y - result.dy / small.scale
+      };
+      positionRef.current = position;
+
+      const last = lastTileRef.current;
+      const moved = !last || Math.max(
+        Math.abs(position.x - last.x) / full.width,
+        Math.abs(position.y - last.y) / full.height
+      ) >= NEW_TILE_FRACTION;
+
+      const tilePixels = tilesRef.current.reduce((sum, t) => sum + t.canvas.width * t.canvas.height, 0);
+      if (moved && tilePixels + full.width * full.height > MAX_TILE_PIXELS) {
+        fullRef.current = true;
+      } else if (moved) {
+        const tile = {
+          canvas: full,
+          x: Math.round(position.x),
+          y: Math.round(position.y),
+          preview: downscale(full, Math.max(1, Math.round(full.width * PREVIEW_SCALE))).canvas
+        };
+        tilesRef.current = [...tilesRef.current, tile];
+        lastTileRef.current = position;
+      }
+
+      publish({ x: position.x, y: position.y, width: full.width, height: full.height }, false);
+    } catch (e) {
+      // A registration cut short by finish/discard is expected
+      if (!e.stopped) console.error("Mosaic frame failed:", e);
+    } finally {
+      busyRef.current = false;
+    }
+  }, [videoRef, getView, publish]);
+
+  useEffect(() => {
+    if (!active) return;
+
+    const worker = new Worker(new URL('../workers/mosaic.worker.js', import.meta.url), { type: 'module' });
+    workerRef.current = worker;
+    const interval = setInterval(grab, GRAB_INTERVAL_MS);
+
+    const pending = pendingRef.current;
+    return () => {
+      clearInterval(interval);
+      worker.terminate();
+      workerRef.current = null;
+      // Their answers will never come
+      pending.forEach(reject => reject(Object.assign(new Error('Mosaic stopped'), { stopped: true })));
+      pending.clear();
+    };
+  }, [active, grab]);
+
+  const start = useCallback(() => {
+    tilesRef.current = [];
+    positionRef.current = { x: 0, y: 0 };
+    lastTileRef.current = null;
+    fullRef.current = false;
+    busyRef.current = false;
+    setPreview(EMPTY_PREVIEW);
+    setError(null);
+    setActive(true);
+  }, []);
+
+  const discard = useCallback(() => {
+    setActive(false);
+    tilesRef.current = [];
+    setPreview(EMPTY_PREVIEW);
+    setError(null);
+  }, []);
+
+  // Stops grabbing and renders the export parts as blobs:
+  // [{ blob, thumbnail, width, height, overview?, row?, col?, rows?, cols? }]
+  // Never throws: on failure it sets error, keeps the tiles and returns []
+  const finish = useCallback(async () => {
+    setActive(false);
+    const tiles = tilesRef.current;
+    if (tiles.length === 0) return [];
+
+    setIsExporting(true);
+    setError(null);
+    try {
+      // Let the button state paint before the heavy compose blocks the thread
+      await new Promise(resolve => setTimeout(resolve, 50));
+      const results = [];
+      // One part in memory at a time: drawn, encoded, released
+      for (const { canvas, ...info } of exportMosaic(tiles)) {
+        const [blob, thumbnail] = await Promise.all([canvasToBlob(canvas), createThumbnail(canvas)]);
+        results.push({ blob, thumbnail, width: canvas.width, height: canvas.height, ...info });
+        releaseCanvas(canvas);
+      }
+      tilesRef.current = [];
+      setPreview(EMPTY_PREVIEW);
+      return results;
+    } catch (e) {
+      console.error("Mosaic export failed:", e);
+      setError(`Export failed: ${e.message || e}`);
+      return [];
+    } finally {
+      setIsExporting(false);
+    }
+  }, []);
+
+  return { active, preview, isExporting, error, start, finish, discard };
+};
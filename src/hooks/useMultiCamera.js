@@ -0,0 +1,159 @@
+import { useState, useEffect, useRef, useMemo, useCallback } from 'react';
+import { DEFAULT_FILTERS, loadDeviceSettings, saveDeviceSettings } from '../utils/settings';
+import { createViewportRecorder } from '../utils/recording';
+
+const STORAGE_KEY = 'camera_multi_devices';
+export const MAX_GRID_DEVICES = 4;
+const NO_PAN = { x: 0, y: 0 };
+
+const loadChosen = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(saved) ? saved : null;
+  } catch (e) {
+    console.error("Failed to load camera grid", e);
+    return null;
+  }
+};
+
+const readSettings = (deviceId) => {
+  try {
+    return loadDeviceSettings(deviceId);
+  } catch (e) {
+    console.error("Failed to parse settings", e);
+    return null;
+  }
+};
+
+// Grid of 2-4 cameras. The main camera (useCamera) is always the first tile; the others
+// open their own streams (useDeviceStream) and keep their own filters, saved in the same
+// per-device settings as when they are the main camera.
+// Tiles register { videoRef, getView } so SNAP and recording can run on all of them at once.
+export const useMultiCamera = ({ devices, primaryDeviceId }) => {
+  const [active, setActive] = useState(false);
+  const [chosen, setChosen] = useState(loadChosen); // extra device ids; null = not chosen yet
+  const [focusedId, setFocusedId] = useState(null);
+  const [isRecording, setIsRecording] = useState(false);
+  const tilesRef = useRef(new Map());
+  const recordersRef = useRef([]);
+
+  useEffect(() => {
+    if (chosen) localStorage.setItem(STORAGE_KEY, JSON.stringify(chosen));
+  }, [chosen]);
+
+  // Without a saved choice, every other camera joins (up to the grid size)
+  const deviceIds = useMemo(() => {
+    const available = devices.map(d => d.deviceId).filter(id => id && id !== primaryDeviceId);
+    const extras = chosen ? chosen.filter(id => available.includes(id)) : available;
+    return [primaryDeviceId, ...extras].filter(Boolean).slice(0, MAX_GRID_DEVICES);
+  }, [devices, primaryDeviceId, chosen]);
+
+  const toggleDevice = useCallback((deviceId) => {
+    setChosen(prev => {
+      const current = (prev || deviceIds.slice(1));
+      if (current.includes(deviceId)) return current.filter(id => id !== deviceId);
+      return current.length < MAX_GRID_DEVICES - 1 ? [...current, deviceId] : current;
+    });
+  }, [deviceIds]);
+
+  /* Per-device settings of the extra cameras */
+
+  // Read when the grid changes; edits below override them until the device becomes the main one
+  const storedSettings = useMemo(() => Object.fromEntries(
+    deviceIds.slice(1).map(id => [id, readSettings(id)])
+  ), [deviceIds]);
+
+  // Tagged with the main camera: when a grid camera becomes the main one, App owns its filters
+  const [edits, setEdits] = useState({ primary: primaryDeviceId, filters: {} });
+  const editedFilters = useMemo(() => (edits.primary === primaryDeviceId ? edits.filters : {}), [edits, primaryDeviceId]);
+
+  // Pans are per session only, like the main camera's
+  const [pans, setPans] = useState({});
+
+  const getTileView = useCallback((deviceId) => ({
+    filters: editedFilters[deviceId] || storedSettings[deviceId]?.filters || DEFAULT_FILTERS,
+    pan: pans[deviceId] || NO_PAN,
+    aspectRatio: storedSettings[deviceId]?.aspectRatio || '3/2'
+  }), [editedFilters, storedSettings, pans]);
+
+  const setTileFilters = useCallback((deviceId, update) => {
+    setEdits(prev => {
+      const base = prev.primary === primaryDeviceId ? prev.filters : {};
+      const current = base[deviceId] || storedSettings[deviceId]?.filters || DEFAULT_FILTERS;
+      const next = typeof update === 'function' ? update(current) : update;
+      if (next === current && prev.primary === primaryDeviceId) return prev;
+      return { primary: primaryDeviceId, filters: { ...base, [deviceId]: next } };
+    });
+  }, [primaryDeviceId, storedSettings]);
+
+  // Gestures on an extra tile
+  const setTileView = useCallback((deviceId, { zoom, pan }) => {
+    setTileFilters(deviceId, prev => (prev.zoom === zoom ? prev : { ...prev, zoom }));
+    setPans(prev => ({ ...prev, [deviceId]: pan }));
+  }, [setTileFilters]);
+
+  useEffect(() => {
+    Object.entries(editedFilters).forEach(([deviceId, filters]) => {
+      saveDeviceSettings(deviceId, { ...(readSettings(deviceId) || {}), filters });
+    });
+  }, [editedFilters]);
+
+  const focused = deviceIds.includes(focusedId) ? focusedId : primaryDeviceId;
+
+  /* Synchronized capture */
+
+  const registerTile = useCallback((deviceId, handle) => {
+    tilesRef.current.set(deviceId, handle);
+    return () => {
+      if (tilesRef.current.get(deviceId) === handle) tilesRef.current.delete(deviceId);
+    };
+  }, []);
+
+  // Tiles with a playing video, in grid order
+  const getReadyTiles = useCallback(() => deviceIds
+    .map(deviceId => ({ deviceId, ...tilesRef.current.get(deviceId) }))
+    .filter(tile => tile.videoRef?.current?.videoWidth), [deviceIds]);
+
+  // One recorder per camera, started together; stopRecording resolves in tile order
+  const startRecording = useCallback(() => {
+    const tiles = getReadyTiles();
+    if (tiles.length === 0) return;
+    recordersRef.current = tiles.map(tile => ({
+      deviceId: tile.deviceId,
+      view: tile.getView(),
+      video: tile.videoRef.current,
+      recorder: createViewportRecorder(tile.videoRef.current, tile.getView, 30)
+    }));
+    setIsRecording(true);
+  }, [getReadyTiles]);
+
+  const stopRecording = useCallback(async () => {
+    const recorders = recordersRef.current;
+    recordersRef.current = [];
+    const results = await Promise.all(recorders.map(async ({ deviceId, view, video, recorder }) => ({
+      deviceId,
+      view,
+      video,
+      ...(await recorder.stop())
+    })));
+    setIsRecording(false);
+    return results;
+  }, []);
+
+  return {
+    active,
+    setActive,
+    deviceIds,
+    toggleDevice,
+    focusedId: focused,
+    setFocusedId,
+    getTileView,
+    setTileFilters,
+    setTileView,
+    registerTile,
+    getReadyTiles,
+    isRecording,
+    startRecording,
+    stopRecording
+  };
+};
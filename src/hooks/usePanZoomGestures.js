@@ -0,0 +1,221 @@
+import { useEffect, useRef, useMemo } from 'react';
+import { clampPan, clampZoom, zoomAtPoint, clientToViewPoint, MIN_ZOOM, MAX_ZOOM } from '../utils/viewport';
+
+// Wheel: zoom factor per pixel of scroll; trackpad pinches arrive as ctrl+wheel with small deltas
+const WHEEL_ZOOM_SPEED = 0.0015;
+const PINCH_WHEEL_ZOOM_SPEED = 0.01;
+const DOUBLE_TAP_ZOOM = 3;
+const DOUBLE_TAP_MS = 300;
+const DOUBLE_TAP_SLOP = 30; // px between the two taps
+const TAP_SLOP = 10; // px a tap may wander
+// Inertia: velocity decays with this time constant; only the last moments of a drag count
+const INERTIA_TIME_CONSTANT = 325;
+const VELOCITY_WINDOW_MS = 100;
+const MIN_FLING_SPEED = 0.00002; // view units per ms
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+const midpoint = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+
+// Pointer Events pan (mouse, pen, touch), two-finger pinch anchored at the fingers,
+// cursor-anchored wheel zoom, fling inertia and double-tap / double-click zoom.
+// targetRef receives the input; mediaRef is the element whose box defines the view.
+// onChange({ zoom, pan }) gets every new view; returns pointer handlers for targetRef.
+export const usePanZoomGestures = (targetRef, mediaRef, { zoom, pan, enabled = true, onChange }) => {
+  const viewRef = useRef({ zoom, pan });
+  const optionsRef = useRef({ enabled, onChange });
+  const pointersRef = useRef(new Map()); // pointerId -> { x, y, downX, downY }
+  const pinchRef = useRef(null);
+  const samplesRef = useRef([]);
+  const lastTapRef = useRef(null);
+  const inertiaRef = useRef(null);
+
+  useEffect(() => {
+    viewRef.current = { zoom, pan };
+  }, [zoom, pan]);
+
+  useEffect(() => {
+    optionsRef.current = { enabled, onChange };
+  }, [enabled, onChange]);
+
+  const handlers = useMemo(() => {
+    const commit = (next) => {
+      viewRef.current = next;
+      optionsRef.current.onChange(next);
+    };
+
+    const mediaRect = () => mediaRef.current?.getBoundingClientRect();
+
+    const stopInertia = () => {
+      if (inertiaRef.current) cancelAnimationFrame(inertiaRef.current);
+      inertiaRef.current = null;
+    };
+
+    const startInertia = () => {
+      const samples = samplesRef.current;
+      samplesRef.current = [];
+      if (samples.length < 2) return;
+      const first = samples[0];
+      const last = samples[samples.length - 1];
+      // A finger that stopped before lifting doesn't fling
+      if (performance.now() - last.time > 50 || last.time === first.time) return;
+
+      let velocity = {
+        x: (last.pan.x - first.pan.x) / (last.time - first.time),
+        y: (last.pan.y - first.pan.y) / (last.time - first.time)
+      };
+      if (Math.hypot(velocity.x, velocity.y) < MIN_FLING_SPEED) return;
+
+      let lastTime = performance.now();
+      const step = (time) => {
+        const dt = time - lastTime;
+        lastTime = time;
+        const { zoom: z, pan: p } = viewRef.current;
+        const wanted = { x: p.x + velocity.x * dt, y: p.y + velocity.y * dt };
+        const next = clampPan(wanted, z);
+        // Hitting an edge stops that axis
+        if (next.x !== wanted.x) velocity.x = 0;
+        if (next.y !== wanted.y) velocity.y = 0;
+        commit({ zoom: z, pan: next });
+
+        const decay = Math.exp(-dt / INERTIA_TIME_CONSTANT);
+        velocity = { x: velocity.x * decay, y: velocity.y * decay };
+        inertiaRef.current = Math.hypot(velocity.x, velocity.y) >= MIN_FLING_SPEED
+          ? requestAnimationFrame(step)
+          : null;
+      };
+      inertiaRef.current = requestAnimationFrame(step);
+    };
+
+    const startPinch = () => {
+      const rect = mediaRect();
+      if (!rect) return;
+      const [a, b] = [...pointersRef.current.values()];
+      const center = midpoint(a, b);
+      const { zoom: z, pan: p } = viewRef.current;
+      const anchor = clientToViewPoint(rect, center.x, center.y);
+      pinchRef.current = {
+        distance: Math.max(1, distance(a, b)),
+        zoom: z,
+        // Element point under the fingers; it stays under them while they move
+        element: { x: (anchor.x - p.x) / z, y: (anchor.y - p.y) / z }
+      };
+    };
+
+    const handleDoubleTap = (clientX, clientY) => {
+      const rect = mediaRect();
+      if (!rect) return;
+      const view = viewRef.current;
+      const point = clientToViewPoint(rect, clientX, clientY);
+      commit(zoomAtPoint(view, point, view.zoom > MIN_ZOOM ? MIN_ZOOM : Math.min(MAX_ZOOM, DOUBLE_TAP_ZOOM)));
+    };
+
+    const onPointerDown = (e) => {
+      if (!optionsRef.current.enabled) return;
+      if (e.pointerType === 'mouse' && e.button !== 0) return;
+      e.preventDefault(); // No text selection or native image drag
+      stopInertia();
+      e.currentTarget.setPointerCapture(e.pointerId);
+
+      pointersRef.current.set(e.pointerId, { x: e.clientX, y: e.clientY, downX: e.clientX, downY: e.clientY });
+      samplesRef.current = [];
+      if (pointersRef.current.size === 2) startPinch();
+    };
+
+    const onPointerMove = (e) => {
+      const pointer = pointersRef.current.get(e.pointerId);
+      const rect = mediaRect();
+      if (!pointer || !rect) return;
+      const dx = e.clientX - pointer.x;
+      const dy = e.clientY - pointer.y;
+      pointer.x = e.clientX;
+      pointer.y = e.clientY;
+
+      const { zoom: z, pan: p } = viewRef.current;
+      if (pointersRef.current.size === 1) {
+        if (z <= MIN_ZOOM) return;
+        const next = clampPan({ x: p.x + dx / rect.width, y: p.y + dy / rect.height }, z);
+        commit({ zoom: z, pan: next });
+
+        const now = performance.now();
+        samplesRef.current = [...samplesRef.current, { time: now, pan: next }]
+          .filter(s => now - s.time <= VELOCITY_WINDOW_MS);
+      } else if (pointersRef.current.size === 2 && pinchRef.current) {
+        const [a, b] = [...pointersRef.current.values()];
+        const center = clientToViewPoint(rect, (a.x + b.x) / 2, (a.y + b.y) / 2);
+        const { element, zoom: startZoom, distance: startDistance } = pinchRef.current;
+        const nextZoom = clampZoom(startZoom * distance(a, b) / startDistance);
+        commit({
+          zoom: nextZoom,
+          pan: clampPan({ x: center.x - element.x * nextZoom, y: center.y - element.y * nextZoom }, nextZoom)
+        });
+      }
+    };
+
+    const onPointerUp = (e) => {
+      const pointer = pointersRef.current.get(e.pointerId);
+      if (!pointer) return;
+      pointersRef.current.delete(e.pointerId);
+      const remaining = pointersRef.current.size;
+
+      if (remaining === 1) {
+        // Back to a one-finger drag from wherever the other finger is now
+        pinchRef.current = null;
+        samplesRef.current = [];
+        return;
+      }
+      if (remaining > 1) {
+        startPinch();
+        return;
+      }
+      if (e.type === 'pointercancel') return;
+
+      const now = performance.now();
+      const isTap = Math.hypot(e.clientX - pointer.downX, e.clientY - pointer.downY) < TAP_SLOP;
+      const lastTap = lastTapRef.current;
+      if (isTap && lastTap && now - lastTap.time < DOUBLE_TAP_MS &&
+          Math.hypot(e.clientX - lastTap.x, e.clientY - lastTap.y) < DOUBLE_TAP_SLOP) {
+        lastTapRef.current = null;
+        handleDoubleTap(e.clientX, e.clientY);
+        return;
+      }
+      lastTapRef.current = isTap ? { time: now, x: e.clientX, y: e.clientY } : null;
+      if (!isTap) startInertia();
+    };
+
+    return { onPointerDown, onPointerMove, onPointerUp, onPointerCancel: onPointerUp, stopInertia, commit };
+  }, [mediaRef]);
+
+  // Wheel needs a non-passive listener to keep the page from scrolling
+  useEffect(() => {
+    const target = targetRef.current;
+    if (!target) return;
+
+    const handleWheel = (e) => {
+      if (!optionsRef.current.enabled) return;
+      const rect = mediaRef.current?.getBoundingClientRect();
+      if (!rect) return;
+      e.preventDefault();
+      handlers.stopInertia();
+
+      // Lines / pages -> pixels
+      const delta = e.deltaY * (e.deltaMode === 1 ? 16 : e.deltaMode === 2 ? rect.height : 1);
+      const speed = e.ctrlKey ? PINCH_WHEEL_ZOOM_SPEED : WHEEL_ZOOM_SPEED;
+      const view = viewRef.current;
+      const point = clientToViewPoint(rect, e.clientX, e.clientY);
+      handlers.commit(zoomAtPoint(view, point, view.zoom * Math.exp(-delta * speed)));
+    };
+
+    target.addEventListener('wheel', handleWheel, { passive: false });
+    return () => {
+      target.removeEventListener('wheel', handleWheel);
+      handlers.stopInertia();
+    };
+  }, [targetRef, mediaRef, handlers]);
+
+  return {
+    onPointerDown: handlers.onPointerDown,
+    onPointerMove: handlers.onPointerMove,
+    onPointerUp: handlers.onPointerUp,
+    onPointerCancel: handlers.onPointerCancel
+  };
+};
@@ -0,0 +1,111 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+  SETTINGS_VERSION,
+  migrateFilters,
+  presetFilters,
+  serializePresets,
+  parsePresetFile
+} from '../utils/settings';
+
+// Shared across devices: a look like "PCB inspection" isn't tied to one camera
+const STORAGE_KEY = 'camera_presets';
+
+const createPresetId = () => `preset-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`;
+
+const loadPresets = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (!Array.isArray(saved?.presets)) return [];
+    return saved.presets.map(p => ({
+      ...p,
+      filters: presetFilters(migrateFilters(p.filters, saved.version || 1))
+    }));
+  } catch (e) {
+    console.error("Failed to load presets", e);
+    return [];
+  }
+};
+
+// A number key belongs to at most one preset
+const withKey = (presets, id, key) => presets.map(p => {
+  if (p.id === id) return { ...p, key };
+  return key && p.key === key ? { ...p, key: null } : p;
+});
+
+// Named filter presets: { id, name, key ('1'-'9' | null), filters, createdAt }
+export const usePresets = () => {
+  const [presets, setPresets] = useState(loadPresets);
+
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: SETTINGS_VERSION, presets }));
+  }, [presets]);
+
+  const savePreset = useCallback((name, filters) => {
+    setPresets(prev => [...prev, {
+      id: createPresetId(),
+      name,
+      key: null,
+      filters: presetFilters(filters),
+      createdAt: Date.now()
+    }]);
+  }, []);
+
+  // Overwrite a preset's look with the current filters
+  const updatePreset = useCallback((id, filters) => {
+    setPresets(prev => prev.map(p => (p.id === id ? { ...p, filters: presetFilters(filters) } : p)));
+  }, []);
+
+  const renamePreset = useCallback((id, name) => {
+    setPresets(prev => prev.map(p => (p.id === id ? { ...p, name } : p)));
+  }, []);
+
+  const removePreset = useCallback((id) => {
+    setPresets(prev => prev.filter(p => p.id !== id));
+  }, []);
+
+  const assignKey = useCallback((id, key) => {
+    setPresets(prev => withKey(prev, id, key || null));
+  }, []);
+
+  const exportPresets = useCallback(() => {
+    const blob = new Blob([serializePresets(presets)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'tiny-world-presets.json';
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }, [presets]);
+
+  // Presets with a name we already have replace it; keys only move over when free.
+  // Resolves to the number of presets imported; rejects with a readable message.
+  const importPresets = useCallback(async (file) => {
+    const imported = parsePresetFile(await file.text());
+    setPresets(prev => {
+      let next = [...prev];
+      imported.forEach(({ name, key, filters }) => {
+        const existing = next.find(p => p.name === name);
+        const id = existing?.id || createPresetId();
+        if (existing) {
+          next = next.map(p => (p.id === id ? { ...p, filters } : p));
+        } else {
+          next.push({ id, name, key: null, filters, createdAt: Date.now() });
+        }
+        if (key && !next.some(p => p.key === key)) next = withKey(next, id, key);
+      });
+      return next;
+    });
+    return imported.length;
+  }, []);
+
+  return {
+    presets,
+    savePreset,
+    updatePreset,
+    renamePreset,
+    removePreset,
+    assignKey,
+    exportPresets,
+    importPresets
+  };
+};
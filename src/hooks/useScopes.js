@@ -0,0 +1,70 @@
+import { useState, useEffect } from 'react';
+import { drawViewport, getOutputSize } from '../utils/capture';
+import { createRenderer } from '../utils/pipeline';
+
+// Scopes only need a rough picture of the frame
+const SAMPLE_WIDTH = 320;
+const SAMPLE_MS = 200;
+
+// Zebra thresholds on the 0-255 channel max
+const ZEBRA = { high: 250, low: 5 };
+
+const toImageData = (result) => result && new ImageData(new Uint8ClampedArray(result.data), result.width, result.height);
+
+// Samples the processed viewport a few times a second and hands it to a worker for
+// histogram, waveform and clipping analysis. Idle unless at least one output is wanted.
+export const useScopes = ({ videoRef, getView, histogram, waveform, zebra }) => {
+  const [scopes, setScopes] = useState(null);
+  const enabled = histogram || waveform || zebra;
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    const worker = new Worker(new URL('../workers/scopes.worker.js', import.meta.url), { type: 'module' });
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    // Its own renderer: sharing the capture one with a recording in progress would
+    // resize it between full size and SAMPLE_WIDTH on every frame
+    const renderer = createRenderer();
+    let busy = false;
+
+    worker.onmessage = (e) => {
+      busy = false;
+      const { histogram: bins, waveform: wave, zebra: mask } = e.data;
+      setScopes({ histogram: bins, waveform: toImageData(wave), zebra: toImageData(mask) });
+    };
+    worker.onerror = (e) => {
+      busy = false;
+      console.error("Scopes worker failed:", e.message);
+    };
+
+    const sample = () => {
+      const video = videoRef.current;
+      if (busy || !video?.videoWidth || document.hidden) return;
+
+      const view = getView();
+      const size = getOutputSize(video, view);
+      const scale = Math.min(1, SAMPLE_WIDTH / size.width);
+      canvas.width = Math.max(1, Math.round(size.width * scale));
+      canvas.height = Math.max(1, Math.round(size.height * scale));
+      drawViewport(ctx, video, view, renderer);
+
+      const { width, height, data } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+      busy = true;
+      worker.postMessage(
+        { width, height, data: data.buffer, waveform, zebra: zebra ? ZEBRA : null },
+        [data.buffer]
+      );
+    };
+
+    const interval = setInterval(sample, SAMPLE_MS);
+    return () => {
+      clearInterval(interval);
+      worker.terminate();
+      renderer?.dispose();
+    };
+  }, [enabled, waveform, zebra, videoRef, getView]);
+
+  // Drop stale results while switched off
+  return enabled ? scopes : null;
+};
@@ -0,0 +1,40 @@
+import { useState, useEffect, useCallback } from 'react';
+import { DEFAULT_BINDINGS, mergeBindings } from '../utils/shortcuts';
+
+const STORAGE_KEY = 'camera_shortcuts';
+const STORAGE_VERSION = 1;
+
+const loadBindings = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return mergeBindings(saved?.bindings);
+  } catch (e) {
+    console.error("Failed to load shortcuts", e);
+    return DEFAULT_BINDINGS;
+  }
+};
+
+// User-editable action -> [binding] map, persisted across visits
+export const useShortcutBindings = () => {
+  const [bindings, setBindings] = useState(loadBindings);
+
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: STORAGE_VERSION, bindings }));
+  }, [bindings]);
+
+  // Adds `binding` to an action, taking it away from any action that had it
+  const assignBinding = useCallback((actionId, binding) => {
+    setBindings(prev => Object.fromEntries(Object.entries(prev).map(([id, list]) => {
+      const rest = list.filter(b => b !== binding);
+      return [id, id === actionId ? [...rest, binding] : rest];
+    })));
+  }, []);
+
+  const removeBinding = useCallback((actionId, binding) => {
+    setBindings(prev => ({ ...prev, [actionId]: prev[actionId].filter(b => b !== binding) }));
+  }, []);
+
+  const resetBindings = useCallback(() => setBindings(DEFAULT_BINDINGS), []);
+
+  return { bindings, assignBinding, removeBinding, resetBindings };
+};
@@ -0,0 +1,54 @@
+import { useState, useEffect, useRef } from 'react';
+import { createTemporalDenoiser } from '../utils/temporalDenoise';
+import { getSourceSize } from '../utils/capture';
+
+// Runs the temporal denoiser (see utils/temporalDenoise) on every new video frame while
+// enabled. canvasRef then holds a frame source to use instead of the <video>: the live
+// view, SNAP and recording all read it. active is false until it has drawn a frame.
+export const useTemporalDenoise = ({ videoRef, stream, enabled, frames, motion }) => {
+  const canvasRef = useRef(null);
+  const settingsRef = useRef({ frames, motion });
+  // Tagged with the stream the output belongs to
+  const [readyStream, setReadyStream] = useState(null);
+
+  useEffect(() => {
+    settingsRef.current = { frames, motion };
+  }, [frames, motion]);
+
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!enabled || !stream || !video) return;
+
+    let denoiser = null;
+    let handle = null;
+    let stopped = false;
+    const hasFrameCallback = !!video.requestVideoFrameCallback;
+
+    const step = () => {
+      if (stopped) return;
+      const { width, height } = getSourceSize(video);
+      if (width && !denoiser) {
+        denoiser = createTemporalDenoiser(width, height);
+        canvasRef.current = denoiser?.canvas || null;
+      }
+      if (denoiser?.update(video, settingsRef.current)) setReadyStream(stream);
+      // Without frame callbacks this runs at display rate and repeats frames, which only
+      // makes the average count the same frame twice
+      handle = hasFrameCallback ? video.requestVideoFrameCallback(step) : requestAnimationFrame(step);
+    };
+    step();
+
+    return () => {
+      stopped = true;
+      if (hasFrameCallback) video.cancelVideoFrameCallback(handle);
+      else cancelAnimationFrame(handle);
+      denoiser?.dispose();
+      canvasRef.current = null;
+    };
+  }, [enabled, stream, videoRef]);
+
+  return {
+    canvasRef,
+    active: enabled && !!stream && readyStream === stream
+  };
+};
@@ -0,0 +1,215 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { putRun, getRuns, putFrame, frameId, iterateFrames, deleteRun, createMediaId } from '../utils/mediaStore';
+import { assembleVideo } from '../utils/recording';
+import { createZip } from '../utils/zip';
+
+// Retry delay while the camera isn't ready yet (e.g. right after a reload)
+const NOT_READY_RETRY_MS = 1000;
+// A failed frame is retried this soon (or at the next interval, if sooner); after
+// MAX_CAPTURE_FAILURES in a row the run is stopped with the reason
+const FAILURE_RETRY_MS = 5000;
+const MAX_CAPTURE_FAILURES = 5;
+
+async function* frameBlobs(runId) {
+  for await (const frame of iterateFrames(runId)) yield frame.blob;
+}
+
+async function* zipEntries(runId) {
+  for await (const frame of iterateFrames(runId)) {
+    yield { name: `frame-${String(frame.index + 1).padStart(5, '0')}.png`, blob: frame.blob, date: new Date(frame.date) };
+  }
+}
+
+const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+const isFinished = (run, now) => {
+  if (!run.autoStop) return false;
+  if (run.limit.type === 'frames') return run.capturedCount >= run.limit.value;
+  if (run.limit.type === 'duration') return now - run.createdAt >= run.limit.value;
+  return false;
+};
+
+// Time-lapse: frames go through takePhoto (same path as SNAP) into IndexedDB, one record
+// per frame, so a run survives a reload and picks up where it left off.
+export const useTimelapse = ({ videoRef, getView, takePhoto, getCaptureMeta }) => {
+  const [runs, setRuns] = useState([]);
+  const [job, setJob] = useState(null); // { runId, kind: 'video' | 'zip', progress }
+  // Why the last frame of the active run failed; cleared by the next good one
+  const [captureError, setCaptureError] = useState(null);
+  // Last failed video/ZIP job: { runId, message }
+  const [jobError, setJobError] = useState(null);
+  const capturingRef = useRef(false);
+  const runsRef = useRef(runs);
+
+  useEffect(() => {
+    runsRef.current = runs;
+  }, [runs]);
+
+  const activeRun = runs.find(r => r.status === 'running') || null;
+
+  const saveRun = useCallback(async (run) => {
+    setRuns(prev => [run, ...prev.filter(r => r.id !== run.id)].sort((a, b) => b.createdAt - a.createdAt));
+    try {
+      await putRun(run);
+    } catch (e) {
+      console.error("Failed to persist time-lapse run:", e);
+    }
+  }, []);
+
+  // Pick up runs (including one still marked running) from before the reload
+  useEffect(() => {
+    let mounted = true;
+    getRuns()
+      .then(saved => { if (mounted) setRuns(saved); })
+      .catch(e => console.error("Failed to load time-lapse runs:", e));
+    return () => { mounted = false; };
+  }, []);
+
+  // Scheduler: one timeout to the next due frame, re-armed after every capture
+  useEffect(() => {
+    if (!activeRun) return;
+    let timeout;
+    let cancelled = false;
+    let failures = 0;
+
+    // Retries soon, unless it keeps failing or can't succeed (storage full)
+    const fail = async (reason, persistent) => {
+      failures++;
+      setCaptureError(reason);
+      if (persistent || failures >= MAX_CAPTURE_FAILURES) {
+        const latest = runsRef.current.find(r => r.id === activeRun.id) || activeRun;
+        await saveRun({ ...latest, status: 'stopped', stopReason: reason });
+      } else if (!cancelled) {
+        timeout = setTimeout(capture, Math.min(FAILURE_RETRY_MS, activeRun.intervalMs));
+      }
+    };
+
+    const capture = async () => {
+      if (capturingRef.current) return;
+      const video = videoRef.current;
+      if (!video?.videoWidth) {
+        timeout = setTimeout(capture, NOT_READY_RETRY_MS);
+        return;
+      }
+
+      capturingRef.current = true;
+      try {
+        const photo = await takePhoto(video, getView());
+        if (!photo) {
+          await fail('The camera returned no frame.', false);
+          return;
+        }
+        const now = Date.now();
+        await putFrame({
+          id: frameId(activeRun.id, activeRun.capturedCount),
+          runId: activeRun.id,
+          index: activeRun.capturedCount,
+          date: now,
+          blob: photo.blob
+        });
+
+        const next = {
+          ...activeRun,
+          capturedCount: activeRun.capturedCount + 1,
+          lastCaptureAt: now,
+          thumbnail: activeRun.thumbnail || photo.thumbnail
+        };
+        // Stopped by the user while this frame was being written
+        const latest = runsRef.current.find(r => r.id === activeRun.id);
+        if (isFinished(next, now) || latest?.status !== 'running') next.status = 'stopped';
+        setCaptureError(null);
+        await saveRun(next);
+      } catch (e) {
+        console.error("Time-lapse capture failed:", e);
+        const quota = e?.name === 'QuotaExceededError';
+        await fail(quota ? 'Storage is full.' : `Capture failed: ${e?.message || e}`, quota);
+      } finally {
+        capturingRef.current = false;
+      }
+    };
+
+    // After a reload lastCaptureAt may be long past: capture straight away, then keep the interval
+    const due = activeRun.lastCaptureAt ? activeRun.lastCaptureAt + activeRun.intervalMs : Date.now();
+    timeout = setTimeout(capture, Math.max(0, due - Date.now()));
+    return () => {
+      cancelled = true;
+      clearTimeout(timeout);
+    };
+  }, [activeRun, videoRef, getView, takePhoto, saveRun]);
+
+  const start = useCallback(({ intervalMs, autoStop, limit }) => {
+    if (activeRun) return;
+    const meta = getCaptureMeta();
+    setCaptureError(null);
+    saveRun({
+      id: `timelapse-${createMediaId()}`,
+      createdAt: Date.now(),
+      intervalMs,
+      autoStop,
+      limit,
+      status: 'running',
+      capturedCount: 0,
+      lastCaptureAt: null,
+      deviceId: meta.deviceId,
+      deviceLabel: meta.deviceLabel
+    });
+  }, [activeRun, getCaptureMeta, saveRun]);
+
+  const stop = useCallback(() => {
+    if (activeRun) saveRun({ ...activeRun, status: 'stopped' });
+  }, [activeRun, saveRun]);
+
+  const remove = useCallback(async (runId) => {
+    setRuns(prev => prev.filter(r => r.id !== runId));
+    await deleteRun(runId);
+  }, []);
+
+  // Resolves to { blob, mimeType, thumbnail } for the Gallery, or null (failures end up in jobError)
+  const makeVideo = useCallback(async (runId, fps) => {
+    const run = runs.find(r => r.id === runId);
+    if (!run || run.capturedCount === 0) return null;
+    setJob({ runId, kind: 'video', progress: 0 });
+    setJobError(null);
+    try {
+      const video = await assembleVideo(frameBlobs(runId), {
+        fps,
+        frameCount: run.capturedCount,
+        onProgress: (progress) => setJob({ runId, kind: 'video', progress })
+      });
+      return video && { ...video, thumbnail: run.thumbnail };
+    } catch (e) {
+      console.error("Time-lapse video failed:", e);
+      setJobError({ runId, message: `Video failed: ${e?.message || e}` });
+      return null;
+    } finally {
+      setJob(null);
+    }
+  }, [runs]);
+
+  const downloadZip = useCallback(async (runId) => {
+    const run = runs.find(r => r.id === runId);
+    if (!run) return;
+    setJob({ runId, kind: 'zip', progress: 0 });
+    setJobError(null);
+    try {
+      const zip = await createZip(zipEntries(runId), (count) => (
+        setJob({ runId, kind: 'zip', progress: count / run.capturedCount })
+      ));
+      downloadBlob(zip, `tiny-world-timelapse-${run.createdAt}.zip`);
+    } catch (e) {
+      console.error("Time-lapse ZIP failed:", e);
+      setJobError({ runId, message: `ZIP failed: ${e?.message || e}` });
+    } finally {
+      setJob(null);
+    }
+  }, [runs]);
+
+  return { runs, activeRun, job, jobError, captureError, start, stop, remove, makeVideo, downloadZip };
+};
@@ -0,0 +1,51 @@
+import { useState, useMemo, useCallback } from 'react';
+import { probeVideoModes } from '../utils/videoModes';
+
+const storageKey = (deviceId) => `camera_video_modes_${deviceId}`;
+
+const loadCached = (deviceId) => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(storageKey(deviceId)));
+    return Array.isArray(saved) ? saved : null;
+  } catch {
+    return null;
+  }
+};
+
+// Modes the device delivers (see utils/videoModes). Probing briefly switches the live picture
+// through every size, so it only runs when the user asks (the picker's detect button); the
+// result is cached per device.
+// enabled: false while recording, when a mode switch would end up in the video.
+export const useVideoModes = (stream, deviceId, { enabled = true } = {}) => {
+  // Tagged with the device they were probed on
+  const [probed, setProbed] = useState({ deviceId: null, modes: null });
+  const [scanning, setScanning] = useState(null); // deviceId being probed
+
+  const track = stream?.getVideoTracks()[0] || null;
+  const cached = useMemo(() => (deviceId ? loadCached(deviceId) : null), [deviceId]);
+  const modes = probed.deviceId === deviceId ? probed.modes : cached;
+
+  const scan = useCallback(async () => {
+    if (!track || !deviceId) return;
+    setScanning(deviceId);
+    try {
+      const found = await probeVideoModes(track);
+      // A track that ended mid-probe says nothing about the device
+      if (track.readyState === 'ended') return;
+      localStorage.setItem(storageKey(deviceId), JSON.stringify(found));
+      setProbed({ deviceId, modes: found });
+    } catch (e) {
+      console.error("Failed to probe camera modes:", e);
+    } finally {
+      setScanning(null);
+    }
+  }, [track, deviceId]);
+
+  return {
+    modes: modes || [],
+    // False until probed on this device; the picker then offers to detect them
+    detected: !!modes,
+    scanning: scanning !== null && scanning === deviceId,
+    rescan: enabled ? scan : null
+  };
+};
@@ -0,0 +1,49 @@
+import { useState, useEffect, useMemo } from 'react';
+import { createViewportMapping } from '../utils/measure';
+import { getSourceSize } from '../utils/capture';
+
+// Tracks a media element's layout box (relative to its parent) and source size, and
+// returns the sensor <-> screen mapping for the current zoom/pan. Works for the live
+// <video> and for still <img> references alike.
+// Overlays that live inside the element's parent can use the mapping directly.
+// `stream` only re-arms the observers when the element is (re)mounted for a new source.
+export const useViewportMapping = (mediaRef, { aspectRatio, zoom, pan, stream }) => {
+  const [layout, setLayout] = useState(null);
+
+  useEffect(() => {
+    const media = mediaRef.current;
+    const container = media?.parentElement;
+    if (!media || !container) return;
+
+    const measure = () => {
+      // An <img> still loading would report its layout width as the source size
+      if (media.tagName === 'IMG' && !media.naturalWidth) return;
+      const sensor = getSourceSize(media);
+      if (!sensor.width) return;
+      setLayout({
+        box: { left: media.offsetLeft, top: media.offsetTop, width: media.offsetWidth, height: media.offsetHeight },
+        sensor
+      });
+    };
+
+    measure();
+    const observer = new ResizeObserver(measure);
+    observer.observe(container);
+    observer.observe(media);
+    media.addEventListener('loadedmetadata', measure);
+    media.addEventListener('resize', measure);
+    media.addEventListener('load', measure);
+    return () => {
+      observer.disconnect();
+      media.removeEventListener('loadedmetadata', measure);
+      media.removeEventListener('resize', measure);
+      media.removeEventListener('load', measure);
+    };
+  }, [mediaRef, aspectRatio, stream]);
+
+  const mapping = useMemo(() => (
+    layout ? createViewportMapping({ ...layout, aspectRatio, zoom, pan }) : null
+  ), [layout, aspectRatio, zoom, pan]);
+
+  return { mapping, layout };
+};
@@ -0,0 +1,146 @@
+// Translation estimation by phase correlation. Used to register burst frames
+// (focus stacking) and overlapping tiles (mosaic).
+
+// In-place radix-2 FFT. n must be a power of two.
+const fft = (re, im, inverse) => {
+  const n = re.length;
+
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+
+  for (let len = 2; len <= n; len <<= 1) {
+    const angle = ((inverse ? 2 : -2) * Math.PI) / len;
+    const wRe = Math.cos(angle);
+    const wIm = Math.sin(angle);
+    for (let i = 0; i < n; i += len) {
+      let curRe = 1;
+      let curIm = 0;
+      for (let k = 0; k < len / 2; k++) {
+        const a = i + k;
+        const b = a + len / 2;
+        const tRe = re[b] * curRe - im[b] * curIm;
+        const tIm = re[b] * curIm + im[b] * curRe;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+        const nextRe = curRe * wRe - curIm * wIm;
+        curIm = curRe * wIm + curIm * wRe;
+        curRe = nextRe;
+      }
+    }
+  }
+
+  if (inverse) {
+    for (let i = 0; i < n; i++) {
+      re[i] /= n;
+      im[i] /= n;
+    }
+  }
+};
+
+// 2D FFT over an n x n grid stored row-major
+const fft2d = (re, im, n, inverse) => {
+  const rowRe = new Float64Array(n);
+  const rowIm = new Float64Array(n);
+
+  for (let y = 0; y < n; y++) {
+    for (let x = 0; x < n; x++) { rowRe[x] = re[y * n + x]; rowIm[x] = im[y * n + x]; }
+    fft(rowRe, rowIm, inverse);
+    for (let x = 0; x < n; x++) { re[y * n + x] = rowRe[x]; im[y * n + x] = rowIm[x]; }
+  }
+  for (let x = 0; x < n; x++) {
+    for (let y = 0; y < n; y++) { rowRe[y] = re[y * n + x]; rowIm[y] = im[y * n + x]; }
+    fft(rowRe, rowIm, inverse);
+    for (let y = 0; y < n; y++) { re[y * n + x] = rowRe[y]; im[y * n + x] = rowIm[y]; }
+  }
+};
+
+// Centered square of the gray image, box-downsampled to n x n, mean-removed and Hann-windowed.
+// Returns the patch plus the full-res pixels per patch pixel.
+export const extractPatch = (gray, width, height, n) => {
+  const side = Math.min(width, height);
+  const scale = side / n;
+  const x0 = Math.floor((width - side) / 2);
+  const y0 = Math.floor((height - side) / 2);
+  const patch = new Float64Array(n * n);
+  const step = Math.max(1, Math.floor(scale));
+
+  let mean = 0;
+  for (let py = 0; py < n; py++) {
+    for (let px = 0; px < n; px++) {
+      const sx = x0 + Math.floor(px * scale);
+      const sy = y0 + Math.floor(py * scale);
+      let sum = 0;
+      let count = 0;
+      for (let dy = 0; dy < step; dy += 2) {
+        for (let dx = 0; dx < step; dx += 2) {
+          sum += gray[(sy + dy) * width + sx + dx];
+          count++;
+        }
+      }
+      patch[py * n + px] = sum / count;
+      mean += patch[py * n + px];
+    }
+  }
+  mean /= n * n;
+
+  for (let py = 0; py < n; py++) {
+    const wy = 0.5 - 0.5 * Math.cos((2 * Math.PI * py) / (n - 1));
+    for (let px = 0; px < n; px++) {
+      const wx = 0.5 - 0.5 * Math.cos((2 * Math.PI * px) / (n - 1));
+      patch[py * n + px] = (patch[py * n + px] - mean) * wx * wy;
+    }
+  }
+
+  return { patch, scale };
+};
+
+// Shift d (in patch pixels) such that b(x) ≈ a(x - d), plus the normalized peak height
+// (close to 1 for a clean match, near 0 when the frames don't overlap).
+export const phaseCorrelate = (a, b, n) => {
+  const aRe = Float64Array.from(a);
+  const aIm = new Float64Array(n * n);
+  const bRe = Float64Array.from(b);
+  const bIm = new Float64Array(n * n);
+  fft2d(aRe, aIm, n, false);
+  fft2d(bRe, bIm, n, false);
+
+  // Normalized cross-power spectrum B * conj(A)
+  for (let i = 0; i < n * n; i++) {
+    const re = bRe[i] * aRe[i] + bIm[i] * aIm[i];
+    const im = bIm[i] * aRe[i] - bRe[i] * aIm[i];
+    const mag = Math.hypot(re, im) || 1;
+    aRe[i] = re / mag;
+    aIm[i] = im / mag;
+  }
+  fft2d(aRe, aIm, n, true);
+
+  let best = 0;
+  for (let i = 1; i < n * n; i++) {
+    if (aRe[i] > aRe[best]) best = i;
+  }
+
+  let dx = best % n;
+  let dy = Math.floor(best / n);
+  if (dx > n / 2) dx -= n;
+  if (dy > n / 2) dy -= n;
+
+  return { dx, dy, peak: aRe[best] };
+};
+
+// Translation of `image` relative to `reference`, in full-res pixels.
+// To align, sample image at (x + dx, y + dy).
+export const estimateTranslation = (reference, image, width, height, n = 256) => {
+  const ref = extractPatch(reference, width, height, n);
+  const img = extractPatch(image, width, height, n);
+  const { dx, dy, peak } = phaseCorrelate(ref.patch, img.patch, n);
+  return { dx: Math.round(dx * ref.scale), dy: Math.round(dy * ref.scale), peak };
+};
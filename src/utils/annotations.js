@@ -0,0 +1,122 @@
+import { getSourceSize, getViewportRect, canvasToBlob } from './capture';
+
+// Annotations are vector data: { id, kind, points: [{ x, y }], color, text?, number? }
+// kind: 'arrow' | 'rect' | 'freehand' | 'text' | 'callout'
+// Points are in model pixels: sensor pixels on the live view, image pixels on a capture.
+
+export const ANNOTATION_COLORS = ['#FFB300', '#F44336', '#03A9F4', '#8BC34A', '#FFFFFF'];
+
+export const createAnnotationId = () => `a-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`;
+
+export const nextCalloutNumber = (annotations) => (
+  annotations.reduce((max, a) => (a.kind === 'callout' ? Math.max(max, a.number || 0) : max), 0) + 1
+);
+
+// The two barbs of an arrow head at `to`
+export const arrowHead = (from, to, size) => {
+  const angle = Math.atan2(to.y - from.y, to.x - from.x);
+  return [-1, 1].map(side => ({
+    x: to.x - size * Math.cos(angle + side * Math.PI / 7),
+    y: to.y - size * Math.sin(angle + side * Math.PI / 7)
+  }));
+};
+
+// Stroke/text sizes in model pixels, so flattened output looks the same at any resolution
+export const annotationSizes = (width, height) => {
+  const unit = Math.max(1, Math.min(width, height) / 400);
+  return { stroke: 2 * unit, font: 14 * unit, head: 12 * unit, callout: 12 * unit };
+};
+
+// Draws annotations onto a canvas already in model coordinates
+export const drawAnnotations = (ctx, annotations) => {
+  const sizes = annotationSizes(ctx.canvas.width, ctx.canvas.height);
+
+  ctx.save();
+  ctx.lineWidth = sizes.stroke;
+  ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
+  ctx.font = `600 ${sizes.font}px system-ui, sans-serif`;
+  ctx.textBaseline = 'middle';
+
+  annotations.forEach(a => {
+    const [p0, p1] = a.points;
+    ctx.strokeStyle = a.color;
+    ctx.fillStyle = a.color;
+
+    switch (a.kind) {
+      case 'arrow': {
+        if (!p1) break;
+        const [b1, b2] = arrowHead(p0, p1, sizes.head);
+        ctx.beginPath();
+        ctx.moveTo(p0.x, p0.y);
+        ctx.lineTo(p1.x, p1.y);
+        ctx.moveTo(b1.x, b1.y);
+        ctx.lineTo(p1.x, p1.y);
+        ctx.lineTo(b2.x, b2.y);
+        ctx.stroke();
+        break;
+      }
+      case 'rect':
+        if (!p1) break;
+        ctx.strokeRect(Math.min(p0.x, p1.x), Math.min(p0.y, p1.y), Math.abs(p1.x - p0.x), Math.abs(p1.y - p0.y));
+        break;
+      case 'freehand':
+        ctx.beginPath();
+        a.points.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+        ctx.stroke();
+        break;
+      case 'text':
+        ctx.lineWidth = sizes.stroke * 1.5;
+        ctx.strokeStyle = 'rgba(0,0,0,0.8)';
+        ctx.strokeText(a.text || '', p0.x, p0.y);
+        ctx.fillText(a.text || '', p0.x, p0.y);
+        ctx.lineWidth = sizes.stroke;
+        break;
+      case 'callout': {
+        ctx.beginPath();
+        ctx.arc(p0.x, p0.y, sizes.callout, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillStyle = 'black';
+        ctx.textAlign = 'center';
+        ctx.fillText(String(a.number), p0.x, p0.y);
+        ctx.textAlign = 'start';
+        if (a.text) {
+          ctx.fillStyle = a.color;
+          ctx.strokeStyle = 'rgba(0,0,0,0.8)';
+          ctx.strokeText(a.text, p0.x + sizes.callout * 1.5, p0.y);
+          ctx.fillText(a.text, p0.x + sizes.callout * 1.5, p0.y);
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  });
+
+  ctx.restore();
+};
+
+// Live-view annotations (sensor px) -> pixel coordinates of a capture made with `view`
+export const annotationsToOutput = (annotations, source, view) => {
+  const { width, height } = getSourceSize(source);
+  const rect = getViewportRect(width, height, { zoom: view.filters.zoom, pan: view.pan, aspectRatio: view.aspectRatio });
+  const sx = rect.outputWidth / rect.width;
+  const sy = rect.outputHeight / rect.height;
+  return annotations.map(a => ({
+    ...a,
+    points: a.points.map(p => ({ x: (p.x - rect.x) * sx, y: (p.y - rect.y) * sy }))
+  }));
+};
+
+// PNG with the annotations burned in
+export const flattenAnnotations = async (imageBlob, annotations) => {
+  const bitmap = await createImageBitmap(imageBlob);
+  const canvas = document.createElement('canvas');
+  canvas.width = bitmap.width;
+  canvas.height = bitmap.height;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(bitmap, 0, 0);
+  bitmap.close();
+  drawAnnotations(ctx, annotations);
+  return canvasToBlob(canvas);
+};
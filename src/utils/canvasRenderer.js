@@ -0,0 +1,257 @@
+import { CANNY_LOW_RATIO, GRADIENT_WEIGHTS, gaussianWeights } from './edgeDetection';
+
+// Canvas2D implementation of the pipeline passes (see utils/pipeline), for machines
+// without any WebGL. Same math as the shaders, on 8-bit ImageData.
+
+const clampByte = (v) => (v < 0 ? 0 : v > 255 ? 255 : v);
+
+const applyMatrix = ({ data }, { matrix: m, offset }) => {
+  const o = offset.map(v => v * 255);
+  for (let i = 0; i < data.length; i += 4) {
+    const r = data[i];
+    const g = data[i + 1];
+    const b = data[i + 2];
+    data[i] = m[0] * r + m[1] * g + m[2] * b + o[0];
+    data[i + 1] = m[3] * r + m[4] * g + m[5] * b + o[1];
+    data[i + 2] = m[6] * r + m[7] * g + m[8] * b + o[2];
+  }
+};
+
+const applyConvolve = ({ data, width, height }, { kernel, gray }) => {
+  const src = new Uint8ClampedArray(data);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      for (let ky = -1; ky <= 1; ky++) {
+        const sy = Math.min(height - 1, Math.max(0, y + ky));
+        for (let kx = -1; kx <= 1; kx++) {
+          const sx = Math.min(width - 1, Math.max(0, x + kx));
+          const k = kernel[(ky + 1) * 3 + kx + 1];
+          const p = (sy * width + sx) * 4;
+          r += src[p] * k;
+          g += src[p + 1] * k;
+          b += src[p + 2] * k;
+        }
+      }
+      const i = (y * width + x) * 4;
+      if (gray) {
+        const l = 0.213 * clampByte(r) + 0.715 * clampByte(g) + 0.072 * clampByte(b);
+        data[i] = data[i + 1] = data[i + 2] = l;
+      } else {
+        data[i] = r;
+        data[i + 1] = g;
+        data[i + 2] = b;
+      }
+    }
+  }
+};
+
+const applyLut = ({ data }, { lut, min, max }) => {
+  const span = Math.max(max - min, 1 / 255);
+  for (let i = 0; i < data.length; i += 4) {
+    const t = (0.2125 * data[i] + 0.7154 * data[i + 1] + 0.0721 * data[i + 2]) / 255;
+    const index = Math.round(Math.min(1, Math.max(0, (t - min) / span)) * 255) * 3;
+    data[i] = lut[index];
+    data[i + 1] = lut[index + 1];
+    data[i + 2] = lut[index + 2];
+  }
+};
+
+const applyGamma = ({ data }, { exponent }) => {
+  const lut = new Uint8ClampedArray(256);
+  for (let v = 0; v < 256; v++) lut[v] = Math.round(Math.pow(v / 255, exponent) * 255);
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = lut[data[i]];
+    data[i + 1] = lut[data[i + 1]];
+    data[i + 2] = lut[data[i + 2]];
+  }
+};
+
+// Separable Gaussian with edge pixels repeated
+const gaussianBlur = (values, width, height, radius) => {
+  const weights = gaussianWeights(radius);
+  const blurLine = (src, step, along, across) => {
+    const out = new Float32Array(src.length);
+    for (let j = 0; j < across; j++) {
+      for (let i = 0; i < along; i++) {
+        let sum = src[i * step.along + j * step.across] * weights[0];
+        for (let k = 1; k <= radius; k++) {
+          const before = Math.max(0, i - k);
+          const after = Math.min(along - 1, i + k);
+          sum += (src[before * step.along + j * step.across] + src[after * step.along + j * step.across]) * weights[k];
+        }
+        out[i * step.along + j * step.across] = sum;
+      }
+    }
+    return out;
+  };
+  const rows = blurLine(values, { along: 1, across: width }, width, height);
+  return blurLine(rows, { along: width, across: 1 }, height, width);
+};
+
+// Neighbour offsets (x right, y up) along each quantized gradient direction
+const CANNY_DIRECTIONS = [[1, 0], [1, 1], [0, 1], [-1, 1]];
+
+// Edge detection (see utils/edgeDetection): the same steps as the WebGL draws
+const applyEdges = ({ data, width, height }, { method, threshold, blur, overlay, color }) => {
+  const size = width * height;
+  let luma = new Float32Array(size);
+  for (let p = 0, i = 0; p < size; p++, i += 4) {
+    luma[p] = (0.2125 * data[i] + 0.7154 * data[i + 1] + 0.0721 * data[i + 2]) / 255;
+  }
+  if (blur > 0) luma = gaussianBlur(luma, width, height, blur);
+
+  // dy counts upwards, as in the shaders
+  const at = (x, y, dx, dy) => (
+    luma[Math.min(height - 1, Math.max(0, y - dy)) * width + Math.min(width - 1, Math.max(0, x + dx))]
+  );
+  const laplacian = method === 'laplacian' || method === 'log';
+  const [corner, side] = GRADIENT_WEIGHTS[method === 'scharr' ? 'scharr' : 'sobel'];
+  const norm = 2 * corner + side;
+  const strength = new Float32Array(size);
+  const bins = new Uint8Array(size);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const tl = at(x, y, -1, 1);
+      const t = at(x, y, 0, 1);
+      const tr = at(x, y, 1, 1);
+      const l = at(x, y, -1, 0);
+      const r = at(x, y, 1, 0);
+      const bl = at(x, y, -1, -1);
+      const b = at(x, y, 0, -1);
+      const br = at(x, y, 1, -1);
+      const p = y * width + x;
+      if (laplacian) {
+        strength[p] = Math.min(1, Math.abs(8 * luma[p] - (tl + t + tr + l + r + bl + b + br)));
+        continue;
+      }
+      const gx = (corner * (tr + br - tl - bl) + side * (r - l)) / norm;
+      const gy = (corner * (tl + tr - bl - br) + side * (t - b)) / norm;
+      strength[p] = Math.min(1, Math.hypot(gx, gy));
+      const angle = (Math.atan2(gy, gx) + Math.PI / 8 + Math.PI) % Math.PI;
+      bins[p] = Math.min(3, Math.floor(angle / (Math.PI / 4)));
+    }
+  }
+
+  let isEdge = (p) => strength[p] >= threshold;
+  if (method === 'canny') {
+    // Non-maximum suppression and double threshold: 2 strong, 1 weak
+    const state = new Uint8Array(size);
+    const stack = [];
+    const strengthAt = (x, y) => strength[Math.min(height - 1, Math.max(0, y)) * width + Math.min(width - 1, Math.max(0, x))];
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const p = y * width + x;
+        const [dx, dy] = CANNY_DIRECTIONS[bins[p]];
+        const s = strength[p];
+        if (s < strengthAt(x + dx, y - dy) || s < strengthAt(x - dx, y + dy)) continue;
+        if (s >= threshold) {
+          state[p] = 2;
+          stack.push(p);
+        } else if (s >= threshold * CANNY_LOW_RATIO) {
+          state[p] = 1;
+        }
+      }
+    }
+    // Hysteresis: follow weak pixels out from every strong one
+    while (stack.length) {
+      const p = stack.pop();
+      const x = p % width;
+      const y = (p - x) / width;
+      for (let ny = Math.max(0, y - 1); ny <= Math.min(height - 1, y + 1); ny++) {
+        for (let nx = Math.max(0, x - 1); nx <= Math.min(width - 1, x + 1); nx++) {
+          const q = ny * width + nx;
+          if (state[q] === 1) {
+            state[q] = 2;
+            stack.push(q);
+          }
+        }
+      }
+    }
+    isEdge = (p) => state[p] === 2;
+  }
+
+  const paint = color.map(v => v * 255);
+  for (let p = 0, i = 0; p < size; p++, i += 4) {
+    const edge = isEdge(p);
+    if (overlay) {
+      if (!edge) continue;
+      data[i] = paint[0];
+      data[i + 1] = paint[1];
+      data[i + 2] = paint[2];
+    } else {
+      data[i] = data[i + 1] = data[i + 2] = !edge ? 0 : method === 'canny' ? 255 : strength[p] * 255;
+    }
+  }
+};
+
+// Flat-field / dark-frame correction (see utils/flatField). flat and dark are the calibration
+// frames cropped and scaled the same way as the picture, so they line up pixel for pixel.
+const applyCorrection = ({ data }, flat, dark, mean) => {
+  const m = mean.map(v => v * 255);
+  for (let i = 0; i < data.length; i += 4) {
+    for (let c = 0; c < 3; c++) {
+      const d = dark ? dark[i + c] : 0;
+      data[i + c] = ((data[i + c] - d) * m[c]) / Math.max(flat[i + c] - d, 1);
+    }
+  }
+};
+
+const PASS_IMPLEMENTATIONS = {
+  matrix: applyMatrix,
+  convolve: applyConvolve,
+  lut: applyLut,
+  gamma: applyGamma,
+  edges: applyEdges
+};
+
+export const createCanvasRenderer = (canvas) => {
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  if (!ctx) return null;
+  // Scratch canvas for cropping the calibration frames to the viewport
+  const scratch = document.createElement('canvas');
+  const scratchCtx = scratch.getContext('2d', { willReadFrequently: true });
+
+  const cropFrame = (frame, rect, width, height) => {
+    scratch.width = width;
+    scratch.height = height;
+    scratchCtx.imageSmoothingEnabled = ctx.imageSmoothingEnabled;
+    scratchCtx.imageSmoothingQuality = ctx.imageSmoothingQuality;
+    scratchCtx.drawImage(frame, rect.x, rect.y, rect.width, rect.height, 0, 0, width, height);
+    return scratchCtx.getImageData(0, 0, width, height).data;
+  };
+
+  // Bicubic maps to the browser's best smoothing, which is what Canvas2D offers.
+  // correction: see utils/flatField; ignored unless it was made at this source's size
+  const render = (source, rect, passes, { interpolation = 'bilinear', correction = null } = {}) => {
+    const { width, height } = canvas;
+    if (!width || !height) return;
+    ctx.imageSmoothingEnabled = interpolation !== 'nearest';
+    ctx.imageSmoothingQuality = interpolation === 'bicubic' ? 'high' : 'low';
+    ctx.drawImage(source, rect.x, rect.y, rect.width, rect.height, 0, 0, width, height);
+
+    const sourceWidth = source.videoWidth || source.naturalWidth || source.width;
+    const sourceHeight = source.videoHeight || source.naturalHeight || source.height;
+    const correcting = correction && correction.width === sourceWidth && correction.height === sourceHeight;
+    if (passes.length === 0 && !correcting) return;
+
+    const image = ctx.getImageData(0, 0, width, height);
+    if (correcting) {
+      const flat = cropFrame(correction.flat, rect, width, height);
+      const dark = correction.dark ? cropFrame(correction.dark, rect, width, height) : null;
+      applyCorrection(image, flat, dark, correction.mean);
+    }
+    passes.forEach(pass => PASS_IMPLEMENTATIONS[pass.kind](image, pass));
+    ctx.putImageData(image, 0, 0);
+  };
+
+  return {
+    kind: 'canvas2d',
+    canvas,
+    maxSize: Infinity,
+    render,
+    dispose: () => {}
+  };
+};
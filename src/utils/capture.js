@@ -0,0 +1,288 @@
+import { formatLength, niceLength } from './units';
+import { buildPasses, getCaptureRenderer } from './pipeline';
+import { clampPan } from './viewport';
+import { getLut, legendTicks } from './colormaps';
+
+// Capture helpers: turn the live <video> (or any drawable) into a canvas that
+// matches what the viewport shows, using the same zoom/pan/crop state as the preview
+// and the same processing pipeline (utils/pipeline) for the filters.
+
+// "3/2" -> 1.5, "native" -> null
+export const parseAspectRatio = (aspectRatio) => {
+  if (!aspectRatio || aspectRatio === 'native') return null;
+  const [w, h] = String(aspectRatio).split('/').map(Number);
+  if (!w || !h) return null;
+  return w / h;
+};
+
+export const getSourceSize = (source) => ({
+  width: source.videoWidth || source.naturalWidth || source.width || 0,
+  height: source.videoHeight || source.naturalHeight || source.height || 0
+});
+
+// Centered crop of the sensor frame to the selected aspect ratio. ProcessedView draws this
+// into the (invisible) <video> element's box, so its objectFit plays no part in the framing.
+export const getCropRect = (width, height, aspectRatio) => {
+  const ratio = parseAspectRatio(aspectRatio);
+  if (!ratio) return { x: 0, y: 0, width, height };
+
+  if (width / height > ratio) {
+    const w = Math.round(height * ratio);
+    return { x: Math.round((width - w) / 2), y: 0, width: w, height };
+  }
+  const h = Math.round(width / ratio);
+  return { x: 0, y: Math.round((height - h) / 2), width, height: h };
+};
+
+// Region of the sensor frame visible in the viewport.
+// The preview applies `translate(pan * 100%) scale(zoom)` around the center, so a
+// viewport point q (relative to center, in element units) shows element point (q - pan) / zoom.
+export const getViewportRect = (width, height, { zoom = 1, pan = { x: 0, y: 0 }, aspectRatio }) => {
+  const crop = getCropRect(width, height, aspectRatio);
+  // Same safety rule as the preview: pan never shows past the frame edge (none at 1x)
+  const effectivePan = clampPan(pan, zoom);
+
+  const left = 0.5 + (-0.5 - effectivePan.x) / zoom;
+  const top = 0.5 + (-0.5 - effectivePan.y) / zoom;
+
+  return {
+    x: crop.x + left * crop.width,
+    y: crop.y + top * crop.height,
+    width: crop.width / zoom,
+    height: crop.height / zoom,
+    // Output keeps the full sensor resolution of the crop
+    outputWidth: crop.width,
+    outputHeight: crop.height
+  };
+};
+
+// Untouched sensor frame
+export const renderRawFrame = (source) => {
+  const { width, height } = getSourceSize(source);
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  canvas.getContext('2d').drawImage(source, 0, 0);
+  return canvas;
+};
+
+// Resolves on the next decoded video frame (or after ~1/30 s where the callback is missing)
+const nextFrame = (video) => new Promise(resolve => {
+  if (video.requestVideoFrameCallback) video.requestVideoFrameCallback(() => resolve());
+  else setTimeout(resolve, 33);
+});
+
+// Up to this many 8-bit frames fit the 16-bit sums
+export const MAX_AVERAGED_FRAMES = 256;
+
+// Average of `count` consecutive video frames at sensor resolution, as a canvas: a
+// long exposure without the clipping. Used for SNAPs and flat-field calibration frames.
+export const averageFrames = async (video, { count, onProgress } = {}) => {
+  const { width, height } = getSourceSize(video);
+  if (!width || !height) throw new Error('No camera picture to average');
+  const frames = Math.max(1, Math.min(MAX_AVERAGED_FRAMES, Math.round(count)));
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  const sum = new Uint16Array(width * height * 3);
+
+  for (let n = 0; n < frames; n++) {
+    await nextFrame(video);
+    if (video.videoWidth !== width || video.videoHeight !== height) {
+      throw new Error('The camera resolution changed while averaging');
+    }
+    ctx.drawImage(video, 0, 0);
+    const { data } = ctx.getImageData(0, 0, width, height);
+    for (let i = 0, j = 0; i < data.length; i += 4, j += 3) {
+      sum[j] += data[i];
+      sum[j + 1] += data[i + 1];
+      sum[j + 2] += data[i + 2];
+    }
+    onProgress?.((n + 1) / frames);
+  }
+
+  const image = ctx.createImageData(width, height);
+  for (let i = 0, j = 0; i < image.data.length; i += 4, j += 3) {
+    image.data[i] = Math.round(sum[j] / frames);
+    image.data[i + 1] = Math.round(sum[j + 1] / frames);
+    image.data[i + 2] = Math.round(sum[j + 2] / frames);
+    image.data[i + 3] = 255;
+  }
+  ctx.putImageData(image, 0, 0);
+  return canvas;
+};
+
+// Draws the viewport into an existing canvas sized for the output.
+// Used by SNAP (one-off canvas) and by the recording compositor (reused every frame).
+// correction: flat-field frames for this source (utils/flatField), or null
+// passes: override of the passes built from filters ([] for the unprocessed picture)
+// renderer: one of the caller's own (see createRenderer) instead of the shared capture
+// renderer, for callers that draw often and would otherwise resize it back and forth
+export const drawViewport = (ctx, source, { filters, pan, aspectRatio, correction = null, passes = buildPasses(filters) }, renderer = null) => {
+  const { width, height } = getSourceSize(source);
+  const rect = getViewportRect(width, height, { zoom: filters.zoom, pan, aspectRatio });
+  const { width: outW, height: outH } = ctx.canvas;
+
+  // Zoomed-out regions can't happen (pan is clamped), but fill anyway so the output has no holes
+  ctx.fillStyle = '#000';
+  ctx.fillRect(0, 0, outW, outH);
+
+  let target = renderer;
+  if (target) {
+    if (target.canvas.width !== outW || target.canvas.height !== outH) {
+      target.canvas.width = outW;
+      target.canvas.height = outH;
+    }
+  } else {
+    target = getCaptureRenderer(outW, outH);
+  }
+  target.render(source, rect, passes, { interpolation: filters.interpolation, correction });
+  ctx.drawImage(target.canvas, 0, 0);
+};
+
+// Grid and crosshair, drawn the same way the CSS overlays in App look
+export const drawOverlays = (ctx, filters) => {
+  const { width, height } = ctx.canvas;
+  const line = Math.max(1, Math.round(Math.min(width, height) / 1000));
+
+  if (filters.grid) {
+    ctx.fillStyle = 'rgba(255,255,255,0.2)';
+    for (let i = 0; i < 10; i++) {
+      ctx.fillRect(Math.round((i * width) / 10), 0, line, height);
+      ctx.fillRect(0, Math.round((i * height) / 10), width, line);
+    }
+  }
+
+  if (filters.crosshair) {
+    ctx.fillStyle = 'rgba(255, 0, 0, 0.5)';
+    ctx.fillRect(0, Math.round(height / 2), width, line);
+    ctx.fillRect(Math.round(width / 2), 0, line, height);
+  }
+};
+
+// Calibrated scale bar in the bottom-right corner. pxPerUm is in OUTPUT pixels.
+export const drawScaleBar = (ctx, pxPerUm) => {
+  const { width, height } = ctx.canvas;
+  if (!(pxPerUm > 0)) return;
+
+  const lengthUm = niceLength((width * 0.2) / pxPerUm);
+  const barWidth = lengthUm * pxPerUm;
+  const unit = Math.max(1, Math.round(Math.min(width, height) / 200));
+  const margin = unit * 6;
+  const barHeight = unit * 2;
+  const x = width - margin - barWidth;
+  const y = height - margin - barHeight;
+
+  ctx.save();
+  ctx.font = `600 ${unit * 6}px system-ui, sans-serif`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'bottom';
+  ctx.shadowColor = 'rgba(0,0,0,0.8)';
+  ctx.shadowBlur = unit * 2;
+  ctx.fillStyle = 'white';
+  ctx.fillRect(x, y, barWidth, barHeight);
+  ctx.fillText(formatLength(lengthUm), x + barWidth / 2, y - unit);
+  ctx.restore();
+};
+
+// False-color legend in the bottom-left corner: the colormap with the intensity levels
+// (0-255 luminance) at its ends and in between
+export const drawColorBar = (ctx, filters) => {
+  const { width, height } = ctx.canvas;
+  const lut = getLut(filters.colormap);
+  const [min, max] = filters.falseColorRange;
+  const unit = Math.max(1, Math.round(Math.min(width, height) / 200));
+  const margin = unit * 6;
+  const barWidth = unit * 4;
+  const barHeight = Math.round(height * 0.3);
+  const x = margin;
+  const y = height - margin - barHeight;
+
+  ctx.save();
+  ctx.shadowColor = 'rgba(0,0,0,0.8)';
+  ctx.shadowBlur = unit * 2;
+  ctx.fillStyle = 'black';
+  ctx.fillRect(x - 1, y - 1, barWidth + 2, barHeight + 2);
+  ctx.shadowBlur = 0;
+  for (let row = 0; row < barHeight; row++) {
+    const index = Math.round((1 - row / Math.max(1, barHeight - 1)) * 255) * 3;
+    ctx.fillStyle = `rgb(${lut[index]}, ${lut[index + 1]}, ${lut[index + 2]})`;
+    ctx.fillRect(x, y + row, barWidth, 1);
+  }
+
+  ctx.font = `600 ${unit * 5}px system-ui, sans-serif`;
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'middle';
+  ctx.shadowBlur = unit * 2;
+  ctx.fillStyle = 'white';
+  legendTicks(min, max).forEach(({ position, level }) => {
+    const tickY = y + (1 - position) * barHeight;
+    ctx.fillRect(x + barWidth, tickY, unit * 2, Math.max(1, unit / 2));
+    ctx.fillText(String(level), x + barWidth + unit * 3, tickY);
+  });
+  ctx.restore();
+};
+
+// Output size for a given source/view (full sensor resolution of the crop)
+export const getOutputSize = (source, { aspectRatio }) => {
+  const { width, height } = getSourceSize(source);
+  const crop = getCropRect(width, height, aspectRatio);
+  return { width: crop.width, height: crop.height };
+};
+
+// Scale bar and color bar, as burnt into captures
+const drawCaptureOverlays = (ctx, view) => {
+  // view.pxPerUm is in sensor pixels; output pixels are sensor pixels * zoom
+  if (view.scaleBar && view.pxPerUm) drawScaleBar(ctx, view.pxPerUm * view.filters.zoom);
+  if (view.filters.falseColor && view.filters.colorBarInCaptures) drawColorBar(ctx, view.filters);
+};
+
+// Exactly what the viewport shows: crop, zoom, pan and every filter, at sensor resolution.
+// raw: crop, zoom, pan and flat-field correction only, without passes or overlays, for
+// analysis the filters would skew (focus stacking); processViewportImage finishes it later.
+export const renderViewport = (source, view, { raw = false } = {}) => {
+  const { width, height } = getOutputSize(source, view);
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  if (raw) {
+    drawViewport(ctx, source, { ...view, passes: [] });
+    return canvas;
+  }
+  drawViewport(ctx, source, view);
+  drawCaptureOverlays(ctx, view);
+  return canvas;
+};
+
+// The view's passes and capture overlays applied to an image that already is the raw
+// viewport (see renderViewport), e.g. a merged focus stack
+export const processViewportImage = (image, view) => {
+  const { width, height } = getSourceSize(image);
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  const renderer = getCaptureRenderer(width, height);
+  renderer.render(image, { x: 0, y: 0, width, height }, buildPasses(view.filters), { interpolation: view.filters.interpolation });
+  ctx.drawImage(renderer.canvas, 0, 0);
+  drawCaptureOverlays(ctx, view);
+  return canvas;
+};
+
+export const canvasToBlob = (canvas, type = 'image/png', quality) => new Promise((resolve, reject) => {
+  canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Canvas encoding failed'))), type, quality);
+});
+
+// Small JPEG preview for the Gallery grid
+export const createThumbnail = (source, maxSize = 320) => {
+  const { width, height } = getSourceSize(source);
+  const scale = Math.min(1, maxSize / Math.max(width, height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(width * scale));
+  canvas.height = Math.max(1, Math.round(height * scale));
+  canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+  return canvasToBlob(canvas, 'image/jpeg', 0.8);
+};
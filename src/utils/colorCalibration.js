@@ -0,0 +1,142 @@
+import { getCaptureRenderer } from './pipeline';
+
+// Color calibration: white balance gains from a neutral area, and a 3x3 color-correction
+// matrix fitted from a photographed ColorChecker (24 patches, 6 x 4). Both work on the
+// 0-1 encoded values the pipeline passes see, so what is fitted is exactly what is applied.
+
+// ColorChecker Classic reference colors (sRGB, D65), patch 1 top-left to patch 24 bottom-right
+const COLOR_CHECKER_SRGB = [
+  [115, 82, 68], [194, 150, 130], [98, 122, 157], [87, 108, 67], [133, 128, 177], [103, 189, 170],
+  [214, 126, 44], [80, 91, 166], [193, 90, 99], [94, 60, 108], [157, 188, 64], [224, 163, 46],
+  [56, 61, 150], [70, 148, 73], [175, 54, 60], [231, 199, 31], [187, 86, 149], [8, 133, 161],
+  [243, 243, 242], [200, 200, 200], [160, 160, 160], [122, 122, 121], [85, 85, 85], [52, 52, 52]
+];
+const CHECKER_COLUMNS = 6;
+const CHECKER_ROWS = 4;
+
+// The three patch centers clicked to locate the card, in order
+export const CHECKER_ANCHORS = ['dark skin (top-left)', 'bluish green (top-right)', 'white (bottom-left)'];
+
+const MIN_GAIN = 0.25;
+const MAX_GAIN = 4;
+// A channel this close to full scale was clipped and says nothing about the color
+const CLIPPED = 0.98;
+const SAMPLE_SIZE = 16;
+
+// Mean color (0-1) of a sensor-pixel rect, read after flat-field correction but before any pass
+export const sampleAverage = (source, rect, correction = null) => {
+  const w = Math.max(1, Math.min(SAMPLE_SIZE, Math.round(rect.width)));
+  const h = Math.max(1, Math.min(SAMPLE_SIZE, Math.round(rect.height)));
+  const renderer = getCaptureRenderer(w, h);
+  renderer.render(source, rect, [], { interpolation: 'bilinear', correction });
+
+  const canvas = document.createElement('canvas');
+  canvas.width = w;
+  canvas.height = h;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(renderer.canvas, 0, 0);
+  const { data } = ctx.getImageData(0, 0, w, h);
+
+  const sum = [0, 0, 0];
+  for (let i = 0; i < data.length; i += 4) {
+    sum[0] += data[i];
+    sum[1] += data[i + 1];
+    sum[2] += data[i + 2];
+  }
+  return sum.map(v => v / (w * h) / 255);
+};
+
+// Square of `size` sensor pixels around a point, kept inside the frame
+export const sampleRect = (point, size, width, height) => {
+  const side = Math.max(1, Math.min(size, width, height));
+  return {
+    x: Math.min(width - side, Math.max(0, point.x - side / 2)),
+    y: Math.min(height - side, Math.max(0, point.y - side / 2)),
+    width: side,
+    height: side
+  };
+};
+
+// Gains that make `rgb` neutral, keeping green (the brightest-resolved channel) as it is
+export const whiteBalanceGains = (rgb) => {
+  if (rgb.some(v => v >= CLIPPED)) throw new Error('That area is clipped; lower the exposure or pick a darker neutral.');
+  if (rgb.some(v => v < 0.02)) throw new Error('That area is too dark to balance on.');
+  return rgb.map(v => Math.min(MAX_GAIN, Math.max(MIN_GAIN, rgb[1] / v)));
+};
+
+// Centers of all 24 patches from the three clicked anchors (an affine grid, so the card may
+// be rotated or sheared but not strongly in perspective), plus a sample size that stays
+// well inside each patch.
+export const checkerPatches = ([topLeft, topRight, bottomLeft]) => {
+  const across = { x: (topRight.x - topLeft.x) / (CHECKER_COLUMNS - 1), y: (topRight.y - topLeft.y) / (CHECKER_COLUMNS - 1) };
+  const down = { x: (bottomLeft.x - topLeft.x) / (CHECKER_ROWS - 1), y: (bottomLeft.y - topLeft.y) / (CHECKER_ROWS - 1) };
+  const centers = [];
+  for (let row = 0; row < CHECKER_ROWS; row++) {
+    for (let col = 0; col < CHECKER_COLUMNS; col++) {
+      centers.push({
+        x: topLeft.x + across.x * col + down.x * row,
+        y: topLeft.y + across.y * col + down.y * row
+      });
+    }
+  }
+  const size = 0.5 * Math.min(Math.hypot(across.x, across.y), Math.hypot(down.x, down.y));
+  return { centers, size };
+};
+
+const det3 = (m) => (
+  m[0] * (m[4] * m[8] - m[5] * m[7]) -
+  m[1] * (m[3] * m[8] - m[5] * m[6]) +
+  m[2] * (m[3] * m[7] - m[4] * m[6])
+);
+
+const invert3 = (m) => {
+  const det = det3(m);
+  if (Math.abs(det) < 1e-12) return null;
+  return [
+    (m[4] * m[8] - m[5] * m[7]) / det, (m[2] * m[7] - m[1] * m[8]) / det, (m[1] * m[5] - m[2] * m[4]) / det,
+    (m[5] * m[6] - m[3] * m[8]) / det, (m[0] * m[8] - m[2] * m[6]) / det, (m[2] * m[3] - m[0] * m[5]) / det,
+    (m[3] * m[7] - m[4] * m[6]) / det, (m[1] * m[6] - m[0] * m[7]) / det, (m[0] * m[4] - m[1] * m[3]) / det
+  ];
+};
+
+const applyMatrix = (m, [r, g, b]) => [
+  m[0] * r + m[1] * g + m[2] * b,
+  m[3] * r + m[4] * g + m[5] * b,
+  m[6] * r + m[7] * g + m[8] * b
+];
+
+// Least-squares 3x3 matrix taking the measured patch colors (already white balanced) to the
+// reference ones. Clipped patches are left out. Returns { matrix (row-major), error, used },
+// error being the mean distance to the reference after correction, in 8-bit levels.
+export const fitColorMatrix = (measured) => {
+  const pairs = measured
+    .map((rgb, i) => ({ rgb, ref: COLOR_CHECKER_SRGB[i].map(v => v / 255) }))
+    .filter(({ rgb }) => rgb.every(v => v < CLIPPED));
+  if (pairs.length < 6) throw new Error('Too many patches are clipped; lower the exposure and try again.');
+
+  // Normal equations: (X^T X) m_k = X^T r_k for each output channel k
+  const xtx = new Array(9).fill(0);
+  const xtr = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+  pairs.forEach(({ rgb, ref }) => {
+    for (let i = 0; i < 3; i++) {
+      for (let j = 0; j < 3; j++) xtx[i * 3 + j] += rgb[i] * rgb[j];
+      for (let k = 0; k < 3; k++) xtr[k][i] += rgb[i] * ref[k];
+    }
+  });
+  const inverse = invert3(xtx);
+  if (!inverse) throw new Error('The patches could not be told apart; check the card position.');
+
+  const matrix = [];
+  for (let k = 0; k < 3; k++) {
+    for (let i = 0; i < 3; i++) {
+      matrix.push(inverse[i * 3] * xtr[k][0] + inverse[i * 3 + 1] * xtr[k][1] + inverse[i * 3 + 2] * xtr[k][2]);
+    }
+  }
+
+  const error = pairs.reduce((sum, { rgb, ref }) => {
+    const out = applyMatrix(matrix, rgb);
+    return sum + Math.hypot(out[0] - ref[0], out[1] - ref[1], out[2] - ref[2]) * 255;
+  }, 0) / pairs.length;
+
+  return { matrix: matrix.map(v => Math.round(v * 10000) / 10000), error, used: pairs.length };
+};
@@ -0,0 +1,217 @@
+// Colormaps for the false-color pass: luminance (after the input range stretch) looks up
+// a 256-entry LUT (Uint8Array of r, g, b). Built-in maps plus custom LUTs loaded from
+// .cube or CSV files, which are kept in localStorage (camera_custom_luts).
+
+export const LUT_SIZE = 256;
+
+const clamp01 = (v) => Math.min(1, Math.max(0, v));
+
+// Evenly spaced samples (0-255) interpolated linearly
+const fromStops = (stops) => (t) => {
+  const x = clamp01(t) * (stops.length - 1);
+  const i = Math.min(stops.length - 2, Math.floor(x));
+  const f = x - i;
+  return stops[i].map((v, c) => (v + (stops[i + 1][c] - v) * f) / 255);
+};
+
+// viridis, magma and inferno are matplotlib's, sampled every 1/8
+const BUILT_IN = [
+  {
+    // The original heatmap, kept as the default so older settings look the same
+    id: 'classic',
+    label: 'Classic heat',
+    color: t => [clamp01(3 * t - 1), clamp01(Math.min(3 * t, 3 - 3 * t)), clamp01(1 - 3 * t)]
+  },
+  {
+    id: 'viridis',
+    label: 'Viridis',
+    color: fromStops([
+      [68, 1, 84], [72, 40, 120], [62, 73, 137], [49, 104, 142], [38, 130, 142],
+      [31, 158, 137], [53, 183, 121], [110, 206, 88], [253, 231, 37]
+    ])
+  },
+  {
+    id: 'magma',
+    label: 'Magma',
+    color: fromStops([
+      [0, 0, 4], [28, 16, 68], [79, 18, 123], [129, 37, 129], [181, 54, 122],
+      [229, 80, 100], [251, 135, 97], [254, 194, 135], [252, 253, 191]
+    ])
+  },
+  {
+    id: 'inferno',
+    label: 'Inferno',
+    color: fromStops([
+      [0, 0, 4], [31, 12, 72], [85, 15, 109], [136, 34, 106], [186, 54, 85],
+      [227, 89, 51], [249, 142, 9], [249, 203, 53], [252, 255, 164]
+    ])
+  },
+  {
+    id: 'jet',
+    label: 'Jet',
+    color: t => [clamp01(1.5 - Math.abs(4 * t - 3)), clamp01(1.5 - Math.abs(4 * t - 2)), clamp01(1.5 - Math.abs(4 * t - 1))]
+  },
+  {
+    id: 'grayscale',
+    label: 'Grayscale',
+    color: t => [t, t, t]
+  },
+  {
+    id: 'fire',
+    label: 'Fire',
+    color: t => [clamp01(3 * t), clamp01(3 * t - 1), clamp01(3 * t - 2)]
+  }
+];
+
+export const DEFAULT_COLORMAP = 'classic';
+
+const buildLut = (color) => {
+  const lut = new Uint8Array(LUT_SIZE * 3);
+  for (let i = 0; i < LUT_SIZE; i++) {
+    const rgb = color(i / (LUT_SIZE - 1));
+    lut[i * 3] = Math.round(clamp01(rgb[0]) * 255);
+    lut[i * 3 + 1] = Math.round(clamp01(rgb[1]) * 255);
+    lut[i * 3 + 2] = Math.round(clamp01(rgb[2]) * 255);
+  }
+  return lut;
+};
+
+const builtInLuts = Object.fromEntries(BUILT_IN.map(map => [map.id, buildLut(map.color)]));
+
+/* Custom LUTs */
+
+const STORAGE_KEY = 'camera_custom_luts';
+export const CUSTOM_PREFIX = 'custom:';
+
+// [{ id, name, colors: [r, g, b, ...] (LUT_SIZE entries, 0-255) }]
+const loadCustom = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(saved) ? saved.filter(l => l?.id && Array.isArray(l.colors) && l.colors.length === LUT_SIZE * 3) : [];
+  } catch (e) {
+    console.error("Failed to parse custom LUTs", e);
+    return [];
+  }
+};
+
+// Module-level so the pipeline can resolve a filter's colormap without React state
+let customLuts = null;
+const customCache = new Map();
+
+export const getCustomLuts = () => {
+  if (!customLuts) customLuts = loadCustom();
+  return customLuts;
+};
+
+export const setCustomLuts = (luts) => {
+  customLuts = luts;
+  customCache.clear();
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(luts));
+};
+
+// Everything the picker offers: [{ id, label, custom }]
+export const listColormaps = (custom = getCustomLuts()) => [
+  ...BUILT_IN.map(({ id, label }) => ({ id, label, custom: false })),
+  ...custom.map(({ id, name }) => ({ id: `${CUSTOM_PREFIX}${id}`, label: name, custom: true }))
+];
+
+// LUT for a colormap id; unknown ids (a deleted custom LUT) fall back to the default
+export const getLut = (id) => {
+  if (builtInLuts[id]) return builtInLuts[id];
+  if (id?.startsWith(CUSTOM_PREFIX)) {
+    const customId = id.slice(CUSTOM_PREFIX.length);
+    if (!customCache.has(customId)) {
+      const lut = getCustomLuts().find(l => l.id === customId);
+      customCache.set(customId, lut ? Uint8Array.from(lut.colors) : null);
+    }
+    if (customCache.get(customId)) return customCache.get(customId);
+  }
+  return builtInLuts[DEFAULT_COLORMAP];
+};
+
+/* LUT files */
+
+// Resamples any number of 0-1 colors to LUT_SIZE entries
+const resample = (colors) => {
+  if (colors.length < 2) throw new Error('A LUT needs at least two colors.');
+  return Array.from(buildLut(t => {
+    const x = t * (colors.length - 1);
+    const i = Math.min(colors.length - 2, Math.floor(x));
+    const f = x - i;
+    return colors[i].map((v, c) => v + (colors[i + 1][c] - v) * f);
+  }));
+};
+
+const numbersOf = (line) => line.trim().split(/[\s,;]+/).map(Number);
+
+// Adobe/Resolve .cube. A 1D LUT is used as is; a 3D LUT is read along its neutral axis,
+// which is the colormap it applies to a gray ramp.
+const parseCube = (text) => {
+  let size1d = 0;
+  let size3d = 0;
+  let domainMin = [0, 0, 0];
+  let domainMax = [1, 1, 1];
+  const rows = [];
+  text.split(/\r?\n/).forEach(raw => {
+    const line = raw.trim();
+    if (!line || line.startsWith('#')) return;
+    const [keyword, ...rest] = line.split(/\s+/);
+    if (keyword === 'LUT_1D_SIZE') size1d = Number(rest[0]);
+    else if (keyword === 'LUT_3D_SIZE') size3d = Number(rest[0]);
+    else if (keyword === 'DOMAIN_MIN') domainMin = rest.map(Number);
+    else if (keyword === 'DOMAIN_MAX') domainMax = rest.map(Number);
+    else if (/^[-+.\d]/.test(keyword)) rows.push(numbersOf(line));
+  });
+
+  const normalize = (rgb) => rgb.map((v, c) => (v - domainMin[c]) / ((domainMax[c] - domainMin[c]) || 1));
+  if (size1d) {
+    if (rows.length < size1d) throw new Error('The .cube file is shorter than its LUT_1D_SIZE.');
+    return rows.slice(0, size1d).map(normalize);
+  }
+  if (size3d) {
+    if (rows.length < size3d ** 3) throw new Error('The .cube file is shorter than its LUT_3D_SIZE.');
+    // Red varies fastest: entry (i, i, i) is at i + i * size + i * size^2
+    return Array.from({ length: size3d }, (_, i) => normalize(rows[i * (1 + size3d + size3d * size3d)]));
+  }
+  throw new Error('The .cube file has no LUT_1D_SIZE or LUT_3D_SIZE.');
+};
+
+// One color per row, the last three numbers being r, g, b (so an index column is fine).
+// Values above 1 anywhere mean the file is in 0-255.
+const parseCsv = (text) => {
+  const rows = text.split(/\r?\n/)
+    .map(numbersOf)
+    .filter(row => row.length >= 3 && row.every(Number.isFinite))
+    .map(row => row.slice(-3));
+  const max = Math.max(...rows.flat());
+  return max > 1 ? rows.map(row => row.map(v => v / 255)) : rows;
+};
+
+// Returns { name, colors } ready for setCustomLuts, or throws with a message fit for the user
+export const parseLutFile = (name, text) => {
+  const colors = /\.cube$/i.test(name) ? parseCube(text) : parseCsv(text);
+  if (colors.some(rgb => rgb.length < 3 || rgb.some(v => !Number.isFinite(v)))) {
+    throw new Error('The LUT contains values that are not numbers.');
+  }
+  return { name: name.replace(/\.(cube|csv|txt)$/i, ''), colors: resample(colors) };
+};
+
+/* Legend */
+
+// CSS gradient of a LUT, bottom (low) to top (high)
+export const lutGradient = (lut, direction = 'to top') => {
+  const stops = [];
+  for (let i = 0; i <= 16; i++) {
+    const index = Math.min(LUT_SIZE - 1, Math.round((i / 16) * (LUT_SIZE - 1))) * 3;
+    stops.push(`rgb(${lut[index]}, ${lut[index + 1]}, ${lut[index + 2]}) ${(i / 16) * 100}%`);
+  }
+  return `linear-gradient(${direction}, ${stops.join(', ')})`;
+};
+
+// Tick values for a legend: intensity levels (0-255) across the stretched input range
+export const legendTicks = (min, max, count = 5) => (
+  Array.from({ length: count }, (_, i) => {
+    const position = i / (count - 1);
+    return { position, level: Math.round((min + (max - min) * position) * 255) };
+  })
+);
@@ -0,0 +1,49 @@
+import { estimateTranslation } from './align';
+import { toGray } from './imageOps';
+import { getSourceSize } from './capture';
+
+// Compare mode: the live view against a reference image (a frozen frame or a Gallery capture).
+//   side        reference and live next to each other
+//   swipe       reference left of a draggable divider, live right of it
+//   overlay     reference over live at adjustable opacity (onion skin)
+//   difference  |live - reference| per channel, amplified so small changes show
+//   blink       reference and live alternate on a timer
+export const COMPARE_MODES = [
+  { id: 'side', label: 'Side by side' },
+  { id: 'swipe', label: 'Swipe' },
+  { id: 'overlay', label: 'Overlay' },
+  { id: 'difference', label: 'Difference' },
+  { id: 'blink', label: 'Blink' }
+];
+
+// Longest side of the images used for alignment (phase correlation works on a 256 patch anyway)
+const ALIGN_SIZE = 512;
+// Below this correlation peak the two images don't share enough structure to trust the shift
+const MIN_ALIGN_PEAK = 0.05;
+
+const grayRegion = (source, rect, width, height) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(source, rect.x, rect.y, rect.width, rect.height, 0, 0, width, height);
+  return toGray(ctx.getImageData(0, 0, width, height).data, width, height);
+};
+
+// Offset in reference pixels that lines the reference up with the live frame: draw the
+// reference from (x + offset.x, y + offset.y). liveRect is the part of the live frame the
+// whole reference image corresponds to. Returns null when no convincing match is found.
+export const estimateReferenceOffset = (live, liveRect, reference) => {
+  const size = getSourceSize(reference);
+  if (!size.width || !size.height || !liveRect.width || !liveRect.height) return null;
+
+  const scale = ALIGN_SIZE / Math.max(size.width, size.height);
+  const width = Math.round(size.width * scale);
+  const height = Math.round(size.height * scale);
+  const liveGray = grayRegion(live, liveRect, width, height);
+  const referenceGray = grayRegion(reference, { x: 0, y: 0, ...size }, width, height);
+
+  const { dx, dy, peak } = estimateTranslation(liveGray, referenceGray, width, height);
+  if (peak < MIN_ALIGN_PEAK) return null;
+  return { x: dx / scale, y: dy / scale };
+};
@@ -0,0 +1,55 @@
+// Edge detection settings shared by the pipeline and both renderers.
+// Every method works on luminance (0-1), optionally Gaussian-blurred first:
+//   laplacian  |8-neighbour Laplacian|, unscaled like the original filter
+//   log        the same on an image always blurred by at least LOG_MIN_BLUR (Laplacian of Gaussian)
+//   sobel      gradient magnitude, scaled so a full black-to-white step is 1
+//   scharr     like Sobel with better rotational symmetry
+//   canny      Sobel, thinned to one pixel by non-maximum suppression, then hysteresis:
+//              strong edges (>= threshold) keep weak ones (>= threshold * CANNY_LOW_RATIO)
+//              they touch, other weak ones are dropped
+// Pixels at or above the threshold are edges. They are either shown alone (white on black)
+// or painted in a color over the pass input.
+
+export const EDGE_METHODS = [
+  { id: 'sobel', label: 'Sobel' },
+  { id: 'scharr', label: 'Scharr' },
+  { id: 'laplacian', label: 'Laplacian' },
+  { id: 'log', label: 'Laplacian of Gaussian' },
+  { id: 'canny', label: 'Canny' }
+];
+
+export const MAX_EDGE_BLUR = 8;
+export const LOG_MIN_BLUR = 2;
+export const CANNY_LOW_RATIO = 0.5;
+
+// 3x3 gradient weights: corners, then the middle of each side
+export const GRADIENT_WEIGHTS = {
+  sobel: [1, 2],
+  scharr: [3, 10]
+};
+
+export const isEdgeMethod = (id) => EDGE_METHODS.some(m => m.id === id);
+
+export const edgeBlurRadius = (method, blur) => (
+  Math.min(MAX_EDGE_BLUR, Math.max(method === 'log' ? LOG_MIN_BLUR : 0, Math.round(blur)))
+);
+
+// Half of a normalized Gaussian kernel (center first), MAX_EDGE_BLUR + 1 entries;
+// sigma is half the radius and entries past the radius are 0
+export const gaussianWeights = (radius) => {
+  const weights = new Float32Array(MAX_EDGE_BLUR + 1);
+  weights[0] = 1;
+  if (radius < 1) return weights;
+  const sigma = radius / 2;
+  let sum = 1;
+  for (let i = 1; i <= radius; i++) {
+    weights[i] = Math.exp(-(i * i) / (2 * sigma * sigma));
+    sum += 2 * weights[i];
+  }
+  return weights.map(w => w / sum);
+};
+
+export const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+// '#rrggbb' -> [r, g, b] in 0-1
+export const hexToRgb = (hex) => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16) / 255);
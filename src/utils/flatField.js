@@ -0,0 +1,50 @@
+// Flat-field / dark-frame correction. A flat is the average of frames of a blank, evenly lit
+// field (no specimen); a dark is the same with the light off or the lens capped. Per pixel
+// and channel the renderers (utils/glRenderer, utils/canvasRenderer) then compute
+//   corrected = (raw - dark) * mean(flat - dark) / (flat - dark)
+// which evens out vignetting, dust on the optics and uneven lighting, and removes the
+// sensor's offset and hot pixels. Frames only apply at the sensor size they were taken at.
+
+// Frames averaged into each calibration frame (see averageFrames in utils/capture)
+export const CALIBRATION_FRAMES = 16;
+
+export const blobToCanvas = async (blob) => {
+  const bitmap = await createImageBitmap(blob);
+  const canvas = document.createElement('canvas');
+  canvas.width = bitmap.width;
+  canvas.height = bitmap.height;
+  canvas.getContext('2d').drawImage(bitmap, 0, 0);
+  bitmap.close();
+  return canvas;
+};
+
+const readPixels = (canvas) => (
+  canvas.getContext('2d', { willReadFrequently: true }).getImageData(0, 0, canvas.width, canvas.height).data
+);
+
+// Mean level of (flat - dark) per channel, 0-1: the brightness the corrected picture is scaled to
+const flatMean = (flat, dark) => {
+  const f = readPixels(flat);
+  const d = dark ? readPixels(dark) : null;
+  const sum = [0, 0, 0];
+  for (let i = 0; i < f.length; i += 4) {
+    for (let c = 0; c < 3; c++) sum[c] += Math.max(0, f[i + c] - (d ? d[i + c] : 0));
+  }
+  const pixels = f.length / 4;
+  return sum.map(s => s / pixels / 255);
+};
+
+// Renderer input: { id, width, height, flat, dark, mean }. id changes whenever the frames do,
+// so renderers can keep their uploaded copies until then. Without a flat there is nothing to divide by.
+export const createCorrection = (id, flat, dark) => {
+  if (!flat) return null;
+  const matchingDark = dark && dark.width === flat.width && dark.height === flat.height ? dark : null;
+  return {
+    id,
+    width: flat.width,
+    height: flat.height,
+    flat,
+    dark: matchingDark,
+    mean: flatMean(flat, matchingDark)
+  };
+};
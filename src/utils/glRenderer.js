@@ -0,0 +1,550 @@
+import { CANNY_LOW_RATIO, GRADIENT_WEIGHTS, MAX_EDGE_BLUR, gaussianWeights } from './edgeDetection';
+
+// WebGL implementation of the pipeline passes (see utils/pipeline).
+// The source is uploaded once per frame, cropped to the viewport rect by the first
+// draw, then ping-pongs between two framebuffers; the last pass draws to the canvas.
+
+export const VERTEX_SHADER = `
+attribute vec2 a_position;
+uniform vec4 u_rect;
+varying vec2 v_uv;
+void main() {
+  v_uv = u_rect.xy + (a_position * 0.5 + 0.5) * u_rect.zw;
+  gl_Position = vec4(a_position, 0.0, 1.0);
+}`;
+
+// mediump texture coordinates get blocky on large frames where highp is missing
+export const PRECISION = `
+#ifdef GL_FRAGMENT_PRECISION_HIGH
+precision highp float;
+#else
+precision mediump float;
+#endif`;
+
+// Flat-field / dark-frame correction (see utils/flatField), done while resampling the
+// source: the flat and dark textures line up with it texel for texel.
+const CORRECTION = `
+uniform float u_correct;
+uniform sampler2D u_flat;
+uniform sampler2D u_dark;
+uniform vec3 u_flatMean;
+vec4 correct(vec4 c, vec2 uv) {
+  if (u_correct < 0.5) return c;
+  vec3 dark = texture2D(u_dark, uv).rgb;
+  vec3 flat = max(texture2D(u_flat, uv).rgb - dark, vec3(1.0 / 255.0));
+  return vec4(clamp((c.rgb - dark) * u_flatMean / flat, 0.0, 1.0), c.a);
+}`;
+
+const FRAGMENT_SHADERS = {
+  copy: `${PRECISION}
+uniform sampler2D u_image;
+varying vec2 v_uv;
+${CORRECTION}
+void main() {
+  gl_FragColor = correct(texture2D(u_image, v_uv), v_uv);
+}`,
+
+  // Catmull-Rom bicubic over the 4x4 nearest texels (the texture is sampled NEAREST)
+  cubic: `${PRECISION}
+uniform sampler2D u_image;
+uniform vec2 u_size;
+varying vec2 v_uv;
+${CORRECTION}
+vec4 weights(float t) {
+  float t2 = t * t;
+  float t3 = t2 * t;
+  return vec4(
+    -0.5 * t3 + t2 - 0.5 * t,
+    1.5 * t3 - 2.5 * t2 + 1.0,
+    -1.5 * t3 + 2.0 * t2 + 0.5 * t,
+    0.5 * t3 - 0.5 * t2);
+}
+void main() {
+  vec2 p = v_uv * u_size - 0.5;
+  vec2 f = fract(p);
+  vec2 base = floor(p) + 0.5;
+  vec4 wx = weights(f.x);
+  vec4 wy = weights(f.y);
+  vec4 sum = vec4(0.0);
+  for (int j = 0; j < 4; j++) {
+    vec4 row = vec4(0.0);
+    for (int i = 0; i < 4; i++) {
+      vec2 uv = (base + vec2(float(i - 1), float(j - 1))) / u_size;
+      row += correct(texture2D(u_image, uv), uv) * wx[i];
+    }
+    sum += row * wy[j];
+  }
+  gl_FragColor = clamp(sum, 0.0, 1.0);
+}`,
+
+  matrix: `${PRECISION}
+uniform sampler2D u_image;
+uniform mat3 u_matrix;
+uniform vec3 u_offset;
+varying vec2 v_uv;
+void main() {
+  vec4 c = texture2D(u_image, v_uv);
+  gl_FragColor = vec4(clamp(u_matrix * c.rgb + u_offset, 0.0, 1.0), c.a);
+}`,
+
+  convolve: `${PRECISION}
+uniform sampler2D u_image;
+uniform float u_kernel[9];
+uniform vec2 u_texel;
+uniform float u_gray;
+varying vec2 v_uv;
+void main() {
+  vec3 sum = vec3(0.0);
+  for (int y = -1; y <= 1; y++) {
+    for (int x = -1; x <= 1; x++) {
+      // Kernel rows run top to bottom, texture v runs bottom to top
+      sum += texture2D(u_image, v_uv + vec2(float(x), float(-y)) * u_texel).rgb * u_kernel[(y + 1) * 3 + x + 1];
+    }
+  }
+  sum = clamp(sum, 0.0, 1.0);
+  if (u_gray > 0.5) sum = vec3(dot(sum, vec3(0.213, 0.715, 0.072)));
+  gl_FragColor = vec4(sum, texture2D(u_image, v_uv).a);
+}`,
+
+  gamma: `${PRECISION}
+uniform sampler2D u_image;
+uniform float u_exponent;
+varying vec2 v_uv;
+void main() {
+  vec4 c = texture2D(u_image, v_uv);
+  gl_FragColor = vec4(pow(c.rgb, vec3(u_exponent)), c.a);
+}`,
+
+  lut: `${PRECISION}
+uniform sampler2D u_image;
+uniform sampler2D u_lut;
+uniform vec2 u_range;
+varying vec2 v_uv;
+void main() {
+  vec4 c = texture2D(u_image, v_uv);
+  float t = dot(c.rgb, vec3(0.2125, 0.7154, 0.0721));
+  t = clamp((t - u_range.x) / max(u_range.y - u_range.x, 1.0 / 255.0), 0.0, 1.0);
+  gl_FragColor = vec4(texture2D(u_lut, vec2((t * 255.0 + 0.5) / 256.0, 0.5)).rgb, c.a);
+}`,
+
+  // Edge detection (see utils/edgeDetection) takes several draws through scratch targets,
+  // each leaving its result in the red channel.
+  // Separable Gaussian on luminance; u_direction is one texel along x, then along y
+  edgeBlur: `${PRECISION}
+uniform sampler2D u_image;
+uniform vec2 u_direction;
+uniform float u_weights[${MAX_EDGE_BLUR + 1}];
+uniform float u_luma;
+varying vec2 v_uv;
+float value(vec2 uv) {
+  vec3 c = texture2D(u_image, uv).rgb;
+  return u_luma > 0.5 ? dot(c, vec3(0.2125, 0.7154, 0.0721)) : c.r;
+}
+void main() {
+  float sum = value(v_uv) * u_weights[0];
+  for (int i = 1; i <= ${MAX_EDGE_BLUR}; i++) {
+    sum += (value(v_uv + u_direction * float(i)) + value(v_uv - u_direction * float(i))) * u_weights[i];
+  }
+  gl_FragColor = vec4(sum, 0.0, 0.0, 1.0);
+}`,
+
+  // Edge strength in red; for Sobel/Scharr the gradient direction, quantized to
+  // 0, 45, 90 or 135 degrees, in green as 0, 0.25, 0.5, 0.75
+  edgeGradient: `${PRECISION}
+uniform sampler2D u_image;
+uniform vec2 u_texel;
+uniform vec2 u_weights;
+uniform float u_laplacian;
+varying vec2 v_uv;
+float at(float x, float y) {
+  return texture2D(u_image, v_uv + vec2(x, y) * u_texel).r;
+}
+void main() {
+  float tl = at(-1.0, 1.0), t = at(0.0, 1.0), tr = at(1.0, 1.0);
+  float l = at(-1.0, 0.0), c = at(0.0, 0.0), r = at(1.0, 0.0);
+  float bl = at(-1.0, -1.0), b = at(0.0, -1.0), br = at(1.0, -1.0);
+  if (u_laplacian > 0.5) {
+    gl_FragColor = vec4(min(abs(8.0 * c - (tl + t + tr + l + r + bl + b + br)), 1.0), 0.0, 0.0, 1.0);
+    return;
+  }
+  float norm = 2.0 * u_weights.x + u_weights.y;
+  float gx = (u_weights.x * (tr + br - tl - bl) + u_weights.y * (r - l)) / norm;
+  float gy = (u_weights.x * (tl + tr - bl - br) + u_weights.y * (t - b)) / norm;
+  float angle = mod(atan(gy, gx) + 3.14159265 / 8.0, 3.14159265);
+  float bin = min(floor(angle / (3.14159265 / 4.0)), 3.0);
+  gl_FragColor = vec4(min(length(vec2(gx, gy)), 1.0), bin / 4.0, 0.0, 1.0);
+}`,
+
+  // Canny non-maximum suppression and double threshold: 1 strong, 0.5 weak, 0 none
+  edgeSuppress: `${PRECISION}
+uniform sampler2D u_image;
+uniform vec2 u_texel;
+uniform vec2 u_thresholds;
+varying vec2 v_uv;
+void main() {
+  vec4 g = texture2D(u_image, v_uv);
+  float bin = floor(g.g * 4.0 + 0.5);
+  vec2 dir = bin < 0.5 ? vec2(1.0, 0.0) : bin < 1.5 ? vec2(1.0, 1.0) : bin < 2.5 ? vec2(0.0, 1.0) : vec2(-1.0, 1.0);
+  float ahead = texture2D(u_image, v_uv + dir * u_texel).r;
+  float behind = texture2D(u_image, v_uv - dir * u_texel).r;
+  float peak = (g.r >= ahead && g.r >= behind) ? 1.0 : 0.0;
+  float state = g.r >= u_thresholds.y ? 1.0 : g.r >= u_thresholds.x ? 0.5 : 0.0;
+  gl_FragColor = vec4(state * peak, 0.0, 0.0, 1.0);
+}`,
+
+  // One step of Canny hysteresis: weak pixels next to a strong one become strong
+  edgeHysteresis: `${PRECISION}
+uniform sampler2D u_image;
+uniform vec2 u_texel;
+varying vec2 v_uv;
+void main() {
+  float state = texture2D(u_image, v_uv).r;
+  if (state > 0.25 && state < 0.75) {
+    for (int y = -1; y <= 1; y++) {
+      for (int x = -1; x <= 1; x++) {
+        if (texture2D(u_image, v_uv + vec2(float(x), float(y)) * u_texel).r > 0.75) state = 1.0;
+      }
+    }
+  }
+  gl_FragColor = vec4(state, 0.0, 0.0, 1.0);
+}`,
+
+  // Final output from the pass input (u_image) and the edge strength (u_edges)
+  edgeCompose: `${PRECISION}
+uniform sampler2D u_image;
+uniform sampler2D u_edges;
+uniform float u_threshold;
+uniform float u_binary;
+uniform float u_overlay;
+uniform vec3 u_color;
+varying vec2 v_uv;
+void main() {
+  vec4 c = texture2D(u_image, v_uv);
+  float strength = texture2D(u_edges, v_uv).r;
+  float edge = u_binary > 0.5 ? step(0.75, strength) : step(u_threshold, strength);
+  vec3 rgb = u_overlay > 0.5
+    ? mix(c.rgb, u_color, edge)
+    : vec3(u_binary > 0.5 ? edge : strength * edge);
+  gl_FragColor = vec4(rgb, c.a);
+}`
+};
+
+export const compile = (gl, type, source) => {
+  const shader = gl.createShader(type);
+  gl.shaderSource(shader, source);
+  gl.compileShader(shader);
+  if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+    const log = gl.getShaderInfoLog(shader);
+    gl.deleteShader(shader);
+    throw new Error(`Shader compile failed: ${log}`);
+  }
+  return shader;
+};
+
+export const createProgram = (gl, vertexShader, fragmentSource) => {
+  const program = gl.createProgram();
+  gl.attachShader(program, vertexShader);
+  gl.attachShader(program, compile(gl, gl.FRAGMENT_SHADER, fragmentSource));
+  gl.linkProgram(program);
+  if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+    throw new Error(`Program link failed: ${gl.getProgramInfoLog(program)}`);
+  }
+
+  const uniforms = {};
+  const count = gl.getProgramParameter(program, gl.ACTIVE_UNIFORMS);
+  for (let i = 0; i < count; i++) {
+    const name = gl.getActiveUniform(program, i).name.replace(/\[0\]$/, '');
+    uniforms[name] = gl.getUniformLocation(program, name);
+  }
+  return { program, uniforms, position: gl.getAttribLocation(program, 'a_position') };
+};
+
+export const createTexture = (gl) => {
+  const texture = gl.createTexture();
+  gl.bindTexture(gl.TEXTURE_2D, texture);
+  // NPOT-safe parameters (WebGL1)
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+  return texture;
+};
+
+// Render target whose texture is reallocated when the output size changes
+const createTarget = (gl) => {
+  const texture = createTexture(gl);
+  const framebuffer = gl.createFramebuffer();
+  const target = { texture, framebuffer, width: 0, height: 0 };
+
+  target.resize = (width, height) => {
+    if (target.width === width && target.height === height) return;
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+    target.width = width;
+    target.height = height;
+  };
+
+  return target;
+};
+
+// Canny hysteresis spreads one pixel per draw, so weak edges further than this from a
+// strong one are dropped (the Canvas2D renderer follows them all the way)
+const HYSTERESIS_STEPS = 16;
+
+// Row-major 3x3 -> column-major for uniformMatrix3fv
+const columnMajor = (m) => [m[0], m[3], m[6], m[1], m[4], m[7], m[2], m[5], m[8]];
+
+const setPassUniforms = (gl, uniforms, pass, width, height) => {
+  if (pass.kind === 'matrix') {
+    gl.uniformMatrix3fv(uniforms.u_matrix, false, columnMajor(pass.matrix));
+    gl.uniform3fv(uniforms.u_offset, pass.offset);
+  } else if (pass.kind === 'convolve') {
+    gl.uniform1fv(uniforms.u_kernel, pass.kernel);
+    gl.uniform2f(uniforms.u_texel, 1 / width, 1 / height);
+    gl.uniform1f(uniforms.u_gray, pass.gray ? 1 : 0);
+  } else if (pass.kind === 'lut') {
+    gl.uniform2f(uniforms.u_range, pass.min, pass.max);
+  } else if (pass.kind === 'gamma') {
+    gl.uniform1f(uniforms.u_exponent, pass.exponent);
+  } else if (pass.kind === 'cubic') {
+    gl.uniform2fv(uniforms.u_size, pass.size);
+  }
+};
+
+// Returns null when WebGL isn't available (or only in software and allowSoftware is off)
+export const createGlRenderer = (canvas, { allowSoftware }) => {
+  const gl = canvas.getContext('webgl', {
+    premultipliedAlpha: false,
+    // Capture copies the canvas with drawImage after rendering
+    preserveDrawingBuffer: true,
+    failIfMajorPerformanceCaveat: !allowSoftware
+  });
+  if (!gl) return null;
+
+  let programs;
+  try {
+    const vertexShader = compile(gl, gl.VERTEX_SHADER, VERTEX_SHADER);
+    programs = Object.fromEntries(
+      Object.entries(FRAGMENT_SHADERS).map(([kind, source]) => [kind, createProgram(gl, vertexShader, source)])
+    );
+  } catch (e) {
+    console.error("WebGL pipeline setup failed:", e);
+    gl.getExtension('WEBGL_lose_context')?.loseContext();
+    return null;
+  }
+
+  const quad = gl.createBuffer();
+  gl.bindBuffer(gl.ARRAY_BUFFER, quad);
+  gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+
+  const sourceTexture = createTexture(gl);
+  // Flat-field frames, uploaded again only when the correction changes (its id)
+  const flatTexture = createTexture(gl);
+  const darkTexture = createTexture(gl);
+  let correctionId = null;
+  let correcting = null;
+  // Colormap of the false-color pass, uploaded again only when it changes
+  const lutTexture = createTexture(gl);
+  let uploadedLut = null;
+  const targets = [createTarget(gl), createTarget(gl)];
+  // Intermediate results of the edge detection pass, allocated on first use
+  const edgeTargets = [createTarget(gl), createTarget(gl)];
+  const maxSize = Math.min(gl.getParameter(gl.MAX_TEXTURE_SIZE), ...gl.getParameter(gl.MAX_VIEWPORT_DIMS));
+
+  const draw = ({ program, uniforms, position }, pass, texture, rect, framebuffer, width, height) => {
+    gl.useProgram(program);
+    gl.bindBuffer(gl.ARRAY_BUFFER, quad);
+    gl.enableVertexAttribArray(position);
+    gl.vertexAttribPointer(position, 2, gl.FLOAT, false, 0, 0);
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.uniform1i(uniforms.u_image, 0);
+    gl.uniform4fv(uniforms.u_rect, rect);
+    if (uniforms.u_correct) {
+      gl.uniform1f(uniforms.u_correct, correcting ? 1 : 0);
+      if (correcting) {
+        gl.activeTexture(gl.TEXTURE1);
+        gl.bindTexture(gl.TEXTURE_2D, flatTexture);
+        gl.activeTexture(gl.TEXTURE2);
+        gl.bindTexture(gl.TEXTURE_2D, darkTexture);
+        gl.activeTexture(gl.TEXTURE0);
+        gl.uniform1i(uniforms.u_flat, 1);
+        gl.uniform1i(uniforms.u_dark, 2);
+        gl.uniform3fv(uniforms.u_flatMean, correcting.mean);
+      }
+    }
+    if (pass?.kind === 'lut') {
+      gl.activeTexture(gl.TEXTURE3);
+      gl.bindTexture(gl.TEXTURE_2D, lutTexture);
+      if (pass.lut !== uploadedLut) {
+        gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGB, pass.lut.length / 3, 1, 0, gl.RGB, gl.UNSIGNED_BYTE, pass.lut);
+        uploadedLut = pass.lut;
+      }
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+      gl.activeTexture(gl.TEXTURE0);
+      gl.uniform1i(uniforms.u_lut, 3);
+    }
+    if (pass) setPassUniforms(gl, uniforms, pass, width, height);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+    gl.viewport(0, 0, width, height);
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+  };
+
+  // One draw of the edge detection pass: textures go to units 0, 1, ... and
+  // setUniforms fills in what is specific to the step
+  const edgeStep = ({ program, uniforms, position }, textures, framebuffer, width, height, setUniforms) => {
+    gl.useProgram(program);
+    gl.bindBuffer(gl.ARRAY_BUFFER, quad);
+    gl.enableVertexAttribArray(position);
+    gl.vertexAttribPointer(position, 2, gl.FLOAT, false, 0, 0);
+    textures.forEach((texture, unit) => {
+      gl.activeTexture(gl.TEXTURE0 + unit);
+      gl.bindTexture(gl.TEXTURE_2D, texture);
+    });
+    gl.activeTexture(gl.TEXTURE0);
+    gl.uniform1i(uniforms.u_image, 0);
+    gl.uniform4fv(uniforms.u_rect, [0, 0, 1, 1]);
+    if (uniforms.u_texel) gl.uniform2f(uniforms.u_texel, 1 / width, 1 / height);
+    setUniforms(uniforms);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+    gl.viewport(0, 0, width, height);
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+  };
+
+  const drawEdges = (pass, texture, framebuffer, width, height) => {
+    const [a, b] = edgeTargets;
+    a.resize(width, height);
+    b.resize(width, height);
+    const weights = gaussianWeights(pass.blur);
+
+    // Luminance, blurred along x then y (a single copy when there is no blur)
+    edgeStep(programs.edgeBlur, [texture], a.framebuffer, width, height, (u) => {
+      gl.uniform2f(u.u_direction, 1 / width, 0);
+      gl.uniform1fv(u.u_weights, weights);
+      gl.uniform1f(u.u_luma, 1);
+    });
+    edgeStep(programs.edgeBlur, [a.texture], b.framebuffer, width, height, (u) => {
+      gl.uniform2f(u.u_direction, 0, 1 / height);
+      gl.uniform1fv(u.u_weights, weights);
+      gl.uniform1f(u.u_luma, 0);
+    });
+
+    const laplacian = pass.method === 'laplacian' || pass.method === 'log';
+    const gradientWeights = GRADIENT_WEIGHTS[pass.method === 'scharr' ? 'scharr' : 'sobel'];
+    edgeStep(programs.edgeGradient, [b.texture], a.framebuffer, width, height, (u) => {
+      gl.uniform2fv(u.u_weights, gradientWeights);
+      gl.uniform1f(u.u_laplacian, laplacian ? 1 : 0);
+    });
+
+    let edges = a;
+    if (pass.method === 'canny') {
+      edgeStep(programs.edgeSuppress, [a.texture], b.framebuffer, width, height, (u) => {
+        gl.uniform2f(u.u_thresholds, pass.threshold * CANNY_LOW_RATIO, pass.threshold);
+      });
+      edges = b;
+      for (let i = 0; i < HYSTERESIS_STEPS; i++) {
+        const next = edges === a ? b : a;
+        edgeStep(programs.edgeHysteresis, [edges.texture], next.framebuffer, width, height, () => {});
+        edges = next;
+      }
+    }
+
+    edgeStep(programs.edgeCompose, [texture, edges.texture], framebuffer, width, height, (u) => {
+      gl.uniform1i(u.u_edges, 1);
+      gl.uniform1f(u.u_threshold, pass.threshold);
+      gl.uniform1f(u.u_binary, pass.method === 'canny' ? 1 : 0);
+      gl.uniform1f(u.u_overlay, pass.overlay ? 1 : 0);
+      gl.uniform3fv(u.u_color, pass.color);
+    });
+  };
+
+  const uploadCorrection = (correction) => {
+    gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true);
+    gl.bindTexture(gl.TEXTURE_2D, flatTexture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, correction.flat);
+    gl.bindTexture(gl.TEXTURE_2D, darkTexture);
+    if (correction.dark) {
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, correction.dark);
+    } else {
+      // No dark frame: subtract nothing
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, 1, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE, new Uint8Array([0, 0, 0, 255]));
+    }
+    correctionId = correction.id;
+  };
+
+  // Flat and dark are sampled like the source, so single hot pixels stay on their texel
+  const setFilter = (texture, filter) => {
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, filter);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, filter);
+  };
+
+  // correction: see utils/flatField; ignored unless it was made at this source's size
+  const render = (source, rect, passes, { interpolation = 'bilinear', correction = null } = {}) => {
+    const { width, height } = canvas;
+    const sourceWidth = source.videoWidth || source.naturalWidth || source.width;
+    const sourceHeight = source.videoHeight || source.naturalHeight || source.height;
+    if (!width || !height || !sourceWidth || !sourceHeight) return;
+
+    correcting = correction && correction.width === sourceWidth && correction.height === sourceHeight
+      ? correction
+      : null;
+    if (correcting && correcting.id !== correctionId) uploadCorrection(correcting);
+
+    gl.bindTexture(gl.TEXTURE_2D, sourceTexture);
+    gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, source);
+    // Bicubic reads exact texels and does its own weighting
+    const filter = interpolation === 'bilinear' ? gl.LINEAR : gl.NEAREST;
+    setFilter(sourceTexture, filter);
+    if (correcting) {
+      setFilter(flatTexture, filter);
+      setFilter(darkTexture, filter);
+    }
+
+    // Viewport rect in texture coordinates (v flipped)
+    const sourceRect = [
+      rect.x / sourceWidth,
+      1 - (rect.y + rect.height) / sourceHeight,
+      rect.width / sourceWidth,
+      rect.height / sourceHeight
+    ];
+    const fullRect = [0, 0, 1, 1];
+    const resample = interpolation === 'bicubic'
+      ? [programs.cubic, { kind: 'cubic', size: [sourceWidth, sourceHeight] }]
+      : [programs.copy, null];
+
+    // Crop/scale into the first target, unless there is nothing else to do
+    if (passes.length === 0) {
+      draw(resample[0], resample[1], sourceTexture, sourceRect, null, width, height);
+      return;
+    }
+
+    targets.forEach(t => t.resize(width, height));
+    draw(resample[0], resample[1], sourceTexture, sourceRect, targets[0].framebuffer, width, height);
+
+    passes.forEach((pass, i) => {
+      const input = targets[i % 2];
+      const last = i === passes.length - 1;
+      const output = last ? null : targets[(i + 1) % 2].framebuffer;
+      if (pass.kind === 'edges') drawEdges(pass, input.texture, output, width, height);
+      else draw(programs[pass.kind], pass, input.texture, fullRect, output, width, height);
+    });
+  };
+
+  const dispose = () => {
+    gl.getExtension('WEBGL_lose_context')?.loseContext();
+  };
+
+  return {
+    kind: allowSoftware ? 'webgl-software' : 'webgl',
+    canvas,
+    maxSize,
+    render,
+    dispose
+  };
+};
@@ -0,0 +1,57 @@
+// Pixel-level helpers shared by the processing workers. Plain typed arrays only, no DOM,
+// so these run the same on the main thread and inside a Worker.
+
+// RGBA bytes -> luma (0-255) as Float32
+export const toGray = (data, width, height) => {
+  const gray = new Float32Array(width * height);
+  for (let i = 0, p = 0; i < gray.length; i++, p += 4) {
+    gray[i] = 0.299 * data[p] + 0.587 * data[p + 1] + 0.114 * data[p + 2];
+  }
+  return gray;
+};
+
+// |4-neighbour Laplacian|, a cheap per-pixel focus measure
+export const laplacianMagnitude = (gray, width, height) => {
+  const out = new Float32Array(width * height);
+  for (let y = 1; y < height - 1; y++) {
+    const row = y * width;
+    for (let x = 1; x < width - 1; x++) {
+      const i = row + x;
+      out[i] = Math.abs(4 * gray[i] - gray[i - 1] - gray[i + 1] - gray[i - width] - gray[i + width]);
+    }
+  }
+  return out;
+};
+
+// Separable box blur with running sums, O(1) per pixel regardless of radius
+export const boxBlur = (src, width, height, radius) => {
+  if (radius < 1) return src;
+  const tmp = new Float32Array(src.length);
+  const out = new Float32Array(src.length);
+
+  for (let y = 0; y < height; y++) {
+    const row = y * width;
+    let sum = 0;
+    for (let x = -radius; x <= radius; x++) sum += src[row + Math.min(width - 1, Math.max(0, x))];
+    for (let x = 0; x < width; x++) {
+      tmp[row + x] = sum / (2 * radius + 1);
+      sum += src[row + Math.min(width - 1, x + radius + 1)] - src[row + Math.max(0, x - radius)];
+    }
+  }
+
+  for (let x = 0; x < width; x++) {
+    let sum = 0;
+    for (let y = -radius; y <= radius; y++) sum += tmp[Math.min(height - 1, Math.max(0, y)) * width + x];
+    for (let y = 0; y < height; y++) {
+      out[y * width + x] = sum / (2 * radius + 1);
+      sum += tmp[Math.min(height - 1, y + radius + 1) * width + x] - tmp[Math.max(0, y - radius) * width + x];
+    }
+  }
+
+  return out;
+};
+
+// Nearest-pixel read with edge clamping
+export const clampIndex = (x, y, width, height) => (
+  Math.min(height - 1, Math.max(0, y)) * width + Math.min(width - 1, Math.max(0, x))
+);
@@ -0,0 +1,85 @@
+import { getCropRect } from './capture';
+import { clampPan } from './viewport';
+import { formatLength, formatArea } from './units';
+
+// Measurements are stored in SENSOR pixel coordinates so they stay glued to the
+// specimen while digital zoom and pan change; only the projection to the screen moves.
+
+// box: the <video> element's untransformed layout box, relative to the overlay container.
+// Mirrors the preview transform: screen = center + p * zoom + pan * size.
+export const createViewportMapping = ({ box, sensor, aspectRatio, zoom, pan }) => {
+  const crop = getCropRect(sensor.width, sensor.height, aspectRatio);
+  const effectivePan = clampPan(pan, zoom);
+  const cx = box.left + box.width / 2;
+  const cy = box.top + box.height / 2;
+
+  const toScreen = ({ x, y }) => {
+    const u = (x - crop.x) / crop.width - 0.5;
+    const v = (y - crop.y) / crop.height - 0.5;
+    return {
+      x: cx + (u * zoom + effectivePan.x) * box.width,
+      y: cy + (v * zoom + effectivePan.y) * box.height
+    };
+  };
+
+  const toSensor = ({ x, y }) => {
+    const u = ((x - cx) / box.width - effectivePan.x) / zoom;
+    const v = ((y - cy) / box.height - effectivePan.y) / zoom;
+    return {
+      x: crop.x + (u + 0.5) * crop.width,
+      y: crop.y + (v + 0.5) * crop.height
+    };
+  };
+
+  // Screen pixels per sensor pixel (crop and box share an aspect ratio, so one number does)
+  const scale = (box.width * zoom) / crop.width;
+
+  return { toScreen, toSensor, scale };
+};
+
+const dist = (a, b) => Math.hypot(b.x - a.x, b.y - a.y);
+
+// Points needed to complete each tool (polyline is open-ended, finished by double-click)
+export const TOOL_POINTS = {
+  line: 2,
+  calibrate: 2,
+  circle: 2,
+  angle: 3,
+  polyline: Infinity
+};
+
+export const polylineLength = (points) => points.slice(1).reduce((sum, p, i) => sum + dist(points[i], p), 0);
+
+// Angle at the middle point, in degrees
+export const angleAt = (a, vertex, b) => {
+  const a1 = Math.atan2(a.y - vertex.y, a.x - vertex.x);
+  const a2 = Math.atan2(b.y - vertex.y, b.x - vertex.x);
+  let deg = Math.abs((a2 - a1) * 180 / Math.PI);
+  if (deg > 180) deg = 360 - deg;
+  return deg;
+};
+
+// Human readable result. Without calibration lengths fall back to sensor pixels.
+export const describeMeasurement = ({ tool, points }, pxPerUm) => {
+  const length = (px) => (pxPerUm ? formatLength(px / pxPerUm) : `${px.toFixed(1)} px`);
+
+  switch (tool) {
+    case 'line':
+    case 'calibrate':
+      return points.length < 2 ? '' : length(dist(points[0], points[1]));
+    case 'polyline':
+      return points.length < 2 ? '' : length(polylineLength(points));
+    case 'circle': {
+      if (points.length < 2) return '';
+      const d = dist(points[0], points[1]);
+      const area = Math.PI * Math.pow(d / 2, 2);
+      return `⌀ ${length(d)} · ${pxPerUm ? formatArea(area / (pxPerUm * pxPerUm)) : `${area.toFixed(0)} px²`}`;
+    }
+    case 'angle':
+      return points.length < 3 ? '' : `${angleAt(points[0], points[1], points[2]).toFixed(1)}°`;
+    default:
+      return '';
+  }
+};
+
+export const measureSensorLength = (points) => dist(points[0], points[1]);
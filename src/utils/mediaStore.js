@@ -0,0 +1,189 @@
+// Persistent media store (IndexedDB). Holds the actual blobs plus enough context
+// (device, filters, session) to make sense of a capture after a reload.
+//
+// Record shape:
+// { id, type: 'image' | 'video', variant?, blob, thumbnail, mimeType,
+//   date (ms), sessionId, deviceId, deviceLabel, filters, aspectRatio, annotations? }
+// annotations are vector shapes in image pixel coordinates (see utils/annotations)
+//
+// Time-lapse runs live in their own stores so a run can be resumed after a reload:
+// run:   { id, createdAt, intervalMs, limit: { type: 'frames' | 'duration' | 'none', value },
+//          status: 'running' | 'stopped', capturedCount, deviceId, deviceLabel }
+// frame: { id: frameId(runId, index), runId, index, date, blob }
+//
+// Flat-field calibration, one record per device and sensor size (see hooks/useFlatField):
+// { id: flatFieldId(deviceId, width, height), deviceId, width, height, flat, dark, date }
+// flat / dark are PNG blobs of averaged frames (dark is optional, null when missing)
+
+const DB_NAME = 'tiny-world-explorer';
+const DB_VERSION = 3;
+const MEDIA_STORE = 'media';
+const RUN_STORE = 'timelapseRuns';
+const FRAME_STORE = 'timelapseFrames';
+const FLAT_FIELD_STORE = 'flatFields';
+
+let dbPromise = null;
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const openDb = () => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(MEDIA_STORE)) {
+        const store = db.createObjectStore(MEDIA_STORE, { keyPath: 'id' });
+        store.createIndex('sessionId', 'sessionId');
+        store.createIndex('date', 'date');
+      }
+      if (!db.objectStoreNames.contains(RUN_STORE)) {
+        db.createObjectStore(RUN_STORE, { keyPath: 'id' });
+      }
+      if (!db.objectStoreNames.contains(FRAME_STORE)) {
+        db.createObjectStore(FRAME_STORE, { keyPath: 'id' }).createIndex('runId', 'runId');
+      }
+      if (!db.objectStoreNames.contains(FLAT_FIELD_STORE)) {
+        db.createObjectStore(FLAT_FIELD_STORE, { keyPath: 'id' });
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return dbPromise;
+};
+
+const withStore = async (mode, fn, storeName = MEDIA_STORE) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const result = fn(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+export const createMediaId = () => (
+  crypto.randomUUID ? crypto.randomUUID() : `${Date.now()}-${Math.random().toString(36).slice(2)}`
+);
+
+export const putMedia = (record) => withStore('readwrite', store => {
+  store.put(record);
+  return record;
+});
+
+// Newest first
+export const getAllMedia = async () => {
+  const db = await openDb();
+  const records = await promisify(db.transaction(MEDIA_STORE).objectStore(MEDIA_STORE).getAll());
+  return records.sort((a, b) => b.date - a.date);
+};
+
+// Merges `changes` into an existing record (e.g. edited annotations)
+export const updateMedia = async (id, changes) => {
+  const db = await openDb();
+  const record = await promisify(db.transaction(MEDIA_STORE).objectStore(MEDIA_STORE).get(id));
+  if (!record) return null;
+  return putMedia({ ...record, ...changes });
+};
+
+export const deleteMedia = (id) => withStore('readwrite', store => {
+  store.delete(id);
+});
+
+export const deleteSession = async (sessionId) => {
+  const db = await openDb();
+  const keys = await promisify(
+    db.transaction(MEDIA_STORE).objectStore(MEDIA_STORE).index('sessionId').getAllKeys(sessionId)
+  );
+  await withStore('readwrite', store => keys.forEach(key => store.delete(key)));
+  return keys;
+};
+
+/* Time-lapse */
+
+export const putRun = (run) => withStore('readwrite', store => {
+  store.put(run);
+  return run;
+}, RUN_STORE);
+
+export const getRuns = async () => {
+  const db = await openDb();
+  const runs = await promisify(db.transaction(RUN_STORE).objectStore(RUN_STORE).getAll());
+  return runs.sort((a, b) => b.createdAt - a.createdAt);
+};
+
+// Zero-padded so primary-key order is capture order
+export const frameId = (runId, index) => `${runId}-${String(index).padStart(7, '0')}`;
+
+export const putFrame = (frame) => withStore('readwrite', store => {
+  store.put(frame);
+}, FRAME_STORE);
+
+export const getFrameKeys = async (runId) => {
+  const db = await openDb();
+  return promisify(db.transaction(FRAME_STORE).objectStore(FRAME_STORE).index('runId').getAllKeys(runId));
+};
+
+// Frames in capture order. Reads one at a time so a long run never sits in memory at once.
+export async function* iterateFrames(runId) {
+  const db = await openDb();
+  const keys = (await getFrameKeys(runId)).sort();
+  for (const key of keys) {
+    yield await promisify(db.transaction(FRAME_STORE).objectStore(FRAME_STORE).get(key));
+  }
+}
+
+export const deleteRun = async (runId) => {
+  const keys = await getFrameKeys(runId);
+  await withStore('readwrite', store => keys.forEach(key => store.delete(key)), FRAME_STORE);
+  await withStore('readwrite', store => store.delete(runId), RUN_STORE);
+};
+
+export const flatFieldId = (deviceId, width, height) => `${deviceId}|${width}x${height}`;
+
+export const getFlatField = async (id) => {
+  const db = await openDb();
+  return (await promisify(db.transaction(FLAT_FIELD_STORE).objectStore(FLAT_FIELD_STORE).get(id))) || null;
+};
+
+export const putFlatField = (record) => withStore('readwrite', store => {
+  store.put(record);
+}, FLAT_FIELD_STORE);
+
+export const deleteFlatField = (id) => withStore('readwrite', store => {
+  store.delete(id);
+}, FLAT_FIELD_STORE);
+
+// { usage, quota } in bytes, or null where the API is missing
+export const getStorageEstimate = async () => {
+  if (!navigator.storage?.estimate) return null;
+  try {
+    const { usage, quota } = await navigator.storage.estimate();
+    return { usage, quota };
+  } catch (e) {
+    console.warn("Storage estimate failed:", e);
+    return null;
+  }
+};
+
+// Ask the browser not to evict our captures under storage pressure
+export const requestPersistentStorage = async () => {
+  if (!navigator.storage?.persist) return false;
+  try {
+    return await navigator.storage.persist();
+  } catch {
+    return false;
+  }
+};
@@ -0,0 +1,320 @@
+import { crc32 } from './zip';
+import { canvasToBlob } from './capture';
+import { SETTINGS_VERSION } from './settings';
+import { extensionForMimeType } from './recording';
+
+// Capture metadata embedded in the files themselves, so a downloaded image still says how
+// it was taken. The full record is JSON (iTXt chunk in PNG, XMP property in JPEG); the
+// common fields are also written where other tools look for them (PNG tEXt, EXIF, dc:description).
+
+const APP_NAME = 'Tiny World Explorer';
+const PNG_KEYWORD = 'tiny-world';
+const XMP_KEYWORD = 'XML:com.adobe.xmp';
+const XMP_NAMESPACE = 'urn:tiny-world-explorer:capture:1';
+const XMP_HEADER = 'http://ns.adobe.com/xap/1.0/\0';
+const EXIF_HEADER = 'Exif\0\0';
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+// Everything the app knows about a capture (a media record or Gallery item)
+export const buildCaptureMetadata = (item) => ({
+  app: APP_NAME,
+  settingsVersion: SETTINGS_VERSION,
+  type: item.type,
+  variant: item.variant || null,
+  capturedAt: new Date(item.date).toISOString(),
+  device: item.deviceLabel || null,
+  resolution: item.resolution || null, // sensor frame
+  zoom: item.filters?.zoom ?? null,
+  pan: item.pan || null,
+  aspectRatio: item.aspectRatio || null,
+  filters: item.filters || null,
+  calibration: item.pxPerUm ? { pxPerUm: item.pxPerUm, umPerPx: 1 / item.pxPerUm } : null,
+  flatField: item.flatField || null, // { dark } when flat-field corrected
+  denoise: item.denoise || null, // { frames, motion } when temporally denoised
+  longExposure: item.longExposure || null, // { frames } averaged into this still
+  note: item.note || ''
+});
+
+/* PNG: tEXt / iTXt chunks */
+
+const latin1 = (text) => Uint8Array.from(text, c => (c.charCodeAt(0) < 256 ? c.charCodeAt(0) : 0x3f));
+
+const concatBytes = (parts) => {
+  const out = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+  let offset = 0;
+  parts.forEach(p => {
+    out.set(p, offset);
+    offset += p.length;
+  });
+  return out;
+};
+
+const pngChunk = (type, data) => {
+  const typeBytes = latin1(type);
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  chunk.set(typeBytes, 4);
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, crc32(concatBytes([typeBytes, data])));
+  return chunk;
+};
+
+const textChunk = (keyword, text) => pngChunk('tEXt', concatBytes([latin1(keyword), [0], latin1(text)]));
+
+// Uncompressed, no language tag
+const itxtChunk = (keyword, text) => pngChunk('iTXt', concatBytes([latin1(keyword), [0, 0, 0, 0, 0], encoder.encode(text)]));
+
+// [{ type, start, end, data }] for every chunk; null if the bytes aren't a PNG
+const readPngChunks = (bytes) => {
+  if (!PNG_SIGNATURE.every((b, i) => bytes[i] === b)) return null;
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const chunks = [];
+  let offset = 8;
+  while (offset + 12 <= bytes.length) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    const end = offset + 12 + length;
+    chunks.push({ type, start: offset, end, data: bytes.subarray(offset + 8, offset + 8 + length) });
+    offset = end;
+    if (type === 'IEND') break;
+  }
+  return chunks;
+};
+
+// keyword -> text for tEXt and (uncompressed) iTXt chunks
+const readPngText = (chunks) => {
+  const entries = {};
+  chunks.forEach(({ type, data }) => {
+    if (type !== 'tEXt' && type !== 'iTXt') return;
+    const nul = data.indexOf(0);
+    if (nul < 0) return;
+    const keyword = String.fromCharCode(...data.subarray(0, nul));
+    if (type === 'tEXt') {
+      entries[keyword] = String.fromCharCode(...data.subarray(nul + 1));
+      return;
+    }
+    if (data[nul + 1] !== 0) return; // compressed iTXt, never written by us
+    const langEnd = data.indexOf(0, nul + 3);
+    const translatedEnd = data.indexOf(0, langEnd + 1);
+    if (langEnd < 0 || translatedEnd < 0) return;
+    entries[keyword] = decoder.decode(data.subarray(translatedEnd + 1));
+  });
+  return entries;
+};
+
+const OWN_PNG_KEYWORDS = [PNG_KEYWORD, XMP_KEYWORD, 'Software', 'Creation Time', 'Description', 'Source'];
+
+const embedPng = (bytes, metadata) => {
+  const chunks = readPngChunks(bytes);
+  if (!chunks || chunks[0]?.type !== 'IHDR') throw new Error('Not a PNG');
+  const created = new Date(metadata.capturedAt);
+  const added = [
+    textChunk('Software', APP_NAME),
+    textChunk('Creation Time', created.toUTCString()),
+    ...(metadata.device ? [itxtChunk('Source', metadata.device)] : []),
+    ...(metadata.note ? [itxtChunk('Description', metadata.note)] : []),
+    itxtChunk(XMP_KEYWORD, buildXmp(metadata)),
+    itxtChunk(PNG_KEYWORD, JSON.stringify(metadata))
+  ];
+  // Re-embedding (e.g. after the note changed) replaces what was there
+  const kept = chunks.filter(chunk => {
+    if (chunk.type !== 'tEXt' && chunk.type !== 'iTXt') return true;
+    const keyword = String.fromCharCode(...chunk.data.subarray(0, Math.max(0, chunk.data.indexOf(0))));
+    return !OWN_PNG_KEYWORDS.includes(keyword);
+  });
+  const [ihdr, ...rest] = kept;
+  return concatBytes([
+    Uint8Array.from(PNG_SIGNATURE),
+    bytes.subarray(ihdr.start, ihdr.end),
+    ...added,
+    ...rest.map(chunk => bytes.subarray(chunk.start, chunk.end))
+  ]);
+};
+
+/* XMP */
+
+const escapeXml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const unescapeXml = (text) => text
+  .replace(/&quot;/g, '"')
+  .replace(/&gt;/g, '>')
+  .replace(/&lt;/g, '<')
+  .replace(/&amp;/g, '&');
+
+const buildXmp = (metadata) => [
+  '<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>',
+  '<x:xmpmeta xmlns:x="adobe:ns:meta/">',
+  '<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">',
+  '<rdf:Description rdf:about=""',
+  ' xmlns:xmp="http://ns.adobe.com/xap/1.0/"',
+  ' xmlns:dc="http://purl.org/dc/elements/1.1/"',
+  ` xmlns:tw="${XMP_NAMESPACE}"`,
+  ` xmp:CreatorTool="${APP_NAME}"`,
+  ` xmp:CreateDate="${metadata.capturedAt}"`,
+  ` tw:capture="${escapeXml(JSON.stringify(metadata))}">`,
+  metadata.note
+    ? `<dc:description><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(metadata.note)}</rdf:li></rdf:Alt></dc:description>`
+    : '',
+  '</rdf:Description>',
+  '</rdf:RDF>',
+  '</x:xmpmeta>',
+  '<?xpacket end="w"?>'
+].join('\n');
+
+const readXmp = (xmp) => {
+  const match = /tw:capture="([^"]*)"/.exec(xmp);
+  return match ? JSON.parse(unescapeXml(match[1])) : null;
+};
+
+/* JPEG: EXIF (APP1) + XMP (APP1) */
+
+// EXIF only takes ASCII; the XMP copy keeps the full text
+const exifAscii = (text) => latin1(text.replace(/[^\x20-\x7e]/g, '?'));
+
+const exifDateTime = (date) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}:${pad(date.getMonth() + 1)}:${pad(date.getDate())} `
+    + `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+};
+
+// Minimal big-endian TIFF with one IFD of ASCII tags
+const buildExif = (metadata) => {
+  const tags = [
+    [0x010e, metadata.note], // ImageDescription
+    [0x0110, metadata.device], // Model
+    [0x0131, APP_NAME], // Software
+    [0x0132, exifDateTime(new Date(metadata.capturedAt))] // DateTime
+  ].filter(([, value]) => value).map(([tag, value]) => [tag, concatBytes([exifAscii(value), [0]])]);
+
+  const ifdSize = 2 + tags.length * 12 + 4;
+  const dataSize = tags.reduce((sum, [, bytes]) => sum + (bytes.length > 4 ? bytes.length : 0), 0);
+  const tiff = new Uint8Array(8 + ifdSize + dataSize);
+  const view = new DataView(tiff.buffer);
+  tiff.set([0x4d, 0x4d], 0); // "MM"
+  view.setUint16(2, 42);
+  view.setUint32(4, 8);
+  view.setUint16(8, tags.length);
+  let dataOffset = 8 + ifdSize;
+  tags.forEach(([tag, bytes], i) => {
+    const entry = 10 + i * 12;
+    view.setUint16(entry, tag);
+    view.setUint16(entry + 2, 2); // ASCII
+    view.setUint32(entry + 4, bytes.length);
+    if (bytes.length <= 4) {
+      tiff.set(bytes, entry + 8);
+    } else {
+      view.setUint32(entry + 8, dataOffset);
+      tiff.set(bytes, dataOffset);
+      dataOffset += bytes.length;
+    }
+  });
+  return concatBytes([latin1(EXIF_HEADER), tiff]);
+};
+
+const jpegSegment = (marker, payload) => {
+  if (payload.length + 2 > 0xffff) throw new Error('Metadata too large for a JPEG segment');
+  const header = new Uint8Array(4);
+  header[0] = 0xff;
+  header[1] = marker;
+  new DataView(header.buffer).setUint16(2, payload.length + 2);
+  return concatBytes([header, payload]);
+};
+
+// [{ marker, start, end, payload }] for the header segments, up to the image data
+const readJpegSegments = (bytes) => {
+  if (bytes[0] !== 0xff || bytes[1] !== 0xd8) return null;
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const segments = [];
+  let offset = 2;
+  while (offset + 4 <= bytes.length && bytes[offset] === 0xff) {
+    const marker = bytes[offset + 1];
+    if (marker === 0xda || marker === 0xd9) break; // start of scan / end of image
+    const length = view.getUint16(offset + 2);
+    segments.push({ marker, start: offset, end: offset + 2 + length, payload: bytes.subarray(offset + 4, offset + 2 + length) });
+    offset += 2 + length;
+  }
+  return { segments, dataStart: offset };
+};
+
+const startsWith = (payload, text) => text.split('').every((c, i) => payload[i] === c.charCodeAt(0));
+
+const embedJpeg = (bytes, metadata) => {
+  const parsed = readJpegSegments(bytes);
+  if (!parsed) throw new Error('Not a JPEG');
+  // Drop old EXIF/XMP, keep JFIF (APP0) first as it expects
+  const kept = parsed.segments.filter(s => !(s.marker === 0xe1 && (startsWith(s.payload, EXIF_HEADER) || startsWith(s.payload, XMP_HEADER))));
+  const app0 = kept.filter(s => s.marker === 0xe0);
+  const others = kept.filter(s => s.marker !== 0xe0);
+  return concatBytes([
+    Uint8Array.from([0xff, 0xd8]),
+    ...app0.map(s => bytes.subarray(s.start, s.end)),
+    jpegSegment(0xe1, buildExif(metadata)),
+    jpegSegment(0xe1, concatBytes([latin1(XMP_HEADER), encoder.encode(buildXmp(metadata))])),
+    ...others.map(s => bytes.subarray(s.start, s.end)),
+    bytes.subarray(parsed.dataStart)
+  ]);
+};
+
+/* Public API */
+
+// Same image with the metadata embedded. Formats we can't write to come back unchanged.
+export const embedCaptureMetadata = async (blob, metadata) => {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  if (blob.type === 'image/png') return new Blob([embedPng(bytes, metadata)], { type: blob.type });
+  if (blob.type === 'image/jpeg') return new Blob([embedJpeg(bytes, metadata)], { type: blob.type });
+  return blob;
+};
+
+// Metadata written by this app, or null (other files, videos, older captures)
+export const readCaptureMetadata = async (blob) => {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  const chunks = readPngChunks(bytes);
+  if (chunks) {
+    const text = readPngText(chunks);
+    return text[PNG_KEYWORD] ? JSON.parse(text[PNG_KEYWORD]) : null;
+  }
+  const jpeg = readJpegSegments(bytes);
+  const xmp = jpeg?.segments.find(s => s.marker === 0xe1 && startsWith(s.payload, XMP_HEADER));
+  return xmp ? readXmp(decoder.decode(xmp.payload.subarray(XMP_HEADER.length))) : null;
+};
+
+// PNG capture re-encoded as JPEG (downloads only; the Gallery keeps the lossless original)
+export const convertToJpeg = async (blob, quality = 0.92) => {
+  const bitmap = await createImageBitmap(blob);
+  const canvas = document.createElement('canvas');
+  canvas.width = bitmap.width;
+  canvas.height = bitmap.height;
+  canvas.getContext('2d').drawImage(bitmap, 0, 0);
+  bitmap.close();
+  return canvasToBlob(canvas, 'image/jpeg', quality);
+};
+
+// Files to download for one item: the capture (with metadata where the format allows)
+// and optionally a JSON sidecar. baseName has no extension; format: 'png' | 'jpeg' (images only).
+export const exportCapture = async (item, baseName, { format = 'png', sidecar = false } = {}) => {
+  const metadata = buildCaptureMetadata(item);
+  const files = [];
+  if (item.type === 'image') {
+    const source = format === 'jpeg' ? await convertToJpeg(item.blob) : item.blob;
+    const ext = format === 'jpeg' ? 'jpg' : 'png';
+    files.push({ name: `${baseName}.${ext}`, blob: await embedCaptureMetadata(source, metadata) });
+  } else {
+    // Video containers are left alone; the sidecar is their metadata
+    files.push({ name: `${baseName}.${extensionForMimeType(item.mimeType)}`, blob: item.blob });
+  }
+  if (sidecar) {
+    files.push({
+      name: `${baseName}.json`,
+      blob: new Blob([JSON.stringify(metadata, null, 2)], { type: 'application/json' })
+    });
+  }
+  return files;
+};
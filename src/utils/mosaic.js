@@ -0,0 +1,120 @@
+// Mosaic composition. Tiles are { canvas, x, y } in full-resolution mosaic coordinates
+// (x/y may be negative; bounds are computed from the tiles).
+
+// Above this a single canvas gets unreliable (browser limits) and exports are split into tiles
+export const MAX_SINGLE_EXPORT_SIDE = 8192;
+export const MAX_SINGLE_EXPORT_PIXELS = 50e6;
+export const EXPORT_TILE_SIZE = 4096;
+
+export const computeBounds = (tiles) => {
+  if (tiles.length === 0) return { x: 0, y: 0, width: 0, height: 0 };
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  tiles.forEach(t => {
+    minX = Math.min(minX, t.x);
+    minY = Math.min(minY, t.y);
+    maxX = Math.max(maxX, t.x + t.canvas.width);
+    maxY = Math.max(maxY, t.y + t.canvas.height);
+  });
+  return { x: Math.floor(minX), y: Math.floor(minY), width: Math.ceil(maxX - minX), height: Math.ceil(maxY - minY) };
+};
+
+// Copy of the tile whose alpha ramps to 0 over `feather` px at every edge
+const featherTile = (source, feather) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = source.width;
+  canvas.height = source.height;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(source, 0, 0);
+  ctx.globalCompositeOperation = 'destination-in';
+
+  const fx = Math.min(0.5, feather / canvas.width);
+  const fy = Math.min(0.5, feather / canvas.height);
+
+  const horizontal = ctx.createLinearGradient(0, 0, canvas.width, 0);
+  horizontal.addColorStop(0, 'rgba(0,0,0,0)');
+  horizontal.addColorStop(fx, 'rgba(0,0,0,1)');
+  horizontal.addColorStop(1 - fx, 'rgba(0,0,0,1)');
+  horizontal.addColorStop(1, 'rgba(0,0,0,0)');
+  ctx.fillStyle = horizontal;
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+  const vertical = ctx.createLinearGradient(0, 0, 0, canvas.height);
+  vertical.addColorStop(0, 'rgba(0,0,0,0)');
+  vertical.addColorStop(fy, 'rgba(0,0,0,1)');
+  vertical.addColorStop(1 - fy, 'rgba(0,0,0,1)');
+  vertical.addColorStop(1, 'rgba(0,0,0,0)');
+  ctx.fillStyle = vertical;
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+  return canvas;
+};
+
+// Frees a canvas' backing store now rather than whenever it is collected
+export const releaseCanvas = (canvas) => {
+  canvas.width = 0;
+  canvas.height = 0;
+};
+
+// Renders one region of the mosaic (mosaic coords) at `scale` into a new canvas.
+// Two passes: hard-edged tiles first so every covered pixel is filled, then feathered
+// copies on top so overlaps cross-fade instead of showing seams. Feathered copies are
+// made for the tiles in the region only, one at a time, so they never add up in memory.
+export const composeRegion = (tiles, region, scale = 1) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(region.width * scale));
+  canvas.height = Math.max(1, Math.round(region.height * scale));
+  const ctx = canvas.getContext('2d');
+  ctx.imageSmoothingQuality = 'high';
+
+  const placed = tiles
+    .map(t => ({
+      tile: t,
+      x: (t.x - region.x) * scale,
+      y: (t.y - region.y) * scale,
+      w: t.canvas.width * scale,
+      h: t.canvas.height * scale
+    }))
+    .filter(({ x, y, w, h }) => !(x + w < 0 || y + h < 0 || x > canvas.width || y > canvas.height));
+
+  placed.forEach(({ tile, x, y, w, h }) => ctx.drawImage(tile.canvas, x, y, w, h));
+  placed.forEach(({ tile, x, y, w, h }) => {
+    const soft = featherTile(tile.canvas, Math.min(tile.canvas.width, tile.canvas.height) * 0.1);
+    ctx.drawImage(soft, x, y, w, h);
+    releaseCanvas(soft);
+  });
+
+  return canvas;
+};
+
+export const needsTiledExport = ({ width, height }) => (
+  width > MAX_SINGLE_EXPORT_SIDE || height > MAX_SINGLE_EXPORT_SIDE || width * height > MAX_SINGLE_EXPORT_PIXELS
+);
+
+// Full-res export, yielding one part at a time so the caller can encode and release each
+// before the next is drawn. Small mosaics: { canvas }. Large ones: an overview, then a grid
+// of EXPORT_TILE_SIZE tiles: { canvas, overview: true }, { canvas, row, col, rows, cols }, ...
+export function* exportMosaic(tiles) {
+  const bounds = computeBounds(tiles);
+
+  if (!needsTiledExport(bounds)) {
+    yield { canvas: composeRegion(tiles, bounds, 1) };
+    return;
+  }
+
+  const overviewScale = EXPORT_TILE_SIZE / Math.max(bounds.width, bounds.height);
+  yield { canvas: composeRegion(tiles, bounds, overviewScale), overview: true };
+
+  const cols = Math.ceil(bounds.width / EXPORT_TILE_SIZE);
+  const rows = Math.ceil(bounds.height / EXPORT_TILE_SIZE);
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      const region = {
+        x: bounds.x + col * EXPORT_TILE_SIZE,
+        y: bounds.y + row * EXPORT_TILE_SIZE,
+        width: Math.min(EXPORT_TILE_SIZE, bounds.width - col * EXPORT_TILE_SIZE),
+        height: Math.min(EXPORT_TILE_SIZE, bounds.height - row * EXPORT_TILE_SIZE)
+      };
+      yield { canvas: composeRegion(tiles, region, 1), row, col, rows, cols };
+    }
+  }
+}
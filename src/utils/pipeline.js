@@ -0,0 +1,204 @@
+import { createGlRenderer } from './glRenderer';
+import { createCanvasRenderer } from './canvasRenderer';
+import { getLut } from './colormaps';
+import { edgeBlurRadius, hexToRgb } from './edgeDetection';
+
+// Processing pipeline: every filter is a pass, run in a user-chosen order.
+// A pass compiles to one of these kinds that both renderers implement:
+//   matrix    { matrix: 3x3 row-major, offset: [r, g, b] }  per-pixel color transform (0..1 units)
+//   convolve  { kernel: 3x3 row-major, gray: bool }         3x3 convolution, edge pixels repeated
+//   lut       { lut: Uint8Array(256 * 3), min, max }        luminance stretched from [min, max] -> LUT color
+//   gamma     { exponent }                                  out = in ^ exponent, per channel
+//   edges     { method, threshold, blur, overlay, color }  edge detection, see utils/edgeDetection
+// Color math follows the CSS/SVG filter definitions the preview used before.
+
+const scale = (a, offset = 0) => ({
+  kind: 'matrix',
+  matrix: [a, 0, 0, 0, a, 0, 0, 0, a],
+  offset: [offset, offset, offset]
+});
+
+const saturateMatrix = (s) => ({
+  kind: 'matrix',
+  matrix: [
+    0.213 + 0.787 * s, 0.715 - 0.715 * s, 0.072 - 0.072 * s,
+    0.213 - 0.213 * s, 0.715 + 0.285 * s, 0.072 - 0.072 * s,
+    0.213 - 0.213 * s, 0.715 - 0.715 * s, 0.072 + 0.928 * s
+  ],
+  offset: [0, 0, 0]
+});
+
+const sepiaMatrix = (amount) => {
+  const a = 1 - amount;
+  return {
+    kind: 'matrix',
+    matrix: [
+      0.393 + 0.607 * a, 0.769 - 0.769 * a, 0.189 - 0.189 * a,
+      0.349 - 0.349 * a, 0.686 + 0.314 * a, 0.168 - 0.168 * a,
+      0.272 - 0.272 * a, 0.534 - 0.534 * a, 0.131 + 0.869 * a
+    ],
+    offset: [0, 0, 0]
+  };
+};
+
+export const IDENTITY_MATRIX = [1, 0, 0, 0, 1, 0, 0, 0, 1];
+
+const isIdentity = (m) => m.every((v, i) => v === IDENTITY_MATRIX[i]);
+
+export const PASSES = [
+  {
+    id: 'whiteBalance',
+    label: 'White Balance',
+    isActive: f => f.wbGains.some(g => g !== 1),
+    build: f => ({
+      kind: 'matrix',
+      matrix: [f.wbGains[0], 0, 0, 0, f.wbGains[1], 0, 0, 0, f.wbGains[2]],
+      offset: [0, 0, 0]
+    })
+  },
+  {
+    // Fitted from a color checker (see utils/colorCalibration), on white-balanced values
+    id: 'colorMatrix',
+    label: 'Color Matrix',
+    isActive: f => !isIdentity(f.colorMatrix),
+    build: f => ({ kind: 'matrix', matrix: f.colorMatrix, offset: [0, 0, 0] })
+  },
+  {
+    // Above 1 lifts the midtones, below 1 darkens them
+    id: 'gamma',
+    label: 'Gamma',
+    isActive: f => f.gamma !== 1,
+    build: f => ({ kind: 'gamma', exponent: 1 / f.gamma })
+  },
+  {
+    id: 'brightness',
+    label: 'Brightness',
+    isActive: f => f.brightness !== 100,
+    build: f => scale(f.brightness / 100)
+  },
+  {
+    id: 'contrast',
+    label: 'Contrast',
+    isActive: f => f.contrast !== 100,
+    build: f => scale(f.contrast / 100, 0.5 - 0.5 * (f.contrast / 100))
+  },
+  {
+    id: 'saturate',
+    label: 'Saturation',
+    isActive: f => f.saturate !== 100,
+    build: f => saturateMatrix(f.saturate / 100)
+  },
+  {
+    id: 'sepia',
+    label: 'Sepia',
+    isActive: f => f.sepia > 0,
+    build: f => sepiaMatrix(f.sepia / 100)
+  },
+  {
+    id: 'invert',
+    label: 'Invert',
+    isActive: f => f.invert > 0,
+    build: f => scale(1 - 2 * (f.invert / 100), f.invert / 100)
+  },
+  {
+    id: 'edgeDetection',
+    label: 'Edge Detection',
+    isActive: f => !!f.edgeDetection,
+    build: f => ({
+      kind: 'edges',
+      method: f.edgeMethod,
+      threshold: f.edgeThreshold,
+      blur: edgeBlurRadius(f.edgeMethod, f.edgeBlur),
+      overlay: f.edgeOverlay,
+      color: hexToRgb(f.edgeColor)
+    })
+  },
+  {
+    id: 'falseColor',
+    label: 'False Color',
+    isActive: f => !!f.falseColor,
+    // Colormap from utils/colormaps; the range stretches a band of intensities over the whole map
+    build: f => ({ kind: 'lut', lut: getLut(f.colormap), min: f.falseColorRange[0], max: f.falseColorRange[1] })
+  },
+  {
+    id: 'emboss',
+    label: 'Emboss',
+    isActive: f => f.emboss > 0,
+    // Identity plus s * (-2 -1 0 / -1 0 1 / 0 1 2), s from 0 to 3
+    build: f => {
+      const s = (f.emboss / 100) * 3;
+      return { kind: 'convolve', kernel: [-2 * s, -s, 0, -s, 1, s, 0, s, 2 * s], gray: false };
+    }
+  },
+  {
+    id: 'sharpen',
+    label: 'Sharpen',
+    isActive: f => f.sharpen > 0,
+    // Identity plus s * Laplacian, s from 0 to 15
+    build: f => {
+      const s = (f.sharpen / 100) * 15;
+      return { kind: 'convolve', kernel: [0, -s, 0, -s, 1 + 4 * s, -s, 0, -s, 0], gray: false };
+    }
+  }
+];
+
+const PASS_BY_ID = Object.fromEntries(PASSES.map(p => [p.id, p]));
+
+export const DEFAULT_PASS_ORDER = PASSES.map(p => p.id);
+
+// Saved orders may predate newer passes (or contain removed ones)
+export const resolvePassOrder = (order) => {
+  const known = (Array.isArray(order) ? order : []).filter(id => PASS_BY_ID[id]);
+  return [...new Set([...known, ...DEFAULT_PASS_ORDER])];
+};
+
+// Compiled pass list for the renderers, in order, skipping passes that are no-ops
+export const buildPasses = (filters) => resolvePassOrder(filters.passOrder)
+  .map(id => PASS_BY_ID[id])
+  .filter(pass => pass.isActive(filters))
+  .map(pass => pass.build(filters));
+
+// How the viewport is resampled from the sensor frame when zoomed
+export const INTERPOLATIONS = [
+  { id: 'nearest', label: 'Nearest (pixels)' },
+  { id: 'bilinear', label: 'Bilinear' },
+  { id: 'bicubic', label: 'Bicubic (sharp)' }
+];
+
+export const RENDERER_LABELS = {
+  webgl: 'GPU (WebGL)',
+  'webgl-software': 'Software WebGL',
+  canvas2d: 'Canvas2D'
+};
+
+// Renderer: { kind, canvas, maxSize, render(source, rect, passes, { interpolation, correction }), dispose() }
+// rect is the source region to draw (see getViewportRect); output fills the canvas.
+// Tries a real GPU first, then software WebGL, then plain Canvas2D. Each attempt gets a
+// fresh canvas: one that got a WebGL context (even a failed or lost one) can't give a 2D
+// context any more. The renderer owns its canvas; dispose() leaves it unusable.
+const tryRenderer = (create, options) => create(document.createElement('canvas'), options);
+
+export const createRenderer = () => (
+  tryRenderer(createGlRenderer, { allowSoftware: false }) ||
+  tryRenderer(createGlRenderer, { allowSoftware: true }) ||
+  tryRenderer(createCanvasRenderer)
+);
+
+// Off-screen renderer for SNAP, recording and analysis, shared so the page holds
+// a single extra WebGL context. Falls back to Canvas2D for outputs the GPU can't hold.
+let captureRenderer = null;
+let largeRenderer = null;
+
+export const getCaptureRenderer = (width, height) => {
+  if (!captureRenderer) captureRenderer = createRenderer();
+  let renderer = captureRenderer;
+  if (Math.max(width, height) > renderer.maxSize) {
+    if (!largeRenderer) largeRenderer = createCanvasRenderer(document.createElement('canvas'));
+    renderer = largeRenderer;
+  }
+  if (renderer.canvas.width !== width || renderer.canvas.height !== height) {
+    renderer.canvas.width = width;
+    renderer.canvas.height = height;
+  }
+  return renderer;
+};
@@ -0,0 +1,149 @@
+import { drawViewport, drawOverlays, drawScaleBar, drawColorBar, getOutputSize, getSourceSize, createThumbnail } from './capture';
+
+// Preferred container/codec combos, best first. MediaRecorder support differs a lot per browser.
+const MIME_CANDIDATES = [
+  'video/webm;codecs=vp9',
+  'video/mp4;codecs=avc1',
+  'video/mp4',
+  'video/webm;codecs=vp8',
+  'video/webm'
+];
+
+export const pickRecordingMimeType = () => {
+  if (typeof MediaRecorder === 'undefined' || !MediaRecorder.isTypeSupported) return '';
+  return MIME_CANDIDATES.find(type => MediaRecorder.isTypeSupported(type)) || '';
+};
+
+export const extensionForMimeType = (mimeType = '') => (mimeType.startsWith('video/mp4') ? 'mp4' : 'webm');
+
+// Renders the processed viewport (zoom, pan, crop, filters, overlays) into a canvas for every
+// camera frame and exposes it as a MediaStream for MediaRecorder.
+// getView is read each frame so live filter/pan changes end up in the recording.
+// Driven by requestVideoFrameCallback (or a timer for sources without it, e.g. the denoise
+// canvas), not requestAnimationFrame, which stops in a hidden tab and would freeze the video.
+export const createViewportCompositor = (videoElement, getView, frameRate = 30) => {
+  const canvas = document.createElement('canvas');
+  const ctx = canvas.getContext('2d');
+  const hasFrameCallback = 'requestVideoFrameCallback' in videoElement;
+  let callbackId = null;
+  let timerId = null;
+  let stopped = false;
+
+  const draw = () => {
+    const view = getView();
+    if (getSourceSize(videoElement).width && view) {
+      const { width, height } = getOutputSize(videoElement, view);
+      // Aspect ratio can change mid-recording; the encoder rescales if it must
+      if (canvas.width !== width || canvas.height !== height) {
+        canvas.width = width;
+        canvas.height = height;
+      }
+      drawViewport(ctx, videoElement, view);
+      drawOverlays(ctx, view.filters);
+      if (view.scaleBar && view.pxPerUm) drawScaleBar(ctx, view.pxPerUm * view.filters.zoom);
+      if (view.filters.falseColor && view.filters.colorBarInCaptures) drawColorBar(ctx, view.filters);
+    }
+    if (stopped) return;
+    if (hasFrameCallback) callbackId = videoElement.requestVideoFrameCallback(draw);
+    else timerId = setTimeout(draw, 1000 / frameRate);
+  };
+
+  // Draw once before capturing so the first encoded frame isn't blank
+  draw();
+  const stream = canvas.captureStream(frameRate);
+
+  return {
+    stream,
+    canvas,
+    stop: () => {
+      stopped = true;
+      if (callbackId !== null) videoElement.cancelVideoFrameCallback(callbackId);
+      clearTimeout(timerId);
+      stream.getTracks().forEach(track => track.stop());
+    }
+  };
+};
+
+// MediaRecorder over a viewport compositor. stop() resolves to { blob, thumbnail, mimeType },
+// the thumbnail being the last composited frame.
+export const createViewportRecorder = (videoElement, getView, frameRate = 30) => {
+  const compositor = createViewportCompositor(videoElement, getView, frameRate);
+  const mimeType = pickRecordingMimeType();
+  const recorder = new MediaRecorder(compositor.stream, mimeType ? { mimeType } : undefined);
+  const chunks = [];
+
+  recorder.ondataavailable = (event) => {
+    if (event.data.size > 0) chunks.push(event.data);
+  };
+  recorder.start();
+
+  const stop = () => new Promise((resolve) => {
+    recorder.onstop = async () => {
+      // recorder.mimeType is what the browser actually produced (may include codecs)
+      const type = recorder.mimeType || 'video/webm';
+      const blob = new Blob(chunks, { type });
+      const thumbnail = await createThumbnail(compositor.canvas).catch(() => null);
+      compositor.stop();
+      resolve({ blob, thumbnail, mimeType: type });
+    };
+    recorder.stop();
+  });
+
+  return { stop };
+};
+
+// Encodes a sequence of still frames (Blobs) into a video at `fps`, in the browser.
+// MediaRecorder is real-time, so this takes frameCount / fps seconds. Frames are decoded
+// one ahead so long sequences never sit in memory together.
+export const assembleVideo = async (frames, { fps = 24, frameCount, onProgress } = {}) => {
+  const iterator = frames[Symbol.asyncIterator]();
+  const decodeNext = async () => {
+    const { value, done } = await iterator.next();
+    return done ? null : createImageBitmap(value);
+  };
+
+  let bitmap = await decodeNext();
+  if (!bitmap) return null;
+
+  const canvas = document.createElement('canvas');
+  // Even dimensions keep H.264/VP9 encoders happy
+  canvas.width = bitmap.width - (bitmap.width % 2);
+  canvas.height = bitmap.height - (bitmap.height % 2);
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+
+  const stream = canvas.captureStream(0);
+  const track = stream.getVideoTracks()[0];
+  const mimeType = pickRecordingMimeType();
+  const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+  const chunks = [];
+  recorder.ondataavailable = (e) => {
+    if (e.data.size > 0) chunks.push(e.data);
+  };
+  const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+
+  recorder.start();
+  const frameDuration = 1000 / fps;
+  let index = 0;
+
+  while (bitmap) {
+    const started = performance.now();
+    ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+    if (track.requestFrame) track.requestFrame();
+    index++;
+    onProgress?.(frameCount ? index / frameCount : index);
+
+    const next = decodeNext();
+    const wait = frameDuration - (performance.now() - started);
+    await Promise.all([next, new Promise(resolve => setTimeout(resolve, Math.max(0, wait)))]);
+    bitmap = await next;
+  }
+
+  recorder.stop();
+  await stopped;
+  track.stop();
+
+  const type = recorder.mimeType || mimeType || 'video/webm';
+  return { blob: new Blob(chunks, { type }), mimeType: type, width: canvas.width, height: canvas.height };
+};
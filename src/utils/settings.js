@@ -0,0 +1,176 @@
+import { DEFAULT_PASS_ORDER, IDENTITY_MATRIX, INTERPOLATIONS, resolvePassOrder } from './pipeline';
+import { DEFAULT_COLORMAP } from './colormaps';
+import { HEX_COLOR, MAX_EDGE_BLUR, isEdgeMethod } from './edgeDetection';
+
+// Saved filter state: per-device settings (camera_settings_${deviceId}), presets and
+// preset files all carry a schema version so older data can be upgraded on load.
+
+export const SETTINGS_VERSION = 6;
+
+export const DEFAULT_FILTERS = {
+  zoom: 1,
+  // Resampling when zoomed (see utils/pipeline INTERPOLATIONS)
+  interpolation: 'bilinear',
+  // Color calibration of the camera (see utils/colorCalibration): per-channel gains,
+  // then a 3x3 row-major correction matrix
+  wbGains: [1, 1, 1],
+  colorMatrix: IDENTITY_MATRIX,
+  gamma: 1,
+  brightness: 100,
+  contrast: 100,
+  saturate: 100,
+  sepia: 0,
+
+  invert: 0,
+  edgeDetection: false,
+  // Edge detection (see utils/edgeDetection): method, threshold (0-1), blur radius in
+  // pixels, and whether edges are painted in edgeColor over the image or shown alone
+  edgeMethod: 'sobel',
+  edgeThreshold: 0.15,
+  edgeBlur: 1,
+  edgeOverlay: true,
+  edgeColor: '#00ff00',
+  falseColor: false,
+  // False-color map (see utils/colormaps) and the luminance band (0-1) stretched over it
+  colormap: DEFAULT_COLORMAP,
+  falseColorRange: [0, 1],
+  // Color bar legend on screen, and burnt into SNAPs and recordings
+  colorBar: false,
+  colorBarInCaptures: false,
+  emboss: 0,
+  sharpen: 0,
+  grid: false,
+  crosshair: false,
+  zebra: false,
+  // Order of the processing passes (see utils/pipeline)
+  passOrder: DEFAULT_PASS_ORDER
+};
+
+// Each step upgrades filters saved at version N to version N + 1.
+// Data written before versioning existed counts as version 1.
+const MIGRATIONS = {
+  // v2: zebra overlay and the orderable processing pipeline
+  1: (filters) => ({ ...filters, zebra: false, passOrder: DEFAULT_PASS_ORDER }),
+  // v3: zoom range grew from 5x to 64x, resampling became selectable
+  2: (filters) => ({ ...filters, interpolation: 'bilinear' }),
+  // v4: white balance, color matrix and gamma, which run before everything else
+  3: (filters) => ({
+    ...filters,
+    passOrder: ['whiteBalance', 'colorMatrix', 'gamma', ...(filters.passOrder || [])]
+  }),
+  // v5: selectable colormaps; the old heatmap lives on as 'classic'
+  4: (filters) => ({ ...filters, colormap: DEFAULT_COLORMAP, falseColorRange: [0, 1] }),
+  // v6: configurable edge detection; older settings keep the plain Laplacian they had
+  5: (filters) => ({
+    ...filters,
+    edgeMethod: 'laplacian',
+    edgeThreshold: 0,
+    edgeBlur: 0,
+    edgeOverlay: false,
+    edgeColor: DEFAULT_FILTERS.edgeColor
+  })
+};
+
+const isNumberList = (value, length) => (
+  Array.isArray(value) && value.length === length && value.every(Number.isFinite)
+);
+
+const sameType = (value, fallback) => (
+  Array.isArray(fallback) ? Array.isArray(value) : typeof value === typeof fallback && !Number.isNaN(value)
+);
+
+// Brings saved filters up to the current schema. Unknown keys are dropped and
+// missing or malformed ones fall back to DEFAULT_FILTERS, so a bad file can't break the view.
+export const migrateFilters = (filters, version = 1) => {
+  let next = { ...(filters || {}) };
+  for (let v = version; v < SETTINGS_VERSION; v++) {
+    if (MIGRATIONS[v]) next = MIGRATIONS[v](next);
+  }
+
+  const result = {};
+  Object.entries(DEFAULT_FILTERS).forEach(([key, fallback]) => {
+    result[key] = sameType(next[key], fallback) ? next[key] : fallback;
+  });
+  result.passOrder = resolvePassOrder(result.passOrder);
+  if (!INTERPOLATIONS.some(i => i.id === result.interpolation)) result.interpolation = DEFAULT_FILTERS.interpolation;
+  if (!isNumberList(result.wbGains, 3) || result.wbGains.some(g => g <= 0)) result.wbGains = DEFAULT_FILTERS.wbGains;
+  if (!isNumberList(result.colorMatrix, 9)) result.colorMatrix = DEFAULT_FILTERS.colorMatrix;
+  if (!(result.gamma > 0)) result.gamma = DEFAULT_FILTERS.gamma;
+  const [low, high] = result.falseColorRange;
+  if (!isNumberList(result.falseColorRange, 2) || low < 0 || high > 1 || low >= high) {
+    result.falseColorRange = DEFAULT_FILTERS.falseColorRange;
+  }
+  if (!isEdgeMethod(result.edgeMethod)) result.edgeMethod = DEFAULT_FILTERS.edgeMethod;
+  if (!(result.edgeThreshold >= 0 && result.edgeThreshold <= 1)) result.edgeThreshold = DEFAULT_FILTERS.edgeThreshold;
+  if (!(result.edgeBlur >= 0 && result.edgeBlur <= MAX_EDGE_BLUR)) result.edgeBlur = DEFAULT_FILTERS.edgeBlur;
+  if (!HEX_COLOR.test(result.edgeColor)) result.edgeColor = DEFAULT_FILTERS.edgeColor;
+  return result;
+};
+
+// Per-device settings blob as stored in localStorage
+export const migrateSettings = (saved) => ({
+  ...saved,
+  version: SETTINGS_VERSION,
+  filters: migrateFilters(saved.filters, saved.version || 1)
+});
+
+// localStorage access for camera_settings_${deviceId}
+const deviceSettingsKey = (deviceId) => `camera_settings_${deviceId}`;
+
+// Upgraded settings, or null when the device has none yet. Throws on unreadable data.
+export const loadDeviceSettings = (deviceId) => {
+  const saved = localStorage.getItem(deviceSettingsKey(deviceId));
+  return saved ? migrateSettings(JSON.parse(saved)) : null;
+};
+
+export const saveDeviceSettings = (deviceId, settings) => {
+  localStorage.setItem(deviceSettingsKey(deviceId), JSON.stringify({ ...settings, version: SETTINGS_VERSION }));
+};
+
+/* Presets */
+
+// Presets describe a look, not a framing or a camera: zoom, resampling and the
+// color calibration stay whatever the user has
+export const presetFilters = (filters) => {
+  const look = { ...filters };
+  delete look.zoom;
+  delete look.interpolation;
+  delete look.wbGains;
+  delete look.colorMatrix;
+  return look;
+};
+
+export const PRESET_KEYS = ['1', '2', '3', '4', '5', '6', '7', '8', '9'];
+
+const PRESET_FILE_FORMAT = 'tiny-world-explorer/presets';
+
+export const serializePresets = (presets) => JSON.stringify({
+  format: PRESET_FILE_FORMAT,
+  version: SETTINGS_VERSION,
+  exportedAt: new Date().toISOString(),
+  presets: presets.map(({ name, key, filters }) => ({ name, key, filters }))
+}, null, 2);
+
+// Returns [{ name, key, filters }] or throws with a message fit for the user
+export const parsePresetFile = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('This file is not valid JSON.');
+  }
+  if (data?.format !== PRESET_FILE_FORMAT || !Array.isArray(data.presets)) {
+    throw new Error('This file does not contain presets.');
+  }
+  if (data.version > SETTINGS_VERSION) {
+    throw new Error('These presets were exported by a newer version of the app.');
+  }
+
+  return data.presets
+    .filter(p => p && typeof p.name === 'string' && p.name.trim())
+    .map(p => ({
+      name: p.name.trim(),
+      key: PRESET_KEYS.includes(p.key) ? p.key : null,
+      filters: presetFilters(migrateFilters(p.filters, data.version || 1))
+    }));
+};
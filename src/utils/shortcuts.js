@@ -0,0 +1,99 @@
+// Input bindings. A binding is a string naming one physical input:
+//   keyboard  'Space', 'Shift+KeyR'          modifiers + KeyboardEvent.code
+//   gamepad   'Gamepad B3', 'Gamepad A1+'    button index, or axis index and direction
+//   WebHID    'HID 05f3:00ff 1.2'            vendor:product (hex), report byte.bit
+// Continuous actions (zoom, pan) run for as long as their input is held, scaled by
+// how far an axis or analog button is pushed.
+
+export const ACTIONS = [
+  { id: 'snap', label: 'Snap photo', defaults: ['Space', 'Enter', 'Gamepad B0'] },
+  { id: 'record', label: 'Start/stop recording', defaults: ['KeyR'] },
+  { id: 'compare', label: 'Compare (split view)', defaults: ['KeyC'] },
+  { id: 'zoomIn', label: 'Zoom in', continuous: true, defaults: ['Equal', 'NumpadAdd', 'Gamepad B5'] },
+  { id: 'zoomOut', label: 'Zoom out', continuous: true, defaults: ['Minus', 'NumpadSubtract', 'Gamepad B4'] },
+  { id: 'panLeft', label: 'Pan left', continuous: true, defaults: ['ArrowLeft', 'Gamepad A0-'] },
+  { id: 'panRight', label: 'Pan right', continuous: true, defaults: ['ArrowRight', 'Gamepad A0+'] },
+  { id: 'panUp', label: 'Pan up', continuous: true, defaults: ['ArrowUp', 'Gamepad A1-'] },
+  { id: 'panDown', label: 'Pan down', continuous: true, defaults: ['ArrowDown', 'Gamepad A1+'] },
+  { id: 'presetNext', label: 'Next preset', defaults: ['BracketRight'] },
+  { id: 'presetPrev', label: 'Previous preset', defaults: ['BracketLeft'] },
+  { id: 'togglePanel', label: 'Show/hide controls', defaults: ['KeyH'] },
+  { id: 'openGallery', label: 'Open/close gallery', defaults: ['KeyG'] }
+];
+
+export const ACTION_BY_ID = Object.fromEntries(ACTIONS.map(a => [a.id, a]));
+
+export const DEFAULT_BINDINGS = Object.fromEntries(ACTIONS.map(a => [a.id, a.defaults]));
+
+const MODIFIER_CODES = ['ControlLeft', 'ControlRight', 'ShiftLeft', 'ShiftRight', 'AltLeft', 'AltRight', 'MetaLeft', 'MetaRight'];
+
+// null for a lone modifier press (the user is still building a combo)
+export const keyEventToBinding = (e) => {
+  if (MODIFIER_CODES.includes(e.code) || !e.code) return null;
+  const modifiers = [e.ctrlKey && 'Ctrl', e.altKey && 'Alt', e.shiftKey && 'Shift', e.metaKey && 'Meta'].filter(Boolean);
+  return [...modifiers, e.code].join('+');
+};
+
+const hex = (n) => n.toString(16).padStart(4, '0');
+export const hidDeviceId = (device) => `${hex(device.vendorId)}:${hex(device.productId)}`;
+export const hidBinding = (device, byte, bit) => `HID ${hidDeviceId(device)} ${byte}.${bit}`;
+
+const KEY_LABELS = {
+  Space: 'Space',
+  Equal: '=',
+  Minus: '-',
+  BracketLeft: '[',
+  BracketRight: ']',
+  ArrowLeft: '←',
+  ArrowRight: '→',
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  NumpadAdd: 'Num +',
+  NumpadSubtract: 'Num -'
+};
+
+const keyLabel = (code) => {
+  if (KEY_LABELS[code]) return KEY_LABELS[code];
+  if (/^Key[A-Z]$/.test(code)) return code.slice(3);
+  if (/^Digit\d$/.test(code)) return code.slice(5);
+  if (/^Numpad\d$/.test(code)) return `Num ${code.slice(6)}`;
+  return code;
+};
+
+export const formatBinding = (binding) => {
+  if (binding.startsWith('Gamepad ')) {
+    const [, input] = binding.split(' ');
+    return input.startsWith('B') ? `Pad button ${input.slice(1)}` : `Pad axis ${input.slice(1)}`;
+  }
+  if (binding.startsWith('HID ')) {
+    const [, device, bit] = binding.split(' ');
+    return `HID ${device} #${bit}`;
+  }
+  return binding.split('+').map((part, i, parts) => (i === parts.length - 1 ? keyLabel(part) : part)).join(' + ');
+};
+
+// Saved bindings for known actions; actions added since then get their defaults
+export const mergeBindings = (saved) => Object.fromEntries(ACTIONS.map(a => [
+  a.id,
+  Array.isArray(saved?.[a.id]) ? saved[a.id].filter(b => typeof b === 'string') : a.defaults
+]));
+
+// binding -> [owner labels] for every binding claimed more than once.
+// `extra` lists other claimants (e.g. preset number keys) as { label, bindings }.
+export const findConflicts = (bindings, extra = []) => {
+  const owners = {};
+  const claim = (binding, label) => {
+    owners[binding] = [...(owners[binding] || []), label];
+  };
+  ACTIONS.forEach(a => (bindings[a.id] || []).forEach(b => claim(b, a.label)));
+  extra.forEach(({ label, bindings: list }) => list.forEach(b => claim(b, label)));
+  return Object.fromEntries(Object.entries(owners).filter(([, labels]) => labels.length > 1));
+};
+
+// Typing in a form field (or arrowing a focused slider/select) must never trigger a shortcut
+export const isTypingTarget = (target) => {
+  if (!target) return false;
+  if (target.isContentEditable) return true;
+  if (target.tagName === 'TEXTAREA' || target.tagName === 'SELECT') return true;
+  return target.tagName === 'INPUT' && !['checkbox', 'radio', 'button'].includes(target.type);
+};
@@ -0,0 +1,33 @@
+// getUserMedia failures grouped by what the user can do about them.
+// Browsers disagree on names (Chrome's older TrackStartError, Firefox's AbortError for a
+// device held by another app), so several map to the same kind.
+const KINDS_BY_NAME = {
+  NotAllowedError: 'permission',
+  PermissionDeniedError: 'permission',
+  SecurityError: 'insecure',
+  NotReadableError: 'busy',
+  TrackStartError: 'busy',
+  AbortError: 'busy',
+  OverconstrainedError: 'overconstrained',
+  ConstraintNotSatisfiedError: 'overconstrained',
+  NotFoundError: 'notFound',
+  DevicesNotFoundError: 'notFound'
+};
+
+// Kinds that can clear up by themselves (camera freed or plugged back in)
+export const TRANSIENT_ERROR_KINDS = ['busy', 'notFound', 'overconstrained'];
+
+// { kind, name, message } for a getUserMedia / enumerateDevices rejection.
+// kind: permission | insecure | busy | overconstrained | notFound | unknown
+export const classifyStreamError = (err) => {
+  if (!navigator.mediaDevices) {
+    return { kind: 'insecure', name: 'NoMediaDevices', message: 'Camera access needs https or localhost' };
+  }
+  const name = err?.name || 'Error';
+  return {
+    kind: KINDS_BY_NAME[name] || 'unknown',
+    name,
+    // Overconstrained errors only name the offending constraint
+    message: err?.message || (err?.constraint ? `Unsupported ${err.constraint}` : name)
+  };
+};
@@ -0,0 +1,234 @@
+import { VERTEX_SHADER, PRECISION, compile, createProgram, createTexture } from './glRenderer';
+import { getSourceSize } from './capture';
+
+// Temporal denoise: each pixel keeps the running average of the frames since it last
+// changed, up to `frames` of them (then it becomes an exponential average with the same
+// weight). Where the picture changes by more than `motion` (0-1, judged on a 3x3
+// neighbourhood so noise alone doesn't trip it) the pixel starts over from the new frame,
+// so moving the stage doesn't leave a smeared trail.
+// The output canvas is a frame source at sensor resolution, used in place of the <video>.
+
+export const DEFAULT_DENOISE = {
+  enabled: false,
+  frames: 8,
+  motion: 0.08,
+  // Frames averaged into one long-exposure SNAP
+  longExposureFrames: 16
+};
+
+export const MAX_DENOISE_FRAMES = 32;
+
+// The per-pixel frame count lives in alpha, scaled so it survives 8-bit targets
+const COUNT_SCALE = 64;
+
+const ACCUMULATE_SHADER = `${PRECISION}
+uniform sampler2D u_frame;
+uniform sampler2D u_accum;
+uniform vec2 u_texel;
+uniform float u_frames;
+uniform float u_motion;
+uniform float u_reset;
+varying vec2 v_uv;
+void main() {
+  vec3 frameMean = vec3(0.0);
+  vec3 accumMean = vec3(0.0);
+  for (int y = -1; y <= 1; y++) {
+    for (int x = -1; x <= 1; x++) {
+      vec2 uv = v_uv + vec2(float(x), float(y)) * u_texel;
+      frameMean += texture2D(u_frame, uv).rgb;
+      accumMean += texture2D(u_accum, uv).rgb;
+    }
+  }
+  vec3 diff = abs(frameMean - accumMean) / 9.0;
+  bool moved = max(diff.r, max(diff.g, diff.b)) > u_motion;
+
+  vec3 frame = texture2D(u_frame, v_uv).rgb;
+  vec4 accum = texture2D(u_accum, v_uv);
+  float count = (u_reset > 0.5 || moved) ? 1.0 : min(floor(accum.a * ${COUNT_SCALE}.0 + 0.5) + 1.0, u_frames);
+  gl_FragColor = vec4(accum.rgb + (frame - accum.rgb) / count, count / ${COUNT_SCALE}.0);
+}`;
+
+const DISPLAY_SHADER = `${PRECISION}
+uniform sampler2D u_image;
+varying vec2 v_uv;
+void main() {
+  gl_FragColor = vec4(texture2D(u_image, v_uv).rgb, 1.0);
+}`;
+
+// Highest-precision texture type we can render into: 8 bits per channel would stall
+// small changes once a pixel averages many frames
+const accumulatorType = (gl) => {
+  if (gl.getExtension('OES_texture_float') && gl.getExtension('WEBGL_color_buffer_float')) return gl.FLOAT;
+  const half = gl.getExtension('OES_texture_half_float');
+  if (half && gl.getExtension('EXT_color_buffer_half_float')) return half.HALF_FLOAT_OES;
+  return gl.UNSIGNED_BYTE;
+};
+
+const createGlDenoiser = () => {
+  const canvas = document.createElement('canvas');
+  const gl = canvas.getContext('webgl', { premultipliedAlpha: false, preserveDrawingBuffer: true });
+  if (!gl) return null;
+
+  let accumulate;
+  let display;
+  try {
+    const vertexShader = compile(gl, gl.VERTEX_SHADER, VERTEX_SHADER);
+    accumulate = createProgram(gl, vertexShader, ACCUMULATE_SHADER);
+    display = createProgram(gl, vertexShader, DISPLAY_SHADER);
+  } catch (e) {
+    console.error("Temporal denoise setup failed:", e);
+    return null;
+  }
+
+  const quad = gl.createBuffer();
+  gl.bindBuffer(gl.ARRAY_BUFFER, quad);
+  gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+
+  const frameTexture = createTexture(gl);
+  const maxSize = gl.getParameter(gl.MAX_TEXTURE_SIZE);
+  let type = accumulatorType(gl);
+  let targets = [];
+  let current = 0;
+  let needsReset = true;
+
+  // Two accumulators, read one write the other. Falls back to 8 bits when the
+  // float target turns out not to be renderable after all.
+  const allocate = (width, height) => {
+    targets.forEach(t => {
+      gl.deleteTexture(t.texture);
+      gl.deleteFramebuffer(t.framebuffer);
+    });
+    targets = [0, 1].map(() => {
+      const texture = createTexture(gl);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, type, null);
+      const framebuffer = gl.createFramebuffer();
+      gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+      gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+      return { texture, framebuffer };
+    });
+    if (type !== gl.UNSIGNED_BYTE && gl.checkFramebufferStatus(gl.FRAMEBUFFER) !== gl.FRAMEBUFFER_COMPLETE) {
+      type = gl.UNSIGNED_BYTE;
+      allocate(width, height);
+    }
+  };
+
+  const draw = ({ program, position }, framebuffer) => {
+    gl.useProgram(program);
+    gl.bindBuffer(gl.ARRAY_BUFFER, quad);
+    gl.enableVertexAttribArray(position);
+    gl.vertexAttribPointer(position, 2, gl.FLOAT, false, 0, 0);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+    gl.viewport(0, 0, canvas.width, canvas.height);
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+  };
+
+  const update = (video, { frames, motion }) => {
+    const { width, height } = getSourceSize(video);
+    if (!width || !height) return false;
+    if (canvas.width !== width || canvas.height !== height) {
+      canvas.width = width;
+      canvas.height = height;
+      allocate(width, height);
+      needsReset = true;
+    }
+
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, frameTexture);
+    gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, video);
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, targets[current].texture);
+
+    const { uniforms } = accumulate;
+    gl.useProgram(accumulate.program);
+    gl.uniform1i(uniforms.u_frame, 0);
+    gl.uniform1i(uniforms.u_accum, 1);
+    gl.uniform4fv(uniforms.u_rect, [0, 0, 1, 1]);
+    gl.uniform2f(uniforms.u_texel, 1 / width, 1 / height);
+    gl.uniform1f(uniforms.u_frames, Math.min(MAX_DENOISE_FRAMES, frames));
+    gl.uniform1f(uniforms.u_motion, motion);
+    gl.uniform1f(uniforms.u_reset, needsReset ? 1 : 0);
+    draw(accumulate, targets[1 - current].framebuffer);
+    current = 1 - current;
+    needsReset = false;
+
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, targets[current].texture);
+    gl.useProgram(display.program);
+    gl.uniform1i(display.uniforms.u_image, 0);
+    gl.uniform4fv(display.uniforms.u_rect, [0, 0, 1, 1]);
+    draw(display, null);
+    return true;
+  };
+
+  return {
+    canvas,
+    maxSize,
+    update,
+    reset: () => { needsReset = true; },
+    dispose: () => gl.getExtension('WEBGL_lose_context')?.loseContext()
+  };
+};
+
+// Same math on the CPU for machines without WebGL, judged per pixel to keep it affordable
+const createCanvasDenoiser = () => {
+  const canvas = document.createElement('canvas');
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  if (!ctx) return null;
+  let accum = null;
+  let counts = null;
+  let image = null;
+  let needsReset = true;
+
+  const update = (video, { frames, motion }) => {
+    const { width, height } = getSourceSize(video);
+    if (!width || !height) return false;
+    if (canvas.width !== width || canvas.height !== height || !accum) {
+      canvas.width = width;
+      canvas.height = height;
+      accum = new Float32Array(width * height * 3);
+      counts = new Uint8Array(width * height);
+      image = ctx.createImageData(width, height);
+      needsReset = true;
+    }
+
+    ctx.drawImage(video, 0, 0);
+    const { data } = ctx.getImageData(0, 0, width, height);
+    const limit = Math.min(MAX_DENOISE_FRAMES, frames);
+    const threshold = motion * 255;
+    for (let p = 0, i = 0, j = 0; p < counts.length; p++, i += 4, j += 3) {
+      const moved = needsReset ||
+        Math.abs(data[i] - accum[j]) > threshold ||
+        Math.abs(data[i + 1] - accum[j + 1]) > threshold ||
+        Math.abs(data[i + 2] - accum[j + 2]) > threshold;
+      const count = moved ? 1 : Math.min(counts[p] + 1, limit);
+      counts[p] = count;
+      for (let c = 0; c < 3; c++) {
+        accum[j + c] += (data[i + c] - accum[j + c]) / count;
+        image.data[i + c] = accum[j + c];
+      }
+      image.data[i + 3] = 255;
+    }
+    ctx.putImageData(image, 0, 0);
+    needsReset = false;
+    return true;
+  };
+
+  return {
+    canvas,
+    maxSize: Infinity,
+    update,
+    reset: () => { needsReset = true; },
+    dispose: () => {}
+  };
+};
+
+// { canvas, update(video, { frames, motion }) -> drew, reset(), dispose() }
+export const createTemporalDenoiser = (width, height) => {
+  const gl = createGlDenoiser();
+  if (gl && Math.max(width, height) <= gl.maxSize) return gl;
+  gl?.dispose();
+  return createCanvasDenoiser();
+};
@@ -0,0 +1,24 @@
+// Length formatting for calibrated measurements. Everything internal is micrometers.
+
+export const formatLength = (um) => {
+  if (!Number.isFinite(um)) return '–';
+  if (um >= 1000) return `${(um / 1000).toFixed(um >= 10000 ? 1 : 2)} mm`;
+  if (um >= 10) return `${um.toFixed(1)} µm`;
+  return `${um.toFixed(2)} µm`;
+};
+
+export const formatArea = (um2) => {
+  if (!Number.isFinite(um2)) return '–';
+  if (um2 >= 1e6) return `${(um2 / 1e6).toFixed(3)} mm²`;
+  return `${um2.toFixed(0)} µm²`;
+};
+
+// Largest 1/2/5 x 10^n that fits in maxUm (scale bar lengths)
+export const niceLength = (maxUm) => {
+  if (!(maxUm > 0)) return 0;
+  const exponent = Math.floor(Math.log10(maxUm));
+  const base = Math.pow(10, exponent);
+  const steps = [5, 2, 1];
+  const step = steps.find(s => s * base <= maxUm) || 1;
+  return step * base;
+};
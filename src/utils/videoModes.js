@@ -0,0 +1,88 @@
+// Camera modes: what a device can really deliver, found by trying constraints on its live track.
+// A mode is { width, height, frameRate, native }; native = the camera's own top rate at that
+// size (lower rates are the browser dropping frames). Browsers don't expose the pixel format
+// (MJPEG, YUY2, ...) the driver picks, so modes are told apart by size and rate only.
+
+// Sizes microscopes and webcams commonly offer; only those inside the capability range are tried
+const CANDIDATE_SIZES = [
+  [3840, 2160], [3264, 2448], [2592, 1944], [2560, 1440], [2048, 1536], [1920, 1080],
+  [1600, 1200], [1280, 1024], [1280, 960], [1280, 720], [1024, 768], [800, 600],
+  [640, 480], [320, 240]
+];
+const CANDIDATE_FRAME_RATES = [60, 30, 25, 20, 15, 10, 5];
+
+// Compact form for <select> values and saved settings
+export const modeKey = ({ width, height, frameRate }) => `${width}x${height}@${frameRate}`;
+
+export const parseModeKey = (key) => {
+  const match = /^(\d+)x(\d+)@(\d+)$/.exec(key || '');
+  return match ? { width: +match[1], height: +match[2], frameRate: +match[3] } : null;
+};
+
+export const formatMode = ({ width, height, frameRate }) => `${width}×${height} @ ${frameRate} fps`;
+
+const inRange = (value, range) => (
+  !range || ((range.min === undefined || value >= range.min) && (range.max === undefined || value <= range.max))
+);
+
+// Reads one value out of a constraint ({ exact }, { ideal }, or a bare number)
+const constraintValue = (constraint) => (
+  constraint === undefined ? null
+    : typeof constraint === 'object' ? constraint.exact ?? constraint.ideal ?? constraint.max ?? null
+      : constraint
+);
+
+// "1920×1080 @ 30" for what a track was asked for (track.getConstraints())
+export const describeConstraints = (constraints) => {
+  const width = constraintValue(constraints.width);
+  const height = constraintValue(constraints.height);
+  const frameRate = constraintValue(constraints.frameRate);
+  const size = width || height ? `${width ?? 'any'}×${height ?? 'any'}` : 'any size';
+  return frameRate ? `${size} @ ${frameRate}` : size;
+};
+
+// Tries each candidate size on the live track and keeps the ones delivered exactly.
+// The track is put back to its constraints afterwards; the picture changes while probing.
+export const probeVideoModes = async (track) => {
+  const capabilities = track.getCapabilities?.() || {};
+  const original = track.getConstraints();
+  // Chrome scales anything to fit unless told not to, which would accept every size
+  const nativeOnly = capabilities.resizeMode?.includes('none') ? { resizeMode: 'none' } : {};
+
+  const sizes = CANDIDATE_SIZES.filter(([w, h]) => inRange(w, capabilities.width) && inRange(h, capabilities.height));
+  const maxWidth = capabilities.width?.max;
+  const maxHeight = capabilities.height?.max;
+  if (maxWidth && maxHeight && !sizes.some(([w, h]) => w === maxWidth && h === maxHeight)) {
+    sizes.unshift([maxWidth, maxHeight]);
+  }
+
+  const found = new Map();
+  try {
+    for (const [width, height] of sizes) {
+      if (track.readyState === 'ended') break;
+      try {
+        await track.applyConstraints({
+          width: { exact: width },
+          height: { exact: height },
+          frameRate: { ideal: capabilities.frameRate?.max || 60 },
+          ...nativeOnly
+        });
+      } catch {
+        continue;
+      }
+      const settings = track.getSettings();
+      if (settings.width !== width || settings.height !== height) continue;
+
+      const topRate = Math.round(settings.frameRate || 30);
+      const rates = [topRate, ...CANDIDATE_FRAME_RATES.filter(r => r < topRate && inRange(r, capabilities.frameRate))];
+      rates.forEach(frameRate => {
+        const mode = { width, height, frameRate, native: frameRate === topRate };
+        found.set(modeKey(mode), mode);
+      });
+    }
+  } finally {
+    await track.applyConstraints(original).catch(e => console.warn("Could not restore camera mode:", e));
+  }
+
+  return [...found.values()].sort((a, b) => (b.width * b.height - a.width * a.height) || (b.frameRate - a.frameRate));
+};
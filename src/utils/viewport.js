@@ -0,0 +1,39 @@
+// Digital zoom and pan of the live view.
+// Points are in element units relative to the view center (-0.5..0.5 across the box);
+// a view point q shows element point (q - pan) / zoom (see getViewportRect).
+
+export const MIN_ZOOM = 1;
+export const MAX_ZOOM = 64;
+
+export const clampZoom = (zoom) => Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, zoom));
+
+// At zoom z the picture can move (z - 1) / 2 before an edge shows
+export const clampPan = (pan, zoom) => {
+  const maxPan = Math.max(0, (zoom - 1) / 2);
+  return {
+    x: Math.max(-maxPan, Math.min(maxPan, pan.x)),
+    y: Math.max(-maxPan, Math.min(maxPan, pan.y))
+  };
+};
+
+// Changes zoom while keeping whatever is under `point` in place
+export const zoomAtPoint = ({ zoom, pan }, point, nextZoom) => {
+  const z = clampZoom(nextZoom);
+  return {
+    zoom: z,
+    pan: clampPan({
+      x: point.x - (point.x - pan.x) * z / zoom,
+      y: point.y - (point.y - pan.y) * z / zoom
+    }, z)
+  };
+};
+
+// Zoom at which one sensor pixel lands on one device pixel ("1:1"). Zoom 1 is "fit".
+// cropWidth: sensor pixels across the view at zoom 1; boxWidth: CSS pixels of the view.
+export const nativeZoom = (cropWidth, boxWidth) => cropWidth / (boxWidth * (window.devicePixelRatio || 1));
+
+// Client coordinates -> view point, against the media element's layout box
+export const clientToViewPoint = (rect, clientX, clientY) => ({
+  x: (clientX - rect.left) / rect.width - 0.5,
+  y: (clientY - rect.top) / rect.height - 0.5
+});
@@ -0,0 +1,138 @@
+// Minimal ZIP writer (store only, no compression). Captures are already compressed
+// PNG/JPEG, so deflate would only cost time.
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+// Also used for PNG chunk checksums (utils/metadata)
+export const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// MS-DOS date/time as used by the ZIP headers
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+// ZIP64 takes over for sizes and offsets from 4 GiB and for more than 65,534 entries
+// (a long full-resolution time-lapse reaches both); the classic fields then hold their
+// maximum and the real values go in ZIP64 extra fields / end records.
+const MAX_32 = 0xffffffff;
+const MAX_16 = 0xffff;
+
+// Numbers here stay far below 2^53, so two 32-bit halves are enough
+const setUint64 = (view, offset, value) => {
+  view.setUint32(offset, value % 2 ** 32, true);
+  view.setUint32(offset + 4, Math.floor(value / 2 ** 32), true);
+};
+
+// ZIP64 extended information extra field holding `values` (8 bytes each)
+const zip64Extra = (values) => {
+  const extra = new DataView(new ArrayBuffer(4 + values.length * 8));
+  extra.setUint16(0, 0x0001, true);
+  extra.setUint16(2, values.length * 8, true);
+  values.forEach((value, i) => setUint64(extra, 4 + i * 8, value));
+  return extra;
+};
+
+// entries: async iterable of { name, blob, date? }. Returns a Blob (application/zip).
+// Only the small headers are held in JS memory; file data stays as Blob parts.
+export const createZip = async (entries, onProgress) => {
+  const encoder = new TextEncoder();
+  const parts = [];
+  const central = [];
+  let offset = 0;
+  let count = 0;
+
+  for await (const { name, blob, date = new Date() } of entries) {
+    const data = new Uint8Array(await blob.arrayBuffer());
+    const nameBytes = encoder.encode(name);
+    const crc = crc32(data);
+    const { time, date: dosDate } = dosDateTime(date);
+    const size = data.length;
+    const bigSize = size >= MAX_32;
+    const bigOffset = offset >= MAX_32;
+    const version = bigSize || bigOffset ? 45 : 20;
+
+    const localExtra = bigSize ? zip64Extra([size, size]) : null;
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, version, true); // version needed
+    local.setUint16(6, 0x0800, true); // UTF-8 names
+    local.setUint16(8, 0, true); // stored
+    local.setUint16(10, time, true);
+    local.setUint16(12, dosDate, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, bigSize ? MAX_32 : size, true);
+    local.setUint32(22, bigSize ? MAX_32 : size, true);
+    local.setUint16(26, nameBytes.length, true);
+    local.setUint16(28, localExtra ? localExtra.byteLength : 0, true);
+    parts.push(local, nameBytes, ...(localExtra ? [localExtra] : []), blob);
+
+    // Only the fields that overflowed go in the extra field, in this order
+    const centralExtra = bigSize || bigOffset
+      ? zip64Extra([...(bigSize ? [size, size] : []), ...(bigOffset ? [offset] : [])])
+      : null;
+    const header = new DataView(new ArrayBuffer(46));
+    header.setUint32(0, 0x02014b50, true);
+    header.setUint16(4, version, true);
+    header.setUint16(6, version, true);
+    header.setUint16(8, 0x0800, true);
+    header.setUint16(10, 0, true);
+    header.setUint16(12, time, true);
+    header.setUint16(14, dosDate, true);
+    header.setUint32(16, crc, true);
+    header.setUint32(20, bigSize ? MAX_32 : size, true);
+    header.setUint32(24, bigSize ? MAX_32 : size, true);
+    header.setUint16(28, nameBytes.length, true);
+    header.setUint16(30, centralExtra ? centralExtra.byteLength : 0, true);
+    header.setUint32(42, bigOffset ? MAX_32 : offset, true);
+    central.push(header, nameBytes, ...(centralExtra ? [centralExtra] : []));
+
+    offset += 30 + nameBytes.length + (localExtra ? localExtra.byteLength : 0) + size;
+    count++;
+    onProgress?.(count);
+  }
+
+  const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+  const zip64 = count >= MAX_16 || centralSize >= MAX_32 || offset >= MAX_32;
+  const records = [];
+
+  if (zip64) {
+    const record = new DataView(new ArrayBuffer(56));
+    record.setUint32(0, 0x06064b50, true);
+    setUint64(record, 4, 44); // size of the rest of this record
+    record.setUint16(12, 45, true); // version made by
+    record.setUint16(14, 45, true); // version needed
+    setUint64(record, 24, count);
+    setUint64(record, 32, count);
+    setUint64(record, 40, centralSize);
+    setUint64(record, 48, offset);
+
+    const locator = new DataView(new ArrayBuffer(20));
+    locator.setUint32(0, 0x07064b50, true);
+    setUint64(locator, 8, offset + centralSize);
+    locator.setUint32(16, 1, true); // total disks
+    records.push(record, locator);
+  }
+
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, zip64 ? MAX_16 : count, true);
+  end.setUint16(10, zip64 ? MAX_16 : count, true);
+  end.setUint32(12, zip64 ? MAX_32 : centralSize, true);
+  end.setUint32(16, zip64 ? MAX_32 : offset, true);
+  records.push(end);
+
+  return new Blob([...parts, ...central, ...records], { type: 'application/zip' });
+};
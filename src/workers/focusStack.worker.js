@@ -0,0 +1,67 @@
+import { toGray, laplacianMagnitude, boxBlur, clampIndex } from '../utils/imageOps';
+import { estimateTranslation } from '../utils/align';
+
+// Focus stacking (extended depth of field).
+// in:  { frames: [{ width, height, data: ArrayBuffer (RGBA) }], radius }
+// out: { type: 'progress', stage, value } ... then { type: 'done', width, height, data } or { type: 'error', message }
+//
+// 1. Register every frame to the middle one (translation only, phase correlation).
+// 2. Per pixel, score each frame by locally averaged |Laplacian| (local contrast).
+// 3. Take each pixel from the frame that scored best there.
+
+const post = (stage, value) => self.postMessage({ type: 'progress', stage, value });
+
+self.onmessage = (e) => {
+  try {
+    const { frames, radius = 4 } = e.data;
+    const { width, height } = frames[0];
+    const pixels = frames.map(f => new Uint8ClampedArray(f.data));
+    const refIndex = Math.floor(frames.length / 2);
+    const refGray = toGray(pixels[refIndex], width, height);
+
+    // Best score and owning frame per pixel, updated one frame at a time to keep memory flat
+    const bestScore = new Float32Array(width * height).fill(-1);
+    const bestFrame = new Uint8Array(width * height);
+    const offsets = [];
+
+    frames.forEach((frame, index) => {
+      const gray = index === refIndex ? refGray : toGray(pixels[index], width, height);
+      const offset = index === refIndex ? { dx: 0, dy: 0 } : estimateTranslation(refGray, gray, width, height);
+      offsets.push(offset);
+      post('align', (index + 0.5) / frames.length);
+
+      const score = boxBlur(laplacianMagnitude(gray, width, height), width, height, radius);
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const i = y * width + x;
+          const s = score[clampIndex(x + offset.dx, y + offset.dy, width, height)];
+          if (s > bestScore[i]) {
+            bestScore[i] = s;
+            bestFrame[i] = index;
+          }
+        }
+      }
+      post('score', (index + 1) / frames.length);
+    });
+
+    // Scores are already locally averaged, so the selection comes out in coherent patches
+    const out = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = y * width + x;
+        const f = bestFrame[i];
+        const { dx, dy } = offsets[f];
+        const src = clampIndex(x + dx, y + dy, width, height) * 4;
+        const p = pixels[f];
+        out[i * 4] = p[src];
+        out[i * 4 + 1] = p[src + 1];
+        out[i * 4 + 2] = p[src + 2];
+        out[i * 4 + 3] = 255;
+      }
+    }
+
+    self.postMessage({ type: 'done', width, height, data: out.buffer, offsets }, [out.buffer]);
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message });
+  }
+};
@@ -0,0 +1,34 @@
+import { toGray } from '../utils/imageOps';
+import { estimateTranslation } from '../utils/align';
+
+// Frame-to-frame registration for mosaic mode. Keeps the previous frame so the main
+// thread only sends each (downscaled) frame once.
+// in:  { type: 'register', id, width, height, data: ArrayBuffer (RGBA), minPeak } | { type: 'reset' }
+// out: { id, dx, dy, peak }  (shift of this frame vs the previous one, see estimateTranslation)
+
+let previous = null;
+
+self.onmessage = (e) => {
+  const msg = e.data;
+
+  if (msg.type === 'reset') {
+    previous = null;
+    return;
+  }
+
+  if (msg.type === 'register') {
+    const { id, width, height } = msg;
+    const gray = toGray(new Uint8ClampedArray(msg.data), width, height);
+
+    if (!previous || previous.width !== width || previous.height !== height) {
+      previous = { gray, width, height };
+      self.postMessage({ id, dx: 0, dy: 0, peak: 1, first: true });
+      return;
+    }
+
+    const { dx, dy, peak } = estimateTranslation(previous.gray, gray, width, height);
+    // Untrusted match: keep the last good frame as reference so the user can move back to it
+    if (peak >= (msg.minPeak || 0)) previous = { gray, width, height };
+    self.postMessage({ id, dx, dy, peak });
+  }
+};
@@ -0,0 +1,89 @@
+// Signal scopes for a downscaled viewport frame.
+// in:  { width, height, data: ArrayBuffer (RGBA), waveform: bool, zebra: { high, low } | null }
+// out: { histogram: { r, g, b, luma } (256 bins each), waveform?, zebra? }
+//      waveform/zebra: { width, height, data: ArrayBuffer (RGBA) } ready for putImageData
+
+const WAVEFORM_LEVELS = 128;
+
+// Rec. 601 luma, same weights as utils/imageOps toGray
+const luma = (r, g, b) => 0.299 * r + 0.587 * g + 0.114 * b;
+
+const histogramOf = (pixels) => {
+  const r = new Uint32Array(256);
+  const g = new Uint32Array(256);
+  const b = new Uint32Array(256);
+  const y = new Uint32Array(256);
+  for (let i = 0; i < pixels.length; i += 4) {
+    r[pixels[i]]++;
+    g[pixels[i + 1]]++;
+    b[pixels[i + 2]]++;
+    y[Math.round(luma(pixels[i], pixels[i + 1], pixels[i + 2]))]++;
+  }
+  return { r, g, b, luma: y };
+};
+
+// One column per image column, one row per luma level (bright at the top)
+const waveformOf = (pixels, width, height) => {
+  const counts = new Uint32Array(width * WAVEFORM_LEVELS);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      const level = Math.min(WAVEFORM_LEVELS - 1, Math.floor(luma(pixels[i], pixels[i + 1], pixels[i + 2]) / 256 * WAVEFORM_LEVELS));
+      counts[(WAVEFORM_LEVELS - 1 - level) * width + x]++;
+    }
+  }
+
+  // A column of identical pixels saturates; everything else scales with the square root
+  const out = new Uint8ClampedArray(width * WAVEFORM_LEVELS * 4);
+  for (let i = 0; i < counts.length; i++) {
+    if (!counts[i]) continue;
+    const v = Math.sqrt(counts[i] / height);
+    out[i * 4] = 120 * v;
+    out[i * 4 + 1] = 255;
+    out[i * 4 + 2] = 120 * v;
+    out[i * 4 + 3] = Math.min(255, 60 + 400 * v);
+  }
+  return { width, height: WAVEFORM_LEVELS, data: out.buffer };
+};
+
+// Diagonal stripes over clipped pixels: red where any channel is blown, blue where all are crushed
+const zebraOf = (pixels, width, height, { high, low }) => {
+  const out = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (((x + y) >> 2) & 1) continue;
+      const i = (y * width + x) * 4;
+      const max = Math.max(pixels[i], pixels[i + 1], pixels[i + 2]);
+      if (max >= high) {
+        out[i] = 255;
+        out[i + 1] = 40;
+        out[i + 2] = 40;
+        out[i + 3] = 220;
+      } else if (max <= low) {
+        out[i] = 40;
+        out[i + 1] = 120;
+        out[i + 2] = 255;
+        out[i + 3] = 220;
+      }
+    }
+  }
+  return { width, height, data: out.buffer };
+};
+
+self.onmessage = (e) => {
+  const { width, height, data, waveform, zebra } = e.data;
+  const pixels = new Uint8ClampedArray(data);
+  const result = { histogram: histogramOf(pixels) };
+  const transfer = Object.values(result.histogram).map(bins => bins.buffer);
+
+  if (waveform) {
+    result.waveform = waveformOf(pixels, width, height);
+    transfer.push(result.waveform.data);
+  }
+  if (zebra) {
+    result.zebra = zebraOf(pixels, width, height, zebra);
+    transfer.push(result.zebra.data);
+  }
+
+  self.postMessage(result, transfer);
+};